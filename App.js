@@ -19,6 +19,8 @@ import { BluetoothProvider } from './src/context/BluetoothContext';
 // Screens
 import HomeScreen from './src/screens/HomeScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import ConversationsScreen from './src/screens/ConversationsScreen';
+import SearchScreen from './src/screens/SearchScreen';
 
 // Styles and Utilities
 import { colors } from './src/styles/colors';
@@ -103,6 +105,20 @@ const App = () => {
                 options={{ title: 'AIRAssist' }}
               />
 
+              {/* Conversation history browser */}
+              <Stack.Screen
+                name="Conversations"
+                component={ConversationsScreen}
+                options={{ title: 'Conversations' }}
+              />
+
+              {/* Search across all conversations */}
+              <Stack.Screen
+                name="Search"
+                component={SearchScreen}
+                options={{ title: 'Search' }}
+              />
+
               {/* Settings screen */}
               <Stack.Screen
                 name="Settings"
@@ -0,0 +1,23 @@
+/**
+ * @react-native-community/voice mock
+ *
+ * The app assigns the onSpeech* handlers itself, so tests simulate recognition
+ * by calling them directly, e.g. Voice.onSpeechResults({ value: ['hello'] }).
+ */
+
+const Voice = {
+  start: jest.fn(() => Promise.resolve()),
+  stop: jest.fn(() => Promise.resolve()),
+  cancel: jest.fn(() => Promise.resolve()),
+  destroy: jest.fn(() => Promise.resolve()),
+  removeAllListeners: jest.fn(),
+  isAvailable: jest.fn(() => Promise.resolve(true)),
+  getSpeechRecognitionServices: jest.fn(() => Promise.resolve(['com.google.android.googlequicksearchbox'])),
+  onSpeechStart: null,
+  onSpeechEnd: null,
+  onSpeechResults: null,
+  onSpeechPartialResults: null,
+  onSpeechError: null,
+};
+
+export default Voice;
@@ -0,0 +1,31 @@
+/**
+ * react-native-audio-record mock
+ *
+ * Records calls, and lets tests deliver PCM chunks to the 'data' listener
+ * with AudioRecord.emit('data', base64).
+ */
+
+const listeners = {};
+
+const AudioRecord = {
+  init: jest.fn(() => Promise.resolve()),
+  start: jest.fn(),
+  stop: jest.fn(() => Promise.resolve('UklGRiQAAABXQVZF')),
+  on: jest.fn((event, callback) => {
+    listeners[event] = callback;
+  }),
+
+  /**
+   * Deliver an event to the registered listener
+   *
+   * @param {string} event - Event name, e.g. 'data'
+   * @param {any} data - Event payload
+   */
+  emit: (event, data) => {
+    if (listeners[event]) {
+      listeners[event](data);
+    }
+  },
+};
+
+export default AudioRecord;
@@ -0,0 +1,62 @@
+/**
+ * react-native-ble-manager mock
+ *
+ * Every method resolves with an empty result unless a test overrides it.
+ * Tests deliver native events with BleManager.emit(eventName, payload), e.g.
+ * BleManager.emit('DisconnectPeripheral', { peripheral: 'AA:BB' }).
+ */
+
+const listeners = {};
+
+/**
+ * Create an on<Event> subscription method
+ *
+ * @param {string} eventName - Event name without the 'on' prefix
+ * @returns {Function} Subscription method returning an object with remove()
+ */
+const subscription = (eventName) => jest.fn(callback => {
+  listeners[eventName] = listeners[eventName] || new Set();
+  listeners[eventName].add(callback);
+
+  return {
+    remove: () => listeners[eventName].delete(callback),
+  };
+});
+
+const BleManager = {
+  start: jest.fn(() => Promise.resolve()),
+  checkState: jest.fn(() => Promise.resolve('on')),
+  enableBluetooth: jest.fn(() => Promise.resolve()),
+  scan: jest.fn(() => Promise.resolve()),
+  stopScan: jest.fn(() => Promise.resolve()),
+  connect: jest.fn(() => Promise.resolve()),
+  disconnect: jest.fn(() => Promise.resolve()),
+  retrieveServices: jest.fn(id => Promise.resolve({ id, services: [], characteristics: [] })),
+  startNotification: jest.fn(() => Promise.resolve()),
+  stopNotification: jest.fn(() => Promise.resolve()),
+  read: jest.fn(() => Promise.resolve([])),
+  write: jest.fn(() => Promise.resolve()),
+  writeWithoutResponse: jest.fn(() => Promise.resolve()),
+  getConnectedPeripherals: jest.fn(() => Promise.resolve([])),
+  getBondedPeripherals: jest.fn(() => Promise.resolve([])),
+  getDiscoveredPeripherals: jest.fn(() => Promise.resolve([])),
+
+  onDiscoverPeripheral: subscription('DiscoverPeripheral'),
+  onStopScan: subscription('StopScan'),
+  onDidUpdateState: subscription('DidUpdateState'),
+  onConnectPeripheral: subscription('ConnectPeripheral'),
+  onDisconnectPeripheral: subscription('DisconnectPeripheral'),
+  onDidUpdateValueForCharacteristic: subscription('DidUpdateValueForCharacteristic'),
+
+  /**
+   * Deliver a native event to its subscribers
+   *
+   * @param {string} eventName - Event name without the 'on' prefix
+   * @param {Object} payload - Event payload
+   */
+  emit: (eventName, payload) => {
+    [...(listeners[eventName] || [])].forEach(callback => callback(payload));
+  },
+};
+
+export default BleManager;
@@ -0,0 +1,59 @@
+/**
+ * react-native-fs mock
+ *
+ * An in-memory file system. Directories are implied by the files in them.
+ * Tests can inspect or clear it through RNFS.files.
+ */
+
+const files = new Map();
+
+/**
+ * Create a not-found error like the native module's
+ *
+ * @param {string} path - Missing path
+ * @returns {Error} Error
+ */
+const notFound = (path) => new Error(`ENOENT: no such file or directory, open '${path}'`);
+
+const RNFS = {
+  DocumentDirectoryPath: '/documents',
+  CachesDirectoryPath: '/caches',
+  ExternalDirectoryPath: '/external',
+  files,
+
+  writeFile: jest.fn(async (path, contents) => {
+    files.set(path, contents);
+  }),
+  readFile: jest.fn(async (path) => {
+    if (!files.has(path)) {
+      throw notFound(path);
+    }
+    return files.get(path);
+  }),
+  exists: jest.fn(async (path) =>
+    files.has(path) || [...files.keys()].some(file => file.startsWith(`${path}/`))
+  ),
+  unlink: jest.fn(async (path) => {
+    if (!(await RNFS.exists(path))) {
+      throw notFound(path);
+    }
+    [...files.keys()]
+      .filter(file => file === path || file.startsWith(`${path}/`))
+      .forEach(file => files.delete(file));
+  }),
+  mkdir: jest.fn(async () => {}),
+  readDir: jest.fn(async (dirPath) =>
+    [...files.keys()]
+      .filter(file => file.startsWith(`${dirPath}/`) && !file.slice(dirPath.length + 1).includes('/'))
+      .map(file => ({
+        name: file.slice(dirPath.length + 1),
+        path: file,
+        size: files.get(file).length,
+        mtime: new Date(),
+        isFile: () => true,
+        isDirectory: () => false,
+      }))
+  ),
+};
+
+export default RNFS;
@@ -0,0 +1,62 @@
+/**
+ * react-native-sound mock
+ *
+ * Sounds load on the next tick. Playback only finishes when a test calls
+ * finish() on the instance, available from Sound.instances.
+ */
+
+/**
+ * Mock Sound with test-controlled playback
+ */
+class Sound {
+  static setCategory = jest.fn();
+
+  // Every sound created since the last reset, oldest first
+  static instances = [];
+
+  /**
+   * Forget all sounds created so far
+   */
+  static reset() {
+    Sound.instances = [];
+  }
+
+  /**
+   * @param {string} path - File to play
+   * @param {string} basePath - Base path
+   * @param {Function} onLoad - Called with an error, or null once loaded
+   */
+  constructor(path, basePath, onLoad) {
+    this.path = path;
+    this.onEnd = null;
+    this.setVolume = jest.fn();
+    this.setSpeed = jest.fn();
+    this.stop = jest.fn();
+    this.release = jest.fn();
+
+    Sound.instances.push(this);
+    setTimeout(() => onLoad(null), 0);
+  }
+
+  /**
+   * Start playback
+   *
+   * @param {Function} onEnd - Called with true on success
+   */
+  play(onEnd) {
+    this.onEnd = onEnd;
+  }
+
+  /**
+   * Finish playback
+   *
+   * @param {boolean} success - Whether playback succeeded
+   */
+  finish(success = true) {
+    if (this.onEnd) {
+      this.onEnd(success);
+    }
+  }
+}
+
+export default Sound;
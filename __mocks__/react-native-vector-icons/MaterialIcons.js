@@ -0,0 +1,18 @@
+/**
+ * react-native-vector-icons/MaterialIcons mock
+ *
+ * The package ships untranspiled ES modules and needs its font, so icons
+ * render as a plain element carrying the icon name.
+ */
+
+import React from 'react';
+
+/**
+ * Mock icon
+ *
+ * @param {Object} props - Icon properties
+ * @returns {React.ReactElement} Element named after the icon
+ */
+const Icon = (props) => React.createElement('Icon', props);
+
+export default Icon;
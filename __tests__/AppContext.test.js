@@ -0,0 +1,579 @@
+/**
+ * AppContext tests
+ *
+ * Cover sending messages, queueing them while offline, delivering the
+ * queue after the connection comes back, streaming recordings, saving
+ * threads, interrupting a response and the language sent with messages.
+ */
+
+import { MockWebSocket } from '../jest/MockWebSocket';
+import {
+  MESSAGE_STATUS,
+  STORAGE_KEYS,
+  WS_CLOSE_CODES,
+  WS_CONNECTION_STATES,
+  WS_MESSAGE_TYPES,
+  TIME,
+} from '../src/utils/constants';
+
+describe('AppContext', () => {
+  let React;
+  let TestRenderer;
+  let act;
+  let AsyncStorage;
+  let AppProvider;
+  let AppContext;
+  let ConversationService;
+  let renderer;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Secure storage isn't available here, which it warns about
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Services keep their state in static fields, so load a fresh copy of the
+    // whole tree per test. React has to come from the same copy.
+    jest.isolateModules(() => {
+      React = require('react');
+      TestRenderer = require('react-test-renderer');
+      ({ act } = TestRenderer);
+      AsyncStorage = require('@react-native-async-storage/async-storage');
+      ({ AppProvider, AppContext } = require('../src/context/AppContext'));
+      ({ ConversationService } = require('../src/services/ConversationService'));
+    });
+  });
+
+  afterEach(async () => {
+    act(() => {
+      renderer.unmount();
+    });
+    await flush();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Let pending storage and state updates settle
+   *
+   * @returns {Promise<void>} Promise that resolves once settled
+   */
+  const flush = () => act(async () => {
+    for (let i = 0; i < 10; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  });
+
+  /**
+   * Move the clock forward, which also keeps Date.now() based message IDs unique
+   *
+   * @param {number} ms - Time to advance by
+   * @returns {Promise<void>} Promise that resolves once updates have settled
+   */
+  const advance = async (ms = 1) => {
+    act(() => {
+      jest.advanceTimersByTime(ms);
+    });
+    await flush();
+  };
+
+  /**
+   * Render the provider and capture its value
+   *
+   * @returns {Promise<Object>} Holder whose current property is the latest context value
+   */
+  const renderApp = async () => {
+    const app = { current: null };
+    const Consumer = () => {
+      app.current = React.useContext(AppContext);
+      return null;
+    };
+
+    act(() => {
+      renderer = TestRenderer.create(
+        React.createElement(AppProvider, null, React.createElement(Consumer))
+      );
+    });
+    await flush();
+
+    return app;
+  };
+
+  /**
+   * Open the latest socket and accept its connect handshake
+   *
+   * @returns {Promise<MockWebSocket>} The open socket
+   */
+  const openSocket = async () => {
+    const socket = MockWebSocket.latest();
+    act(() => {
+      socket.open();
+      socket.receive({ type: WS_MESSAGE_TYPES.CONNECT, status: 'ok' });
+    });
+    await flush();
+    await advance();
+    return socket;
+  };
+
+  /**
+   * Deliver a frame from the server
+   *
+   * @param {MockWebSocket} socket - Socket to deliver on
+   * @param {Object} frame - Frame to deliver
+   * @returns {Promise<void>} Promise that resolves once handled
+   */
+  const receive = async (socket, frame) => {
+    act(() => {
+      socket.receive(frame);
+    });
+    await flush();
+  };
+
+  /**
+   * Send a text message through the context
+   *
+   * @param {Object} app - Context holder from renderApp
+   * @param {string} text - Message text
+   * @returns {Promise<string>} ID of the user message
+   */
+  const sendText = async (app, text) => {
+    let messageId;
+    await act(async () => {
+      messageId = await app.current.sendTextToServer(text);
+    });
+    await flush();
+    return messageId;
+  };
+
+  /**
+   * Find a message in the open conversation
+   *
+   * @param {Object} app - Context holder from renderApp
+   * @param {string} id - Message ID
+   * @returns {Object|undefined} Message
+   */
+  const findMessage = (app, id) => app.current.messages.find(message => message.id === id);
+
+  describe('sending', () => {
+    it('sends a text message and shows the response', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      expect(app.current.wsConnected).toBe(true);
+
+      const messageId = await sendText(app, 'Hello');
+
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({
+          text: 'Hello',
+          messageId,
+          conversationId: app.current.activeConversationId,
+          userId: app.current.settings.userId,
+        }),
+      ]);
+      expect(findMessage(app, messageId)).toMatchObject({ isUser: true, status: MESSAGE_STATUS.SENDING });
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.ACK, messageId, status: 'ok' });
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.SENT);
+      expect(app.current.isProcessingAudio).toBe(true);
+
+      await advance();
+      await receive(socket, {
+        type: WS_MESSAGE_TYPES.AI_RESPONSE,
+        messageId,
+        conversationId: app.current.activeConversationId,
+        text: 'Hi there',
+      });
+
+      const messages = app.current.messages;
+      expect(messages[messages.length - 1]).toMatchObject({ text: 'Hi there', isUser: false });
+      expect(app.current.isProcessingAudio).toBe(false);
+    });
+
+    it('marks a message failed when the server rejects it', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const messageId = await sendText(app, 'Hello');
+      await receive(socket, { type: WS_MESSAGE_TYPES.ACK, messageId, status: 'error', error: 'Too long' });
+
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.FAILED);
+      expect(app.current.isProcessingAudio).toBe(false);
+    });
+  });
+
+  describe('streaming audio', () => {
+    /**
+     * Start a streamed recording through the context
+     *
+     * @param {Object} app - Context holder from renderApp
+     * @returns {Promise<string>} ID of the user message
+     */
+    const startStream = async (app) => {
+      let messageId;
+      act(() => {
+        messageId = app.current.startAudioStream('en-US');
+      });
+      await flush();
+      return messageId;
+    };
+
+    /**
+     * Finish the streamed recording through the context
+     *
+     * @param {Object} app - Context holder from renderApp
+     * @param {string|null} audioBase64 - Whole recording, null if there is none
+     * @returns {Promise<string|null>} ID of the user message, or null if none was sent
+     */
+    const endStream = async (app, audioBase64) => {
+      let result;
+      await act(async () => {
+        result = await app.current.endAudioStream(audioBase64, '');
+      });
+      await flush();
+      return result;
+    };
+
+    it('finishes a stream whose recording could not be read', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      const messageId = await startStream(app);
+
+      act(() => {
+        app.current.sendAudioChunk('AAAA', 0);
+      });
+      await expect(endStream(app, null)).resolves.toBe(messageId);
+
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.AUDIO_STREAM_END)).toEqual([
+        expect.objectContaining({ messageId, chunkCount: 1 }),
+      ]);
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.SENT);
+
+      // The stream is over, so ending it again sends nothing
+      await expect(endStream(app, null)).resolves.toBeNull();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.AUDIO_STREAM_END)).toHaveLength(1);
+    });
+
+    it('drops the bubble of a stream that recorded nothing', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      const messageId = await startStream(app);
+      expect(findMessage(app, messageId)).toBeDefined();
+
+      await expect(endStream(app, null)).resolves.toBeNull();
+
+      expect(findMessage(app, messageId)).toBeUndefined();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.AUDIO_STREAM_END)).toEqual([]);
+      expect(app.current.isProcessingAudio).toBe(false);
+    });
+  });
+
+  describe('history', () => {
+    /**
+     * Get the user and AI texts from a saveMessages call
+     *
+     * @param {Array} call - Arguments of the call
+     * @returns {Array<string>} Texts, without system notices
+     */
+    const savedTexts = (call) => call[2].filter(message => message.type !== 'system').map(message => message.text);
+
+    it('saves a burst of changes to the thread once', async () => {
+      const app = await renderApp();
+      await openSocket();
+      const saveMessages = jest.spyOn(ConversationService, 'saveMessages');
+
+      await sendText(app, 'One');
+      await sendText(app, 'Two');
+      await sendText(app, 'Three');
+      expect(saveMessages).not.toHaveBeenCalled();
+
+      await advance(TIME.HISTORY_SAVE_DELAY);
+
+      expect(saveMessages).toHaveBeenCalledTimes(1);
+      expect(savedTexts(saveMessages.mock.calls[0])).toEqual(['One', 'Two', 'Three']);
+    });
+
+    it('saves a streamed response once it has finished', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      const saveMessages = jest.spyOn(ConversationService, 'saveMessages');
+      const messageId = await sendText(app, 'Tell me a story');
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.AI_RESPONSE_START, messageId, responseId: 'response-1' });
+      for (const delta of ['Once', ' upon', ' a time']) {
+        await receive(socket, { type: WS_MESSAGE_TYPES.AI_RESPONSE_DELTA, responseId: 'response-1', delta });
+        await advance(TIME.HISTORY_SAVE_DELAY);
+      }
+
+      // Only what was there before the response started has been saved
+      expect(saveMessages).toHaveBeenCalledTimes(1);
+      expect(savedTexts(saveMessages.mock.calls[0])).toEqual(['Tell me a story']);
+
+      await receive(socket, {
+        type: WS_MESSAGE_TYPES.AI_RESPONSE_END,
+        messageId,
+        responseId: 'response-1',
+        text: 'Once upon a time',
+      });
+      await advance(TIME.HISTORY_SAVE_DELAY);
+
+      expect(saveMessages).toHaveBeenCalledTimes(2);
+      expect(savedTexts(saveMessages.mock.calls[1])).toEqual(['Tell me a story', 'Once upon a time']);
+      expect(saveMessages.mock.calls[1][2].some(message => message.isStreaming)).toBe(false);
+    });
+
+    it('deletes every thread and opens a fresh one', async () => {
+      const app = await renderApp();
+      await openSocket();
+      const firstId = app.current.activeConversationId;
+      await sendText(app, 'One');
+
+      let secondId;
+      await act(async () => {
+        secondId = await app.current.createConversation();
+      });
+      await sendText(app, 'Two');
+      await advance(TIME.HISTORY_SAVE_DELAY);
+
+      await act(async () => {
+        await app.current.deleteAllConversations();
+      });
+      await advance(TIME.HISTORY_SAVE_DELAY);
+
+      const { activeConversationId, conversations, messages } = app.current;
+      expect(conversations.map(conversation => conversation.id)).toEqual([activeConversationId]);
+      expect([firstId, secondId]).not.toContain(activeConversationId);
+      expect(messages).toEqual([]);
+
+      const keys = await AsyncStorage.getAllKeys();
+      expect(keys).not.toContain(ConversationService.messagesKey(firstId));
+      expect(keys).not.toContain(ConversationService.messagesKey(secondId));
+      await expect(ConversationService.loadIndex()).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('language', () => {
+    it('sends the language chosen in settings', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+
+      act(() => {
+        app.current.updateSettings({ recognitionLanguage: 'fr-FR' });
+      });
+      await flush();
+      await sendText(app, 'Bonjour');
+
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({ text: 'Bonjour', language: 'fr-FR' }),
+      ]);
+    });
+
+    it('prefers the language of the conversation', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+
+      act(() => {
+        app.current.updateSettings({ recognitionLanguage: 'fr-FR' });
+      });
+      await act(async () => {
+        await app.current.setConversationLanguage(app.current.activeConversationId, 'de-DE');
+      });
+      await flush();
+      await sendText(app, 'Hallo');
+
+      expect(app.current.conversations[0].language).toBe('de-DE');
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({ text: 'Hallo', language: 'de-DE' }),
+      ]);
+    });
+  });
+
+  describe('authentication', () => {
+    it('generates a user ID on first run and keeps it', async () => {
+      const app = await renderApp();
+      const { userId } = app.current.settings;
+
+      expect(userId).toMatch(/^user-/);
+      expect(await AsyncStorage.getItem(STORAGE_KEYS.USER_ID)).toBe(userId);
+
+      const socket = await openSocket();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CONNECT)[0]).toMatchObject({ userId });
+    });
+
+    it('saves the token issued for a pairing code', async () => {
+      const app = await renderApp();
+      await openSocket();
+
+      act(() => {
+        app.current.pairWithCode(' ABC123 ');
+      });
+      const socket = MockWebSocket.latest();
+      act(() => {
+        socket.open();
+      });
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CONNECT)[0]).toMatchObject({ pairingCode: 'ABC123' });
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.CONNECT, status: 'ok', token: 'issued' });
+
+      expect(app.current.settings.authToken).toBe('issued');
+      expect(MockWebSocket.instances).toHaveLength(2);
+    });
+
+    it('tells the user when their credentials are refused', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+
+      act(() => {
+        socket.serverClose(WS_CLOSE_CODES.UNAUTHORIZED, 'Bad token');
+      });
+      await flush();
+
+      expect(app.current.wsConnected).toBe(false);
+      expect(app.current.wsStatus.state).toBe(WS_CONNECTION_STATES.UNAUTHORIZED);
+      expect(app.current.messages.map(message => message.text)).toContain(
+        'The AI assistant did not accept your credentials. Check your token in Settings.'
+      );
+    });
+  });
+
+  describe('interrupting', () => {
+    it('cancels the response being read out and ignores the rest of it', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+      const messageId = await sendText(app, 'Tell me a long story');
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.AI_RESPONSE_START, messageId, responseId: 'response-1' });
+      await receive(socket, {
+        type: WS_MESSAGE_TYPES.AI_RESPONSE_END,
+        messageId,
+        responseId: 'response-1',
+        text: 'Once upon a time',
+        audioBase64: 'UklGRiQAAABXQVZF',
+      });
+      expect(app.current.isSpeaking).toBe(true);
+
+      act(() => {
+        app.current.interruptResponse();
+      });
+      await flush();
+
+      expect(app.current.isSpeaking).toBe(false);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CANCEL)).toEqual([
+        expect.objectContaining({
+          responseId: 'response-1',
+          messageId,
+          conversationId: app.current.activeConversationId,
+        }),
+      ]);
+      expect(findMessage(app, 'response-1')).toMatchObject({ interrupted: true, isStreaming: false });
+
+      // Frames the server sent before it saw the cancel are dropped
+      await receive(socket, { type: WS_MESSAGE_TYPES.AI_RESPONSE_DELTA, responseId: 'response-1', delta: ', there was' });
+      expect(findMessage(app, 'response-1').text).toBe('Once upon a time');
+    });
+
+    it('sends nothing when no response is in flight', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+
+      act(() => {
+        app.current.interruptResponse();
+      });
+      await flush();
+
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CANCEL)).toEqual([]);
+    });
+  });
+
+  describe('offline queue', () => {
+    it('queues messages until the connection opens', async () => {
+      const app = await renderApp();
+      const socket = MockWebSocket.latest();
+
+      const messageId = await sendText(app, 'Are you there?');
+
+      expect(socket.sent).toHaveLength(0);
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.QUEUED);
+      expect(app.current.pendingMessages).toEqual([
+        expect.objectContaining({ messageId, text: 'Are you there?' }),
+      ]);
+
+      // The queue survives an app restart
+      const saved = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.PENDING_MESSAGES));
+      expect(saved).toEqual([expect.objectContaining({ messageId })]);
+
+      await openSocket();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({ messageId, text: 'Are you there?' }),
+      ]);
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.ACK, messageId, status: 'ok' });
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.SENT);
+      expect(app.current.pendingMessages).toEqual([]);
+    });
+
+    it('delivers queued messages in order, one at a time', async () => {
+      const app = await renderApp();
+
+      const firstId = await sendText(app, 'First');
+      await advance();
+      const secondId = await sendText(app, 'Second');
+
+      const socket = await openSocket();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT).map(frame => frame.messageId)).toEqual([firstId]);
+
+      await receive(socket, { type: WS_MESSAGE_TYPES.ACK, messageId: firstId, status: 'ok' });
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT).map(frame => frame.messageId)).toEqual([firstId, secondId]);
+    });
+  });
+
+  describe('reconnection', () => {
+    it('reconnects after the connection drops and delivers what was queued meanwhile', async () => {
+      const app = await renderApp();
+      const firstSocket = await openSocket();
+
+      act(() => {
+        firstSocket.serverClose(1006, 'Server restarted');
+      });
+      await flush();
+
+      expect(app.current.wsConnected).toBe(false);
+      expect(app.current.wsStatus.state).toBe(WS_CONNECTION_STATES.BACKING_OFF);
+      expect(app.current.messages.map(message => message.text)).toContain('Disconnected from AI assistant');
+
+      await advance();
+      const messageId = await sendText(app, 'Still there?');
+      expect(findMessage(app, messageId).status).toBe(MESSAGE_STATUS.QUEUED);
+
+      await advance(app.current.wsStatus.nextRetryAt - Date.now());
+      expect(MockWebSocket.instances).toHaveLength(2);
+
+      const secondSocket = await openSocket();
+      expect(app.current.wsConnected).toBe(true);
+      expect(app.current.wsStatus.state).toBe(WS_CONNECTION_STATES.OPEN);
+      expect(secondSocket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({ messageId, text: 'Still there?' }),
+      ]);
+    });
+
+    it('reconnects immediately when asked to', async () => {
+      const app = await renderApp();
+      const socket = await openSocket();
+
+      act(() => {
+        socket.serverClose(1006);
+      });
+      await flush();
+
+      act(() => {
+        app.current.reconnectWebSocket();
+      });
+      await flush();
+
+      expect(MockWebSocket.instances).toHaveLength(2);
+      expect(app.current.wsStatus.state).toBe(WS_CONNECTION_STATES.CONNECTING);
+    });
+  });
+});
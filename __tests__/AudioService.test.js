@@ -0,0 +1,249 @@
+/**
+ * AudioService tests
+ *
+ * Cover starting and stopping a recording, streaming chunks, speech
+ * recognition results and listening for the wake word or barge-in.
+ */
+
+import { AUDIO_SOURCES, AUDIO_SAMPLE_RATES, AUTO_LANGUAGE } from '../src/utils/constants';
+
+describe('AudioService', () => {
+  let AudioService;
+  let AudioRecord;
+  let Voice;
+  let permissions;
+  let WakeWordDetector;
+
+  beforeEach(() => {
+    // The service keeps its state in static fields, so load a fresh copy per
+    // test, along with the mocks it will be using
+    jest.isolateModules(() => {
+      AudioRecord = require('react-native-audio-record').default;
+      Voice = require('@react-native-community/voice').default;
+      permissions = require('react-native-permissions');
+      ({ WakeWordDetector } = require('../src/utils/wakeWord'));
+      ({ AudioService } = require('../src/services/AudioService'));
+    });
+  });
+
+  afterEach(async () => {
+    await AudioService.stopRecording();
+    await AudioService.stopWakeWordListening();
+    await AudioService.stopBargeInListening();
+    jest.restoreAllMocks();
+  });
+
+  describe('startRecording', () => {
+    it('initializes recording on first use', async () => {
+      await AudioService.startRecording();
+
+      expect(AudioRecord.init).toHaveBeenCalledWith(expect.objectContaining({
+        sampleRate: AUDIO_SAMPLE_RATES.DEFAULT,
+        channels: 1,
+        bitsPerSample: 16,
+        audioSource: AUDIO_SOURCES.VOICE_RECOGNITION,
+      }));
+      expect(AudioRecord.on).toHaveBeenCalledWith('data', expect.any(Function));
+      expect(AudioRecord.start).toHaveBeenCalledTimes(1);
+      expect(AudioService.isRecording).toBe(true);
+    });
+
+    it('starts speech recognition when asked to', async () => {
+      await AudioService.startRecording({ useVoiceRecognition: true });
+
+      expect(Voice.start).toHaveBeenCalledWith('en-US');
+    });
+
+    it('recognizes speech in the requested language', async () => {
+      await AudioService.startRecording({ useVoiceRecognition: true, language: 'es-ES' });
+
+      expect(Voice.start).toHaveBeenCalledWith('es-ES');
+    });
+
+    it('leaves recognition to the server when the language is automatic', async () => {
+      await AudioService.startRecording({ useVoiceRecognition: true, language: AUTO_LANGUAGE });
+
+      expect(Voice.start).not.toHaveBeenCalled();
+      expect(AudioRecord.start).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps recording if speech recognition fails to start', async () => {
+      Voice.start.mockRejectedValueOnce(new Error('Recognizer busy'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await AudioService.startRecording({ useVoiceRecognition: true });
+
+      expect(AudioRecord.start).toHaveBeenCalledTimes(1);
+      expect(AudioService.isRecording).toBe(true);
+    });
+
+    it('rejects without microphone permission', async () => {
+      permissions.check.mockResolvedValueOnce(permissions.RESULTS.DENIED);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(AudioService.startRecording()).rejects.toThrow('Microphone permission not granted');
+      expect(AudioRecord.start).not.toHaveBeenCalled();
+      expect(AudioService.isRecording).toBe(false);
+    });
+
+    it('forwards numbered chunks while recording', async () => {
+      const onAudioChunk = jest.fn();
+      await AudioService.startRecording({ onAudioChunk });
+
+      AudioRecord.emit('data', 'AAAA');
+      AudioRecord.emit('data', 'BBBB');
+
+      expect(onAudioChunk.mock.calls).toEqual([['AAAA', 0], ['BBBB', 1]]);
+    });
+  });
+
+  describe('stopRecording', () => {
+    it('returns the recording and its transcription', async () => {
+      const speechResultsCallback = jest.fn();
+      await AudioService.startRecording({ useVoiceRecognition: true, speechResultsCallback });
+
+      Voice.onSpeechResults({ value: ['turn on the lights', 'turn on the light'] });
+      const result = await AudioService.stopRecording();
+
+      const alternatives = [
+        { text: 'turn on the lights', agreement: 0.75 },
+        { text: 'turn on the light', agreement: 0.75 },
+      ];
+      expect(speechResultsCallback).toHaveBeenCalledWith('turn on the lights', alternatives);
+      expect(Voice.stop).toHaveBeenCalled();
+      expect(AudioRecord.stop).toHaveBeenCalled();
+      expect(result).toEqual({
+        audioBase64: 'UklGRiQAAABXQVZF',
+        transcription: 'turn on the lights',
+        alternatives,
+        path: expect.stringContaining('recording.wav'),
+      });
+      expect(AudioService.isRecording).toBe(false);
+    });
+
+    it('falls back to the interim transcription when no final one arrived', async () => {
+      const speechPartialResultsCallback = jest.fn();
+      await AudioService.startRecording({ useVoiceRecognition: true, speechPartialResultsCallback });
+
+      Voice.onSpeechPartialResults({ value: ['turn on'] });
+      Voice.onSpeechPartialResults({ value: ['turn on the'] });
+      const result = await AudioService.stopRecording();
+
+      expect(speechPartialResultsCallback).toHaveBeenLastCalledWith('turn on the', [
+        { text: 'turn on the', agreement: null },
+      ]);
+      expect(result.transcription).toBe('turn on the');
+    });
+
+    it('stops forwarding chunks once stopped', async () => {
+      const onAudioChunk = jest.fn();
+      await AudioService.startRecording({ onAudioChunk });
+
+      await AudioService.stopRecording();
+      AudioRecord.emit('data', 'AAAA');
+
+      expect(onAudioChunk).not.toHaveBeenCalled();
+    });
+
+    it('returns null when not recording', async () => {
+      await expect(AudioService.stopRecording()).resolves.toBeNull();
+      expect(AudioRecord.stop).not.toHaveBeenCalled();
+    });
+
+    it('clears the recording flag if stopping fails', async () => {
+      await AudioService.startRecording();
+      AudioRecord.stop.mockRejectedValueOnce(new Error('Recorder gone'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(AudioService.stopRecording()).rejects.toThrow('Recorder gone');
+      expect(AudioService.isRecording).toBe(false);
+    });
+  });
+
+  describe('barge-in listening', () => {
+    /**
+     * Encode a chunk of constant-level PCM like AudioRecord delivers it
+     *
+     * @param {number} amplitude - Sample value
+     * @returns {string} Base64-encoded chunk of about 100ms
+     */
+    const chunk = (amplitude) => {
+      const samples = Int16Array.from({ length: 4410 }, (_, i) => (i % 2 ? amplitude : -amplitude));
+      return Buffer.from(samples.buffer).toString('base64');
+    };
+
+    it('hands over once the user talks over playback', async () => {
+      const onSpeech = jest.fn();
+      await AudioService.startBargeInListening({ onSpeech });
+
+      // Playback leaking into the microphone is learned as background
+      for (let i = 0; i < 10; i++) AudioRecord.emit('data', chunk(300));
+      expect(onSpeech).not.toHaveBeenCalled();
+
+      for (let i = 0; i < 4; i++) AudioRecord.emit('data', chunk(6000));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(onSpeech).toHaveBeenCalledTimes(1);
+      expect(AudioService.isListeningForBargeIn).toBe(false);
+      expect(Voice.start).not.toHaveBeenCalled();
+    });
+
+    it('ignores a short noise', async () => {
+      const onSpeech = jest.fn();
+      await AudioService.startBargeInListening({ onSpeech });
+
+      for (let i = 0; i < 10; i++) AudioRecord.emit('data', chunk(300));
+      AudioRecord.emit('data', chunk(6000));
+      for (let i = 0; i < 5; i++) AudioRecord.emit('data', chunk(300));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(onSpeech).not.toHaveBeenCalled();
+      expect(AudioService.isListeningForBargeIn).toBe(true);
+    });
+  });
+
+  describe('wake word listening', () => {
+    it('analyzes audio on the device without forwarding it', async () => {
+      const onUtterance = jest.fn();
+      jest.spyOn(WakeWordDetector.prototype, 'processBase64')
+        .mockReturnValue({ detected: false, distance: Infinity, utterance: [[1, 2]] });
+
+      await AudioService.startWakeWordListening({ onUtterance });
+      AudioRecord.emit('data', 'AAAA');
+
+      expect(AudioRecord.start).toHaveBeenCalledTimes(1);
+      expect(Voice.start).not.toHaveBeenCalled();
+      expect(onUtterance).toHaveBeenCalledWith([[1, 2]]);
+      expect(AudioService.isRecording).toBe(false);
+    });
+
+    it('stops listening once the wake word is heard', async () => {
+      const onWakeWord = jest.fn();
+      jest.spyOn(WakeWordDetector.prototype, 'processBase64')
+        .mockReturnValue({ detected: true, distance: 3, utterance: [[1, 2]] });
+
+      await AudioService.startWakeWordListening({ onWakeWord });
+      AudioRecord.emit('data', 'AAAA');
+      AudioRecord.emit('data', 'BBBB');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(onWakeWord).toHaveBeenCalledTimes(1);
+      expect(onWakeWord).toHaveBeenCalledWith({ distance: 3 });
+      expect(AudioRecord.stop).toHaveBeenCalledTimes(1);
+      expect(AudioService.isListeningForWakeWord).toBe(false);
+    });
+
+    it('hands the microphone over to a recording', async () => {
+      const onAudioChunk = jest.fn();
+      await AudioService.startWakeWordListening();
+
+      await AudioService.startRecording({ onAudioChunk });
+      AudioRecord.emit('data', 'AAAA');
+
+      expect(AudioService.isListeningForWakeWord).toBe(false);
+      expect(AudioRecord.stop).toHaveBeenCalledTimes(1);
+      expect(AudioRecord.start).toHaveBeenCalledTimes(2);
+      expect(onAudioChunk).toHaveBeenCalledWith('AAAA', 0);
+    });
+  });
+});
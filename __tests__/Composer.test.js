@@ -0,0 +1,81 @@
+/**
+ * Composer tests
+ *
+ * Cover what the send button does depending on the draft and whether the
+ * AI is speaking.
+ */
+
+import React from 'react';
+import { TextInput, TouchableOpacity } from 'react-native';
+import TestRenderer, { act } from 'react-test-renderer';
+import Composer from '../src/components/Composer';
+
+/**
+ * Render the composer with mock handlers
+ *
+ * @param {Object} props - Properties to override
+ * @returns {Object} Renderer and handlers
+ */
+const renderComposer = (props = {}) => {
+  const handlers = {
+    onChangeText: jest.fn(),
+    onSend: jest.fn(),
+    onSwitchToVoice: jest.fn(),
+    onStopSpeaking: jest.fn(),
+  };
+
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(
+      <Composer value="" isSpeaking={false} disabled={false} {...handlers} {...props} />
+    );
+  });
+
+  const [modeButton, sendButton] = renderer.root.findAllByType(TouchableOpacity);
+  return { renderer, handlers, modeButton, sendButton };
+};
+
+describe('Composer', () => {
+  it('sends the draft', () => {
+    const { handlers, sendButton } = renderComposer({ value: 'Hello' });
+
+    expect(sendButton.props.disabled).toBe(false);
+    act(() => {
+      sendButton.props.onPress();
+    });
+
+    expect(handlers.onSend).toHaveBeenCalledTimes(1);
+  });
+
+  it('cannot send an empty or blank draft', () => {
+    expect(renderComposer({ value: '' }).sendButton.props.disabled).toBe(true);
+    expect(renderComposer({ value: '  \n ' }).sendButton.props.disabled).toBe(true);
+  });
+
+  it('cannot send while disabled', () => {
+    expect(renderComposer({ value: 'Hello', disabled: true }).sendButton.props.disabled).toBe(true);
+  });
+
+  it('stops the AI speaking when nothing is typed', () => {
+    const { handlers, sendButton } = renderComposer({ isSpeaking: true });
+
+    act(() => {
+      sendButton.props.onPress();
+    });
+
+    expect(handlers.onStopSpeaking).toHaveBeenCalledTimes(1);
+    expect(handlers.onSend).not.toHaveBeenCalled();
+  });
+
+  it('passes typing and the voice button through', () => {
+    const { renderer, handlers, modeButton } = renderComposer();
+
+    act(() => {
+      renderer.root.findByType(TextInput).props.onChangeText('Hi');
+      modeButton.props.onPress();
+    });
+
+    expect(handlers.onChangeText).toHaveBeenCalledWith('Hi');
+    expect(handlers.onSwitchToVoice).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * DraftService tests
+ *
+ * Cover keeping a draft per conversation, writing drafts in order and only
+ * removing a draft once it has been sent.
+ */
+
+describe('DraftService', () => {
+  let DraftService;
+  let SecureStorageService;
+
+  beforeEach(() => {
+    // Secure storage isn't available here, which it warns about
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.isolateModules(() => {
+      ({ DraftService } = require('../src/services/DraftService'));
+      ({ SecureStorageService } = require('../src/services/SecureStorageService'));
+    });
+  });
+
+  afterEach(async () => {
+    await DraftService.clearAllDrafts();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a draft for each conversation', async () => {
+    await DraftService.saveDraft('conversation-1', 'Remind me to');
+    await DraftService.saveDraft('conversation-2', 'What is the');
+
+    await expect(DraftService.getDraft('conversation-1')).resolves.toBe('Remind me to');
+    await expect(DraftService.getDraft('conversation-2')).resolves.toBe('What is the');
+    await expect(DraftService.getDraft('conversation-3')).resolves.toBe('');
+  });
+
+  it('clears one conversation without touching the others', async () => {
+    await DraftService.saveDraft('conversation-1', 'Remind me to');
+    await DraftService.saveDraft('conversation-2', 'What is the');
+
+    await DraftService.clearDraft('conversation-1');
+
+    await expect(DraftService.getDraft('conversation-1')).resolves.toBe('');
+    await expect(DraftService.getDraft('conversation-2')).resolves.toBe('What is the');
+  });
+
+  it('treats a blank draft as no draft', async () => {
+    await DraftService.saveDraft('conversation-1', 'Remind me to');
+    await DraftService.saveDraft('conversation-1', '   ');
+
+    await expect(DraftService.getDraft('conversation-1')).resolves.toBe('');
+  });
+
+  it('applies writes in the order they were made', async () => {
+    // Make the first write slow, so it would finish last if writes overlapped
+    const setItem = SecureStorageService.setItem.bind(SecureStorageService);
+    jest.spyOn(SecureStorageService, 'setItem')
+      .mockImplementationOnce((key, value) =>
+        new Promise(resolve => setTimeout(resolve, 20)).then(() => setItem(key, value)))
+      .mockImplementation(setItem);
+
+    const saved = DraftService.saveDraft('conversation-1', 'Turn on the lights');
+    const otherSaved = DraftService.saveDraft('conversation-2', 'Hello');
+    const cleared = DraftService.clearDraft('conversation-1');
+    await Promise.all([saved, otherSaved, cleared]);
+
+    await expect(DraftService.getDraft('conversation-1')).resolves.toBe('');
+    await expect(DraftService.getDraft('conversation-2')).resolves.toBe('Hello');
+  });
+
+  describe('sendDraft', () => {
+    it('removes the draft once sent', async () => {
+      await DraftService.saveDraft('conversation-1', 'Turn on the lights');
+      const send = jest.fn().mockResolvedValue('message-1');
+
+      await expect(DraftService.sendDraft('conversation-1', 'Turn on the lights', send))
+        .resolves.toBe('message-1');
+
+      expect(send).toHaveBeenCalledWith('Turn on the lights');
+      await expect(DraftService.getDraft('conversation-1')).resolves.toBe('');
+    });
+
+    it('keeps the draft when sending fails', async () => {
+      await DraftService.saveDraft('conversation-1', 'Turn on the lights');
+      const send = jest.fn().mockResolvedValue(null);
+
+      await expect(DraftService.sendDraft('conversation-1', 'Turn on the lights', send))
+        .resolves.toBeNull();
+
+      await expect(DraftService.getDraft('conversation-1')).resolves.toBe('Turn on the lights');
+    });
+  });
+});
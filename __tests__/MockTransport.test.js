@@ -0,0 +1,197 @@
+/**
+ * MockTransport tests
+ *
+ * Run WebSocketService over the offline mock server, as the app does when
+ * the mock transport is chosen in settings, with fake timers standing in for
+ * the server's latency.
+ */
+
+import {
+  TRANSPORT_TYPES,
+  WS_CONNECTION_STATES,
+  WS_MESSAGE_TYPES,
+  TIME,
+} from '../src/utils/constants';
+
+const SERVER_URL = 'wss://test.example.com/ws';
+const PING_INTERVAL = 30000;
+
+describe('MockTransport', () => {
+  let WebSocketService;
+  let MockTransport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // The service keeps its state in static fields, so load a fresh copy per test
+    jest.isolateModules(() => {
+      ({ WebSocketService } = require('../src/services/WebSocketService'));
+      ({ MockTransport } = require('../src/services/MockTransport'));
+    });
+  });
+
+  afterEach(() => {
+    WebSocketService.disconnect();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Let the mock server answer
+   */
+  const wait = () => {
+    jest.advanceTimersByTime(TIME.MOCK_SERVER_LATENCY);
+  };
+
+  /**
+   * Connect over the mock transport and complete the handshake
+   */
+  const connect = () => {
+    WebSocketService.init(SERVER_URL, TRANSPORT_TYPES.MOCK);
+    wait(); // Transport opens and the handshake is sent
+    wait(); // Handshake is accepted
+  };
+
+  /**
+   * Collect the frames of one type the server sends
+   *
+   * @param {string} type - Message type
+   * @returns {Array<Object>} Frames, filled in as they arrive
+   */
+  const collect = (type) => {
+    const frames = [];
+    WebSocketService.subscribe(type, frame => frames.push(frame));
+    return frames;
+  };
+
+  describe('handshake', () => {
+    it('opens and accepts the handshake', () => {
+      WebSocketService.setCredentials({ userId: 'user-1', token: 'secret' });
+      const onConnect = jest.fn();
+      WebSocketService.onConnect(onConnect);
+
+      WebSocketService.init(SERVER_URL, TRANSPORT_TYPES.MOCK);
+      expect(WebSocketService.socket).toBeInstanceOf(MockTransport);
+
+      wait();
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.AUTHENTICATING);
+
+      wait();
+      expect(WebSocketService.isConnected()).toBe(true);
+      expect(onConnect).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        token: 'secret',
+        sessionId: expect.stringMatching(/^mock-/),
+      }));
+    });
+
+    it('issues a token for a pairing code', () => {
+      connect();
+      const onConnect = jest.fn();
+      WebSocketService.onConnect(onConnect);
+      onConnect.mockClear();
+
+      WebSocketService.pair('ABC123');
+      wait();
+      wait();
+
+      expect(onConnect).toHaveBeenCalledWith(expect.objectContaining({ token: 'mock-token-ABC123' }));
+    });
+  });
+
+  describe('messages', () => {
+    it('acknowledges a request and answers it', async () => {
+      connect();
+      const responses = collect(WS_MESSAGE_TYPES.AI_RESPONSE);
+
+      const acked = WebSocketService.request({
+        type: WS_MESSAGE_TYPES.TEXT,
+        messageId: 'message-1',
+        conversationId: 'conversation-1',
+        text: 'Hello',
+      });
+      wait();
+
+      await expect(acked).resolves.toMatchObject({ messageId: 'message-1', status: 'ok' });
+      expect(responses).toEqual([
+        expect.objectContaining({
+          messageId: 'message-1',
+          conversationId: 'conversation-1',
+          transcription: 'Hello',
+          text: expect.stringContaining('Hello'),
+        }),
+      ]);
+    });
+
+    it('answers a streamed recording in its conversation once it ends', () => {
+      connect();
+      const responses = collect(WS_MESSAGE_TYPES.AI_RESPONSE);
+
+      WebSocketService.send(JSON.stringify({
+        type: WS_MESSAGE_TYPES.AUDIO_STREAM_START,
+        messageId: 'message-1',
+        conversationId: 'conversation-1',
+      }));
+      WebSocketService.send(JSON.stringify({
+        type: WS_MESSAGE_TYPES.AUDIO_STREAM_END,
+        messageId: 'message-1',
+        transcription: 'Turn on the lights',
+      }));
+      wait();
+
+      expect(responses).toEqual([
+        expect.objectContaining({
+          messageId: 'message-1',
+          conversationId: 'conversation-1',
+          transcription: 'Turn on the lights',
+        }),
+      ]);
+    });
+
+    it('sends an error for a message asking it to fail', async () => {
+      connect();
+      const responses = collect(WS_MESSAGE_TYPES.AI_RESPONSE);
+      const errors = collect(WS_MESSAGE_TYPES.ERROR);
+
+      const acked = WebSocketService.request({
+        type: WS_MESSAGE_TYPES.TEXT,
+        messageId: 'message-1',
+        text: '/error please',
+      });
+      wait();
+
+      await expect(acked).resolves.toMatchObject({ status: 'ok' });
+      expect(errors).toEqual([expect.objectContaining({ messageId: 'message-1' })]);
+      expect(responses).toEqual([]);
+    });
+
+    it('answers pings, so the connection stays up', () => {
+      connect();
+      const pongs = collect(WS_MESSAGE_TYPES.PONG);
+      const onDisconnect = jest.fn();
+      WebSocketService.onDisconnect(onDisconnect);
+
+      // Long enough that unanswered pings would count as a dead connection
+      for (let i = 0; i < 4; i++) {
+        jest.advanceTimersByTime(PING_INTERVAL);
+        wait();
+      }
+
+      expect(pongs).toHaveLength(4);
+      expect(onDisconnect).not.toHaveBeenCalled();
+      expect(WebSocketService.isConnected()).toBe(true);
+    });
+  });
+
+  it('drops replies still in flight when closed', () => {
+    connect();
+    const responses = collect(WS_MESSAGE_TYPES.AI_RESPONSE);
+
+    WebSocketService.send(JSON.stringify({ type: WS_MESSAGE_TYPES.TEXT, messageId: 'message-1', text: 'Hello' }));
+    WebSocketService.disconnect();
+    wait();
+
+    expect(responses).toEqual([]);
+  });
+});
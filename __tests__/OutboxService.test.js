@@ -0,0 +1,90 @@
+/**
+ * OutboxService tests
+ *
+ * Cover delivering the queue saved by a previous run, one message at a
+ * time, with the connection stubbed out.
+ */
+
+import { MESSAGE_STATUS, STORAGE_KEYS } from '../src/utils/constants';
+
+describe('OutboxService', () => {
+  let OutboxService;
+  let WebSocketService;
+  let WS_REQUEST_ERRORS;
+  let SecureStorageService;
+
+  /**
+   * Build a frame the way AppContext does, reduced to what the tests check
+   *
+   * @param {Object} item - Queued item
+   * @returns {Object} Frame
+   */
+  const buildFrame = (item) => ({ messageId: item.messageId, text: item.text });
+
+  beforeEach(async () => {
+    // Secure storage isn't available here, which it warns about
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Services keep their state in static fields, so load fresh copies per test
+    jest.isolateModules(() => {
+      ({ OutboxService } = require('../src/services/OutboxService'));
+      ({ WebSocketService, WS_REQUEST_ERRORS } = require('../src/services/WebSocketService'));
+      ({ SecureStorageService } = require('../src/services/SecureStorageService'));
+    });
+
+    jest.spyOn(WebSocketService, 'isConnected').mockReturnValue(true);
+
+    // Left over from the last run of the app
+    await SecureStorageService.setItem(STORAGE_KEYS.PENDING_MESSAGES, JSON.stringify([
+      { messageId: 'message-1', isText: true, text: 'One', status: MESSAGE_STATUS.QUEUED },
+      { messageId: 'message-2', isText: true, text: 'Two', status: MESSAGE_STATUS.SENDING },
+    ]));
+  });
+
+  afterEach(async () => {
+    await OutboxService.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('delivers the saved queue in order and empties it', async () => {
+    const request = jest.spyOn(WebSocketService, 'request').mockResolvedValue({ status: 'ok' });
+
+    await OutboxService.drain(buildFrame);
+
+    expect(request.mock.calls.map(([frame]) => frame.messageId)).toEqual(['message-1', 'message-2']);
+    expect(OutboxService.getItems()).toEqual([]);
+  });
+
+  it('keeps delivering one at a time when asked to drain twice', async () => {
+    await OutboxService.load();
+
+    // Acknowledged a little later, as over a real connection
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const request = jest.spyOn(WebSocketService, 'request').mockImplementation(async () => {
+      inFlight += 1;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight -= 1;
+      return { status: 'ok' };
+    });
+
+    await Promise.all([OutboxService.drain(buildFrame), OutboxService.drain(buildFrame)]);
+
+    expect(mostInFlight).toBe(1);
+    expect(request.mock.calls.map(([frame]) => frame.messageId)).toEqual(['message-1', 'message-2']);
+  });
+
+  it('leaves the rest queued when the connection drops', async () => {
+    const closed = Object.assign(new Error('Connection closed'), { code: WS_REQUEST_ERRORS.CONNECTION_CLOSED });
+    const request = jest.spyOn(WebSocketService, 'request').mockRejectedValue(closed);
+
+    await OutboxService.drain(buildFrame);
+
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(OutboxService.getItems().map(item => item.status)).toEqual([
+      MESSAGE_STATUS.QUEUED,
+      MESSAGE_STATUS.QUEUED,
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * SearchService tests
+ *
+ * Index threads directly rather than through storage, and check that prefix
+ * search keeps working as words are added to and dropped from the index.
+ */
+
+import { findInsertionIndex } from '../src/utils/search';
+
+/**
+ * Build a message
+ *
+ * @param {string} id - Message ID
+ * @param {string} text - Message text
+ * @param {number} timestamp - Time the message was sent
+ * @returns {Object} Message
+ */
+const message = (id, text, timestamp = 1) => ({ id, text, timestamp, isUser: true });
+
+describe('findInsertionIndex', () => {
+  const words = ['apple', 'banana', 'band', 'cherry'];
+
+  it('finds the first word not less than the given one', () => {
+    expect(findInsertionIndex(words, 'apple')).toBe(0);
+    expect(findInsertionIndex(words, 'ban')).toBe(1);
+    expect(findInsertionIndex(words, 'bane')).toBe(3);
+    expect(findInsertionIndex(words, 'zebra')).toBe(4);
+    expect(findInsertionIndex([], 'apple')).toBe(0);
+  });
+});
+
+describe('SearchService', () => {
+  let SearchService;
+
+  /**
+   * Search and return the matching message IDs
+   *
+   * @param {string} query - Words to find
+   * @returns {Promise<Array<string>>} Message IDs, newest first
+   */
+  const searchIds = async (query) =>
+    (await SearchService.search(query)).map(result => result.messageId);
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      ({ SearchService } = require('../src/services/SearchService'));
+    });
+  });
+
+  it('finds words by prefix', async () => {
+    SearchService.indexConversation('conversation-1', [
+      message('1', 'Turn on the kitchen lights', 1),
+      message('2', 'Kite flying this weekend', 2),
+      message('3', 'Play some music', 3),
+    ]);
+
+    await expect(searchIds('kit')).resolves.toEqual(['2', '1']);
+    await expect(searchIds('kitc')).resolves.toEqual(['1']);
+    await expect(searchIds('KITCHEN')).resolves.toEqual(['1']);
+    await expect(searchIds('itchen')).resolves.toEqual([]);
+    await expect(searchIds('zzz')).resolves.toEqual([]);
+  });
+
+  it('requires every word of the query', async () => {
+    SearchService.indexConversation('conversation-1', [
+      message('1', 'Turn on the kitchen lights', 1),
+      message('2', 'Turn off the radio', 2),
+    ]);
+
+    await expect(searchIds('tur')).resolves.toEqual(['2', '1']);
+    await expect(searchIds('tur kit')).resolves.toEqual(['1']);
+  });
+
+  it('keeps the word list sorted and without duplicates', () => {
+    SearchService.indexConversation('conversation-1', [
+      message('1', 'delta alpha charlie'),
+      message('2', 'bravo alpha echo'),
+    ]);
+
+    expect(SearchService.vocabulary).toEqual(['alpha', 'bravo', 'charlie', 'delta', 'echo']);
+  });
+
+  it('drops words once no message uses them', async () => {
+    SearchService.indexConversation('conversation-1', [
+      message('1', 'alpha bravo'),
+      message('2', 'bravo charlie'),
+    ]);
+    SearchService.indexConversation('conversation-2', [message('3', 'alphabet')]);
+
+    SearchService.indexConversation('conversation-1', [message('2', 'bravo charlie')]);
+    expect(SearchService.vocabulary).toEqual(['alphabet', 'bravo', 'charlie']);
+
+    SearchService.removeConversation('conversation-2');
+    expect(SearchService.vocabulary).toEqual(['bravo', 'charlie']);
+    await expect(searchIds('alp')).resolves.toEqual([]);
+  });
+
+  it('picks up words from edited and appended messages', async () => {
+    SearchService.indexConversation('conversation-1', [message('1', 'Call mom', 1)]);
+    SearchService.indexConversation('conversation-1', [message('1', 'Call dad', 1)]);
+    SearchService.indexMessage('conversation-1', message('2', 'Dinner is ready', 2));
+
+    await expect(searchIds('mom')).resolves.toEqual([]);
+    await expect(searchIds('d')).resolves.toEqual(['2', '1']);
+    expect(SearchService.vocabulary).toEqual(['call', 'dad', 'dinner', 'is', 'ready']);
+  });
+});
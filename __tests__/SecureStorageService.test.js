@@ -0,0 +1,135 @@
+/**
+ * SecureStorageService tests
+ *
+ * Cover encrypting stored values, keeping the auth token in the secure store
+ * and migrating plaintext data written by older versions of the app.
+ */
+
+import { Platform } from 'react-native';
+import { STORAGE_KEYS } from '../src/utils/constants';
+
+/**
+ * Stand-in for the native module; base64 keeps the data unreadable to
+ * the assertions below without needing a real key
+ *
+ * @returns {Object} Fake SecureStorageModule
+ */
+const createSecureStorageModule = () => {
+  const secrets = new Map();
+
+  return {
+    secrets,
+    encrypt: jest.fn(async plaintext => Buffer.from(plaintext, 'utf8').toString('base64')),
+    decrypt: jest.fn(async payload => Buffer.from(payload, 'base64').toString('utf8')),
+    setSecret: jest.fn(async (key, value) => {
+      secrets.set(key, value);
+    }),
+    getSecret: jest.fn(async key => (secrets.has(key) ? secrets.get(key) : null)),
+    removeSecret: jest.fn(async key => {
+      secrets.delete(key);
+    }),
+  };
+};
+
+describe('SecureStorageService', () => {
+  let AsyncStorage;
+  let SecureStorageService;
+  let ENCRYPTED_PREFIX;
+  let ConversationService;
+  let AuthService;
+  let nativeModule;
+
+  beforeEach(() => {
+    nativeModule = createSecureStorageModule();
+    jest.replaceProperty(Platform, 'OS', 'android');
+
+    // Load fresh copies that see the native module
+    jest.isolateModules(() => {
+      require('react-native').NativeModules.SecureStorageModule = nativeModule;
+
+      AsyncStorage = require('@react-native-async-storage/async-storage');
+      ({ SecureStorageService, ENCRYPTED_PREFIX } = require('../src/services/SecureStorageService'));
+      ({ ConversationService } = require('../src/services/ConversationService'));
+      ({ AuthService } = require('../src/services/AuthService'));
+    });
+  });
+
+  afterEach(async () => {
+    await AsyncStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('encrypted values', () => {
+    it('stores values encrypted and reads them back', async () => {
+      await SecureStorageService.setItem('key', 'private notes');
+
+      const stored = await AsyncStorage.getItem('key');
+      expect(stored.startsWith(ENCRYPTED_PREFIX)).toBe(true);
+      expect(stored).not.toContain('private notes');
+      await expect(SecureStorageService.getItem('key')).resolves.toBe('private notes');
+    });
+
+    it('reads plaintext values from older versions unchanged', async () => {
+      await AsyncStorage.setItem('key', '[1,2,3]');
+
+      await expect(SecureStorageService.getItem('key')).resolves.toBe('[1,2,3]');
+      expect(nativeModule.decrypt).not.toHaveBeenCalled();
+    });
+
+    it('encrypts existing plaintext values in place', async () => {
+      await AsyncStorage.setItem('plain', 'hello');
+      await SecureStorageService.setItem('sealed', 'already');
+
+      await expect(SecureStorageService.encryptExisting(['plain', 'sealed', 'missing'])).resolves.toBe(1);
+      expect(SecureStorageService.isEncrypted(await AsyncStorage.getItem('plain'))).toBe(true);
+      await expect(SecureStorageService.getItem('sealed')).resolves.toBe('already');
+    });
+  });
+
+  describe('migration', () => {
+    it('moves the legacy flat history into an encrypted thread', async () => {
+      const legacyMessages = [
+        { id: '1', text: 'What is on my calendar?', isUser: true, type: 'normal', timestamp: 1 },
+        { id: '2', text: 'Two meetings today.', isUser: false, type: 'normal', timestamp: 2 },
+      ];
+      await AsyncStorage.setItem(STORAGE_KEYS.CONVERSATION_HISTORY, JSON.stringify(legacyMessages));
+
+      const index = await ConversationService.loadIndex();
+
+      expect(index).toHaveLength(1);
+      expect(index[0]).toMatchObject({ title: 'What is on my calendar?', messageCount: 2 });
+      await expect(ConversationService.loadMessages(index[0].id)).resolves.toEqual(legacyMessages);
+
+      expect(await AsyncStorage.getItem(STORAGE_KEYS.CONVERSATION_HISTORY)).toBeNull();
+      const storedKeys = [STORAGE_KEYS.CONVERSATIONS, ConversationService.messagesKey(index[0].id)];
+      for (const key of storedKeys) {
+        const stored = await AsyncStorage.getItem(key);
+        expect(SecureStorageService.isEncrypted(stored)).toBe(true);
+        expect(stored).not.toContain('calendar');
+      }
+    });
+
+    it('encrypts threads stored as plaintext once', async () => {
+      const conversation = ConversationService.createConversationMeta('Groceries');
+      const messagesKey = ConversationService.messagesKey(conversation.id);
+      await AsyncStorage.setItem(STORAGE_KEYS.CONVERSATIONS, JSON.stringify([conversation]));
+      await AsyncStorage.setItem(messagesKey, JSON.stringify([{ id: '1', text: 'Milk', timestamp: 1 }]));
+
+      await expect(ConversationService.loadIndex()).resolves.toEqual([conversation]);
+      expect(SecureStorageService.isEncrypted(await AsyncStorage.getItem(messagesKey))).toBe(true);
+      expect(await AsyncStorage.getItem(STORAGE_KEYS.STORAGE_ENCRYPTED)).toBe('true');
+
+      nativeModule.encrypt.mockClear();
+      await ConversationService.loadIndex();
+      expect(nativeModule.encrypt).not.toHaveBeenCalled();
+    });
+
+    it('moves a token saved with the settings into the secure store', async () => {
+      await expect(AuthService.loadToken('legacy-token')).resolves.toBe('legacy-token');
+      expect(nativeModule.secrets.get(STORAGE_KEYS.AUTH_TOKEN)).toBe('legacy-token');
+
+      await AuthService.saveToken('');
+      await expect(AuthService.loadToken()).resolves.toBe('');
+    });
+  });
+});
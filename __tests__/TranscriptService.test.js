@@ -0,0 +1,121 @@
+/**
+ * TranscriptService tests
+ *
+ * Cover rendering a thread in each export format and importing a JSON
+ * export again, including files that must be refused.
+ */
+
+import { TranscriptService } from '../src/services/TranscriptService';
+import { EXPORT_FORMATS } from '../src/utils/constants';
+
+const conversation = {
+  id: 'conversation-1',
+  title: 'Weekend plans',
+  createdAt: 1700000000000,
+};
+
+const messages = [
+  { id: 'message-1', text: 'Connected to AI assistant', isUser: false, type: 'system', timestamp: 1700000001000 },
+  { id: 'message-2', text: 'What is the weather on Saturday?', isUser: true, type: 'normal', timestamp: 1700000002000, status: 'sent' },
+  { id: 'message-3', text: 'Sunny, with a high of 24°C.', isUser: false, type: 'normal', timestamp: 1700000003000, isStreaming: false },
+];
+
+/**
+ * Build a JSON export, changed as a test needs
+ *
+ * @param {Object} changes - Fields to replace in the export
+ * @returns {string} JSON document
+ */
+const exportWith = (changes) =>
+  JSON.stringify({ ...JSON.parse(TranscriptService.toJson(conversation, messages)), ...changes });
+
+describe('TranscriptService', () => {
+  describe('JSON', () => {
+    it('imports what it exports', () => {
+      const transcript = TranscriptService.parseTranscript(TranscriptService.toJson(conversation, messages));
+
+      expect(transcript).toEqual({
+        title: 'Weekend plans',
+        createdAt: conversation.createdAt,
+        messages: messages.map(({ id, text, isUser, type, timestamp }) => ({ id, text, isUser, type, timestamp })),
+      });
+    });
+
+    it('leaves out display state', () => {
+      const [, userMessage, aiMessage] = JSON.parse(TranscriptService.toJson(conversation, messages)).messages;
+
+      expect(userMessage).not.toHaveProperty('status');
+      expect(aiMessage).not.toHaveProperty('isStreaming');
+    });
+
+    it('fills in what an export leaves out', () => {
+      const transcript = TranscriptService.parseTranscript(exportWith({
+        conversation: undefined,
+        messages: [{ text: 'Hello', type: 'unknown' }, { id: 'no-text' }, null],
+      }));
+
+      expect(transcript.title).toBe('Imported conversation');
+      expect(transcript.messages).toEqual([
+        { id: 'imported-0', text: 'Hello', isUser: false, type: 'normal', timestamp: expect.any(Number) },
+      ]);
+    });
+  });
+
+  describe('rejected imports', () => {
+    it('rejects a file that is not JSON', () => {
+      expect(() => TranscriptService.parseTranscript('# Weekend plans')).toThrow('not valid JSON');
+      expect(() => TranscriptService.parseTranscript('{"format":')).toThrow('not valid JSON');
+    });
+
+    it('rejects JSON that is not a conversation export', () => {
+      expect(() => TranscriptService.parseTranscript('null')).toThrow('conversation export');
+      expect(() => TranscriptService.parseTranscript('[]')).toThrow('conversation export');
+      expect(() => TranscriptService.parseTranscript(exportWith({ format: 'other-app' }))).toThrow('conversation export');
+      expect(() => TranscriptService.parseTranscript(exportWith({ messages: 'Hello' }))).toThrow('conversation export');
+    });
+
+    it('rejects an export from a newer version', () => {
+      expect(() => TranscriptService.parseTranscript(exportWith({ version: 2 }))).toThrow('newer version');
+    });
+
+    it('rejects an export without a valid version', () => {
+      [undefined, 0, -1, 1.5, '1'].forEach(version => {
+        expect(() => TranscriptService.parseTranscript(exportWith({ version }))).toThrow('no valid export version');
+      });
+    });
+  });
+
+  describe('readable formats', () => {
+    it('renders Markdown with the title, senders and notices', () => {
+      const markdown = TranscriptService.toMarkdown(conversation, messages);
+
+      expect(markdown.startsWith('# Weekend plans\n')).toBe(true);
+      expect(markdown).toContain('> Connected to AI assistant');
+      expect(markdown).toContain('**You** · ');
+      expect(markdown).toContain('What is the weather on Saturday?');
+      expect(markdown).toContain('**Assistant** · ');
+      expect(markdown).toContain('Sunny, with a high of 24°C.');
+    });
+
+    it('renders plain text with one line per message', () => {
+      const lines = TranscriptService.toPlainText(conversation, messages).split('\n');
+
+      expect(lines[0]).toBe('Weekend plans');
+      expect(lines.slice(2)).toEqual([
+        expect.stringMatching(/^\[.+\] System: Connected to AI assistant$/),
+        expect.stringMatching(/^\[.+\] You: What is the weather on Saturday\?$/),
+        expect.stringMatching(/^\[.+\] Assistant: Sunny, with a high of 24°C\.$/),
+      ]);
+    });
+
+    it('renders each export format and refuses others', () => {
+      expect(TranscriptService.render(conversation, messages, EXPORT_FORMATS.MARKDOWN))
+        .toBe(TranscriptService.toMarkdown(conversation, messages));
+      expect(TranscriptService.render(conversation, messages, EXPORT_FORMATS.TEXT))
+        .toBe(TranscriptService.toPlainText(conversation, messages));
+      expect(JSON.parse(TranscriptService.render(conversation, messages, EXPORT_FORMATS.JSON)).messages)
+        .toHaveLength(messages.length);
+      expect(() => TranscriptService.render(conversation, messages, 'pdf')).toThrow('Unsupported export format');
+    });
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * WebSocketService tests
+ *
+ * Cover the connect handshake, acknowledged requests, the keep-alive
+ * ping/pong cycle and reconnection after the server goes away.
+ */
+
+import { MockWebSocket } from '../jest/MockWebSocket';
+import {
+  WS_ACK_POLICY,
+  WS_CLOSE_CODES,
+  WS_CONNECTION_STATES,
+  WS_MESSAGE_TYPES,
+  WS_RECONNECT_POLICY,
+  TIME,
+} from '../src/utils/constants';
+
+const SERVER_URL = 'wss://test.example.com/ws';
+const PING_INTERVAL = 30000;
+
+describe('WebSocketService', () => {
+  let WebSocketService;
+  let WS_REQUEST_ERRORS;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // The service keeps its state in static fields, so load a fresh copy per test
+    jest.isolateModules(() => {
+      ({ WebSocketService, WS_REQUEST_ERRORS } = require('../src/services/WebSocketService'));
+    });
+  });
+
+  afterEach(() => {
+    WebSocketService.disconnect();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Accept the connect handshake on a socket
+   *
+   * @param {MockWebSocket} socket - Socket that has opened
+   * @param {Object} reply - Extra fields for the server's reply
+   */
+  const accept = (socket, reply = {}) => {
+    socket.receive({ type: WS_MESSAGE_TYPES.CONNECT, status: 'ok', ...reply });
+  };
+
+  /**
+   * Connect and complete the handshake
+   *
+   * @returns {MockWebSocket} The open socket
+   */
+  const connect = () => {
+    WebSocketService.init(SERVER_URL);
+    const socket = MockWebSocket.latest();
+    socket.open();
+    accept(socket);
+    return socket;
+  };
+
+  describe('handshake', () => {
+    it('sends the credentials once the socket opens', () => {
+      WebSocketService.setCredentials({ userId: 'user-1', token: 'secret' });
+      WebSocketService.init(SERVER_URL);
+      const socket = MockWebSocket.latest();
+
+      socket.open();
+
+      expect(socket.sentFrames()).toEqual([
+        expect.objectContaining({ type: WS_MESSAGE_TYPES.CONNECT, userId: 'user-1', token: 'secret' }),
+      ]);
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.AUTHENTICATING);
+      expect(WebSocketService.isConnected()).toBe(false);
+    });
+
+    it('connects once the server accepts the handshake', () => {
+      WebSocketService.setCredentials({ userId: 'user-1', token: 'secret' });
+      WebSocketService.init(SERVER_URL);
+      const socket = MockWebSocket.latest();
+      const onConnect = jest.fn();
+      WebSocketService.onConnect(onConnect);
+
+      socket.open();
+      accept(socket, { sessionId: 'session-1' });
+
+      expect(WebSocketService.isConnected()).toBe(true);
+      expect(onConnect).toHaveBeenCalledWith({ userId: 'user-1', token: 'secret', sessionId: 'session-1' });
+    });
+
+    it('reconnects when the server never answers the handshake', () => {
+      WebSocketService.init(SERVER_URL);
+      MockWebSocket.latest().open();
+
+      jest.advanceTimersByTime(TIME.WEBSOCKET_HANDSHAKE_TIMEOUT);
+
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.BACKING_OFF);
+    });
+
+    it('keeps the token issued for a pairing code', () => {
+      WebSocketService.setCredentials({ userId: 'user-1', token: null });
+      WebSocketService.init(SERVER_URL);
+      const onConnect = jest.fn();
+      WebSocketService.onConnect(onConnect);
+
+      WebSocketService.pair('ABC123');
+      const socket = MockWebSocket.latest();
+      socket.open();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CONNECT)[0]).toMatchObject({ pairingCode: 'ABC123' });
+
+      accept(socket, { token: 'issued' });
+      expect(onConnect).toHaveBeenCalledWith(expect.objectContaining({ token: 'issued' }));
+
+      // Later connections use the token instead of the code
+      WebSocketService.reconnect();
+      const next = MockWebSocket.latest();
+      next.open();
+      const handshake = next.sentFrames(WS_MESSAGE_TYPES.CONNECT)[0];
+      expect(handshake.token).toBe('issued');
+      expect(handshake.pairingCode).toBeUndefined();
+    });
+  });
+
+  describe('auth failures', () => {
+    it('stops reconnecting when the server closes with an auth failure code', () => {
+      const socket = connect();
+      const onDisconnect = jest.fn();
+      const onAuthError = jest.fn();
+      WebSocketService.onDisconnect(onDisconnect);
+      WebSocketService.onAuthError(onAuthError);
+
+      socket.serverClose(WS_CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+      jest.advanceTimersByTime(WS_RECONNECT_POLICY.MAX_DELAY);
+
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.UNAUTHORIZED);
+      expect(onAuthError).toHaveBeenCalledWith({ code: WS_CLOSE_CODES.TOKEN_EXPIRED, reason: 'Token expired' });
+      expect(onDisconnect).toHaveBeenCalledTimes(1);
+      expect(MockWebSocket.instances).toHaveLength(1);
+    });
+
+    it('treats a rejected handshake as an auth failure', () => {
+      WebSocketService.init(SERVER_URL);
+      const socket = MockWebSocket.latest();
+      const onAuthError = jest.fn();
+      const onDisconnect = jest.fn();
+      WebSocketService.onAuthError(onAuthError);
+      WebSocketService.onDisconnect(onDisconnect);
+
+      socket.open();
+      socket.receive({ type: WS_MESSAGE_TYPES.CONNECT, status: 'error', error: 'Unknown token' });
+
+      expect(onAuthError).toHaveBeenCalledWith({ code: WS_CLOSE_CODES.UNAUTHORIZED, reason: 'Unknown token' });
+      expect(onDisconnect).not.toHaveBeenCalled();
+      expect(socket.readyState).toBe(MockWebSocket.CLOSED);
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.UNAUTHORIZED);
+    });
+
+    it('tries again once the credentials change', () => {
+      WebSocketService.setCredentials({ userId: 'user-1', token: 'old' });
+      connect().serverClose(WS_CLOSE_CODES.UNAUTHORIZED);
+
+      WebSocketService.setCredentials({ token: 'new' });
+
+      expect(MockWebSocket.instances).toHaveLength(2);
+      const socket = MockWebSocket.latest();
+      socket.open();
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.CONNECT)[0]).toMatchObject({ token: 'new' });
+    });
+  });
+
+  describe('requests', () => {
+    const ACK_TIMEOUT = TIME.WEBSOCKET_ACK_TIMEOUT;
+
+    /**
+     * Send a text message that expects an ack
+     *
+     * @param {string} messageId - ID of the message
+     * @returns {Object} The request promise, and a promise of its outcome that never rejects
+     */
+    const sendRequest = (messageId = 'message-1') => {
+      const promise = WebSocketService.request({ type: WS_MESSAGE_TYPES.TEXT, messageId, text: 'Hello' });
+      const outcome = promise.then(ack => ({ ack }), error => ({ error }));
+      return { promise, outcome };
+    };
+
+    it('resolves with the ack', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toEqual([
+        expect.objectContaining({ messageId: 'message-1', text: 'Hello' }),
+      ]);
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'ok' });
+
+      await expect(outcome).resolves.toEqual({
+        ack: expect.objectContaining({ messageId: 'message-1', status: 'ok' }),
+      });
+
+      // Nothing is resent once acknowledged
+      jest.advanceTimersByTime(ACK_TIMEOUT * 3);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toHaveLength(1);
+    });
+
+    it('resends the same message when no ack arrives in time', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+
+      jest.advanceTimersByTime(ACK_TIMEOUT - 1);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toHaveLength(1);
+
+      jest.advanceTimersByTime(1);
+      const frames = socket.sentFrames(WS_MESSAGE_TYPES.TEXT);
+      expect(frames).toHaveLength(2);
+      expect(frames[1]).toEqual(frames[0]);
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'ok' });
+      await expect(outcome).resolves.toHaveProperty('ack');
+    });
+
+    it('gives up once the retries are used up', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+
+      jest.advanceTimersByTime(ACK_TIMEOUT * WS_ACK_POLICY.MAX_RETRIES);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toHaveLength(WS_ACK_POLICY.MAX_RETRIES + 1);
+
+      jest.advanceTimersByTime(ACK_TIMEOUT);
+      const { error } = await outcome;
+      expect(error.code).toBe(WS_REQUEST_ERRORS.ACK_TIMEOUT);
+
+      jest.advanceTimersByTime(ACK_TIMEOUT * 3);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toHaveLength(WS_ACK_POLICY.MAX_RETRIES + 1);
+    });
+
+    it('ignores an ack that arrives after giving up', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+      jest.advanceTimersByTime(ACK_TIMEOUT * (WS_ACK_POLICY.MAX_RETRIES + 1));
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'ok' });
+
+      await expect(outcome).resolves.toHaveProperty('error.code', WS_REQUEST_ERRORS.ACK_TIMEOUT);
+    });
+
+    it('ignores duplicate acks and acks for other messages', async () => {
+      const socket = connect();
+      const first = sendRequest('message-1');
+      const second = sendRequest('message-2');
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'ok' });
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'error', error: 'Late' });
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'unknown', status: 'ok' });
+
+      await expect(first.outcome).resolves.toHaveProperty('ack.status', 'ok');
+
+      // The other request is still waiting, and is still resent
+      jest.advanceTimersByTime(ACK_TIMEOUT);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT).map(frame => frame.messageId)).toEqual([
+        'message-1',
+        'message-2',
+        'message-2',
+      ]);
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-2', status: 'ok' });
+      await expect(second.outcome).resolves.toHaveProperty('ack.messageId', 'message-2');
+    });
+
+    it('shares one request between sends of the same message', () => {
+      const socket = connect();
+      const first = sendRequest();
+      const second = sendRequest();
+
+      expect(second.promise).toBe(first.promise);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.TEXT)).toHaveLength(1);
+    });
+
+    it('rejects when the server refuses the message', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+
+      socket.receive({ type: WS_MESSAGE_TYPES.ACK, messageId: 'message-1', status: 'error', error: 'Too long' });
+
+      const { error } = await outcome;
+      expect(error.code).toBe(WS_REQUEST_ERRORS.REJECTED);
+      expect(error.message).toBe('Too long');
+    });
+
+    it('rejects when the connection closes first', async () => {
+      const socket = connect();
+      const { outcome } = sendRequest();
+
+      socket.serverClose(1006);
+
+      await expect(outcome).resolves.toHaveProperty('error.code', WS_REQUEST_ERRORS.CONNECTION_CLOSED);
+    });
+  });
+
+  describe('ping/pong', () => {
+    it('pings the server every 30 seconds while connected', () => {
+      const socket = connect();
+
+      jest.advanceTimersByTime(PING_INTERVAL);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.PING)).toHaveLength(1);
+
+      jest.advanceTimersByTime(PING_INTERVAL);
+      expect(socket.sentFrames(WS_MESSAGE_TYPES.PING)).toHaveLength(2);
+    });
+
+    it('stays connected while pongs keep arriving', () => {
+      const socket = connect();
+      const onDisconnect = jest.fn();
+      WebSocketService.onDisconnect(onDisconnect);
+
+      for (let i = 0; i < 4; i++) {
+        jest.advanceTimersByTime(PING_INTERVAL);
+        socket.receive({ type: WS_MESSAGE_TYPES.PONG });
+      }
+
+      expect(onDisconnect).not.toHaveBeenCalled();
+      expect(WebSocketService.isConnected()).toBe(true);
+      expect(MockWebSocket.instances).toHaveLength(1);
+    });
+
+    it('reconnects when no pong arrives for over 60 seconds', () => {
+      const socket = connect();
+      const onDisconnect = jest.fn();
+      WebSocketService.onDisconnect(onDisconnect);
+
+      // Pings at 30s and 60s go unanswered; the 90s ping finds the connection dead
+      jest.advanceTimersByTime(PING_INTERVAL * 3);
+
+      expect(onDisconnect).toHaveBeenCalledWith({ code: WS_CLOSE_CODES.PING_TIMEOUT, reason: 'Ping timeout' });
+      expect(MockWebSocket.instances).toHaveLength(2);
+      expect(socket.onmessage).toBeNull();
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.CONNECTING);
+    });
+  });
+
+  describe('reconnection', () => {
+    it('backs off and reconnects after the server closes the connection', () => {
+      const socket = connect();
+      const onConnect = jest.fn();
+      WebSocketService.onConnect(onConnect);
+      onConnect.mockClear();
+
+      socket.serverClose(1006);
+
+      const status = WebSocketService.getConnectionState();
+      expect(status.state).toBe(WS_CONNECTION_STATES.BACKING_OFF);
+      expect(status.attempt).toBe(1);
+
+      jest.advanceTimersByTime(status.nextRetryAt - Date.now());
+      expect(MockWebSocket.instances).toHaveLength(2);
+
+      MockWebSocket.latest().open();
+      expect(onConnect).not.toHaveBeenCalled();
+
+      accept(MockWebSocket.latest());
+      expect(onConnect).toHaveBeenCalledTimes(1);
+      expect(WebSocketService.getConnectionState().attempt).toBe(0);
+    });
+
+    it('goes offline after the maximum number of attempts', () => {
+      connect().serverClose(1006);
+
+      for (let attempt = 1; attempt <= WS_RECONNECT_POLICY.MAX_ATTEMPTS; attempt++) {
+        jest.advanceTimersByTime(WebSocketService.getConnectionState().nextRetryAt - Date.now());
+        MockWebSocket.latest().serverClose(1006);
+      }
+
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.OFFLINE);
+      expect(MockWebSocket.instances).toHaveLength(WS_RECONNECT_POLICY.MAX_ATTEMPTS + 1);
+    });
+
+    it('does not reconnect after disconnect()', () => {
+      connect();
+
+      WebSocketService.disconnect();
+      jest.advanceTimersByTime(WS_RECONNECT_POLICY.MAX_DELAY);
+
+      expect(WebSocketService.getConnectionState().state).toBe(WS_CONNECTION_STATES.CLOSED_BY_USER);
+      expect(MockWebSocket.instances).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Bluetooth helper tests
+ *
+ * Cover comparing UUIDs, recognizing AIR headsets, merging scan sightings,
+ * ordering the device list and backing off between reconnection attempts.
+ */
+
+import {
+  DEVICE_SORT,
+  getBluetoothReconnectDelay,
+  isAirHeadset,
+  mergeDevice,
+  normalizeUuid,
+  sortDevices,
+} from '../src/utils/bluetooth';
+import { BLE_UUIDS, BT_RECONNECT_POLICY, TIME } from '../src/utils/constants';
+
+describe('normalizeUuid', () => {
+  it('lowercases 128-bit UUIDs', () => {
+    expect(normalizeUuid('6E400001-B5A3-F393-E0A9-E50E24DCCA9E')).toBe('6e400001-b5a3-f393-e0a9-e50e24dcca9e');
+  });
+
+  it('expands 16- and 32-bit UUIDs onto the Bluetooth base UUID', () => {
+    expect(normalizeUuid('180F')).toBe('0000180f-0000-1000-8000-00805f9b34fb');
+    expect(normalizeUuid('0000180f')).toBe('0000180f-0000-1000-8000-00805f9b34fb');
+    expect(normalizeUuid('180f')).toBe(normalizeUuid('0000180F-0000-1000-8000-00805F9B34FB'));
+  });
+
+  it('treats a missing UUID as empty', () => {
+    expect(normalizeUuid(undefined)).toBe('');
+  });
+});
+
+describe('isAirHeadset', () => {
+  it('recognizes the AIR headset service in any case', () => {
+    const peripheral = { advertising: { serviceUUIDs: ['180f', BLE_UUIDS.AIR_HEADSET_SERVICE.toUpperCase()] } };
+
+    expect(isAirHeadset(peripheral)).toBe(true);
+    expect(isAirHeadset({ advertising: { serviceUUIDs: ['180f'] } })).toBe(false);
+    expect(isAirHeadset({})).toBe(false);
+  });
+});
+
+describe('mergeDevice', () => {
+  const existing = { id: 'device-1', name: 'AIR Headset', rssi: -80, isAirHeadset: true, lastSeen: 1 };
+
+  it('uses the first sighting as is', () => {
+    expect(mergeDevice(undefined, existing)).toBe(existing);
+  });
+
+  it('smooths the signal strength and keeps the latest sighting time', () => {
+    const merged = mergeDevice(existing, { ...existing, rssi: -60, lastSeen: 2 });
+
+    expect(merged.rssi).toBe(-70);
+    expect(merged.lastSeen).toBe(2);
+  });
+
+  it('keeps a name and headset match seen earlier', () => {
+    const merged = mergeDevice(existing, { id: 'device-1', name: null, rssi: -80, isAirHeadset: false, lastSeen: 2 });
+
+    expect(merged.name).toBe('AIR Headset');
+    expect(merged.isAirHeadset).toBe(true);
+  });
+});
+
+describe('sortDevices', () => {
+  const devices = [
+    { id: 'c', name: null, rssi: -50 },
+    { id: 'b', name: 'Speaker', rssi: -70 },
+    { id: 'a', name: 'AIR Headset', rssi: -70 },
+    { id: 'd', name: 'Watch', rssi: -90 },
+  ];
+
+  it('sorts by signal, strongest first, then by name', () => {
+    expect(sortDevices(devices, DEVICE_SORT.SIGNAL).map(device => device.id)).toEqual(['c', 'a', 'b', 'd']);
+  });
+
+  it('sorts by name with unnamed devices last', () => {
+    expect(sortDevices(devices, DEVICE_SORT.NAME).map(device => device.id)).toEqual(['a', 'b', 'd', 'c']);
+  });
+
+  it('leaves the list it was given alone', () => {
+    const ids = devices.map(device => device.id);
+    sortDevices(devices, DEVICE_SORT.NAME);
+
+    expect(devices.map(device => device.id)).toEqual(ids);
+  });
+});
+
+describe('getBluetoothReconnectDelay', () => {
+  const noJitter = () => 0;
+
+  it('doubles the delay with each attempt', () => {
+    expect(getBluetoothReconnectDelay(1, noJitter)).toBe(TIME.BLE_RECONNECT_INTERVAL);
+    expect(getBluetoothReconnectDelay(2, noJitter)).toBe(TIME.BLE_RECONNECT_INTERVAL * 2);
+    expect(getBluetoothReconnectDelay(3, noJitter)).toBe(TIME.BLE_RECONNECT_INTERVAL * 4);
+  });
+
+  it('caps the delay', () => {
+    expect(getBluetoothReconnectDelay(BT_RECONNECT_POLICY.MAX_ATTEMPTS, noJitter)).toBe(BT_RECONNECT_POLICY.MAX_DELAY);
+    expect(getBluetoothReconnectDelay(50, noJitter)).toBe(BT_RECONNECT_POLICY.MAX_DELAY);
+  });
+
+  it('takes off up to the jitter at random', () => {
+    const shortest = Math.round(BT_RECONNECT_POLICY.MAX_DELAY * (1 - BT_RECONNECT_POLICY.JITTER));
+
+    expect(getBluetoothReconnectDelay(50, () => 1)).toBe(shortest);
+    expect(getBluetoothReconnectDelay(50, () => 0.5)).toBeGreaterThan(shortest);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Headset protocol tests
+ *
+ * Gestures depend on press timing, so ButtonGestureDecoder is driven with
+ * fake timers and explicit pressed/released transitions.
+ */
+
+import {
+  ButtonGestureDecoder,
+  HEADSET_BUTTON_EVENTS,
+  decodeButtonPacket,
+} from '../src/utils/headsetProtocol';
+import { TIME } from '../src/utils/constants';
+
+describe('decodeButtonPacket', () => {
+  it('decodes button states', () => {
+    expect(decodeButtonPacket([0x01, 0x01])).toEqual({ type: 'state', isPressed: true });
+    expect(decodeButtonPacket([0x01, 0x00])).toEqual({ type: 'state', isPressed: false });
+  });
+
+  it('decodes gestures from the firmware', () => {
+    expect(decodeButtonPacket([0x02, 0x01])).toEqual({ type: 'gesture', gesture: HEADSET_BUTTON_EVENTS.PRESS });
+    expect(decodeButtonPacket([0x02, 0x02])).toEqual({ type: 'gesture', gesture: HEADSET_BUTTON_EVENTS.LONG_PRESS });
+    expect(decodeButtonPacket([0x02, 0x03])).toEqual({ type: 'gesture', gesture: HEADSET_BUTTON_EVENTS.DOUBLE_PRESS });
+  });
+
+  it('ignores messages it does not understand', () => {
+    expect(decodeButtonPacket(null)).toBeNull();
+    expect(decodeButtonPacket([0x01])).toBeNull();
+    expect(decodeButtonPacket([0x02, 0x09])).toBeNull();
+    expect(decodeButtonPacket([0x7f, 0x01])).toBeNull();
+  });
+});
+
+describe('ButtonGestureDecoder', () => {
+  let onGesture;
+  let decoder;
+
+  /**
+   * Press and release the button
+   *
+   * @param {number} holdMs - Time the button is held
+   */
+  const click = (holdMs = 100) => {
+    decoder.handleState(true);
+    jest.advanceTimersByTime(holdMs);
+    decoder.handleState(false);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    onGesture = jest.fn();
+    decoder = new ButtonGestureDecoder({ onGesture });
+  });
+
+  afterEach(() => {
+    decoder.reset();
+    jest.useRealTimers();
+  });
+
+  describe('press', () => {
+    it('reports a press once the double-press window has passed', () => {
+      click();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW - 1);
+      expect(onGesture).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onGesture).toHaveBeenCalledTimes(1);
+      expect(onGesture).toHaveBeenCalledWith(HEADSET_BUTTON_EVENTS.PRESS);
+    });
+
+    it('ignores a state that is repeated', () => {
+      decoder.handleState(true);
+      decoder.handleState(true);
+      jest.advanceTimersByTime(100);
+      decoder.handleState(false);
+      decoder.handleState(false);
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.PRESS]]);
+    });
+
+    it('drops a pending press on reset', () => {
+      click();
+      decoder.reset();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('double press', () => {
+    it('reports a double press as soon as the second press is released', () => {
+      click();
+      jest.advanceTimersByTime(100);
+      click();
+
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.DOUBLE_PRESS]]);
+
+      // Without a single press reported afterwards
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW * 2);
+      expect(onGesture).toHaveBeenCalledTimes(1);
+    });
+
+    it('counts a second press just inside the window as a double press', () => {
+      click();
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW - 1);
+      click();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.DOUBLE_PRESS]]);
+    });
+
+    it('counts a second press at the end of the window as two presses', () => {
+      click();
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      click();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([
+        [HEADSET_BUTTON_EVENTS.PRESS],
+        [HEADSET_BUTTON_EVENTS.PRESS],
+      ]);
+    });
+
+    it('starts over after a double press', () => {
+      click();
+      click();
+      click();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([
+        [HEADSET_BUTTON_EVENTS.DOUBLE_PRESS],
+        [HEADSET_BUTTON_EVENTS.PRESS],
+      ]);
+    });
+
+    it('uses the configured window', () => {
+      decoder = new ButtonGestureDecoder({ onGesture, doublePressWindow: 600 });
+
+      click();
+      jest.advanceTimersByTime(500);
+      click();
+
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.DOUBLE_PRESS]]);
+    });
+  });
+
+  describe('long press', () => {
+    it('reports a long press while the button is still held', () => {
+      decoder.handleState(true);
+
+      jest.advanceTimersByTime(TIME.LONG_PRESS_DURATION - 1);
+      expect(onGesture).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.LONG_PRESS]]);
+    });
+
+    it('reports nothing more when a long press is released', () => {
+      click(TIME.LONG_PRESS_DURATION + 200);
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.LONG_PRESS]]);
+    });
+
+    it('reports a press released just before the long-press duration', () => {
+      click(TIME.LONG_PRESS_DURATION - 1);
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.PRESS]]);
+    });
+
+    it('does not pair a press after a long press into a double press', () => {
+      click(TIME.LONG_PRESS_DURATION);
+      click();
+
+      jest.advanceTimersByTime(TIME.DOUBLE_PRESS_WINDOW);
+      expect(onGesture.mock.calls).toEqual([
+        [HEADSET_BUTTON_EVENTS.LONG_PRESS],
+        [HEADSET_BUTTON_EVENTS.PRESS],
+      ]);
+    });
+
+    it('reports a long second press as a long press', () => {
+      click();
+      click(TIME.LONG_PRESS_DURATION);
+
+      expect(onGesture.mock.calls).toEqual([[HEADSET_BUTTON_EVENTS.LONG_PRESS]]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Language helper tests
+ *
+ * Cover turning device locales into language tags and matching them to the
+ * languages the app offers.
+ */
+
+import { getLanguageLabel, matchLanguage, normalizeLanguageTag } from '../src/utils/language';
+import { AUTO_LANGUAGE } from '../src/utils/constants';
+
+describe('normalizeLanguageTag', () => {
+  it('converts Android and iOS locales to language tags', () => {
+    expect(normalizeLanguageTag('en_US')).toBe('en-US');
+    expect(normalizeLanguageTag('de_DE@calendar=gregorian')).toBe('de-DE');
+    expect(normalizeLanguageTag('PT-br')).toBe('pt-BR');
+    expect(normalizeLanguageTag('fr')).toBe('fr');
+  });
+
+  it('returns null for a missing locale', () => {
+    expect(normalizeLanguageTag(undefined)).toBeNull();
+    expect(normalizeLanguageTag('')).toBeNull();
+  });
+});
+
+describe('matchLanguage', () => {
+  it('prefers an exact match', () => {
+    expect(matchLanguage('en_GB')).toBe('en-GB');
+  });
+
+  it('falls back to a region of the same language', () => {
+    expect(matchLanguage('es_MX')).toBe('es-ES');
+    expect(matchLanguage('ja')).toBe('ja-JP');
+  });
+
+  it('returns null for a language that is not offered', () => {
+    expect(matchLanguage('sw_KE')).toBeNull();
+  });
+});
+
+describe('getLanguageLabel', () => {
+  it('names offered languages and the automatic setting', () => {
+    expect(getLanguageLabel('fr-FR')).toBe('Français');
+    expect(getLanguageLabel(AUTO_LANGUAGE)).toBe('Automatic');
+    expect(getLanguageLabel('sw-KE')).toBe('sw-KE');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Transcription helper tests
+ *
+ * Cover comparing hypotheses, scoring how well they agree and describing
+ * them for display.
+ */
+
+import { describeAlternatives, getAlternatives, tokenize, wordSimilarity } from '../src/utils/transcription';
+
+describe('tokenize', () => {
+  it('ignores case and punctuation', () => {
+    expect(tokenize('Turn on the lights, please!')).toEqual(['turn', 'on', 'the', 'lights', 'please']);
+    expect(tokenize("¿Qué hora es? It's late.")).toEqual(['qué', 'hora', 'es', "it's", 'late']);
+  });
+});
+
+describe('wordSimilarity', () => {
+  it('is one for the same words', () => {
+    expect(wordSimilarity('Hello there', 'hello there.')).toBe(1);
+  });
+
+  it('counts the words that differ', () => {
+    expect(wordSimilarity('turn on the lights', 'turn on the light')).toBe(0.75);
+    expect(wordSimilarity('turn on the lights', 'turn off lights')).toBe(0.5);
+  });
+
+  it('is zero with nothing in common', () => {
+    expect(wordSimilarity('call mom', 'weather today')).toBe(0);
+  });
+});
+
+describe('getAlternatives', () => {
+  it('rates hypotheses the others agree with higher', () => {
+    const alternatives = getAlternatives({
+      value: ['turn on the lights', 'turn on the light', 'turn on the lights', 'fern on delight', 'ignored'],
+    });
+
+    expect(alternatives.map(alternative => alternative.text)).toEqual([
+      'turn on the lights',
+      'turn on the light',
+      'fern on delight',
+    ]);
+    expect(alternatives[0].agreement).toBeGreaterThan(alternatives[2].agreement);
+  });
+
+  it('has no agreement score for a single hypothesis', () => {
+    expect(getAlternatives({ value: ['hello', ' '] })).toEqual([{ text: 'hello', agreement: null }]);
+  });
+
+  it('handles events without results', () => {
+    expect(getAlternatives({})).toEqual([]);
+    expect(getAlternatives({ value: [] })).toEqual([]);
+  });
+});
+
+describe('describeAlternatives', () => {
+  it('lists the other hypotheses with their agreement as a percentage', () => {
+    const alternatives = getAlternatives({ value: ['turn on the lights', 'turn on the light', 'turn of the lights'] });
+
+    expect(describeAlternatives(alternatives)).toBe(
+      'Also heard "turn on the light", "turn of the lights" · hypotheses agree 75%'
+    );
+  });
+
+  it('is empty without other hypotheses', () => {
+    expect(describeAlternatives([])).toBe('');
+    expect(describeAlternatives([{ text: 'hello', agreement: null }])).toBe('');
+  });
+
+  it('leaves out an agreement that is not known', () => {
+    expect(describeAlternatives([{ text: 'hello', agreement: null }, { text: 'hallo', agreement: null }]))
+      .toBe('Also heard "hallo"');
+  });
+});
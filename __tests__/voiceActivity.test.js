@@ -0,0 +1,251 @@
+/**
+ * Voice activity detection tests
+ *
+ * Use synthetic PCM: 100ms chunks of a steady tone at a known level, so the
+ * noise floor, speech onset and timeouts can be checked chunk by chunk.
+ */
+
+import {
+  BargeInDetector,
+  BARGE_IN_DEFAULTS,
+  VoiceActivityDetector,
+  decodePcm16,
+} from '../src/utils/voiceActivity';
+import { TIME } from '../src/utils/constants';
+
+const SAMPLE_RATE = 16000;
+const CHUNK_MS = 100;
+
+/**
+ * Synthesize a chunk of a steady tone
+ *
+ * @param {number} levelDb - RMS level in dBFS
+ * @param {number} durationMs - Chunk length
+ * @returns {Int16Array} PCM samples
+ */
+const tone = (levelDb, durationMs = CHUNK_MS) => {
+  // A sine's RMS is its amplitude over root two; 200Hz fits whole cycles in a chunk
+  const amplitude = Math.SQRT2 * Math.pow(10, levelDb / 20);
+  const length = Math.round((SAMPLE_RATE * durationMs) / 1000);
+
+  return Int16Array.from({ length }, (_, i) =>
+    Math.round(amplitude * Math.sin((2 * Math.PI * 200 * i) / SAMPLE_RATE) * 32767));
+};
+
+/**
+ * Feed a detector chunks of a tone
+ *
+ * @param {Object} detector - Detector to feed
+ * @param {number} levelDb - RMS level in dBFS
+ * @param {number} count - Number of chunks
+ * @returns {Array<Object>} Result for each chunk
+ */
+const feed = (detector, levelDb, count) =>
+  Array.from({ length: count }, () => detector.process(tone(levelDb)));
+
+describe('decodePcm16', () => {
+  it('decodes little-endian samples from base64', () => {
+    const samples = Int16Array.from([0, 1, -1, 32767, -32768, 1234]);
+    const base64 = Buffer.from(samples.buffer).toString('base64');
+
+    expect(Array.from(decodePcm16(base64))).toEqual(Array.from(samples));
+  });
+});
+
+describe('VoiceActivityDetector', () => {
+  const createDetector = (options = {}) =>
+    new VoiceActivityDetector({ sampleRate: SAMPLE_RATE, ...options });
+
+  describe('noise floor', () => {
+    it('falls quickly to a quieter background', () => {
+      const detector = createDetector();
+
+      const results = feed(detector, -80, 10);
+
+      expect(results.every(result => !result.isSpeech)).toBe(true);
+      expect(detector.noiseFloorDb).toBeCloseTo(-80, 0);
+    });
+
+    it('rises slowly with the background, so it stops counting as speech', () => {
+      // A low threshold, so only the noise floor decides
+      const fresh = createDetector({ silenceThreshold: 0 });
+      expect(fresh.process(tone(-58)).isSpeech).toBe(true);
+
+      const detector = createDetector({ silenceThreshold: 0 });
+      const first = detector.process(tone(-67));
+      expect(first.noiseFloorDb).toBeLessThan(-69);
+
+      // Creep up in steps smaller than the speech margin
+      feed(detector, -67, 100);
+      feed(detector, -63, 100);
+
+      const results = feed(detector, -58, 3);
+      expect(results.every(result => !result.isSpeech)).toBe(true);
+      expect(detector.noiseFloorDb).toBeGreaterThan(-63);
+    });
+
+    it('stays put while someone is speaking', () => {
+      const detector = createDetector();
+      feed(detector, -80, 10);
+      const floor = detector.noiseFloorDb;
+
+      feed(detector, -20, 10);
+
+      expect(detector.noiseFloorDb).toBe(floor);
+    });
+  });
+
+  describe('speech onset', () => {
+    it('detects speech from the first loud chunk', () => {
+      const detector = createDetector();
+
+      const background = feed(detector, -80, 10);
+      const speech = feed(detector, -20, 2);
+
+      expect(background.some(result => result.isSpeech || result.hasSpeech)).toBe(false);
+      expect(speech[0].isSpeech).toBe(true);
+      expect(speech[0].hasSpeech).toBe(true);
+      expect(speech[0].levelDb).toBeCloseTo(-20, 0);
+    });
+
+    it('ignores sound below the silence threshold', () => {
+      // The default threshold of 0.2 is -48 dBFS
+      const detector = createDetector();
+      feed(detector, -90, 10);
+
+      expect(detector.process(tone(-52)).isSpeech).toBe(false);
+      expect(detector.process(tone(-44)).isSpeech).toBe(true);
+    });
+
+    it('applies the microphone sensitivity as gain', () => {
+      const quiet = createDetector({ micSensitivity: 50 });
+      const sensitive = createDetector({ micSensitivity: 100 });
+      feed(quiet, -90, 10);
+      feed(sensitive, -90, 10);
+
+      expect(quiet.process(tone(-52)).isSpeech).toBe(false);
+
+      const result = sensitive.process(tone(-52));
+      expect(result.isSpeech).toBe(true);
+      expect(result.levelDb).toBeCloseTo(-40, 0);
+    });
+  });
+
+  describe('silence timeout', () => {
+    const chunksToTimeout = TIME.SILENCE_DETECTION_TIMEOUT / CHUNK_MS;
+
+    it('ends the utterance after the silence timeout following speech', () => {
+      const detector = createDetector();
+      feed(detector, -80, 5);
+      feed(detector, -20, 5);
+
+      const silence = feed(detector, -80, chunksToTimeout);
+
+      expect(silence.slice(0, -1).some(result => result.silenceDetected)).toBe(false);
+      expect(silence[silence.length - 1].silenceDetected).toBe(true);
+      expect(silence[silence.length - 1].silenceMs).toBe(TIME.SILENCE_DETECTION_TIMEOUT);
+    });
+
+    it('starts the timeout again when speech resumes', () => {
+      const detector = createDetector();
+      feed(detector, -20, 5);
+      feed(detector, -80, chunksToTimeout - 1);
+      feed(detector, -20, 1);
+
+      const silence = feed(detector, -80, chunksToTimeout - 1);
+
+      expect(silence.some(result => result.silenceDetected)).toBe(false);
+      expect(detector.process(tone(-80)).silenceDetected).toBe(true);
+    });
+
+    it('gives up when no one speaks before the no-speech timeout', () => {
+      const detector = createDetector();
+
+      const results = feed(detector, -80, TIME.NO_SPEECH_TIMEOUT / CHUNK_MS);
+
+      expect(results.slice(0, -1).some(result => result.silenceDetected)).toBe(false);
+      expect(results[results.length - 1].silenceDetected).toBe(true);
+      expect(results[results.length - 1].hasSpeech).toBe(false);
+    });
+
+    it('starts over after a reset', () => {
+      const detector = createDetector();
+      feed(detector, -20, 5);
+      feed(detector, -80, chunksToTimeout);
+
+      detector.reset();
+
+      const result = detector.process(tone(-80));
+      expect(result.hasSpeech).toBe(false);
+      expect(result.silenceDetected).toBe(false);
+    });
+  });
+});
+
+describe('BargeInDetector', () => {
+  const createDetector = () => new BargeInDetector({ sampleRate: SAMPLE_RATE });
+  const calibrationChunks = BARGE_IN_DEFAULTS.CALIBRATION_MS / CHUNK_MS;
+  const speechChunks = BARGE_IN_DEFAULTS.MIN_SPEECH_MS / CHUNK_MS;
+
+  it('learns the playback level and ignores it', () => {
+    const detector = createDetector();
+
+    const results = feed(detector, -30, 30);
+
+    expect(results.some(result => result.isSpeech || result.speechDetected)).toBe(false);
+    expect(detector.backgroundDb).toBeCloseTo(-30, 0);
+  });
+
+  it('detects speech well above the playback once it lasts long enough', () => {
+    const detector = createDetector();
+    feed(detector, -30, calibrationChunks);
+
+    const results = feed(detector, -10, speechChunks);
+
+    expect(results.every(result => result.isSpeech)).toBe(true);
+    expect(results.slice(0, -1).some(result => result.speechDetected)).toBe(false);
+    expect(results[results.length - 1].speechDetected).toBe(true);
+  });
+
+  it('ignores speech shorter than the minimum', () => {
+    const detector = createDetector();
+    feed(detector, -30, calibrationChunks);
+
+    feed(detector, -10, speechChunks - 1);
+    const result = detector.process(tone(-30));
+
+    expect(result.speechMs).toBe(0);
+    expect(result.speechDetected).toBe(false);
+
+    // The next burst has to last the full minimum again
+    const burst = feed(detector, -10, speechChunks - 1);
+    expect(burst.some(next => next.speechDetected)).toBe(false);
+  });
+
+  it('does not listen for speech while calibrating', () => {
+    const detector = createDetector();
+    detector.process(tone(-30));
+
+    const results = feed(detector, -10, calibrationChunks - 1);
+
+    expect(results.some(result => result.isSpeech)).toBe(false);
+  });
+
+  it('ignores sound below the minimum speech level', () => {
+    const detector = createDetector();
+    feed(detector, -90, calibrationChunks);
+
+    const results = feed(detector, BARGE_IN_DEFAULTS.MIN_SPEECH_DB - 5, speechChunks);
+
+    expect(results.some(result => result.isSpeech)).toBe(false);
+  });
+
+  it('starts calibrating again after a reset', () => {
+    const detector = createDetector();
+    feed(detector, -30, calibrationChunks);
+
+    detector.reset();
+
+    expect(detector.process(tone(-10)).isSpeech).toBe(false);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Wake word detection tests
+ *
+ * Use synthetic "words" made of tone sequences, so the same word can be
+ * spoken again at a different speed, pitch and level, and compared with a
+ * different word.
+ */
+
+import {
+  WakeWordDetector,
+  dtwDistance,
+  fft,
+  getMatchThreshold,
+} from '../src/utils/wakeWord';
+
+const SAMPLE_RATE = 16000;
+
+// Tone segments as [frequency in Hz, duration in ms]
+const WAKE_WORD = [[500, 150], [1400, 200], [700, 250]];
+const OTHER_WORD = [[2400, 250], [300, 350]];
+
+/**
+ * Deterministic pseudo-random numbers, so tests don't flake
+ *
+ * @param {number} seed - Starting value
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+/**
+ * Synthesize a word surrounded by quiet background noise
+ *
+ * @param {Array} segments - Tone segments
+ * @param {Object} options - Variations
+ * @param {number} options.speed - Duration multiplier
+ * @param {number} options.pitch - Frequency multiplier
+ * @param {number} options.amplitude - Peak level (0-1)
+ * @param {number} options.seed - Noise seed
+ * @returns {Int16Array} PCM samples
+ */
+const speak = (segments, { speed = 1, pitch = 1, amplitude = 0.3, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const padding = Math.round(SAMPLE_RATE * 0.4);
+  const samples = [];
+  let phase = 0;
+
+  const noise = () => (random() - 0.5) * 0.002;
+
+  for (let i = 0; i < padding; i++) samples.push(noise());
+
+  segments.forEach(([frequency, durationMs]) => {
+    const length = Math.round((SAMPLE_RATE * durationMs * speed) / 1000);
+    for (let i = 0; i < length; i++) {
+      phase += (2 * Math.PI * frequency * pitch) / SAMPLE_RATE;
+      // Fade each segment in and out like a syllable
+      const envelope = Math.sin((Math.PI * i) / length);
+      samples.push(amplitude * envelope * (Math.sin(phase) + 0.4 * Math.sin(2 * phase)) / 1.4 + noise());
+    }
+  });
+
+  for (let i = 0; i < padding; i++) samples.push(noise());
+
+  return Int16Array.from(samples, value => Math.round(value * 32767));
+};
+
+/**
+ * Collect the utterances a detector finds in some audio
+ *
+ * @param {Int16Array} samples - PCM samples
+ * @returns {Array} Feature sequences
+ */
+const enroll = (samples) => {
+  const detector = new WakeWordDetector({ sampleRate: SAMPLE_RATE });
+  const utterances = [];
+
+  // Feed in chunks like AudioRecord does
+  for (let offset = 0; offset < samples.length; offset += 2048) {
+    const { utterance } = detector.process(samples.subarray(offset, offset + 2048));
+    if (utterance) utterances.push(utterance);
+  }
+
+  return utterances;
+};
+
+/**
+ * Record three enrollment samples of the wake word
+ *
+ * @returns {Array} Feature sequences
+ */
+const enrollWakeWord = () => [
+  ...enroll(speak(WAKE_WORD, { seed: 1 })),
+  ...enroll(speak(WAKE_WORD, { speed: 1.1, pitch: 0.97, seed: 2 })),
+  ...enroll(speak(WAKE_WORD, { speed: 0.92, pitch: 1.03, seed: 3 })),
+];
+
+/**
+ * Run audio through a detector trained on the wake word
+ *
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} sensitivity - Detection sensitivity
+ * @returns {Object} Last result with a finished utterance
+ */
+const listen = (samples, sensitivity = 50) => {
+  const detector = new WakeWordDetector({ sampleRate: SAMPLE_RATE, templates: enrollWakeWord(), sensitivity });
+  let result = null;
+
+  for (let offset = 0; offset < samples.length; offset += 2048) {
+    const chunk = detector.process(samples.subarray(offset, offset + 2048));
+    if (chunk.utterance) result = chunk;
+  }
+
+  return result;
+};
+
+describe('fft', () => {
+  it('puts a pure tone in its frequency bin', () => {
+    const size = 64;
+    const re = Float64Array.from({ length: size }, (_, i) => Math.cos((2 * Math.PI * 8 * i) / size));
+    const im = new Float64Array(size);
+
+    fft(re, im);
+
+    const magnitudes = Array.from(re, (value, i) => Math.hypot(value, im[i]));
+    expect(magnitudes[8]).toBeCloseTo(size / 2);
+    expect(magnitudes[3]).toBeCloseTo(0);
+  });
+});
+
+describe('dtwDistance', () => {
+  it('is zero for a sequence spoken more slowly', () => {
+    const word = [[1, 0], [0, 1], [1, 1]];
+    const slower = [[1, 0], [1, 0], [0, 1], [0, 1], [1, 1]];
+
+    expect(dtwDistance(word, slower)).toBe(0);
+  });
+
+  it('rules out sequences of very different lengths', () => {
+    expect(dtwDistance([[0]], [[0], [0], [0]])).toBe(Infinity);
+  });
+});
+
+describe('getMatchThreshold', () => {
+  it('needs at least two samples', () => {
+    expect(getMatchThreshold([[[1, 2]]])).toBeNull();
+  });
+
+  it('allows more distance at higher sensitivity', () => {
+    const templates = enrollWakeWord();
+
+    expect(getMatchThreshold(templates, 100)).toBeGreaterThan(getMatchThreshold(templates, 0));
+  });
+});
+
+describe('WakeWordDetector', () => {
+  it('finds one utterance per spoken word', () => {
+    const utterances = enroll(speak(WAKE_WORD));
+
+    expect(utterances).toHaveLength(1);
+    // 600ms of tones in roughly 32ms frames, plus pre-roll
+    expect(utterances[0].length).toBeGreaterThan(15);
+    expect(utterances[0].length).toBeLessThan(25);
+  });
+
+  it('ignores speech too long to be the wake word', () => {
+    const sentence = [...WAKE_WORD, ...OTHER_WORD, ...WAKE_WORD];
+
+    expect(enroll(speak(sentence))).toHaveLength(0);
+  });
+
+  it('ignores background noise', () => {
+    expect(enroll(speak([]))).toHaveLength(0);
+  });
+
+  it('detects the wake word spoken differently from enrollment', () => {
+    const result = listen(speak(WAKE_WORD, { speed: 1.05, pitch: 1.01, amplitude: 0.15, seed: 4 }));
+
+    expect(result.detected).toBe(true);
+  });
+
+  it('does not detect a different word', () => {
+    const result = listen(speak(OTHER_WORD, { seed: 5 }));
+
+    expect(result.detected).toBe(false);
+  });
+
+  it('never detects anything without enrolled samples', () => {
+    const detector = new WakeWordDetector({ sampleRate: SAMPLE_RATE });
+
+    expect(detector.process(speak(WAKE_WORD)).detected).toBe(false);
+  });
+
+  it('detects the wake word said louder than during enrollment', () => {
+    const result = listen(speak(WAKE_WORD, { amplitude: 0.8, seed: 6 }));
+
+    expect(result.detected).toBe(true);
+  });
+});
@@ -14,6 +14,7 @@ import com.facebook.soloader.SoLoader
 import com.airassist.modules.AudioModule
 import com.airassist.modules.BluetoothModule
 import com.airassist.modules.PermissionsModule
+import com.airassist.modules.SecureStoragePackage
 
 /**
  * Main Application class for the AIR-assist application.
@@ -36,6 +37,7 @@ class MainApplication : Application(), ReactApplication {
                 packages.add(AudioModule())
                 packages.add(BluetoothModule())
                 packages.add(PermissionsModule())
+                packages.add(SecureStoragePackage())
                 
                 return packages
             }
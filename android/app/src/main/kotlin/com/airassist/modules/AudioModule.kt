@@ -1,12 +1,19 @@
 package com.airassist.modules
 
+import android.content.BroadcastReceiver
 import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.media.AudioDeviceCallback
+import android.media.AudioDeviceInfo
 import android.media.AudioFormat
 import android.media.AudioManager
 import android.media.AudioRecord
 import android.media.AudioTrack
 import android.media.MediaRecorder
 import android.os.Build
+import android.os.Handler
+import android.os.Looper
 import android.util.Base64
 import android.util.Log
 import com.facebook.react.bridge.*
@@ -21,7 +28,8 @@ import java.util.concurrent.Executors
 /**
  * Native Audio Module for React Native
  *
- * Provides native audio recording and playback functionality.
+ * Provides native audio recording and playback functionality, and routes
+ * capture to a Bluetooth headset microphone.
  */
 class AudioModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
 
@@ -36,6 +44,9 @@ class AudioModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaM
         private const val BUFFER_SIZE = AudioRecord.getMinBufferSize(
             SAMPLE_RATE, CHANNELS, AUDIO_FORMAT
         ) * 2
+
+        // How long to wait for a Bluetooth SCO link (milliseconds)
+        private const val SCO_CONNECT_TIMEOUT = 4000L
     }
 
     // Audio recording state
@@ -49,6 +60,15 @@ class AudioModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaM
     private var isPlaying = false
     private var playbackThread: ExecutorService? = null
 
+    // Audio input routing state
+    private val audioManager: AudioManager by lazy {
+        reactApplicationContext.getSystemService(Context.AUDIO_SERVICE) as AudioManager
+    }
+    private val mainHandler = Handler(Looper.getMainLooper())
+    private var scoReceiver: BroadcastReceiver? = null
+    private var scoTimeout: Runnable? = null
+    private var inputDeviceCallback: AudioDeviceCallback? = null
+
     /**
      * Get the name of this module for React Native
      */
@@ -266,6 +286,212 @@ class AudioModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaM
         }
     }
 
+    /**
+     * List the available audio input devices
+     */
+    @ReactMethod
+    fun getInputDevices(promise: Promise) {
+        try {
+            val devices = Arguments.createArray()
+            for (device in audioManager.getDevices(AudioManager.GET_DEVICES_INPUTS)) {
+                devices.pushMap(inputDeviceToMap(device))
+            }
+            promise.resolve(devices)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error listing input devices", e)
+            promise.reject("ROUTE_ERROR", "Failed to list input devices", e)
+        }
+    }
+
+    /**
+     * Route capture to a Bluetooth headset microphone
+     *
+     * Headset microphones are only used on the communication route, so this
+     * switches the audio mode to communication. Call resetInputRoute to undo.
+     */
+    @ReactMethod
+    fun routeInputToDevice(deviceId: Int, promise: Promise) {
+        val device = audioManager.getDevices(AudioManager.GET_DEVICES_INPUTS)
+            .firstOrNull { it.id == deviceId }
+
+        if (device == null) {
+            promise.reject("DEVICE_NOT_FOUND", "Input device is no longer available")
+            return
+        }
+
+        try {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) {
+                // Communication devices are outputs; use the one on the same headset
+                val target = audioManager.availableCommunicationDevices.firstOrNull {
+                    it.type == device.type && it.address == device.address
+                }
+
+                if (target == null || !audioManager.setCommunicationDevice(target)) {
+                    promise.reject("ROUTE_ERROR", "Failed to route audio to ${device.productName}")
+                    return
+                }
+
+                audioManager.mode = AudioManager.MODE_IN_COMMUNICATION
+                promise.resolve(inputDeviceToMap(device))
+            } else if (device.type == AudioDeviceInfo.TYPE_BLUETOOTH_SCO) {
+                startBluetoothSco(device, promise)
+            } else {
+                promise.reject("ROUTE_ERROR", "Routing to ${device.productName} is not supported")
+            }
+        } catch (e: Exception) {
+            Log.e(TAG, "Error routing audio input", e)
+            promise.reject("ROUTE_ERROR", "Failed to route audio input", e)
+        }
+    }
+
+    /**
+     * Return capture to the default route
+     */
+    @ReactMethod
+    fun resetInputRoute(promise: Promise) {
+        try {
+            stopScoWait()
+
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) {
+                audioManager.clearCommunicationDevice()
+            } else {
+                @Suppress("DEPRECATION")
+                audioManager.isBluetoothScoOn = false
+                @Suppress("DEPRECATION")
+                audioManager.stopBluetoothSco()
+            }
+
+            audioManager.mode = AudioManager.MODE_NORMAL
+            promise.resolve(true)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error resetting audio input route", e)
+            promise.reject("ROUTE_ERROR", "Failed to reset audio input route", e)
+        }
+    }
+
+    /**
+     * Start sending onInputDevicesChanged events
+     */
+    @ReactMethod
+    fun startInputDeviceUpdates(promise: Promise) {
+        if (inputDeviceCallback == null) {
+            inputDeviceCallback = object : AudioDeviceCallback() {
+                override fun onAudioDevicesAdded(addedDevices: Array<out AudioDeviceInfo>) {
+                    sendEvent("onInputDevicesChanged", Arguments.createMap())
+                }
+
+                override fun onAudioDevicesRemoved(removedDevices: Array<out AudioDeviceInfo>) {
+                    sendEvent("onInputDevicesChanged", Arguments.createMap())
+                }
+            }
+            audioManager.registerAudioDeviceCallback(inputDeviceCallback, mainHandler)
+        }
+
+        promise.resolve(true)
+    }
+
+    /**
+     * Stop sending onInputDevicesChanged events
+     */
+    @ReactMethod
+    fun stopInputDeviceUpdates(promise: Promise) {
+        inputDeviceCallback?.let { audioManager.unregisterAudioDeviceCallback(it) }
+        inputDeviceCallback = null
+        promise.resolve(true)
+    }
+
+    /**
+     * Required for NativeEventEmitter
+     */
+    @ReactMethod
+    fun addListener(eventName: String) {
+        // Events are sent whether or not there are listeners
+    }
+
+    /**
+     * Required for NativeEventEmitter
+     */
+    @ReactMethod
+    fun removeListeners(count: Int) {
+        // Events are sent whether or not there are listeners
+    }
+
+    /**
+     * Open a Bluetooth SCO link, resolving once audio is connected
+     *
+     * Used before Android 12, where there is no communication device API.
+     */
+    @Suppress("DEPRECATION")
+    private fun startBluetoothSco(device: AudioDeviceInfo, promise: Promise) {
+        stopScoWait()
+
+        val receiver = object : BroadcastReceiver() {
+            override fun onReceive(context: Context, intent: Intent) {
+                val state = intent.getIntExtra(
+                    AudioManager.EXTRA_SCO_AUDIO_STATE, AudioManager.SCO_AUDIO_STATE_ERROR
+                )
+
+                if (state == AudioManager.SCO_AUDIO_STATE_CONNECTED) {
+                    stopScoWait()
+                    promise.resolve(inputDeviceToMap(device))
+                }
+            }
+        }
+
+        val timeout = Runnable {
+            stopScoWait()
+            audioManager.stopBluetoothSco()
+            audioManager.mode = AudioManager.MODE_NORMAL
+            promise.reject("ROUTE_TIMEOUT", "Bluetooth audio did not connect")
+        }
+
+        scoReceiver = receiver
+        scoTimeout = timeout
+        reactApplicationContext.registerReceiver(
+            receiver, IntentFilter(AudioManager.ACTION_SCO_AUDIO_STATE_UPDATED)
+        )
+        mainHandler.postDelayed(timeout, SCO_CONNECT_TIMEOUT)
+
+        audioManager.mode = AudioManager.MODE_IN_COMMUNICATION
+        audioManager.startBluetoothSco()
+        audioManager.isBluetoothScoOn = true
+    }
+
+    /**
+     * Stop waiting for a Bluetooth SCO link
+     */
+    private fun stopScoWait() {
+        scoTimeout?.let { mainHandler.removeCallbacks(it) }
+        scoTimeout = null
+
+        scoReceiver?.let { reactApplicationContext.unregisterReceiver(it) }
+        scoReceiver = null
+    }
+
+    /**
+     * Describe an input device for JavaScript
+     */
+    private fun inputDeviceToMap(device: AudioDeviceInfo): WritableMap {
+        return Arguments.createMap().apply {
+            putInt("id", device.id)
+            putString("type", inputTypeName(device.type))
+            putString("name", device.productName?.toString())
+            putString("address", if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) device.address else null)
+        }
+    }
+
+    /**
+     * Map an AudioDeviceInfo type to the name used in JavaScript
+     */
+    private fun inputTypeName(type: Int): String = when (type) {
+        AudioDeviceInfo.TYPE_BUILTIN_MIC -> "builtinMic"
+        AudioDeviceInfo.TYPE_BLUETOOTH_SCO -> "bluetoothSco"
+        AudioDeviceInfo.TYPE_BLE_HEADSET -> "bleHeadset"
+        AudioDeviceInfo.TYPE_WIRED_HEADSET -> "wiredHeadset"
+        AudioDeviceInfo.TYPE_USB_HEADSET, AudioDeviceInfo.TYPE_USB_DEVICE -> "usb"
+        else -> "other"
+    }
+
     /**
      * Write audio data to file
      */
@@ -0,0 +1,174 @@
+package com.airassist.modules
+
+import android.content.Context
+import android.content.SharedPreferences
+import android.security.keystore.KeyGenParameterSpec
+import android.security.keystore.KeyProperties
+import android.util.Base64
+import android.util.Log
+import com.facebook.react.bridge.*
+import java.security.KeyStore
+import javax.crypto.Cipher
+import javax.crypto.KeyGenerator
+import javax.crypto.SecretKey
+import javax.crypto.spec.GCMParameterSpec
+
+/**
+ * Native Secure Storage Module for React Native
+ *
+ * Encrypts data with an AES key held in the Android Keystore. The key never
+ * leaves the device, so anything it encrypts can only be read back on this
+ * device by this app. Secrets such as auth tokens are kept encrypted in
+ * private shared preferences; other data is encrypted for the caller to store.
+ */
+class SecureStorageModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
+
+    companion object {
+        private const val TAG = "SecureStorageModule"
+        private const val MODULE_NAME = "SecureStorageModule"
+
+        private const val KEYSTORE_PROVIDER = "AndroidKeyStore"
+        private const val KEY_ALIAS = "AIRAssistStorageKey"
+        private const val TRANSFORMATION = "AES/GCM/NoPadding"
+        private const val KEY_SIZE = 256
+        private const val TAG_LENGTH = 128
+        private const val PREFERENCES_NAME = "AIRAssistSecureStorage"
+
+        // Separates the IV from the ciphertext in encrypted payloads
+        private const val SEPARATOR = ":"
+    }
+
+    private val preferences: SharedPreferences by lazy {
+        reactApplicationContext.getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+    }
+
+    /**
+     * Get the name of this module for React Native
+     */
+    override fun getName(): String = MODULE_NAME
+
+    /**
+     * Encrypt a string
+     *
+     * Resolves with the base64 IV and ciphertext joined by a separator.
+     */
+    @ReactMethod
+    fun encrypt(plaintext: String, promise: Promise) {
+        try {
+            promise.resolve(encryptString(plaintext))
+        } catch (e: Exception) {
+            Log.e(TAG, "Error encrypting data", e)
+            promise.reject("ENCRYPT_ERROR", "Failed to encrypt data", e)
+        }
+    }
+
+    /**
+     * Decrypt a string produced by encrypt
+     */
+    @ReactMethod
+    fun decrypt(payload: String, promise: Promise) {
+        try {
+            promise.resolve(decryptString(payload))
+        } catch (e: Exception) {
+            Log.e(TAG, "Error decrypting data", e)
+            promise.reject("DECRYPT_ERROR", "Failed to decrypt data", e)
+        }
+    }
+
+    /**
+     * Store a secret
+     */
+    @ReactMethod
+    fun setSecret(key: String, value: String, promise: Promise) {
+        try {
+            preferences.edit().putString(key, encryptString(value)).apply()
+            promise.resolve(true)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error storing secret", e)
+            promise.reject("SECRET_ERROR", "Failed to store secret", e)
+        }
+    }
+
+    /**
+     * Read a secret, resolving with null if it isn't set
+     */
+    @ReactMethod
+    fun getSecret(key: String, promise: Promise) {
+        try {
+            val payload = preferences.getString(key, null)
+            promise.resolve(payload?.let { decryptString(it) })
+        } catch (e: Exception) {
+            Log.e(TAG, "Error reading secret", e)
+            promise.reject("SECRET_ERROR", "Failed to read secret", e)
+        }
+    }
+
+    /**
+     * Remove a secret
+     */
+    @ReactMethod
+    fun removeSecret(key: String, promise: Promise) {
+        try {
+            preferences.edit().remove(key).apply()
+            promise.resolve(true)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error removing secret", e)
+            promise.reject("SECRET_ERROR", "Failed to remove secret", e)
+        }
+    }
+
+    /**
+     * Encrypt a string with the Keystore key
+     */
+    private fun encryptString(plaintext: String): String {
+        val cipher = Cipher.getInstance(TRANSFORMATION)
+        cipher.init(Cipher.ENCRYPT_MODE, getOrCreateKey())
+
+        val ciphertext = cipher.doFinal(plaintext.toByteArray(Charsets.UTF_8))
+        val iv = Base64.encodeToString(cipher.iv, Base64.NO_WRAP)
+
+        return iv + SEPARATOR + Base64.encodeToString(ciphertext, Base64.NO_WRAP)
+    }
+
+    /**
+     * Decrypt a string encrypted with the Keystore key
+     */
+    private fun decryptString(payload: String): String {
+        val parts = payload.split(SEPARATOR, limit = 2)
+        if (parts.size != 2) {
+            throw IllegalArgumentException("Malformed encrypted payload")
+        }
+
+        val iv = Base64.decode(parts[0], Base64.NO_WRAP)
+        val ciphertext = Base64.decode(parts[1], Base64.NO_WRAP)
+
+        val cipher = Cipher.getInstance(TRANSFORMATION)
+        cipher.init(Cipher.DECRYPT_MODE, getOrCreateKey(), GCMParameterSpec(TAG_LENGTH, iv))
+
+        return String(cipher.doFinal(ciphertext), Charsets.UTF_8)
+    }
+
+    /**
+     * Get the Keystore key, generating it on first use
+     */
+    private fun getOrCreateKey(): SecretKey {
+        val keyStore = KeyStore.getInstance(KEYSTORE_PROVIDER).apply { load(null) }
+        (keyStore.getEntry(KEY_ALIAS, null) as? KeyStore.SecretKeyEntry)?.let {
+            return it.secretKey
+        }
+
+        val keyGenerator = KeyGenerator.getInstance(KeyProperties.KEY_ALGORITHM_AES, KEYSTORE_PROVIDER)
+        keyGenerator.init(
+            KeyGenParameterSpec.Builder(
+                KEY_ALIAS,
+                KeyProperties.PURPOSE_ENCRYPT or KeyProperties.PURPOSE_DECRYPT
+            )
+                .setBlockModes(KeyProperties.BLOCK_MODE_GCM)
+                .setEncryptionPaddings(KeyProperties.ENCRYPTION_PADDING_NONE)
+                .setKeySize(KEY_SIZE)
+                .build()
+        )
+
+        return keyGenerator.generateKey()
+    }
+}
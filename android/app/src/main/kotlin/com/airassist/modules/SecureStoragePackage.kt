@@ -0,0 +1,25 @@
+package com.airassist.modules
+
+import com.facebook.react.ReactPackage
+import com.facebook.react.bridge.NativeModule
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.uimanager.ViewManager
+
+/**
+ * React Native package that exposes SecureStorageModule to JavaScript
+ * as NativeModules.SecureStorageModule
+ */
+class SecureStoragePackage : ReactPackage {
+
+    /**
+     * Create the native modules provided by this package
+     */
+    override fun createNativeModules(reactContext: ReactApplicationContext): List<NativeModule> =
+        listOf(SecureStorageModule(reactContext))
+
+    /**
+     * This package provides no views
+     */
+    override fun createViewManagers(reactContext: ReactApplicationContext): List<ViewManager<*, *>> =
+        emptyList()
+}
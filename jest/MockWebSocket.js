@@ -0,0 +1,139 @@
+/**
+ * WebSocket Mock
+ *
+ * Stands in for the global WebSocket in tests. Each instance records the
+ * frames sent through it, and tests play the server's part with open(),
+ * receive(), fail() and serverClose().
+ */
+
+/**
+ * Mock WebSocket with a test-driven server side
+ */
+export class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  // Every socket created since the last reset, oldest first
+  static instances = [];
+
+  /**
+   * Get the most recently created socket
+   *
+   * @returns {MockWebSocket|undefined} Latest socket
+   */
+  static latest() {
+    return this.instances[this.instances.length - 1];
+  }
+
+  /**
+   * Forget all sockets created so far
+   */
+  static reset() {
+    this.instances = [];
+  }
+
+  /**
+   * @param {string} url - Server URL
+   */
+  constructor(url) {
+    this.url = url;
+    this.readyState = MockWebSocket.CONNECTING;
+    this.sent = [];
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    MockWebSocket.instances.push(this);
+  }
+
+  /**
+   * Record a frame sent by the app
+   *
+   * @param {string} data - Frame data
+   */
+  send(data) {
+    if (this.readyState !== MockWebSocket.OPEN) {
+      throw new Error('MockWebSocket: INVALID_STATE_ERR');
+    }
+
+    this.sent.push(data);
+  }
+
+  /**
+   * Close the socket from the app side
+   *
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === MockWebSocket.CLOSED) {
+      return;
+    }
+
+    this.readyState = MockWebSocket.CLOSED;
+    if (this.onclose) {
+      this.onclose({ code, reason });
+    }
+  }
+
+  /**
+   * Get the frames sent by the app, parsed
+   *
+   * @param {string} type - Only return frames of this type, if given
+   * @returns {Array<Object>} Parsed frames
+   */
+  sentFrames(type) {
+    const frames = this.sent.map(data => JSON.parse(data));
+    return type ? frames.filter(frame => frame.type === type) : frames;
+  }
+
+  /**
+   * Complete the connection
+   */
+  open() {
+    this.readyState = MockWebSocket.OPEN;
+    if (this.onopen) {
+      this.onopen();
+    }
+  }
+
+  /**
+   * Deliver a frame from the server
+   *
+   * @param {Object|string} frame - Frame object, or raw data
+   */
+  receive(frame) {
+    if (this.onmessage) {
+      this.onmessage({ data: typeof frame === 'string' ? frame : JSON.stringify(frame) });
+    }
+  }
+
+  /**
+   * Report a socket error
+   *
+   * @param {Object} error - Error event
+   */
+  fail(error = { message: 'MockWebSocket error' }) {
+    if (this.onerror) {
+      this.onerror(error);
+    }
+  }
+
+  /**
+   * Close the socket from the server side
+   *
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  serverClose(code = 1006, reason = '') {
+    this.readyState = MockWebSocket.CLOSED;
+    if (this.onclose) {
+      this.onclose({ code, reason });
+    }
+  }
+}
+
+export default MockWebSocket;
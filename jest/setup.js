@@ -0,0 +1,21 @@
+/**
+ * Jest Setup
+ *
+ * Runs before each test file, after the react-native preset's own setup.
+ * Native modules without a mock in __mocks__ are mocked here using the
+ * mocks their packages ship, and WebSocket is replaced with MockWebSocket.
+ */
+
+import { MockWebSocket } from './MockWebSocket';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('react-native-permissions', () => require('react-native-permissions/mock'));
+
+global.WebSocket = MockWebSocket;
+
+beforeEach(() => {
+  MockWebSocket.reset();
+});
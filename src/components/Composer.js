@@ -0,0 +1,130 @@
+/**
+ * Composer Component
+ *
+ * Keyboard input for the home screen footer, for talking to the assistant
+ * where speaking isn't an option.
+ */
+
+import React from 'react';
+import { View, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Styles
+import { colors } from '../styles/colors';
+import { layout } from '../styles/layout';
+import { typography } from '../styles/typography';
+
+// Constants
+import { CONVERSATION_LIMITS } from '../utils/constants';
+
+/**
+ * Composer Component
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.value - Draft text
+ * @param {Function} props.onChangeText - Draft change handler
+ * @param {Function} props.onSend - Send button press handler
+ * @param {Function} props.onSwitchToVoice - Voice mode button press handler
+ * @param {boolean} props.isSpeaking - Whether the AI is speaking, which turns an empty send button into stop
+ * @param {Function} props.onStopSpeaking - Stop button press handler
+ * @param {boolean} props.disabled - Whether sending is unavailable, e.g. while recording
+ * @returns {React.ReactElement} Rendered component
+ */
+const Composer = ({
+  value,
+  onChangeText,
+  onSend,
+  onSwitchToVoice,
+  isSpeaking,
+  onStopSpeaking,
+  disabled,
+}) => {
+  const hasText = value.trim().length > 0;
+  const canStop = isSpeaking && !hasText;
+  const canSend = hasText && !disabled;
+
+  return (
+    <View style={styles.container}>
+      {/* Back to the voice controls */}
+      <TouchableOpacity style={styles.modeButton} onPress={onSwitchToVoice}>
+        <Icon name="mic" size={24} color={colors.textPrimary} />
+      </TouchableOpacity>
+
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChangeText}
+        placeholder="Type a message"
+        placeholderTextColor={colors.textTertiary}
+        maxLength={CONVERSATION_LIMITS.TEXT_MESSAGE_LENGTH}
+        multiline
+        textAlignVertical="center"
+      />
+
+      {/* Send, or stop the AI while it speaks and nothing is typed */}
+      <TouchableOpacity
+        style={[
+          styles.sendButton,
+          canStop ? styles.stopButton : null,
+          !canStop && !canSend ? styles.sendButtonDisabled : null,
+        ]}
+        onPress={canStop ? onStopSpeaking : onSend}
+        disabled={!canStop && !canSend}
+      >
+        <Icon name={canStop ? 'volume-off' : 'send'} size={22} color={colors.white} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+
+  modeButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.backgroundLight,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  input: {
+    ...typography.bodyMedium,
+    flex: 1,
+    minHeight: 48,
+    maxHeight: 120,
+    marginHorizontal: layout.spacing.small,
+    paddingHorizontal: layout.spacing.medium,
+    paddingVertical: layout.spacing.small,
+    backgroundColor: colors.backgroundDark,
+    borderRadius: 24,
+  },
+
+  sendButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  stopButton: {
+    backgroundColor: colors.secondary,
+  },
+
+  sendButtonDisabled: {
+    backgroundColor: colors.primaryLight,
+  },
+});
+
+export default Composer;
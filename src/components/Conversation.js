@@ -4,8 +4,8 @@
  * Displays the conversation history between the user and the AI assistant.
  */
 
-import React, { forwardRef } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 
 // Styles
@@ -13,14 +13,70 @@ import { colors } from '../styles/colors';
 import { layout } from '../styles/layout';
 import { typography } from '../styles/typography';
 
+// Constants
+import { MESSAGE_STATUS } from '../utils/constants';
+
+/**
+ * Icon and label shown for each delivery status
+ */
+const STATUS_DISPLAY = {
+  [MESSAGE_STATUS.QUEUED]: { icon: 'schedule', label: 'Queued' },
+  [MESSAGE_STATUS.SENDING]: { icon: 'cloud-upload', label: 'Sending' },
+  [MESSAGE_STATUS.SENT]: { icon: 'done', label: 'Sent' },
+  [MESSAGE_STATUS.FAILED]: { icon: 'error-outline', label: 'Not sent' },
+};
+
+/**
+ * Delivery Status Component
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.status - Delivery status of the message
+ * @param {Function} props.onRetry - Retry button press handler
+ * @returns {React.ReactElement} Rendered component
+ */
+const DeliveryStatus = ({ status, onRetry }) => {
+  const display = STATUS_DISPLAY[status];
+  if (!display) {
+    return null;
+  }
+
+  const isFailed = status === MESSAGE_STATUS.FAILED;
+
+  return (
+    <View style={styles.statusRow}>
+      <Icon
+        name={display.icon}
+        size={12}
+        color={isFailed ? colors.warning : colors.white}
+      />
+      <Text style={[styles.statusText, isFailed && styles.statusTextFailed]}>
+        {display.label}
+      </Text>
+      {isFailed && onRetry && (
+        <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
+          <Icon name="refresh" size={14} color={colors.white} />
+          <Text style={styles.statusText}>Retry</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
 /**
  * Message Bubble Component
  *
  * @param {Object} props - Component properties
  * @param {Object} props.message - Message object
+ * @param {boolean} props.message.isStreaming - Whether the AI is still generating the text
+ * @param {string} props.message.status - Delivery status of a user message
+ * @param {boolean} props.message.interrupted - Whether the user talked over the response
+ * @param {string} props.interimText - Text recognized so far, shown in place of the message text
+ * @param {Function} props.onRetry - Retry handler for failed messages
+ * @param {boolean} props.isHighlighted - Whether the bubble was opened from search
+ * @param {Function} props.onLayout - Layout handler
  * @returns {React.ReactElement} Rendered component
  */
-const MessageBubble = ({ message }) => {
+const MessageBubble = ({ message, interimText, onRetry, isHighlighted, onLayout }) => {
   const isUser = message.isUser;
   const isSystem = message.type === 'system';
 
@@ -30,23 +86,46 @@ const MessageBubble = ({ message }) => {
         styles.messageBubble,
         isUser ? styles.userBubble : styles.aiBubble,
         isSystem && styles.systemBubble,
+        isHighlighted && styles.highlightedBubble,
       ]}
+      onLayout={onLayout}
     >
       <Text
         style={[
           styles.messageText,
           isUser ? styles.userText : styles.aiText,
           isSystem && styles.systemText,
+          interimText ? styles.interimText : null,
         ]}
       >
-        {message.text}
-      </Text>
-      <Text style={styles.timestamp}>
-        {new Date(message.timestamp).toLocaleTimeString([], {
-          hour: '2-digit',
-          minute: '2-digit',
-        })}
+        {interimText || message.text}
+        {message.isStreaming && <Text style={styles.streamingCursor}> ▍</Text>}
       </Text>
+      {message.isStreaming ? (
+        <ActivityIndicator
+          style={styles.streamingIndicator}
+          size="small"
+          color={colors.textTertiary}
+        />
+      ) : (
+        <View style={styles.footer}>
+          {isUser && (
+            <DeliveryStatus
+              status={message.status}
+              onRetry={onRetry ? () => onRetry(message.id) : null}
+            />
+          )}
+          {message.interrupted && (
+            <Text style={styles.interruptedText}>Interrupted</Text>
+          )}
+          <Text style={styles.timestamp}>
+            {new Date(message.timestamp).toLocaleTimeString([], {
+              hour: '2-digit',
+              minute: '2-digit',
+            })}
+          </Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -55,19 +134,85 @@ const MessageBubble = ({ message }) => {
  * Conversation Component
  *
  * @param {Object} props - Component properties
+ * @param {string} props.title - Title of the conversation thread
  * @param {Array} props.messages - Array of message objects
  * @param {Function} props.onClearConversation - Clear conversation handler
+ * @param {Function} props.onExportConversation - Export conversation handler
+ * @param {Function} props.onRetryMessage - Retry handler for failed user messages
+ * @param {string} props.highlightedMessageId - Message to scroll to and highlight
+ * @param {Object} props.interimTranscript - Speech recognized so far as { messageId, text }, shown
+ *   in that message's bubble until the recording is sent
  * @returns {React.ReactElement} Rendered component
  */
-const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
+const Conversation = forwardRef(({
+  title = 'Conversation',
+  messages,
+  onClearConversation,
+  onExportConversation,
+  onRetryMessage,
+  highlightedMessageId,
+  interimTranscript,
+}, ref) => {
+  const scrollRef = useRef(null);
+
+  // Vertical position of each bubble, for scrolling to a message
+  const messageOffsets = useRef({});
+
+  // Expose the ScrollView so the parent can keep scrolling to the end
+  useImperativeHandle(ref, () => scrollRef.current);
+
+  /**
+   * Scroll so a message is near the top of the view
+   *
+   * @param {string} messageId - ID of the message
+   */
+  const scrollToMessage = (messageId) => {
+    const offset = messageOffsets.current[messageId];
+    if (offset != null && scrollRef.current) {
+      scrollRef.current.scrollTo({ y: Math.max(0, offset - layout.spacing.large), animated: true });
+    }
+  };
+
+  /**
+   * Effect to scroll to a highlighted message that is already laid out
+   */
+  useEffect(() => {
+    if (highlightedMessageId) {
+      scrollToMessage(highlightedMessageId);
+    }
+  }, [highlightedMessageId]);
+
+  /**
+   * Record a bubble's position, scrolling to it if it's the highlighted one
+   *
+   * @param {string} messageId - ID of the message
+   * @param {Object} event - Layout event
+   */
+  const handleBubbleLayout = (messageId, event) => {
+    messageOffsets.current[messageId] = event.nativeEvent.layout.y;
+
+    if (messageId === highlightedMessageId) {
+      scrollToMessage(messageId);
+    }
+  };
+
   return (
     <View style={styles.container}>
       {/* Conversation header */}
       <View style={styles.header}>
-        <Text style={styles.title}>Conversation</Text>
+        <Text style={styles.title} numberOfLines={1}>{title}</Text>
+        {messages.length > 0 && onExportConversation && (
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={onExportConversation}
+          >
+            <Icon name="share" size={18} color={colors.primary} />
+            <Text style={styles.exportButtonText}>Export</Text>
+          </TouchableOpacity>
+        )}
         {messages.length > 0 && (
           <TouchableOpacity
-            style={styles.clearButton}
+            style={styles.headerButton}
             onPress={onClearConversation}
           >
             <Icon name="delete" size={18} color={colors.error} />
@@ -78,7 +223,7 @@ const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
 
       {/* Messages */}
       <ScrollView
-        ref={ref}
+        ref={scrollRef}
         style={styles.messagesContainer}
         contentContainerStyle={styles.messagesContent}
       >
@@ -91,7 +236,16 @@ const Conversation = forwardRef(({ messages, onClearConversation }, ref) => {
           </View>
         ) : (
           messages.map((message) => (
-            <MessageBubble key={message.id} message={message} />
+            <MessageBubble
+              key={message.id}
+              message={message}
+              interimText={interimTranscript && interimTranscript.messageId === message.id
+                ? interimTranscript.text
+                : null}
+              onRetry={onRetryMessage}
+              isHighlighted={message.id === highlightedMessageId}
+              onLayout={(event) => handleBubbleLayout(message.id, event)}
+            />
           ))
         )}
       </ScrollView>
@@ -117,14 +271,21 @@ const styles = StyleSheet.create({
 
   title: {
     ...typography.headingSmall,
+    flex: 1,
   },
 
-  clearButton: {
+  headerButton: {
     flexDirection: 'row',
     alignItems: 'center',
     padding: layout.spacing.small,
   },
 
+  exportButtonText: {
+    ...typography.labelSmall,
+    color: colors.primary,
+    marginLeft: layout.spacing.tiny,
+  },
+
   clearButtonText: {
     ...typography.labelSmall,
     color: colors.error,
@@ -166,6 +327,11 @@ const styles = StyleSheet.create({
     maxWidth: '90%',
   },
 
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: colors.warning,
+  },
+
   messageText: {
     ...typography.bodyMedium,
   },
@@ -184,9 +350,57 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
 
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: layout.spacing.tiny,
+  },
+
   timestamp: {
     ...typography.caption,
     color: colors.textTertiary,
+  },
+
+  interimText: {
+    fontStyle: 'italic',
+    opacity: 0.8,
+  },
+
+  interruptedText: {
+    ...typography.caption,
+    color: colors.textTertiary,
+    fontStyle: 'italic',
+    marginRight: layout.spacing.small,
+  },
+
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: layout.spacing.small,
+  },
+
+  statusText: {
+    ...typography.caption,
+    color: colors.white,
+    marginLeft: layout.spacing.tiny,
+  },
+
+  statusTextFailed: {
+    color: colors.warning,
+  },
+
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: layout.spacing.small,
+  },
+
+  streamingCursor: {
+    color: colors.textTertiary,
+  },
+
+  streamingIndicator: {
     marginTop: layout.spacing.tiny,
     alignSelf: 'flex-end',
   },
@@ -13,6 +13,10 @@ import { colors } from '../styles/colors';
 import { layout } from '../styles/layout';
 import { typography } from '../styles/typography';
 
+// Utils
+import { getBatteryIcon } from '../utils/bluetooth';
+import { BATTERY_LEVELS } from '../utils/constants';
+
 /**
  * Header Component
  *
@@ -20,15 +24,50 @@ import { typography } from '../styles/typography';
  * @param {string} props.title - Header title
  * @param {Function} props.onSettingsPress - Settings button press handler
  * @param {Object} props.connectedDevice - Connected Bluetooth device
+ * @param {number|null} props.batteryLevel - Battery level of the connected headset, null if unknown
  * @param {Function} props.onBluetoothPress - Bluetooth button press handler
+ * @param {Function} props.onHistoryPress - Conversation history button press handler
+ * @param {Function} props.onSearchPress - Search button press handler
  * @returns {React.ReactElement} Rendered component
  */
-const Header = ({ title, onSettingsPress, connectedDevice, onBluetoothPress }) => {
+const Header = ({ title, onSettingsPress, connectedDevice, batteryLevel, onBluetoothPress, onHistoryPress, onSearchPress }) => {
   return (
     <View style={styles.container}>
       <Text style={styles.title}>{title}</Text>
       
       <View style={styles.actions}>
+        {/* Search button */}
+        {onSearchPress && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={onSearchPress}
+          >
+            <Icon name="search" size={24} color={colors.white} />
+          </TouchableOpacity>
+        )}
+
+        {/* Conversation history button */}
+        {onHistoryPress && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={onHistoryPress}
+          >
+            <Icon name="forum" size={24} color={colors.white} />
+          </TouchableOpacity>
+        )}
+
+        {/* Headset battery */}
+        {connectedDevice && batteryLevel != null && (
+          <View style={styles.battery}>
+            <Icon
+              name={getBatteryIcon(batteryLevel)}
+              size={20}
+              color={batteryLevel <= BATTERY_LEVELS.LOW ? colors.warning : colors.white}
+            />
+            <Text style={styles.batteryText}>{batteryLevel}%</Text>
+          </View>
+        )}
+
         {/* Bluetooth button */}
         <TouchableOpacity
           style={styles.actionButton}
@@ -76,6 +115,17 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
   },
   
+  battery: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: layout.spacing.small,
+  },
+
+  batteryText: {
+    ...typography.caption,
+    color: colors.white,
+  },
+  
   actionButton: {
     width: 40,
     height: 40,
@@ -5,9 +5,9 @@
  */
 
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, ActivityIndicator } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import { useContext } from 'react';
+import { useContext, useEffect, useState } from 'react';
 
 // Context
 import { BluetoothContext } from '../context/BluetoothContext';
@@ -17,16 +17,43 @@ import { colors } from '../styles/colors';
 import { layout } from '../styles/layout';
 import { typography } from '../styles/typography';
 
-// Constants
-import { BT_CONNECTION_STATES } from '../utils/constants';
+// Constants and utilities
+import { BT_CONNECTION_STATES, WS_CONNECTION_STATES, BATTERY_LEVELS } from '../utils/constants';
+import { DEVICE_SORT, sortDevices, getSignalStrength, getBatteryIcon } from '../utils/bluetooth';
+import { isBluetoothInput, getInputLabel } from '../utils/audioRoute';
+
+/**
+ * Icon shown for each signal strength
+ */
+const SIGNAL_ICONS = {
+  strong: 'signal-cellular-alt',
+  medium: 'signal-cellular-alt-2-bar',
+  weak: 'signal-cellular-alt-1-bar',
+};
+
+/**
+ * Device information fields shown for the connected headset, in display order
+ */
+const DEVICE_INFO_LABELS = [
+  ['manufacturer', 'Manufacturer'],
+  ['model', 'Model'],
+  ['serialNumber', 'Serial number'],
+  ['hardwareRevision', 'Hardware'],
+  ['firmwareRevision', 'Firmware'],
+  ['softwareRevision', 'Software'],
+];
 
 /**
  * Status Panel Component
  *
  * @param {Object} props - Component properties
  * @param {boolean} props.wsConnected - WebSocket connection status
+ * @param {Object} props.wsStatus - WebSocket connection state snapshot
+ * @param {Function} props.onRetryConnection - Retry server connection handler
  * @param {boolean} props.bluetoothConnected - Bluetooth connection status
  * @param {boolean} props.isListening - Listening mode status
+ * @param {boolean} props.isAwaitingWakeWord - Whether the wake word is being listened for
+ * @param {Object} props.audioInput - Microphone used for recording
  * @param {string} props.bluetoothStatus - Bluetooth connection state
  * @param {boolean} props.showDevices - Whether to show device list
  * @param {Function} props.onClose - Close button press handler
@@ -34,8 +61,12 @@ import { BT_CONNECTION_STATES } from '../utils/constants';
  */
 const StatusPanel = ({
   wsConnected,
+  wsStatus,
+  onRetryConnection,
   bluetoothConnected,
   isListening,
+  isAwaitingWakeWord,
+  audioInput,
   bluetoothStatus,
   showDevices,
   onClose,
@@ -46,8 +77,31 @@ const StatusPanel = ({
     previousDevices,
     connectToDevice,
     isScanning,
+    startScan,
+    reconnectStatus,
+    connectedDevice,
+    batteryLevel,
+    deviceInfo,
   } = useContext(BluetoothContext);
 
+  // Device list options
+  const [sortBy, setSortBy] = useState(DEVICE_SORT.SIGNAL);
+  const [airOnly, setAirOnly] = useState(true);
+
+  // Current time, ticking while a reconnect countdown is shown
+  const [now, setNow] = useState(Date.now());
+  const isBackingOff = !!wsStatus && wsStatus.state === WS_CONNECTION_STATES.BACKING_OFF;
+
+  useEffect(() => {
+    if (!isBackingOff) {
+      return;
+    }
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isBackingOff, wsStatus && wsStatus.nextRetryAt]);
+
   /**
    * Get status icon and color based on connection state
    *
@@ -63,6 +117,50 @@ const StatusPanel = ({
     };
   };
 
+  /**
+   * Get listening status text
+   *
+   * @returns {string} Status text
+   */
+  const getListeningStatusText = () => {
+    if (isAwaitingWakeWord) {
+      return 'Wake word';
+    }
+    return isListening ? 'Active' : 'Inactive';
+  };
+
+  /**
+   * Get server status text based on the WebSocket connection state
+   *
+   * @returns {string} Status text
+   */
+  const getServerStatusText = () => {
+    if (!wsStatus) {
+      return wsConnected ? 'Connected' : 'Disconnected';
+    }
+
+    switch (wsStatus.state) {
+      case WS_CONNECTION_STATES.OPEN:
+        return 'Connected';
+      case WS_CONNECTION_STATES.CONNECTING:
+        return 'Connecting...';
+      case WS_CONNECTION_STATES.AUTHENTICATING:
+        return 'Signing in...';
+      case WS_CONNECTION_STATES.BACKING_OFF: {
+        const seconds = Math.max(0, Math.ceil((wsStatus.nextRetryAt - now) / 1000));
+        return `Retrying in ${seconds}s`;
+      }
+      case WS_CONNECTION_STATES.OFFLINE:
+        return 'Offline';
+      case WS_CONNECTION_STATES.UNAUTHORIZED:
+        return 'Not signed in';
+      case WS_CONNECTION_STATES.IDLE:
+      case WS_CONNECTION_STATES.CLOSED_BY_USER:
+      default:
+        return 'Disconnected';
+    }
+  };
+
   /**
    * Get Bluetooth status text based on connection state
    *
@@ -76,6 +174,10 @@ const StatusPanel = ({
         return 'Connecting...';
       case BT_CONNECTION_STATES.SCANNING:
         return 'Scanning...';
+      case BT_CONNECTION_STATES.RECONNECTING:
+        return reconnectStatus
+          ? `Reconnecting (${reconnectStatus.attempt}/${reconnectStatus.maxAttempts})`
+          : 'Reconnecting...';
       case BT_CONNECTION_STATES.ERROR:
         return 'Error';
       case BT_CONNECTION_STATES.DISCONNECTED:
@@ -99,6 +201,19 @@ const StatusPanel = ({
       });
   };
 
+  /**
+   * Get the discovered devices to list, filtered and sorted
+   *
+   * @returns {Array} Devices
+   */
+  const getVisibleDevices = () => {
+    const devices = airOnly
+      ? discoveredDevices.filter(device => device.isAirHeadset)
+      : discoveredDevices;
+
+    return sortDevices(devices, sortBy);
+  };
+
   /**
    * Render a device item
    *
@@ -110,29 +225,49 @@ const StatusPanel = ({
       style={styles.deviceItem}
       onPress={() => handleDeviceSelect(item)}
     >
+      <Icon
+        name={item.isAirHeadset ? 'headset-mic' : 'bluetooth'}
+        size={20}
+        color={colors.primary}
+      />
       <View style={styles.deviceInfo}>
         <Text style={styles.deviceName}>{item.name || 'Unknown Device'}</Text>
         <Text style={styles.deviceId}>{item.id}</Text>
       </View>
-      <Icon name="bluetooth" size={20} color={colors.primary} />
+      {item.rssi != null && (
+        <View style={styles.deviceSignal}>
+          <Icon
+            name={SIGNAL_ICONS[getSignalStrength(item.rssi)]}
+            size={18}
+            color={colors.textSecondary}
+          />
+          <Text style={styles.deviceRssi}>{item.rssi} dBm</Text>
+        </View>
+      )}
     </TouchableOpacity>
   );
 
+  const visibleDevices = getVisibleDevices();
+
   return (
     <View style={styles.container}>
       {/* Status indicators */}
       <View style={styles.statusRow}>
-        {/* WebSocket status */}
-        <View style={styles.statusItem}>
+        {/* WebSocket status, tap to retry while not connected */}
+        <TouchableOpacity
+          style={styles.statusItem}
+          onPress={onRetryConnection}
+          disabled={wsConnected || !onRetryConnection}
+        >
           <Icon
-            name={getStatusIcon(wsConnected, 'cloud-done', 'cloud-off').name}
+            name={isBackingOff ? 'cloud-queue' : getStatusIcon(wsConnected, 'cloud-done', 'cloud-off').name}
             size={20}
-            color={getStatusIcon(wsConnected, 'cloud-done', 'cloud-off').color}
+            color={isBackingOff ? colors.warning : getStatusIcon(wsConnected, 'cloud-done', 'cloud-off').color}
           />
           <Text style={styles.statusText}>
-            Server: {wsConnected ? 'Connected' : 'Disconnected'}
+            Server: {getServerStatusText()}
           </Text>
-        </View>
+        </TouchableOpacity>
 
         {/* Bluetooth status */}
         <View style={styles.statusItem}>
@@ -144,6 +279,16 @@ const StatusPanel = ({
           <Text style={styles.statusText}>
             Bluetooth: {getBluetoothStatusText()}
           </Text>
+          {bluetoothConnected && batteryLevel != null && (
+            <View style={styles.battery}>
+              <Icon
+                name={getBatteryIcon(batteryLevel)}
+                size={16}
+                color={batteryLevel <= BATTERY_LEVELS.LOW ? colors.warning : colors.textSecondary}
+              />
+              <Text style={styles.batteryText}>{batteryLevel}%</Text>
+            </View>
+          )}
         </View>
 
         {/* Listening status */}
@@ -154,11 +299,25 @@ const StatusPanel = ({
             color={getStatusIcon(isListening, 'hearing', 'hearing-disabled').color}
           />
           <Text style={styles.statusText}>
-            Listening: {isListening ? 'Active' : 'Inactive'}
+            Listening: {getListeningStatusText()}
           </Text>
         </View>
       </View>
 
+      {/* Microphone in use */}
+      {audioInput && (
+        <View style={styles.inputRow}>
+          <Icon
+            name={isBluetoothInput(audioInput) ? 'headset-mic' : 'mic'}
+            size={16}
+            color={isBluetoothInput(audioInput) ? colors.success : colors.textSecondary}
+          />
+          <Text style={styles.inputText}>
+            Input: {getInputLabel(audioInput)}
+          </Text>
+        </View>
+      )}
+
       {/* Bluetooth devices list */}
       {showDevices && (
         <View style={styles.devicesContainer}>
@@ -169,46 +328,109 @@ const StatusPanel = ({
             </TouchableOpacity>
           </View>
 
-          {isScanning ? (
+          {/* Connected headset details */}
+          {connectedDevice && (
+            <View style={styles.connectedDevice}>
+              <View style={styles.connectedDeviceHeader}>
+                <Icon name="headset-mic" size={20} color={colors.success} />
+                <Text style={styles.connectedDeviceName}>
+                  {connectedDevice.name || 'Unknown Device'}
+                </Text>
+                {batteryLevel != null && (
+                  <View style={styles.battery}>
+                    <Icon
+                      name={getBatteryIcon(batteryLevel)}
+                      size={16}
+                      color={batteryLevel <= BATTERY_LEVELS.LOW ? colors.warning : colors.textSecondary}
+                    />
+                    <Text style={styles.batteryText}>{batteryLevel}%</Text>
+                  </View>
+                )}
+              </View>
+              {deviceInfo && DEVICE_INFO_LABELS
+                .filter(([field]) => deviceInfo[field])
+                .map(([field, label]) => (
+                  <Text key={field} style={styles.deviceDetail}>
+                    {label}: {deviceInfo[field]}
+                  </Text>
+                ))}
+            </View>
+          )}
+
+          {/* List options */}
+          <View style={styles.deviceOptions}>
+            <TouchableOpacity
+              style={[styles.optionChip, airOnly && styles.optionChipSelected]}
+              onPress={() => setAirOnly(!airOnly)}
+            >
+              <Icon name="filter-list" size={16} color={airOnly ? colors.white : colors.textSecondary} />
+              <Text style={[styles.optionText, airOnly && styles.optionTextSelected]}>AIR only</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.optionChip}
+              onPress={() => setSortBy(sortBy === DEVICE_SORT.SIGNAL ? DEVICE_SORT.NAME : DEVICE_SORT.SIGNAL)}
+            >
+              <Icon
+                name={sortBy === DEVICE_SORT.SIGNAL ? 'sort' : 'sort-by-alpha'}
+                size={16}
+                color={colors.textSecondary}
+              />
+              <Text style={styles.optionText}>
+                {sortBy === DEVICE_SORT.SIGNAL ? 'By signal' : 'By name'}
+              </Text>
+            </TouchableOpacity>
+            {isScanning ? (
+              <ActivityIndicator size="small" color={colors.primary} style={styles.scanningIndicator} />
+            ) : (
+              <TouchableOpacity style={styles.optionChip} onPress={startScan}>
+                <Icon name="refresh" size={16} color={colors.textSecondary} />
+                <Text style={styles.optionText}>Scan</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {/* Discovered devices, updated live while scanning */}
+          {visibleDevices.length > 0 && (
+            <>
+              <Text style={styles.deviceListTitle}>Available Devices</Text>
+              <FlatList
+                data={visibleDevices}
+                renderItem={renderDeviceItem}
+                keyExtractor={(item) => item.id}
+                style={styles.deviceList}
+              />
+            </>
+          )}
+
+          {isScanning && visibleDevices.length === 0 && (
             <View style={styles.scanningContainer}>
               <Text style={styles.scanningText}>Scanning for devices...</Text>
             </View>
-          ) : (
+          )}
+
+          {/* Previously connected devices */}
+          {previousDevices.length > 0 && (
             <>
-              {/* Discovered devices */}
-              {discoveredDevices.length > 0 && (
-                <>
-                  <Text style={styles.deviceListTitle}>Available Devices</Text>
-                  <FlatList
-                    data={discoveredDevices}
-                    renderItem={renderDeviceItem}
-                    keyExtractor={(item) => item.id}
-                    style={styles.deviceList}
-                  />
-                </>
-              )}
-
-              {/* Previously connected devices */}
-              {previousDevices.length > 0 && (
-                <>
-                  <Text style={styles.deviceListTitle}>Previously Connected</Text>
-                  <FlatList
-                    data={previousDevices}
-                    renderItem={renderDeviceItem}
-                    keyExtractor={(item) => item.id}
-                    style={styles.deviceList}
-                  />
-                </>
-              )}
-
-              {/* No devices found */}
-              {discoveredDevices.length === 0 && previousDevices.length === 0 && (
-                <View style={styles.noDevicesContainer}>
-                  <Text style={styles.noDevicesText}>No devices found</Text>
-                </View>
-              )}
+              <Text style={styles.deviceListTitle}>Previously Connected</Text>
+              <FlatList
+                data={previousDevices}
+                renderItem={renderDeviceItem}
+                keyExtractor={(item) => item.id}
+                style={styles.deviceList}
+              />
             </>
           )}
+
+          {/* No devices found */}
+          {!isScanning && visibleDevices.length === 0 && previousDevices.length === 0 && (
+            <View style={styles.noDevicesContainer}>
+              <Text style={styles.noDevicesText}>
+                {airOnly && discoveredDevices.length > 0
+                  ? 'No AIR headsets found'
+                  : 'No devices found'}
+              </Text>
+            </View>
+          )}
         </View>
       )}
     </View>
@@ -243,6 +465,30 @@ const styles = StyleSheet.create({
     marginLeft: layout.spacing.tiny,
   },
 
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: layout.spacing.medium,
+    paddingBottom: layout.spacing.small,
+  },
+
+  inputText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: layout.spacing.tiny,
+  },
+
+  battery: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: layout.spacing.tiny,
+  },
+
+  batteryText: {
+    ...typography.caption,
+    marginLeft: 2,
+  },
+
   devicesContainer: {
     padding: layout.spacing.medium,
     borderTopWidth: 1,
@@ -260,6 +506,31 @@ const styles = StyleSheet.create({
     ...typography.headingSmall,
   },
 
+  connectedDevice: {
+    padding: layout.spacing.small,
+    marginBottom: layout.spacing.medium,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.success,
+  },
+
+  connectedDeviceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.tiny,
+  },
+
+  connectedDeviceName: {
+    ...typography.labelMedium,
+    flex: 1,
+    marginLeft: layout.spacing.small,
+  },
+
+  deviceDetail: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+
   deviceListTitle: {
     ...typography.labelMedium,
     marginBottom: layout.spacing.small,
@@ -284,6 +555,53 @@ const styles = StyleSheet.create({
 
   deviceInfo: {
     flex: 1,
+    marginLeft: layout.spacing.small,
+  },
+
+  deviceSignal: {
+    alignItems: 'center',
+    marginLeft: layout.spacing.small,
+  },
+
+  deviceRssi: {
+    ...typography.caption,
+    color: colors.textTertiary,
+  },
+
+  deviceOptions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.medium,
+  },
+
+  optionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: layout.spacing.small,
+    paddingVertical: layout.spacing.tiny,
+    marginRight: layout.spacing.small,
+    borderRadius: layout.borderRadius.large,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  optionChipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+
+  optionText: {
+    ...typography.labelSmall,
+    color: colors.textSecondary,
+    marginLeft: layout.spacing.tiny,
+  },
+
+  optionTextSelected: {
+    color: colors.white,
+  },
+
+  scanningIndicator: {
+    marginLeft: layout.spacing.small,
   },
 
   deviceName: {
@@ -5,11 +5,26 @@
  * Manages WebSocket connection, messages, settings, and audio processing state.
  */
 
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useRef } from 'react';
 import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { WebSocketService } from '../services/WebSocketService';
-import { DEFAULT_SETTINGS, STORAGE_KEYS } from '../utils/constants';
+import { WebSocketService, WS_ANY_MESSAGE } from '../services/WebSocketService';
+import { AudioService } from '../services/AudioService';
+import { OutboxService } from '../services/OutboxService';
+import { ConversationService } from '../services/ConversationService';
+import { SearchService } from '../services/SearchService';
+import { AuthService } from '../services/AuthService';
+import { LanguageService } from '../services/LanguageService';
+import { DraftService } from '../services/DraftService';
+import {
+  DEFAULT_SETTINGS,
+  STORAGE_KEYS,
+  WS_MESSAGE_TYPES,
+  WS_CLOSE_CODES,
+  MESSAGE_STATUS,
+  LISTEN_MODES,
+  TIME,
+} from '../utils/constants';
 
 // Create the context
 export const AppContext = createContext();
@@ -27,58 +42,131 @@ export const AppProvider = ({ children }) => {
   const [appState, setAppState] = useState(AppState.currentState);
   const [isOnline, setIsOnline] = useState(true);
   const [wsConnected, setWsConnected] = useState(false);
+  const [wsStatus, setWsStatus] = useState(WebSocketService.getConnectionState());
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [messages, setMessages] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
   const [isProcessingAudio, setIsProcessingAudio] = useState(false);
   const [pendingMessages, setPendingMessages] = useState([]);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [lastTranscription, setLastTranscription] = useState('');
 
+  // Latest settings and playback generation for use inside WebSocket callbacks
+  const settingsRef = useRef(settings);
+  const playbackIdRef = useRef(0);
+
+  // Set once saved settings are loaded, so defaults never overwrite the stored token
+  const settingsLoadedRef = useRef(false);
+
+  // Latest thread index and open thread, read by async saves and WebSocket callbacks
+  const conversationsRef = useRef(conversations);
+  const activeConversationIdRef = useRef(activeConversationId);
+  conversationsRef.current = conversations;
+  activeConversationIdRef.current = activeConversationId;
+
+  // Thread save waiting for the history to settle, and the chain of saves
+  // in progress, so a slow earlier save can never land after a newer one
+  const pendingSaveRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+
+  // Streaming upload in progress, kept in a ref because chunks arrive
+  // through callbacks created when recording started
+  const audioStreamRef = useRef(null);
+
+  // Response being streamed or read out, and responses the user talked over,
+  // whose remaining frames are ignored
+  const activeResponseRef = useRef(null);
+  const cancelledResponseIdsRef = useRef(new Set());
+
   // Load settings from AsyncStorage
   useEffect(() => {
     const loadSettings = async () => {
       try {
         const savedSettings = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
-        if (savedSettings) {
-          setSettings(JSON.parse(savedSettings));
-        }
-      } catch (error) {
-        console.error('Error loading settings:', error);
-      }
-    };
+        const { authToken: legacyToken, autoListen, ...storedSettings } = savedSettings ? JSON.parse(savedSettings) : {};
+        const userId = await AuthService.loadUserId();
+        const authToken = await AuthService.loadToken(legacyToken);
 
-    const loadPendingMessages = async () => {
-      try {
-        const savedPendingMessages = await AsyncStorage.getItem(STORAGE_KEYS.PENDING_MESSAGES);
-        if (savedPendingMessages) {
-          setPendingMessages(JSON.parse(savedPendingMessages));
+        // Older versions only had an auto-listen switch; off meant push-to-talk
+        if (!storedSettings.listenMode && autoListen === false) {
+          storedSettings.listenMode = LISTEN_MODES.PUSH_TO_TALK;
         }
+
+        // Merge over defaults so settings added in newer versions are present
+        settingsLoadedRef.current = true;
+        setSettings({
+          ...DEFAULT_SETTINGS,
+          ...storedSettings,
+          userId,
+          authToken,
+        });
       } catch (error) {
-        console.error('Error loading pending messages:', error);
+        console.error('Error loading settings:', error);
       }
     };
 
     const loadConversationHistory = async () => {
       try {
-        const savedMessages = await AsyncStorage.getItem(STORAGE_KEYS.CONVERSATION_HISTORY);
-        if (savedMessages) {
-          setMessages(JSON.parse(savedMessages));
+        let index = await ConversationService.loadIndex();
+        let activeId = await ConversationService.loadActiveId();
+
+        // Fall back to the most recent thread, or start the first one
+        if (!index.some(conversation => conversation.id === activeId)) {
+          if (index.length > 0) {
+            activeId = index[0].id;
+          } else {
+            const created = await ConversationService.createConversation(index);
+            index = created.index;
+            activeId = created.conversation.id;
+          }
         }
+
+        const savedMessages = await ConversationService.loadMessages(activeId);
+
+        setConversations(index);
+        setActiveConversationId(activeId);
+        setMessages(prepareLoadedMessages(savedMessages));
       } catch (error) {
         console.error('Error loading conversation history:', error);
       }
     };
 
     loadSettings();
-    loadPendingMessages();
-    loadConversationHistory();
+
+    // Load history first so outbox statuses have bubbles to update
+    loadConversationHistory().then(() => OutboxService.load());
+  }, []);
+
+  // Mirror the outbox into state and onto each user bubble's delivery status
+  useEffect(() => {
+    const unsubscribeChange = OutboxService.onChange(items => setPendingMessages(items));
+    const unsubscribeStatus = OutboxService.onStatusChange((messageId, status) => {
+      updateMessage(messageId, { status });
+
+      if (status === MESSAGE_STATUS.SENDING || status === MESSAGE_STATUS.SENT) {
+        // Delivering or delivered, so a response is on its way
+        setIsProcessingAudio(true);
+      } else if (status === MESSAGE_STATUS.QUEUED || status === MESSAGE_STATUS.FAILED) {
+        setIsProcessingAudio(false);
+      }
+    });
+
+    return () => {
+      unsubscribeChange();
+      unsubscribeStatus();
+    };
   }, []);
 
-  // Save settings to AsyncStorage when they change
+  // Keep the settings ref current and save settings to AsyncStorage when they change
   useEffect(() => {
+    settingsRef.current = settings;
+
     const saveSettings = async () => {
       try {
-        await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+        // The token is saved to the secure store separately
+        const { authToken, ...storedSettings } = settings;
+        await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(storedSettings));
       } catch (error) {
         console.error('Error saving settings:', error);
       }
@@ -87,37 +175,84 @@ export const AppProvider = ({ children }) => {
     saveSettings();
   }, [settings]);
 
-  // Save pending messages to AsyncStorage when they change
+  // Save the auth token to the secure store when it changes
   useEffect(() => {
-    const savePendingMessages = async () => {
-      try {
-        await AsyncStorage.setItem(STORAGE_KEYS.PENDING_MESSAGES, JSON.stringify(pendingMessages));
-      } catch (error) {
-        console.error('Error saving pending messages:', error);
-      }
-    };
+    if (!settingsLoadedRef.current) return;
 
-    savePendingMessages();
-  }, [pendingMessages]);
+    AuthService.saveToken(settings.authToken).catch(error => {
+      console.error('Error saving auth token:', error);
+    });
+  }, [settings.authToken]);
 
-  // Save conversation history to AsyncStorage when messages change
-  useEffect(() => {
-    const saveConversationHistory = async () => {
+  // Run a write to stored threads once the writes before it have finished
+  const enqueueHistoryWrite = (write) => {
+    saveQueueRef.current = saveQueueRef.current.then(write);
+    return saveQueueRef.current;
+  };
+
+  // Save a thread and re-index it for search
+  const queueHistorySave = (conversationId, threadMessages) =>
+    enqueueHistoryWrite(async () => {
       try {
-        // Only keep the last 100 messages to prevent storage overflow
-        const messagesToSave = messages.slice(-100);
-        await AsyncStorage.setItem(STORAGE_KEYS.CONVERSATION_HISTORY, JSON.stringify(messagesToSave));
+        const updatedIndex = await ConversationService.saveMessages(
+          conversationsRef.current,
+          conversationId,
+          threadMessages
+        );
+        conversationsRef.current = updatedIndex;
+        setConversations(updatedIndex);
+        SearchService.indexConversation(conversationId, threadMessages);
       } catch (error) {
         console.error('Error saving conversation history:', error);
       }
-    };
+    });
+
+  // Start the waiting thread save now rather than after the delay
+  const flushHistorySave = () => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingSaveRef.current = null;
+    queueHistorySave(pending.conversationId, pending.messages);
+  };
+
+  // Save the open thread once messages stop changing; a response still
+  // streaming is saved once it has finished
+  useEffect(() => {
+    if (!activeConversationId) return;
+
+    // Messages of another thread belong to the one that was open before
+    const pending = pendingSaveRef.current;
+    if (pending && pending.conversationId !== activeConversationId) {
+      flushHistorySave();
+    }
+
+    // Keep any waiting save of the messages from before the stream started
+    if (messages.some(msg => msg.isStreaming)) return;
 
-    saveConversationHistory();
+    if (pendingSaveRef.current) {
+      clearTimeout(pendingSaveRef.current.timer);
+    }
+
+    pendingSaveRef.current = {
+      conversationId: activeConversationId,
+      messages,
+      timer: setTimeout(flushHistorySave, TIME.HISTORY_SAVE_DELAY),
+    };
   }, [messages]);
 
+  // Save any waiting thread before the app is unloaded
+  useEffect(() => flushHistorySave, []);
+
   // Handle app state changes
   useEffect(() => {
     const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState.match(/inactive|background/)) {
+        // The app may be killed in the background, so don't keep a save waiting
+        flushHistorySave();
+      }
+
       if (appState.match(/inactive|background/) && nextAppState === 'active') {
         // App has come to the foreground
         WebSocketService.checkConnection();
@@ -130,28 +265,57 @@ export const AppProvider = ({ children }) => {
     };
   }, [appState]);
 
+  // Keep the handshake credentials current; declared before the connection
+  // effect so the first connection already uses them
+  useEffect(() => {
+    WebSocketService.setCredentials({
+      userId: settings.userId,
+      token: settings.authToken || null,
+    });
+  }, [settings.userId, settings.authToken]);
+
   // Initialize WebSocket connection
   useEffect(() => {
+    // Disposers for every listener registered below
+    const unsubscribers = [];
+
     const initWebSocket = async () => {
       try {
-        WebSocketService.init(settings.wsServerUrl);
-        WebSocketService.onConnect(() => {
+        WebSocketService.init(settings.wsServerUrl, settings.transport);
+        unsubscribers.push(WebSocketService.onConnect((session) => {
           setWsConnected(true);
           addMessage('Connected to AI assistant', false, 'system');
-        });
 
-        WebSocketService.onDisconnect(() => {
+          // Keep a token issued by pairing for the next launch
+          if (session && session.token && session.token !== settingsRef.current.authToken) {
+            updateSettings({ authToken: session.token });
+          }
+        }));
+
+        unsubscribers.push(WebSocketService.onDisconnect(() => {
           setWsConnected(false);
           if (isOnline) {
             addMessage('Disconnected from AI assistant', false, 'system');
           }
-        });
+        }));
+
+        unsubscribers.push(WebSocketService.onAuthError(({ code }) => {
+          setWsConnected(false);
+          addMessage(
+            code === WS_CLOSE_CODES.TOKEN_EXPIRED
+              ? 'Your session has expired. Enter a new token or pair again in Settings.'
+              : 'The AI assistant did not accept your credentials. Check your token in Settings.',
+            false,
+            'system'
+          );
+        }));
 
-        WebSocketService.onMessage(handleWebSocketMessage);
-        WebSocketService.onError((error) => {
+        unsubscribers.push(WebSocketService.onStateChange(setWsStatus));
+        unsubscribers.push(WebSocketService.subscribe(WS_ANY_MESSAGE, handleWebSocketMessage));
+        unsubscribers.push(WebSocketService.onError((error) => {
           console.error('WebSocket error:', error);
           addMessage('Error connecting to AI assistant', false, 'system');
-        });
+        }));
       } catch (error) {
         console.error('WebSocket initialization error:', error);
         setWsConnected(false);
@@ -161,47 +325,76 @@ export const AppProvider = ({ children }) => {
     initWebSocket();
 
     return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
       WebSocketService.disconnect();
     };
-  }, [settings.wsServerUrl, isOnline]);
+  }, [settings.wsServerUrl, settings.transport, isOnline]);
 
-  // Handle WebSocket messages
-  const handleWebSocketMessage = (message) => {
+  // Handle parsed WebSocket messages
+  const handleWebSocketMessage = (data) => {
     try {
-      const data = JSON.parse(message);
+      // Responses for a thread that isn't open are stored without being shown or played
+      if (isForOtherConversation(data)) {
+        storeBackgroundResponse(data);
+        return;
+      }
 
-      if (data.type === 'aiResponse') {
+      // The server may still be finishing a response the user talked over
+      if (data.responseId && cancelledResponseIdsRef.current.has(data.responseId)) {
+        return;
+      }
+
+      if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE) {
         // Update last user message with transcription if available
-        if (data.transcription && data.messageId) {
-          setLastTranscription(data.transcription);
-          setMessages(prevMessages =>
-            prevMessages.map(msg =>
-              msg.id === data.messageId
-                ? { ...msg, text: data.transcription }
-                : msg
-            )
-          );
-        }
+        updateTranscription(data.messageId, data.transcription);
 
         // Add AI response to messages
-        const aiResponseId = addMessage(data.text, false);
-        setIsSpeaking(true);
-
-        // Play audio if available
-        if (data.audioBase64) {
-          // AudioService would handle this
-          // After playback finishes, set isSpeaking to false
-          setTimeout(() => {
-            setIsSpeaking(false);
-          }, 1000); // This would be replaced with actual audio completion callback
-        } else {
-          setIsSpeaking(false);
-        }
+        const responseMessageId = addMessage(data.text, false);
+        trackResponse(data, responseMessageId);
+        handleResponseAudio(data.audioBase64);
+
+        setIsProcessingAudio(false);
+      } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_START) {
+        updateTranscription(data.messageId, data.transcription);
+
+        // Create an empty bubble that deltas will be appended to
+        setMessages(prevMessages => {
+          if (prevMessages.some(msg => msg.id === data.responseId)) {
+            return prevMessages;
+          }
+
+          return [...prevMessages, createMessage(data.text || '', false, 'normal', data.responseId, true)];
+        });
+        trackResponse(data, data.responseId);
+      } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_DELTA) {
+        // Append partial text, creating the bubble if the start frame was missed
+        setMessages(prevMessages => {
+          if (!prevMessages.some(msg => msg.id === data.responseId)) {
+            return [...prevMessages, createMessage(data.delta || '', false, 'normal', data.responseId, true)];
+          }
+
+          return prevMessages.map(msg =>
+            msg.id === data.responseId
+              ? { ...msg, text: msg.text + (data.delta || '') }
+              : msg
+          );
+        });
+      } else if (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_END) {
+        // Finalize the bubble, preferring the server's full text if provided
+        setMessages(prevMessages =>
+          prevMessages.map(msg =>
+            msg.id === data.responseId
+              ? { ...msg, text: data.text != null ? data.text : msg.text, isStreaming: false }
+              : msg
+          )
+        );
+        trackResponse(data, data.responseId);
+        handleResponseAudio(data.audioBase64);
 
         setIsProcessingAudio(false);
-      } else if (data.type === 'pong') {
+      } else if (data.type === WS_MESSAGE_TYPES.PONG) {
         // Handle pong message - keep connection alive
-      } else if (data.type === 'error') {
+      } else if (data.type === WS_MESSAGE_TYPES.ERROR) {
         addMessage(`Error: ${data.message}`, false, 'system');
         setIsProcessingAudio(false);
       }
@@ -210,62 +403,221 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  // Check whether a response belongs to a thread other than the open one
+  const isForOtherConversation = (data) => {
+    const responseTypes = [
+      WS_MESSAGE_TYPES.AI_RESPONSE,
+      WS_MESSAGE_TYPES.AI_RESPONSE_START,
+      WS_MESSAGE_TYPES.AI_RESPONSE_DELTA,
+      WS_MESSAGE_TYPES.AI_RESPONSE_END,
+    ];
+
+    return responseTypes.includes(data.type) &&
+      !!data.conversationId &&
+      data.conversationId !== activeConversationIdRef.current;
+  };
+
+  // Append a finished response to its thread in storage
+  const storeBackgroundResponse = async (data) => {
+    // Partial frames are dropped; the end frame carries the full text
+    const isComplete = data.type === WS_MESSAGE_TYPES.AI_RESPONSE ||
+      (data.type === WS_MESSAGE_TYPES.AI_RESPONSE_END && data.text != null);
+    if (!isComplete) return;
+
+    setIsProcessingAudio(false);
+
+    // Queued behind the last save of that thread from when it was open
+    await enqueueHistoryWrite(async () => {
+      try {
+        const id = data.responseId || Date.now().toString();
+        const message = createMessage(data.text, false, 'normal', id);
+        const updatedIndex = await ConversationService.appendMessage(
+          conversationsRef.current,
+          data.conversationId,
+          message
+        );
+        conversationsRef.current = updatedIndex;
+        setConversations(updatedIndex);
+        SearchService.indexMessage(data.conversationId, message);
+      } catch (error) {
+        console.error('Error storing response for another conversation:', error);
+      }
+    });
+  };
+
+  // Replace the placeholder text of a user message with the server transcription
+  const updateTranscription = (messageId, transcription) => {
+    if (!transcription || !messageId) return;
+
+    setLastTranscription(transcription);
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg.id === messageId
+          ? { ...msg, text: transcription }
+          : msg
+      )
+    );
+  };
+
+  // Remember the response in flight, so the user can interrupt it
+  const trackResponse = (data, responseMessageId) => {
+    activeResponseRef.current = {
+      responseId: data.responseId || null,
+      messageId: data.messageId || null,
+      conversationId: data.conversationId || activeConversationIdRef.current,
+      responseMessageId,
+    };
+  };
+
+  // Play the audio attached to an AI response and track speaking state
+  const handleResponseAudio = (audioBase64) => {
+    const { readResponses, speakerVolume, responseSpeed } = settingsRef.current;
+
+    if (!audioBase64 || !readResponses) {
+      // Nothing left to interrupt once the text is complete
+      activeResponseRef.current = null;
+      return;
+    }
+
+    const playbackId = ++playbackIdRef.current;
+    setIsSpeaking(true);
+
+    AudioService.playAudio(audioBase64, {
+      volume: speakerVolume / 100,
+      speed: responseSpeed,
+    })
+      .catch(error => {
+        console.error('Error playing AI response:', error);
+      })
+      .finally(() => {
+        // A newer response may have taken over playback
+        if (playbackIdRef.current === playbackId) {
+          activeResponseRef.current = null;
+          setIsSpeaking(false);
+        }
+      });
+  };
+
+  // Stop or skip the AI response that is currently being read out
+  const stopSpeaking = () => {
+    playbackIdRef.current += 1;
+    activeResponseRef.current = null;
+    AudioService.stopPlayback();
+    setIsSpeaking(false);
+  };
+
+  // Stop the response in flight because the user started talking over it,
+  // and ask the server to abandon it
+  const interruptResponse = () => {
+    const response = activeResponseRef.current;
+    stopSpeaking();
+
+    if (!response) {
+      return;
+    }
+
+    if (response.responseId) {
+      cancelledResponseIdsRef.current.add(response.responseId);
+    }
+
+    updateMessage(response.responseMessageId, { isStreaming: false, interrupted: true });
+    WebSocketService.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.CANCEL,
+      responseId: response.responseId,
+      messageId: response.messageId,
+      conversationId: response.conversationId,
+      timestamp: Date.now(),
+    }));
+  };
+
+  // Build a message object for the conversation
+  const createMessage = (text, isUser, type = 'normal', id = Date.now().toString(), isStreaming = false) => ({
+    id,
+    text,
+    isUser,
+    type,
+    isStreaming,
+    timestamp: Date.now(),
+  });
+
   // Add a message to the conversation
   const addMessage = (text, isUser, type = 'normal', id = Date.now().toString()) => {
-    const newMessage = {
-      id,
-      text,
-      isUser,
-      type,
-      timestamp: Date.now(),
-    };
+    const newMessage = createMessage(text, isUser, type, id);
 
     setMessages(prevMessages => [...prevMessages, newMessage]);
     return newMessage.id;
   };
 
+  // Apply changes to a single message
+  const updateMessage = (id, changes) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg.id === id
+          ? { ...msg, ...changes }
+          : msg
+      )
+    );
+  };
+
+  // Build the protocol frame for an outbox item
+  const buildMessageFrame = (item, audioBase64) => {
+    const { userId, userName, aiVoice } = settingsRef.current;
+    const common = {
+      userId: userId || 'guest',
+      userName,
+      voice: aiVoice,
+      timestamp: item.timestamp,
+      messageId: item.messageId,
+      conversationId: item.conversationId,
+      language: item.language,
+    };
+
+    if (item.isText) {
+      return { type: WS_MESSAGE_TYPES.TEXT, text: item.text, ...common };
+    }
+
+    return {
+      type: WS_MESSAGE_TYPES.AUDIO,
+      audio: audioBase64,
+      transcription: item.transcription || '',
+      ...common,
+    };
+  };
+
+  // Queue a user message in the outbox and start delivering if connected
+  const queueMessage = async (item) => {
+    const queued = await OutboxService.enqueue(item);
+
+    if (queued && WebSocketService.isConnected()) {
+      OutboxService.drain(buildMessageFrame);
+    }
+
+    return queued;
+  };
+
+  // Recognition language of the open thread, falling back to the setting
+  const getRecognitionLanguage = () => {
+    const conversation = conversationsRef.current.find(entry => entry.id === activeConversationIdRef.current);
+    const language = (conversation && conversation.language) || settingsRef.current.recognitionLanguage;
+
+    return LanguageService.resolveLanguage(language);
+  };
+
   // Send audio to the WebSocket server
-  const sendAudioToServer = async (audioBase64, transcription = '') => {
+  const sendAudioToServer = async (audioBase64, transcription = '', language = null) => {
     try {
-      setIsProcessingAudio(true);
-      const messageId = Date.now().toString();
-
       // If we have a transcription, use it, otherwise show processing
       const displayText = transcription || 'Listening...';
       const userMessageId = addMessage(displayText, true);
 
-      if (wsConnected) {
-        WebSocketService.send(JSON.stringify({
-          type: 'audioMessage',
-          audio: audioBase64,
-          transcription: transcription,
-          userId: settings.userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }));
-      } else {
-        // Store for later sending when connection is restored
-        setPendingMessages(prev => [...prev, {
-          audioBase64,
-          transcription,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }]);
-
-        // Update user message with offline indicator
-        setMessages(prevMessages =>
-          prevMessages.map(msg =>
-            msg.id === userMessageId
-              ? { ...msg, text: transcription || 'Message saved for when connection is restored' }
-              : msg
-          )
-        );
-
-        addMessage('I\'m currently offline. I\'ll process your message when I reconnect.', false, 'system');
-        setIsProcessingAudio(false);
-      }
+      await queueMessage({
+        audioBase64,
+        transcription,
+        timestamp: Date.now(),
+        messageId: userMessageId,
+        conversationId: activeConversationIdRef.current,
+        language: language || await getRecognitionLanguage(),
+      });
 
       return userMessageId;
     } catch (error) {
@@ -279,33 +631,18 @@ export const AppProvider = ({ children }) => {
   // Send text to the WebSocket server (for typing)
   const sendTextToServer = async (text) => {
     try {
-      const messageId = Date.now().toString();
       const userMessageId = addMessage(text, true);
 
-      if (wsConnected) {
-        WebSocketService.send(JSON.stringify({
-          type: 'textMessage',
-          text: text,
-          userId: settings.userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }));
+      await queueMessage({
+        text,
+        isText: true,
+        timestamp: Date.now(),
+        messageId: userMessageId,
+        conversationId: activeConversationIdRef.current,
+        language: await getRecognitionLanguage(),
+      });
 
-        return userMessageId;
-      } else {
-        // Store for later sending
-        setPendingMessages(prev => [...prev, {
-          text,
-          isText: true,
-          timestamp: Date.now(),
-          messageId: userMessageId,
-        }]);
-
-        addMessage('I\'m currently offline. I\'ll process your message when I reconnect.', false, 'system');
-        return userMessageId;
-      }
+      return userMessageId;
     } catch (error) {
       console.error('Error sending text to server:', error);
       addMessage('Error: Could not send your message. Please try again.', false, 'system');
@@ -313,71 +650,302 @@ export const AppProvider = ({ children }) => {
     }
   };
 
-  // Process any pending messages
-  const processPendingMessages = async () => {
-    if (!wsConnected || pendingMessages.length === 0) return;
+  // Retry delivery of a message that failed
+  const retryMessage = async (messageId) => {
+    const requeued = await OutboxService.retry(messageId);
 
-    try {
-      addMessage('Processing your offline messages...', false, 'system');
-
-      // Only process the first pending message to avoid overloading
-      const [firstPending, ...remainingPending] = pendingMessages;
-      setPendingMessages(remainingPending);
-
-      // Send the message to the server
-      if (firstPending.isText) {
-        WebSocketService.send(JSON.stringify({
-          type: 'textMessage',
-          text: firstPending.text,
-          userId: settings.userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: firstPending.timestamp,
-          messageId: firstPending.messageId,
-        }));
-      } else {
-        WebSocketService.send(JSON.stringify({
-          type: 'audioMessage',
-          audio: firstPending.audioBase64,
-          transcription: firstPending.transcription || '',
-          userId: settings.userId || 'guest',
-          userName: settings.userName,
-          voice: settings.aiVoice,
-          timestamp: firstPending.timestamp,
-          messageId: firstPending.messageId,
-        }));
-      }
+    if (!requeued) {
+      addMessage('That message is no longer available to resend.', false, 'system');
+      return false;
+    }
 
-      setIsProcessingAudio(true);
-    } catch (error) {
-      console.error('Error processing pending messages:', error);
+    if (WebSocketService.isConnected()) {
+      OutboxService.drain(buildMessageFrame);
     }
+
+    return true;
   };
 
-  // Update connection status when WebSocket connection changes
+  // Begin a streaming audio upload for a new recording
+  const startAudioStream = (language) => {
+    if (!WebSocketService.isConnected()) {
+      return null;
+    }
+
+    const userMessageId = addMessage('Listening...', true);
+    const { sampleRate, channels, bitsPerSample } = AudioService.recordingConfig;
+    const { userId, userName, aiVoice } = settingsRef.current;
+
+    const sent = WebSocketService.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.AUDIO_STREAM_START,
+      format: 'pcm',
+      sampleRate,
+      channels,
+      bitsPerSample,
+      userId: userId || 'guest',
+      userName,
+      voice: aiVoice,
+      timestamp: Date.now(),
+      messageId: userMessageId,
+      conversationId: activeConversationIdRef.current,
+      language,
+    }));
+
+    audioStreamRef.current = {
+      messageId: userMessageId,
+      language,
+      chunkCount: 0,
+      failed: !sent,
+    };
+
+    return userMessageId;
+  };
+
+  // Forward one recorded PCM chunk of the current stream
+  const sendAudioChunk = (audioBase64, sequence) => {
+    const stream = audioStreamRef.current;
+    if (!stream || stream.failed) return;
+
+    const sent = WebSocketService.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.AUDIO_CHUNK,
+      messageId: stream.messageId,
+      sequence,
+      audio: audioBase64,
+    }));
+
+    if (sent) {
+      stream.chunkCount += 1;
+    } else {
+      stream.failed = true;
+    }
+  };
+
+  // Finish the current stream, falling back to a whole-file upload if any chunk was lost
+  const endAudioStream = async (audioBase64, transcription = '') => {
+    const stream = audioStreamRef.current;
+    audioStreamRef.current = null;
+
+    if (!stream) {
+      return audioBase64 ? sendAudioToServer(audioBase64, transcription) : null;
+    }
+
+    // Nothing reached the server and there is nothing to resend, so there is no message
+    if (!audioBase64 && (stream.failed || stream.chunkCount === 0)) {
+      setMessages(prevMessages => prevMessages.filter(msg => msg.id !== stream.messageId));
+      return null;
+    }
+
+    const sent = !stream.failed && WebSocketService.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.AUDIO_STREAM_END,
+      messageId: stream.messageId,
+      chunkCount: stream.chunkCount,
+      transcription,
+      timestamp: Date.now(),
+    }));
+
+    if (!sent) {
+      // The server discards incomplete streams, so resend the full recording
+      setMessages(prevMessages => prevMessages.filter(msg => msg.id !== stream.messageId));
+      return audioBase64 ? sendAudioToServer(audioBase64, transcription, stream.language) : null;
+    }
+
+    setIsProcessingAudio(true);
+    updateMessage(stream.messageId, transcription
+      ? { text: transcription, status: MESSAGE_STATUS.SENT }
+      : { status: MESSAGE_STATUS.SENT });
+
+    return stream.messageId;
+  };
+
+  // Deliver everything in the outbox
+  const processPendingMessages = () => OutboxService.drain(buildMessageFrame);
+
+  // Drain the outbox whenever the connection is established
   useEffect(() => {
-    if (wsConnected && pendingMessages.length > 0) {
+    if (wsConnected) {
       processPendingMessages();
     }
-  }, [wsConnected, pendingMessages]);
+  }, [wsConnected]);
 
   // Update settings
   const updateSettings = (newSettings) => {
     setSettings(prev => ({ ...prev, ...newSettings }));
   };
 
-  // Clear conversation
+  // Retry the server connection immediately
+  const reconnectWebSocket = () => {
+    WebSocketService.reconnect();
+  };
+
+  // Reconnect using a pairing code; the issued token is saved once connected
+  const pairWithCode = (pairingCode) => {
+    WebSocketService.pair(pairingCode.trim());
+  };
+
+  // Clear the messages of the open conversation
   const clearConversation = () => {
     setMessages([]);
   };
 
+  // Prepare stored messages for display
+  const prepareLoadedMessages = (savedMessages) =>
+    // A response still streaming when the app closed will never be finished
+    savedMessages.map(msg => ({ ...msg, isStreaming: false }));
+
+  // Open a conversation thread
+  const switchConversation = async (conversationId) => {
+    if (conversationId === activeConversationIdRef.current) return;
+
+    try {
+      const savedMessages = await ConversationService.loadMessages(conversationId);
+
+      activeConversationIdRef.current = conversationId;
+      setActiveConversationId(conversationId);
+      setMessages(prepareLoadedMessages(savedMessages));
+      await ConversationService.saveActiveId(conversationId);
+    } catch (error) {
+      console.error('Error switching conversation:', error);
+    }
+  };
+
+  // Start a new conversation thread and open it
+  const createConversation = async (title) => {
+    try {
+      const created = await ConversationService.createConversation(conversationsRef.current, title);
+
+      conversationsRef.current = created.index;
+      activeConversationIdRef.current = created.conversation.id;
+      setConversations(created.index);
+      setActiveConversationId(created.conversation.id);
+      setMessages([]);
+      await ConversationService.saveActiveId(created.conversation.id);
+
+      return created.conversation.id;
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      return null;
+    }
+  };
+
+  // Restore an imported transcript as a new thread and open it
+  const importConversation = async (transcript) => {
+    try {
+      const imported = await ConversationService.importConversation(conversationsRef.current, transcript);
+
+      conversationsRef.current = imported.index;
+      activeConversationIdRef.current = imported.conversation.id;
+      setConversations(imported.index);
+      setActiveConversationId(imported.conversation.id);
+      setMessages(prepareLoadedMessages(transcript.messages));
+      await ConversationService.saveActiveId(imported.conversation.id);
+
+      return imported.conversation.id;
+    } catch (error) {
+      console.error('Error importing conversation:', error);
+      return null;
+    }
+  };
+
+  // Rename a conversation thread
+  const renameConversation = async (conversationId, title) => {
+    try {
+      const updatedIndex = await ConversationService.renameConversation(
+        conversationsRef.current,
+        conversationId,
+        title
+      );
+      conversationsRef.current = updatedIndex;
+      setConversations(updatedIndex);
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  // Set the recognition language of a thread, or null to follow the setting
+  const setConversationLanguage = async (conversationId, language) => {
+    try {
+      const updatedIndex = await ConversationService.setConversationLanguage(
+        conversationsRef.current,
+        conversationId,
+        language
+      );
+      conversationsRef.current = updatedIndex;
+      setConversations(updatedIndex);
+    } catch (error) {
+      console.error('Error setting conversation language:', error);
+    }
+  };
+
+  // Delete a conversation thread, opening another if it was the open one
+  const deleteConversation = async (conversationId) => {
+    // A waiting save would write the deleted thread's messages back
+    const pending = pendingSaveRef.current;
+    if (pending && pending.conversationId === conversationId) {
+      clearTimeout(pending.timer);
+      pendingSaveRef.current = null;
+    }
+
+    try {
+      const updatedIndex = await ConversationService.deleteConversation(
+        conversationsRef.current,
+        conversationId
+      );
+
+      conversationsRef.current = updatedIndex;
+      setConversations(updatedIndex);
+      SearchService.removeConversation(conversationId);
+      DraftService.clearDraft(conversationId).catch(console.error);
+
+      if (conversationId === activeConversationIdRef.current) {
+        if (updatedIndex.length > 0) {
+          await switchConversation(updatedIndex[0].id);
+        } else {
+          await createConversation();
+        }
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  // Delete every conversation thread and start a fresh one
+  const deleteAllConversations = async () => {
+    // A waiting save would write a deleted thread back
+    const pending = pendingSaveRef.current;
+    if (pending) {
+      clearTimeout(pending.timer);
+      pendingSaveRef.current = null;
+    }
+
+    // Behind the saves already under way, so none lands after the delete
+    const deleted = await enqueueHistoryWrite(async () => {
+      try {
+        await ConversationService.deleteAllConversations();
+        conversationsRef.current = [];
+        setConversations([]);
+        SearchService.reset();
+        return true;
+      } catch (error) {
+        console.error('Error deleting conversations:', error);
+        return false;
+      }
+    });
+
+    if (deleted) {
+      await createConversation();
+    }
+  };
+
   return (
     <AppContext.Provider
       value={{
         isOnline,
         wsConnected,
+        wsStatus,
         settings,
         messages,
+        conversations,
+        activeConversationId,
         isProcessingAudio,
         isSpeaking,
         pendingMessages,
@@ -386,10 +954,26 @@ export const AppProvider = ({ children }) => {
         addMessage,
         sendAudioToServer,
         sendTextToServer,
+        getRecognitionLanguage,
+        startAudioStream,
+        sendAudioChunk,
+        endAudioStream,
         clearConversation,
+        switchConversation,
+        createConversation,
+        importConversation,
+        renameConversation,
+        setConversationLanguage,
+        deleteConversation,
+        deleteAllConversations,
         processPendingMessages,
+        retryMessage,
+        reconnectWebSocket,
+        pairWithCode,
         setIsProcessingAudio,
         setIsSpeaking,
+        stopSpeaking,
+        interruptResponse,
       }}
     >
       {children}
@@ -5,13 +5,24 @@
  * Handles device scanning, connection, communication, and error handling.
  */
 
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useRef, useContext } from 'react';
 import { Platform } from 'react-native';
 import BleManager from 'react-native-ble-manager';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import DeviceInfo from 'react-native-device-info';
 import { PermissionsService } from '../services/PermissionsService';
-import { STORAGE_KEYS, BT_CONNECTION_STATES, TIME, FEATURES } from '../utils/constants';
+import { HeadsetService } from '../services/HeadsetService';
+import { AppContext } from './AppContext';
+import {
+  STORAGE_KEYS,
+  BT_CONNECTION_STATES,
+  BT_RECONNECT_POLICY,
+  TIME,
+  FEATURES,
+  BLE_SCAN,
+  BATTERY_LEVELS,
+} from '../utils/constants';
+import { toDevice, mergeDevice, getBluetoothReconnectDelay } from '../utils/bluetooth';
 
 // Create the context
 export const BluetoothContext = createContext();
@@ -25,6 +36,9 @@ export const BluetoothContext = createContext();
  * @returns {React.ReactElement} Provider component
  */
 export const BluetoothProvider = ({ children }) => {
+  // App settings, for the auto-connect preference, and system messages
+  const { settings, addMessage } = useContext(AppContext);
+
   // State for Bluetooth connection status
   const [isBluetoothEnabled, setIsBluetoothEnabled] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
@@ -37,6 +51,38 @@ export const BluetoothProvider = ({ children }) => {
   const [connectedDevice, setConnectedDevice] = useState(null);
   const [previousDevices, setPreviousDevices] = useState([]);
 
+  // Devices seen during the current scan, keyed by ID. Scan events arrive far
+  // more often than the list needs to re-render, so they are collected here
+  // and copied into state at most every BLE_SCAN.UPDATE_INTERVAL.
+  const scanResultsRef = useRef(new Map());
+  const scanFlushTimerRef = useRef(null);
+
+  // Details reported by the connected headset, null until read
+  const [batteryLevel, setBatteryLevel] = useState(null);
+  const [deviceInfo, setDeviceInfo] = useState(null);
+
+  // Whether the low-battery warning has been posted for the current discharge
+  const lowBatteryWarnedRef = useRef(false);
+
+  // Pending automatic reconnection, null when none is scheduled
+  const [reconnectStatus, setReconnectStatus] = useState(null);
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+
+  // Whether the last device has been auto-connected since Bluetooth came on
+  const hasAutoConnectedRef = useRef(false);
+
+  // Device the user asked to disconnect, so its disconnect event isn't treated as a drop
+  const userDisconnectIdRef = useRef(null);
+
+  // Latest connected device for use inside BLE event callbacks
+  const connectedDeviceRef = useRef(connectedDevice);
+  connectedDeviceRef.current = connectedDevice;
+
+  // BLE events and reconnect timers are registered once, so they call the
+  // handlers from the latest render through this ref to see current state
+  const handlersRef = useRef({});
+
   // Initialize Bluetooth on component mount
   useEffect(() => {
     initializeBluetooth();
@@ -44,8 +90,24 @@ export const BluetoothProvider = ({ children }) => {
     // Load previously connected devices
     loadPreviousDevices();
 
+    // Listen for scan results, adapter state and dropped connections
+    const subscriptions = [
+      BleManager.onDiscoverPeripheral(handleDiscoverPeripheral),
+      BleManager.onStopScan(handleStopScan),
+      BleManager.onDidUpdateState(event => handlersRef.current.handleDidUpdateState(event)),
+      BleManager.onDisconnectPeripheral(event => handlersRef.current.handleDisconnectPeripheral(event)),
+    ];
+    const unsubscribeBattery = HeadsetService.onBatteryLevel(
+      level => handlersRef.current.handleBatteryLevel(level)
+    );
+
     // Clean up on unmount
     return () => {
+      subscriptions.forEach(subscription => subscription.remove());
+      unsubscribeBattery();
+      clearTimeout(scanFlushTimerRef.current);
+      clearTimeout(reconnectTimerRef.current);
+
       // Stop scanning if active
       if (isScanning) {
         stopScan();
@@ -59,6 +121,33 @@ export const BluetoothProvider = ({ children }) => {
     };
   }, []);
 
+  // Forget the headset's battery and device details once it's gone
+  useEffect(() => {
+    if (!connectedDevice) {
+      setBatteryLevel(null);
+      setDeviceInfo(null);
+      lowBatteryWarnedRef.current = false;
+    }
+  }, [connectedDevice]);
+
+  // Connect to the most recent headset once Bluetooth is ready, if enabled in settings
+  useEffect(() => {
+    if (!settings.autoConnect) {
+      cancelReconnect();
+      return;
+    }
+
+    const lastDevice = previousDevices[0];
+    if (!isInitialized || !isBluetoothEnabled || !lastDevice || hasAutoConnectedRef.current) {
+      return;
+    }
+
+    hasAutoConnectedRef.current = true;
+    if (!connectedDeviceRef.current) {
+      attemptReconnect(lastDevice.id);
+    }
+  }, [isInitialized, isBluetoothEnabled, previousDevices, settings.autoConnect]);
+
   /**
    * Initialize Bluetooth functionality
    */
@@ -80,9 +169,6 @@ export const BluetoothProvider = ({ children }) => {
       const enabled = await BleManager.checkState();
       setIsBluetoothEnabled(enabled === 'on');
 
-      // Set up event listeners for connection state changes
-      // This would typically use NativeEventEmitter for better implementation
-
       setIsInitialized(true);
 
       if (FEATURES.ENABLE_DEBUGGING) {
@@ -103,15 +189,8 @@ export const BluetoothProvider = ({ children }) => {
       const storedDevices = await AsyncStorage.getItem(STORAGE_KEYS.BLUETOOTH_DEVICES);
 
       if (storedDevices) {
-        const parsedDevices = JSON.parse(storedDevices);
-        setPreviousDevices(parsedDevices);
-
-        // If auto-connect is enabled, connect to the last device
-        const lastDevice = parsedDevices[0];
-        if (lastDevice && isBluetoothEnabled && isInitialized) {
-          connectToDevice(lastDevice.id)
-            .catch(error => console.warn('Auto-connect failed:', error));
-        }
+        // Auto-connect runs once these and the adapter are ready
+        setPreviousDevices(JSON.parse(storedDevices));
       }
     } catch (error) {
       console.error('BluetoothContext: Error loading previous devices', error);
@@ -141,9 +220,59 @@ export const BluetoothProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Record a peripheral reported by the scanner, merging repeat sightings
+   *
+   * @param {Object} peripheral - Peripheral from the scan event
+   */
+  const handleDiscoverPeripheral = (peripheral) => {
+    const sighting = toDevice(peripheral);
+    const existing = scanResultsRef.current.get(sighting.id);
+
+    scanResultsRef.current.set(sighting.id, mergeDevice(existing, sighting));
+    scheduleScanResultsFlush();
+  };
+
+  /**
+   * Copy collected scan results into state, at most once per update interval
+   */
+  const scheduleScanResultsFlush = () => {
+    if (scanFlushTimerRef.current) {
+      return;
+    }
+
+    scanFlushTimerRef.current = setTimeout(() => {
+      scanFlushTimerRef.current = null;
+      setDiscoveredDevices(Array.from(scanResultsRef.current.values()));
+    }, BLE_SCAN.UPDATE_INTERVAL);
+  };
+
+  /**
+   * Handle the end of a scan, whether it timed out or was stopped
+   */
+  const handleStopScan = () => {
+    clearTimeout(scanFlushTimerRef.current);
+    scanFlushTimerRef.current = null;
+    setDiscoveredDevices(Array.from(scanResultsRef.current.values()));
+
+    setIsScanning(false);
+    setConnectionState(currentState =>
+      currentState === BT_CONNECTION_STATES.SCANNING
+        ? (connectedDeviceRef.current ? BT_CONNECTION_STATES.CONNECTED : BT_CONNECTION_STATES.DISCONNECTED)
+        : currentState
+    );
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`BluetoothContext: Scan finished, ${scanResultsRef.current.size} devices found`);
+    }
+  };
+
   /**
    * Start scanning for Bluetooth devices
    *
+   * Results arrive through handleDiscoverPeripheral; the scan stops by itself
+   * after TIME.BLE_SCAN_TIMEOUT.
+   *
    * @returns {Promise<void>} Promise that resolves when scanning starts
    */
   const startScan = async () => {
@@ -158,6 +287,7 @@ export const BluetoothProvider = ({ children }) => {
 
     try {
       // Clear previous scan results
+      scanResultsRef.current = new Map();
       setDiscoveredDevices([]);
       setError(null);
 
@@ -165,37 +295,11 @@ export const BluetoothProvider = ({ children }) => {
       setIsScanning(true);
       setConnectionState(BT_CONNECTION_STATES.SCANNING);
 
-      await BleManager.scan([], TIME.BLE_SCAN_TIMEOUT, true);
-
-      // In a real implementation, we would register for scan results
-      // here using NativeEventEmitter, and process devices as they are found
-
-      // For this example, we'll simulate finding some devices
-      setTimeout(() => {
-        const exampleDevices = [
-          {
-            id: 'DE:AD:BE:EF:12:34',
-            name: 'AIR-Headset',
-            rssi: -65,
-          },
-          {
-            id: 'C0:FF:EE:00:00:01',
-            name: 'BT Earbuds',
-            rssi: -72,
-          }
-        ];
-
-        setDiscoveredDevices(exampleDevices);
-        stopScan();
-      }, 3000);
-
-      // Automatically stop scan after timeout
-      setTimeout(() => {
-        if (isScanning) {
-          stopScan();
-        }
-      }, TIME.BLE_SCAN_TIMEOUT);
-
+      // Duplicates are allowed so RSSI keeps updating while the list is open
+      await BleManager.scan({
+        seconds: TIME.BLE_SCAN_TIMEOUT / 1000,
+        allowDuplicates: true,
+      });
     } catch (error) {
       console.error('BluetoothContext: Scan error', error);
       setError('Failed to scan for devices');
@@ -213,15 +317,8 @@ export const BluetoothProvider = ({ children }) => {
     }
 
     try {
+      // The stop-scan event updates the scanning state
       await BleManager.stopScan();
-      setIsScanning(false);
-
-      if (connectedDevice) {
-        setConnectionState(BT_CONNECTION_STATES.CONNECTED);
-      } else {
-        setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
-      }
-
     } catch (error) {
       console.error('BluetoothContext: Stop scan error', error);
       setIsScanning(false);
@@ -229,17 +326,183 @@ export const BluetoothProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Handle the Bluetooth adapter being turned on or off
+   *
+   * @param {Object} event - State event
+   * @param {string} event.state - New adapter state
+   */
+  const handleDidUpdateState = ({ state }) => {
+    const enabled = state === 'on';
+    setIsBluetoothEnabled(enabled);
+
+    if (!enabled) {
+      // Nothing can reconnect while the adapter is off; try again when it's back
+      cancelReconnect();
+      hasAutoConnectedRef.current = false;
+      HeadsetService.stop();
+      connectedDeviceRef.current = null;
+      setConnectedDevice(null);
+      setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+    }
+  };
+
+  /**
+   * Handle a peripheral disconnecting, reconnecting if the headset dropped
+   * rather than being disconnected by the user
+   *
+   * @param {Object} event - Disconnect event
+   * @param {string} event.peripheral - ID of the peripheral
+   */
+  const handleDisconnectPeripheral = ({ peripheral }) => {
+    const wasUserDisconnect = userDisconnectIdRef.current === peripheral;
+    if (wasUserDisconnect) {
+      userDisconnectIdRef.current = null;
+    }
+
+    const device = connectedDeviceRef.current;
+    if (!device || device.id !== peripheral) {
+      return;
+    }
+
+    connectedDeviceRef.current = null;
+    setConnectedDevice(null);
+    setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+    HeadsetService.stop();
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`BluetoothContext: ${peripheral} disconnected`);
+    }
+
+    if (!wasUserDisconnect && settings.autoConnect) {
+      scheduleReconnect(peripheral);
+    }
+  };
+
+  /**
+   * Schedule the next attempt to reconnect to a device, giving up after
+   * BT_RECONNECT_POLICY.MAX_ATTEMPTS
+   *
+   * @param {string} deviceId - The ID of the device to reconnect to
+   */
+  const scheduleReconnect = (deviceId) => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+
+    if (reconnectAttemptRef.current >= BT_RECONNECT_POLICY.MAX_ATTEMPTS) {
+      console.warn('BluetoothContext: Giving up reconnecting after maximum attempts');
+      cancelReconnect();
+      setConnectionState(BT_CONNECTION_STATES.DISCONNECTED);
+      return;
+    }
+
+    reconnectAttemptRef.current += 1;
+    const delay = getBluetoothReconnectDelay(reconnectAttemptRef.current);
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`BluetoothContext: Reconnect attempt ${reconnectAttemptRef.current} in ${delay}ms`);
+    }
+
+    setReconnectStatus({
+      deviceId,
+      attempt: reconnectAttemptRef.current,
+      maxAttempts: BT_RECONNECT_POLICY.MAX_ATTEMPTS,
+      nextRetryAt: Date.now() + delay,
+    });
+    setConnectionState(BT_CONNECTION_STATES.RECONNECTING);
+
+    reconnectTimerRef.current = setTimeout(() => {
+      reconnectTimerRef.current = null;
+      handlersRef.current.attemptReconnect(deviceId);
+    }, delay);
+  };
+
+  /**
+   * Try to reconnect to a device, scheduling another attempt on failure
+   *
+   * @param {string} deviceId - The ID of the device to reconnect to
+   * @returns {Promise<void>} Promise that resolves when the attempt is over
+   */
+  const attemptReconnect = async (deviceId) => {
+    if (!settings.autoConnect || connectedDeviceRef.current) {
+      cancelReconnect();
+      return;
+    }
+
+    try {
+      await connectToDevice(deviceId, { isAutomatic: true });
+    } catch (error) {
+      scheduleReconnect(deviceId);
+    }
+  };
+
+  /**
+   * Stop any pending automatic reconnection
+   */
+  const cancelReconnect = () => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+    reconnectAttemptRef.current = 0;
+    setReconnectStatus(null);
+  };
+
+  /**
+   * Read the battery level and device information of the connected headset
+   *
+   * @returns {Promise<void>} Promise that resolves when both have been read
+   */
+  const loadHeadsetDetails = async () => {
+    const level = await HeadsetService.readBatteryLevel();
+    if (level != null) {
+      handleBatteryLevel(level);
+    }
+
+    setDeviceInfo(await HeadsetService.readDeviceInfo());
+  };
+
+  /**
+   * Record a battery reading, warning in the conversation when it runs low
+   *
+   * @param {number} level - Battery level in percent
+   */
+  const handleBatteryLevel = (level) => {
+    setBatteryLevel(level);
+
+    if (level <= BATTERY_LEVELS.LOW && !lowBatteryWarnedRef.current) {
+      lowBatteryWarnedRef.current = true;
+      addMessage(`Headset battery low (${level}%)`, false, 'system');
+    } else if (level > BATTERY_LEVELS.LOW + BATTERY_LEVELS.RECOVERY_MARGIN) {
+      // Charged again, so warn next time it runs down
+      lowBatteryWarnedRef.current = false;
+    }
+  };
+
+  handlersRef.current = {
+    handleDidUpdateState,
+    handleDisconnectPeripheral,
+    handleBatteryLevel,
+    attemptReconnect,
+  };
+
   /**
    * Connect to a Bluetooth device
    *
    * @param {string} deviceId - The ID of the device to connect to
+   * @param {Object} options - Connection options
+   * @param {boolean} options.isAutomatic - True for reconnection attempts, which
+   *   leave any pending reconnection schedule in place
    * @returns {Promise<Object>} Promise that resolves with the connected device
    */
-  const connectToDevice = async (deviceId) => {
+  const connectToDevice = async (deviceId, options = {}) => {
     if (!isBluetoothEnabled || !isInitialized) {
       throw new Error('Bluetooth is not available');
     }
 
+    // A device chosen by the user replaces any reconnection in progress
+    if (!options.isAutomatic) {
+      cancelReconnect();
+    }
+
     try {
       setConnectionState(BT_CONNECTION_STATES.CONNECTING);
       setError(null);
@@ -263,9 +526,18 @@ export const BluetoothProvider = ({ children }) => {
       // Discover services and characteristics
       await BleManager.retrieveServices(deviceId);
 
+      // Subscribe to headset button and battery notifications; other devices simply have none
+      await HeadsetService.start(deviceId);
+
       // Update state
+      connectedDeviceRef.current = device;
       setConnectedDevice(device);
       setConnectionState(BT_CONNECTION_STATES.CONNECTED);
+      cancelReconnect();
+
+      // Read battery and device details without holding up the connection
+      loadHeadsetDetails()
+        .catch(error => console.warn('BluetoothContext: Error reading headset details', error));
 
       // Save to history
       await saveDeviceToHistory(device);
@@ -290,7 +562,11 @@ export const BluetoothProvider = ({ children }) => {
       return;
     }
 
+    cancelReconnect();
+
     try {
+      userDisconnectIdRef.current = deviceId;
+      await HeadsetService.stop();
       await BleManager.disconnect(deviceId);
 
       setConnectedDevice(null);
@@ -379,6 +655,9 @@ export const BluetoothProvider = ({ children }) => {
     discoveredDevices,
     connectedDevice,
     previousDevices,
+    reconnectStatus,
+    batteryLevel,
+    deviceInfo,
     startScan,
     stopScan,
     connectToDevice,
@@ -0,0 +1,485 @@
+/**
+ * Conversations Screen
+ *
+ * Lists saved conversation threads and lets the user open, rename,
+ * delete, start and import conversations, and choose a thread's language.
+ */
+
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Contexts
+import { AppContext } from '../context/AppContext';
+
+// Services
+import { TranscriptService } from '../services/TranscriptService';
+
+// Styles
+import { colors } from '../styles/colors';
+import { layout } from '../styles/layout';
+import { typography } from '../styles/typography';
+
+// Utilities
+import { RECOGNITION_LANGUAGES, AUTO_LANGUAGE } from '../utils/constants';
+import { getLanguageLabel } from '../utils/language';
+
+/**
+ * Language choices for a thread, where null follows the setting
+ */
+const LANGUAGE_OPTIONS = [
+  { code: null, label: 'Same as Settings' },
+  { code: AUTO_LANGUAGE, label: getLanguageLabel(AUTO_LANGUAGE) },
+  ...RECOGNITION_LANGUAGES,
+];
+
+/**
+ * Format a thread's last update time for the list
+ *
+ * @param {number} timestamp - Time of the last message
+ * @returns {string} Time for today, otherwise the date
+ */
+const formatUpdatedAt = (timestamp) => {
+  const date = new Date(timestamp);
+
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  return date.toLocaleDateString();
+};
+
+/**
+ * Conversations Screen Component
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.navigation - Navigation object
+ * @returns {React.ReactElement} Rendered component
+ */
+const ConversationsScreen = ({ navigation }) => {
+  // App context
+  const {
+    conversations,
+    activeConversationId,
+    switchConversation,
+    createConversation,
+    importConversation,
+    renameConversation,
+    setConversationLanguage,
+    deleteConversation,
+  } = useContext(AppContext);
+
+  // Thread being renamed and its draft title
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  // Exported transcripts available to import, null while the picker is hidden
+  const [importFiles, setImportFiles] = useState(null);
+
+  // Thread whose language is being chosen, null while the picker is hidden
+  const [languageConversation, setLanguageConversation] = useState(null);
+
+  /**
+   * Open a thread and return to the home screen
+   *
+   * @param {string} conversationId - ID of the thread
+   */
+  const handleOpen = async (conversationId) => {
+    await switchConversation(conversationId);
+    navigation.goBack();
+  };
+
+  /**
+   * Start a new thread and return to the home screen
+   */
+  const handleCreate = async () => {
+    await createConversation();
+    navigation.goBack();
+  };
+
+  /**
+   * Show the JSON exports that can be imported, or hide the list
+   */
+  const toggleImportFiles = async () => {
+    if (importFiles) {
+      setImportFiles(null);
+      return;
+    }
+
+    const files = await TranscriptService.listImportableFiles();
+    if (files.length === 0) {
+      Alert.alert(
+        'Nothing to Import',
+        'No JSON exports were found in the app\'s documents folder. Export a conversation as JSON or copy an export there first.'
+      );
+      return;
+    }
+
+    setImportFiles(files);
+  };
+
+  /**
+   * Import a JSON export as a new thread and return to the home screen
+   *
+   * @param {Object} file - File to import
+   */
+  const handleImport = async (file) => {
+    try {
+      const transcript = await TranscriptService.readTranscriptFile(file.path);
+      const conversationId = await importConversation(transcript);
+
+      if (!conversationId) {
+        throw new Error('The conversation could not be saved');
+      }
+
+      setImportFiles(null);
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
+  /**
+   * Begin renaming a thread
+   *
+   * @param {Object} conversation - Thread metadata
+   */
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.hasCustomTitle ? conversation.title : '');
+  };
+
+  /**
+   * Save the draft title of the thread being renamed
+   */
+  const commitRename = () => {
+    if (editingId) {
+      renameConversation(editingId, draftTitle);
+    }
+    setEditingId(null);
+    setDraftTitle('');
+  };
+
+  /**
+   * Show the language picker for a thread, or hide it if already shown
+   *
+   * @param {Object} conversation - Thread metadata
+   */
+  const toggleLanguagePicker = (conversation) => {
+    setLanguageConversation(current =>
+      current && current.id === conversation.id ? null : conversation
+    );
+  };
+
+  /**
+   * Set the language of the thread in the picker
+   *
+   * @param {string|null} language - Language code, or null to follow the setting
+   */
+  const handleLanguageSelect = async (language) => {
+    await setConversationLanguage(languageConversation.id, language);
+    setLanguageConversation(null);
+  };
+
+  /**
+   * Prompt user to confirm deleting a thread
+   *
+   * @param {Object} conversation - Thread metadata
+   */
+  const confirmDelete = (conversation) => {
+    Alert.alert(
+      'Delete Conversation',
+      `Are you sure you want to delete "${conversation.title}"?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          onPress: () => deleteConversation(conversation.id),
+          style: 'destructive',
+        },
+      ]
+    );
+  };
+
+  /**
+   * Render a conversation row
+   *
+   * @param {Object} item - Thread metadata
+   * @returns {React.ReactElement} Rendered row
+   */
+  const renderConversation = ({ item }) => {
+    const isActive = item.id === activeConversationId;
+    const isEditing = item.id === editingId;
+
+    return (
+      <TouchableOpacity
+        style={[styles.item, isActive && styles.itemActive]}
+        onPress={() => handleOpen(item.id)}
+        disabled={isEditing}
+      >
+        <View style={styles.itemInfo}>
+          {isEditing ? (
+            <TextInput
+              style={styles.titleInput}
+              value={draftTitle}
+              onChangeText={setDraftTitle}
+              onSubmitEditing={commitRename}
+              onBlur={commitRename}
+              placeholder={item.title}
+              autoFocus
+              returnKeyType="done"
+            />
+          ) : (
+            <Text style={styles.itemTitle} numberOfLines={1}>{item.title}</Text>
+          )}
+          <Text style={styles.itemPreview} numberOfLines={1}>
+            {item.preview || 'No messages yet'}
+          </Text>
+          <Text style={styles.itemMeta}>
+            {formatUpdatedAt(item.updatedAt)} · {item.messageCount} messages
+            {item.language ? ` · ${getLanguageLabel(item.language)}` : ''}
+          </Text>
+        </View>
+
+        <TouchableOpacity style={styles.itemAction} onPress={() => toggleLanguagePicker(item)}>
+          <Icon name="translate" size={20} color={colors.textSecondary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.itemAction} onPress={() => startRename(item)}>
+          <Icon name="edit" size={20} color={colors.textSecondary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.itemAction} onPress={() => confirmDelete(item)}>
+          <Icon name="delete" size={20} color={colors.error} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* New and import buttons */}
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.newButton} onPress={handleCreate}>
+          <Icon name="add" size={20} color={colors.white} />
+          <Text style={styles.newButtonText}>New Conversation</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.importButton} onPress={toggleImportFiles}>
+          <Icon name={importFiles ? 'close' : 'file-download'} size={20} color={colors.primary} />
+          <Text style={styles.importButtonText}>Import</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Exported transcripts that can be imported */}
+      {importFiles && (
+        <View style={styles.importList}>
+          {importFiles.map(file => (
+            <TouchableOpacity
+              key={file.path}
+              style={styles.importItem}
+              onPress={() => handleImport(file)}
+            >
+              <Icon name="description" size={18} color={colors.textSecondary} />
+              <Text style={styles.importItemText} numberOfLines={1}>{file.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {/* Languages for the chosen thread */}
+      {languageConversation && (
+        <View style={styles.importList}>
+          <Text style={styles.pickerTitle} numberOfLines={1}>
+            Language for "{languageConversation.title}"
+          </Text>
+          {LANGUAGE_OPTIONS.map(option => {
+            const isSelected = (languageConversation.language || null) === option.code;
+
+            return (
+              <TouchableOpacity
+                key={option.code || 'settings'}
+                style={styles.importItem}
+                onPress={() => handleLanguageSelect(option.code)}
+              >
+                <Icon
+                  name={isSelected ? 'radio-button-checked' : 'radio-button-unchecked'}
+                  size={18}
+                  color={isSelected ? colors.primary : colors.textSecondary}
+                />
+                <Text style={styles.importItemText} numberOfLines={1}>{option.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      <FlatList
+        data={conversations}
+        renderItem={renderConversation}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Icon name="forum" size={48} color={colors.border} />
+            <Text style={styles.emptyText}>No saved conversations.</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  actions: {
+    flexDirection: 'row',
+    margin: layout.spacing.medium,
+  },
+
+  newButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.primary,
+    paddingVertical: layout.spacing.medium,
+    borderRadius: layout.borderRadius.medium,
+    ...layout.shadows.small,
+  },
+
+  newButtonText: {
+    ...typography.labelMedium,
+    color: colors.white,
+    marginLeft: layout.spacing.small,
+  },
+
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: layout.spacing.small,
+    paddingHorizontal: layout.spacing.medium,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: layout.borderRadius.medium,
+  },
+
+  importButtonText: {
+    ...typography.labelMedium,
+    color: colors.primary,
+    marginLeft: layout.spacing.small,
+  },
+
+  importList: {
+    marginHorizontal: layout.spacing.medium,
+    marginBottom: layout.spacing.medium,
+    backgroundColor: colors.backgroundLight,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  importItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: layout.spacing.medium,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  importItemText: {
+    ...typography.bodyMedium,
+    flex: 1,
+    marginLeft: layout.spacing.small,
+  },
+
+  pickerTitle: {
+    ...typography.labelMedium,
+    padding: layout.spacing.medium,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  list: {
+    paddingHorizontal: layout.spacing.medium,
+    paddingBottom: layout.spacing.large,
+  },
+
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: layout.spacing.medium,
+    marginBottom: layout.spacing.small,
+    backgroundColor: colors.backgroundLight,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  itemActive: {
+    borderColor: colors.primary,
+    borderWidth: 2,
+  },
+
+  itemInfo: {
+    flex: 1,
+  },
+
+  itemTitle: {
+    ...typography.labelMedium,
+  },
+
+  titleInput: {
+    ...typography.labelMedium,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.primary,
+    paddingVertical: 0,
+    color: colors.textPrimary,
+  },
+
+  itemPreview: {
+    ...typography.bodySmall,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.tiny,
+  },
+
+  itemMeta: {
+    ...typography.caption,
+    color: colors.textTertiary,
+    marginTop: layout.spacing.tiny,
+  },
+
+  itemAction: {
+    padding: layout.spacing.small,
+    marginLeft: layout.spacing.tiny,
+  },
+
+  emptyContainer: {
+    alignItems: 'center',
+    padding: layout.spacing.xlarge,
+  },
+
+  emptyText: {
+    ...typography.bodyMedium,
+    color: colors.textTertiary,
+    marginTop: layout.spacing.medium,
+  },
+});
+
+export default ConversationsScreen;
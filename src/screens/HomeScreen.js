@@ -15,8 +15,11 @@ import {
   SafeAreaView,
   ActivityIndicator,
   Alert,
+  KeyboardAvoidingView,
+  Platform,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useIsFocused } from '@react-navigation/native';
 
 // Contexts
 import { AppContext } from '../context/AppContext';
@@ -24,35 +27,57 @@ import { BluetoothContext } from '../context/BluetoothContext';
 
 // Services
 import { AudioService } from '../services/AudioService';
+import { TranscriptService } from '../services/TranscriptService';
+import { HeadsetService } from '../services/HeadsetService';
+import { AudioRouteService } from '../services/AudioRouteService';
+import { WakeWordService } from '../services/WakeWordService';
+import { DraftService } from '../services/DraftService';
 
 // Components
 import Conversation from '../components/Conversation';
 import StatusPanel from '../components/StatusPanel';
 import Header from '../components/Header';
+import Composer from '../components/Composer';
 
 // Styles and utilities
 import { colors } from '../styles/colors';
 import { layout } from '../styles/layout';
 import { typography } from '../styles/typography';
+import { EXPORT_FORMATS, TIME, LISTEN_MODES, INPUT_MODES, WAKE_WORD } from '../utils/constants';
+import { HEADSET_BUTTON_EVENTS } from '../utils/headsetProtocol';
+import { describeAlternatives } from '../utils/transcription';
 
 /**
  * Home Screen Component
  *
  * @param {Object} props - Component properties
  * @param {Object} props.navigation - Navigation object
+ * @param {Object} props.route - Route, with highlightMessageId when opened from search
  * @returns {React.ReactElement} Rendered component
  */
-const HomeScreen = ({ navigation }) => {
+const HomeScreen = ({ navigation, route }) => {
   // App context
   const {
     wsConnected,
+    wsStatus,
     settings,
     messages,
+    conversations,
+    activeConversationId,
     isProcessingAudio,
     isSpeaking,
-    sendAudioToServer,
+    updateSettings,
+    sendTextToServer,
+    getRecognitionLanguage,
+    startAudioStream,
+    sendAudioChunk,
+    endAudioStream,
     clearConversation,
     setIsProcessingAudio,
+    stopSpeaking,
+    interruptResponse,
+    reconnectWebSocket,
+    retryMessage,
   } = useContext(AppContext);
 
   // Bluetooth context
@@ -60,6 +85,7 @@ const HomeScreen = ({ navigation }) => {
     isBluetoothEnabled,
     connectedDevice,
     connectionState,
+    batteryLevel,
     startScan,
     error: bluetoothError,
   } = useContext(BluetoothContext);
@@ -67,12 +93,45 @@ const HomeScreen = ({ navigation }) => {
   // Local state
   const [isRecording, setIsRecording] = useState(false);
   const [transcription, setTranscription] = useState('');
+  const [interimTranscription, setInterimTranscription] = useState('');
+  const [transcriptionAlternatives, setTranscriptionAlternatives] = useState([]);
+
+  // Bubble of the recording being streamed, which shows the interim text
+  const [streamMessageId, setStreamMessageId] = useState(null);
   const [showBluetoothDevices, setShowBluetoothDevices] = useState(false);
   const [isListening, setIsListening] = useState(false);
+  const [isAwaitingWakeWord, setIsAwaitingWakeWord] = useState(false);
+
+  // Wake word listening pauses while another screen is open, so Settings can enroll
+  const isFocused = useIsFocused();
+  const listenMode = settings.listenMode;
+
+  // Hands-free listening and barge-in only apply while the voice controls are shown
+  const isTextInput = settings.inputMode === INPUT_MODES.TEXT;
+
+  // Unsent text in the composer, saved per conversation shortly after each change
+  const [draft, setDraft] = useState('');
+  const pendingDraftSaveRef = useRef(null);
+
+  // Microphone used for the current or last recording
+  const [audioInput, setAudioInput] = useState(AudioRouteService.activeInput);
+
+  // Message to scroll to and highlight after opening a search result
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const highlightedMessageIdRef = useRef(null);
+  highlightedMessageIdRef.current = highlightedMessageId;
 
   // Refs
   const conversationRef = useRef(null);
 
+  // Headset button handler from the latest render, so the subscription sees current state
+  const headsetButtonHandlerRef = useRef(null);
+
+  // Recording starter from the latest render, for wake word and barge-in callbacks
+  const startRecordingRef = useRef(null);
+
+  const routeHighlightId = route && route.params ? route.params.highlightMessageId : null;
+
   /**
    * Effect to scroll to bottom when new messages arrive
    */
@@ -80,54 +139,286 @@ const HomeScreen = ({ navigation }) => {
     if (conversationRef.current && messages.length > 0) {
       // Use small timeout to ensure layout is complete
       setTimeout(() => {
-        conversationRef.current.scrollToEnd({ animated: true });
+        // Leave the view on a message opened from search
+        if (conversationRef.current && !highlightedMessageIdRef.current) {
+          conversationRef.current.scrollToEnd({ animated: true });
+        }
       }, 100);
     }
   }, [messages]);
 
+  /**
+   * Effect to act on AIR headset button gestures
+   */
+  useEffect(() => HeadsetService.onButtonEvent(
+    gesture => headsetButtonHandlerRef.current(gesture)
+  ), []);
+
+  /**
+   * Effect to follow the active microphone, which can change mid-recording
+   * if the headset goes away
+   */
+  useEffect(() => AudioRouteService.onInputChange(setAudioInput), []);
+
+  /**
+   * Effect to pick up a message to jump to from the search screen
+   */
+  useEffect(() => {
+    if (routeHighlightId) {
+      highlightedMessageIdRef.current = routeHighlightId;
+      setHighlightedMessageId(routeHighlightId);
+      navigation.setParams({ highlightMessageId: undefined });
+    }
+  }, [routeHighlightId]);
+
+  /**
+   * Effect to clear the highlight after a few seconds
+   */
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    const timer = setTimeout(() => setHighlightedMessageId(null), TIME.MESSAGE_HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  /**
+   * Effect to load the draft of the open conversation, saving the previous
+   * one first if it hasn't been yet
+   */
+  useEffect(() => {
+    flushDraftSave();
+    if (!activeConversationId) return;
+
+    let cancelled = false;
+
+    DraftService.getDraft(activeConversationId)
+      .then(text => {
+        if (!cancelled) setDraft(text);
+      })
+      .catch(console.error);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeConversationId]);
+
+  /**
+   * Effect to save a pending draft when leaving the screen
+   */
+  useEffect(() => flushDraftSave, []);
+
   /**
    * Effect to handle auto-listening after AI response
    */
   useEffect(() => {
-    if (settings.autoListen && !isProcessingAudio && !isSpeaking && !isRecording && isListening) {
+    if (listenMode === LISTEN_MODES.AUTO_LISTEN && !isTextInput &&
+        !isProcessingAudio && !isSpeaking && !isRecording && isListening) {
       // Start listening again after a short delay
       const timer = setTimeout(() => {
         handleStartRecording();
-      }, 1000);
+      }, TIME.AUTO_LISTEN_DELAY);
 
       return () => clearTimeout(timer);
     }
-  }, [isProcessingAudio, isSpeaking, isListening, settings.autoListen]);
+  }, [isProcessingAudio, isSpeaking, isListening, listenMode, isTextInput]);
+
+  /**
+   * Effect to wait for the wake word whenever the assistant is idle
+   */
+  useEffect(() => {
+    if (listenMode !== LISTEN_MODES.WAKE_WORD || !isListening || !isFocused || isTextInput ||
+        isRecording || isProcessingAudio || isSpeaking) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        const started = await startWakeWordListening();
+        if (cancelled && started) {
+          await AudioService.stopWakeWordListening();
+        }
+      } catch (error) {
+        console.error('Error listening for wake word:', error);
+        setIsListening(false);
+      }
+    }, TIME.AUTO_LISTEN_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setIsAwaitingWakeWord(false);
+
+      // A no-op once the wake word has handed over to a recording
+      AudioService.stopWakeWordListening().catch(console.error);
+    };
+  }, [isProcessingAudio, isSpeaking, isRecording, isListening, isFocused, listenMode, isTextInput]);
+
+  /**
+   * Effect to listen for the user talking over the AI while it speaks
+   */
+  useEffect(() => {
+    if (!settings.bargeIn || !isSpeaking || !isFocused || isRecording || isTextInput) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const startBargeInListening = async () => {
+      try {
+        await AudioService.prepareInput(connectedDevice ? connectedDevice.id : null);
+        await AudioService.startBargeInListening({
+          micSensitivity: settings.micSensitivity,
+          onSpeech: handleBargeIn,
+        });
+
+        if (cancelled) {
+          await AudioService.stopBargeInListening();
+        }
+      } catch (error) {
+        console.error('Error listening for barge-in:', error);
+      }
+    };
+
+    startBargeInListening();
+
+    return () => {
+      cancelled = true;
+
+      // A no-op once barge-in has handed over to a recording
+      AudioService.stopBargeInListening().catch(console.error);
+    };
+  }, [isSpeaking, isRecording, isFocused, settings.bargeIn, isTextInput]);
 
   /**
-   * Effect to start listening when auto-listen is enabled
+   * Effect to start listening when hands-free listening is enabled
    */
   useEffect(() => {
-    if (settings.autoListen && !isListening && wsConnected && isBluetoothEnabled && connectedDevice) {
+    if (listenMode !== LISTEN_MODES.PUSH_TO_TALK && !isListening && wsConnected && isBluetoothEnabled && connectedDevice) {
       setIsListening(true);
     }
-  }, [wsConnected, isBluetoothEnabled, connectedDevice, settings.autoListen]);
+  }, [wsConnected, isBluetoothEnabled, connectedDevice, listenMode]);
+
+  /**
+   * Effect to stop listening when switching to push-to-talk
+   */
+  useEffect(() => {
+    if (listenMode === LISTEN_MODES.PUSH_TO_TALK) {
+      setIsListening(false);
+    }
+  }, [listenMode]);
+
+  /**
+   * Start waiting for the wake word, recording once it is heard
+   *
+   * @returns {Promise<boolean>} True if listening started
+   */
+  const startWakeWordListening = async () => {
+    const templates = await WakeWordService.loadTemplates();
+
+    if (templates.length < WAKE_WORD.ENROLLMENT_SAMPLES) {
+      setIsListening(false);
+      Alert.alert(
+        'Wake Word Not Set Up',
+        `Record yourself saying "${WAKE_WORD.PHRASE}" in Settings before using wake word mode.`,
+        [
+          {
+            text: 'Cancel',
+            style: 'cancel',
+          },
+          {
+            text: 'Open Settings',
+            onPress: () => navigation.navigate('Settings'),
+          },
+        ]
+      );
+      return false;
+    }
+
+    await AudioService.prepareInput(connectedDevice ? connectedDevice.id : null);
+    await AudioService.startWakeWordListening({
+      templates,
+      sensitivity: settings.wakeWordSensitivity,
+      micSensitivity: settings.micSensitivity,
+      onWakeWord: () => {
+        setIsAwaitingWakeWord(false);
+        startRecordingRef.current();
+      },
+    });
+
+    setIsAwaitingWakeWord(true);
+    return true;
+  };
+
+  /**
+   * Stop the AI mid-response because the user started talking, and record
+   * what they are saying
+   */
+  const handleBargeIn = () => {
+    interruptResponse();
+    startRecordingRef.current();
+  };
 
   /**
    * Start recording audio
    */
   const handleStartRecording = async () => {
+    // Don't start if already recording or processing
+    if (isRecording || isProcessingAudio || isSpeaking) return;
+
+    await startRecording();
+  };
+
+  /**
+   * Start recording audio without checking whether the assistant is busy,
+   * for when the wake word or barge-in hands over the microphone
+   */
+  const startRecording = async () => {
     try {
-      // Don't start if already recording or processing
-      if (isRecording || isProcessingAudio || isSpeaking) return;
+      // Take the microphone from wake word or barge-in listening before the
+      // effect cleanup can release the headset route out from under the recording
+      const listeningStopped = Promise.all([
+        AudioService.stopWakeWordListening({ releaseInput: false }),
+        AudioService.stopBargeInListening({ releaseInput: false }),
+      ]);
 
       setIsRecording(true);
       setTranscription('');
+      setInterimTranscription('');
+      setTranscriptionAlternatives([]);
+      await listeningStopped;
+
+      // Record from the headset's microphone when one is connected; this sets
+      // the audio format, so it must happen before the stream starts
+      await AudioService.prepareInput(connectedDevice ? connectedDevice.id : null);
+
+      // Recognize in the thread's language, or leave detection to the server
+      const language = await getRecognitionLanguage();
+
+      // Stream audio to the server while recording if possible
+      const streamId = settings.streamAudio && wsConnected ? startAudioStream(language) : null;
+      setStreamMessageId(streamId);
 
       // Configure recording options
       const options = {
         detectSilence: true,
         silenceThreshold: settings.silenceThreshold,
+        micSensitivity: settings.micSensitivity,
         useVoiceRecognition: true,
+        language,
         onSilenceDetected: handleStopRecording,
-        speechResultsCallback: (text) => {
+        speechResultsCallback: (text, alternatives) => {
           setTranscription(text);
+          setInterimTranscription('');
+          setTranscriptionAlternatives(alternatives);
+        },
+        // Show what has been understood so far, in the streamed bubble too
+        speechPartialResultsCallback: (text, alternatives) => {
+          setInterimTranscription(text);
+          setTranscriptionAlternatives(alternatives);
         },
+        onAudioChunk: streamId ? sendAudioChunk : undefined,
       };
 
       // Start recording
@@ -135,30 +426,140 @@ const HomeScreen = ({ navigation }) => {
     } catch (error) {
       console.error('Error starting recording:', error);
       setIsRecording(false);
+      setStreamMessageId(null);
+      endAudioStream(null).catch(console.error);
       Alert.alert('Error', 'Failed to start recording. Please check your permissions.');
     }
   };
 
+  startRecordingRef.current = startRecording;
+
   /**
    * Stop recording and process audio
    */
   const handleStopRecording = async () => {
     try {
-      if (!isRecording) return;
+      // Check the service rather than state, since silence detection calls
+      // this from the closure captured when recording started
+      if (!AudioService.isRecording) return;
 
       setIsRecording(false);
 
       // Stop recording and get audio data
       const result = await AudioService.stopRecording();
 
-      if (result && result.audioBase64) {
-        // Process audio
-        await sendAudioToServer(result.audioBase64, result.transcription || transcription);
-      }
+      // Process audio, finishing the stream if one was started even when
+      // there is no recording, so what was streamed isn't left hanging
+      await endAudioStream(
+        result ? result.audioBase64 : null,
+        result ? result.transcription || transcription : transcription
+      );
     } catch (error) {
       console.error('Error stopping recording:', error);
       setIsProcessingAudio(false);
+      await endAudioStream(null, transcription).catch(console.error);
+    } finally {
+      // The bubble shows the sent transcription from here on
+      setStreamMessageId(null);
+    }
+  };
+
+  /**
+   * Get the press handler for the main button based on the current state
+   *
+   * @returns {Function} Press handler
+   */
+  const getRecordButtonHandler = () => {
+    if (isSpeaking) return stopSpeaking;
+    return isRecording ? handleStopRecording : handleStartRecording;
+  };
+
+  /**
+   * Get the icon for the main button based on the current state
+   *
+   * @returns {string} Icon name
+   */
+  const getRecordButtonIcon = () => {
+    if (isSpeaking) return 'volume-off';
+    return isRecording ? 'stop' : 'mic';
+  };
+
+  /**
+   * Save the draft once typing pauses
+   *
+   * @param {string} text - Draft text
+   */
+  const handleDraftChange = (text) => {
+    setDraft(text);
+
+    // Save under the conversation it was typed in, even if another opens meanwhile
+    const conversationId = activeConversationId;
+    cancelDraftSave();
+    pendingDraftSaveRef.current = {
+      timer: setTimeout(flushDraftSave, TIME.DRAFT_SAVE_DELAY),
+      save: () => DraftService.saveDraft(conversationId, text),
+    };
+  };
+
+  /**
+   * Drop a scheduled draft save
+   */
+  const cancelDraftSave = () => {
+    if (pendingDraftSaveRef.current) {
+      clearTimeout(pendingDraftSaveRef.current.timer);
+      pendingDraftSaveRef.current = null;
+    }
+  };
+
+  /**
+   * Save a scheduled draft now
+   */
+  const flushDraftSave = () => {
+    const pending = pendingDraftSaveRef.current;
+    cancelDraftSave();
+
+    if (pending) {
+      pending.save().catch(console.error);
+    }
+  };
+
+  /**
+   * Send the draft as a text message, talking over the AI if it is speaking
+   */
+  const handleSendText = async () => {
+    const text = draft.trim();
+    if (!text || isRecording) return;
+
+    const conversationId = activeConversationId;
+    cancelDraftSave();
+    setDraft('');
+
+    if (isSpeaking) {
+      interruptResponse();
+    }
+
+    try {
+      const messageId = await DraftService.sendDraft(conversationId, text, sendTextToServer);
+
+      if (!messageId) {
+        // Keep what was typed so it can be sent again
+        setDraft(text);
+        await DraftService.saveDraft(conversationId, text);
+      }
+    } catch (error) {
+      console.error('Error sending draft:', error);
+    }
+  };
+
+  /**
+   * Switch the footer between the voice controls and the text composer
+   */
+  const toggleInputMode = () => {
+    if (!isTextInput && isRecording) {
+      handleStopRecording();
     }
+
+    updateSettings({ inputMode: isTextInput ? INPUT_MODES.VOICE : INPUT_MODES.TEXT });
   };
 
   /**
@@ -172,19 +573,116 @@ const HomeScreen = ({ navigation }) => {
   };
 
   /**
-   * Toggle auto-listening mode
+   * Toggle hands-free listening
+   *
+   * In auto-listen mode recording starts right away; in wake word mode the
+   * wake word effect starts waiting for the wake word instead.
    */
   const toggleListening = () => {
+    if (listenMode === LISTEN_MODES.PUSH_TO_TALK) {
+      return;
+    }
+
     if (isListening) {
       setIsListening(false);
     } else {
       setIsListening(true);
-      if (!isRecording && !isProcessingAudio && !isSpeaking) {
+      if (listenMode === LISTEN_MODES.AUTO_LISTEN && !isRecording && !isProcessingAudio && !isSpeaking) {
         handleStartRecording();
       }
     }
   };
 
+  /**
+   * Handle an AIR headset button gesture
+   *
+   * Press acts like the main button, double press toggles listening and
+   * long press stops everything: playback, recording and listening.
+   *
+   * @param {string} gesture - One of HEADSET_BUTTON_EVENTS
+   */
+  const handleHeadsetButton = (gesture) => {
+    switch (gesture) {
+      case HEADSET_BUTTON_EVENTS.PRESS:
+        getRecordButtonHandler()();
+        break;
+      case HEADSET_BUTTON_EVENTS.DOUBLE_PRESS:
+        toggleListening();
+        break;
+      case HEADSET_BUTTON_EVENTS.LONG_PRESS:
+        setIsListening(false);
+        if (isSpeaking) stopSpeaking();
+        if (isRecording) handleStopRecording();
+        break;
+      default:
+        break;
+    }
+  };
+
+  headsetButtonHandlerRef.current = handleHeadsetButton;
+
+  /**
+   * Get the metadata of the open conversation thread
+   *
+   * @returns {Object|undefined} Thread metadata
+   */
+  const getActiveConversation = () =>
+    conversations.find(c => c.id === activeConversationId);
+
+  /**
+   * Get the title of the open conversation thread
+   *
+   * @returns {string} Thread title
+   */
+  const getConversationTitle = () => {
+    const conversation = getActiveConversation();
+    return conversation ? conversation.title : 'Conversation';
+  };
+
+  /**
+   * Export the open conversation in the chosen format
+   *
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const exportConversation = async (format) => {
+    const conversation = getActiveConversation() || {
+      id: activeConversationId,
+      title: getConversationTitle(),
+      createdAt: Date.now(),
+    };
+
+    try {
+      await TranscriptService.exportConversation(conversation, messages, format);
+    } catch (error) {
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  /**
+   * Ask the user which format to export the conversation in
+   */
+  const chooseExportFormat = () => {
+    Alert.alert(
+      'Export Conversation',
+      'Choose a format. JSON exports can be imported again from the conversation list.',
+      [
+        {
+          text: 'Markdown',
+          onPress: () => exportConversation(EXPORT_FORMATS.MARKDOWN),
+        },
+        {
+          text: 'JSON',
+          onPress: () => exportConversation(EXPORT_FORMATS.JSON),
+        },
+        {
+          text: 'Plain Text',
+          onPress: () => exportConversation(EXPORT_FORMATS.TEXT),
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
   /**
    * Prompt user to confirm conversation clearing
    */
@@ -212,87 +710,148 @@ const HomeScreen = ({ navigation }) => {
       <Header
         title="AIRAssist"
         onSettingsPress={() => navigation.navigate('Settings')}
+        onHistoryPress={() => navigation.navigate('Conversations')}
+        onSearchPress={() => navigation.navigate('Search')}
         connectedDevice={connectedDevice}
+        batteryLevel={batteryLevel}
         onBluetoothPress={toggleBluetoothDevices}
       />
 
       {/* Status panel showing connection states */}
       <StatusPanel
         wsConnected={wsConnected}
+        wsStatus={wsStatus}
+        onRetryConnection={reconnectWebSocket}
         bluetoothConnected={!!connectedDevice}
-        isListening={isListening}
+        isListening={isListening && !isTextInput}
+        isAwaitingWakeWord={isAwaitingWakeWord}
+        audioInput={audioInput}
         bluetoothStatus={connectionState}
         showDevices={showBluetoothDevices}
         onClose={() => setShowBluetoothDevices(false)}
       />
 
-      {/* Main conversation area */}
-      <View style={styles.content}>
-        <Conversation
-          messages={messages}
-          onClearConversation={confirmClearConversation}
-          ref={conversationRef}
-        />
-      </View>
-
-      {/* Footer with controls */}
-      <View style={styles.footer}>
-        {/* Transcription display when recording */}
-        {isRecording && (
-          <View style={styles.transcriptionContainer}>
-            <Text style={styles.transcriptionText}>
-              {transcription || 'Listening...'}
-            </Text>
-          </View>
-        )}
-
-        {/* Control buttons */}
-        <View style={styles.controls}>
-          {/* Auto-listen toggle */}
-          <TouchableOpacity
-            style={[
-              styles.listenButton,
-              isListening ? styles.listenButtonActive : null,
-            ]}
-            onPress={toggleListening}
-          >
-            <Icon
-              name={isListening ? 'hearing' : 'hearing-disabled'}
-              size={24}
-              color={isListening ? colors.white : colors.textPrimary}
+      {/* Keep the composer above the keyboard on iOS; Android resizes the window */}
+      <KeyboardAvoidingView
+        style={styles.keyboardAvoider}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        {/* Main conversation area */}
+        <View style={styles.content}>
+          <Conversation
+            title={getConversationTitle()}
+            messages={messages}
+            onClearConversation={confirmClearConversation}
+            onExportConversation={chooseExportFormat}
+            onRetryMessage={retryMessage}
+            highlightedMessageId={highlightedMessageId}
+            interimTranscript={streamMessageId
+              ? { messageId: streamMessageId, text: interimTranscription || transcription }
+              : null}
+            ref={conversationRef}
+          />
+        </View>
+
+        {/* Footer with controls */}
+        <View style={styles.footer}>
+          {/* Transcription display when recording */}
+          {isRecording && (
+            <View style={styles.transcriptionContainer}>
+              <Text style={interimTranscription ? styles.interimTranscriptionText : styles.transcriptionText}>
+                {interimTranscription || transcription || 'Listening...'}
+              </Text>
+              {transcriptionAlternatives.length > 1 && (
+                <Text style={styles.alternativesText} numberOfLines={2}>
+                  {describeAlternatives(transcriptionAlternatives)}
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Wake word prompt while waiting to be addressed */}
+          {isAwaitingWakeWord && !isRecording && (
+            <View style={styles.transcriptionContainer}>
+              <Text style={styles.wakeWordText}>
+                Say "{WAKE_WORD.PHRASE}" to start
+              </Text>
+            </View>
+          )}
+
+          {isTextInput ? (
+            <Composer
+              value={draft}
+              onChangeText={handleDraftChange}
+              onSend={handleSendText}
+              onSwitchToVoice={toggleInputMode}
+              isSpeaking={isSpeaking}
+              onStopSpeaking={stopSpeaking}
+              disabled={isRecording}
             />
-          </TouchableOpacity>
-
-          {/* Main record button */}
-          <TouchableOpacity
-            style={[
-              styles.recordButton,
-              isRecording ? styles.recordButtonActive : null,
-              (isProcessingAudio || isSpeaking) ? styles.recordButtonDisabled : null,
-            ]}
-            onPress={isRecording ? handleStopRecording : handleStartRecording}
-            disabled={isProcessingAudio || isSpeaking}
-          >
-            {isProcessingAudio ? (
-              <ActivityIndicator color={colors.white} size="large" />
-            ) : (
-              <Icon
-                name={isRecording ? 'stop' : 'mic'}
-                size={32}
-                color={colors.white}
-              />
-            )}
-          </TouchableOpacity>
-
-          {/* Clear conversation button */}
-          <TouchableOpacity
-            style={styles.clearButton}
-            onPress={confirmClearConversation}
-          >
-            <Icon name="clear-all" size={24} color={colors.textPrimary} />
-          </TouchableOpacity>
+          ) : (
+            /* Control buttons */
+            <View style={styles.controls}>
+              <View style={styles.controlSide}>
+                {/* Hands-free listening toggle, hidden in push-to-talk mode */}
+                {listenMode !== LISTEN_MODES.PUSH_TO_TALK && (
+                  <TouchableOpacity
+                    style={[
+                      styles.listenButton,
+                      isListening ? styles.listenButtonActive : null,
+                    ]}
+                    onPress={toggleListening}
+                  >
+                    <Icon
+                      name={isListening ? 'hearing' : 'hearing-disabled'}
+                      size={24}
+                      color={isListening ? colors.white : colors.textPrimary}
+                    />
+                  </TouchableOpacity>
+                )}
+              </View>
+
+              {/* Main record button, doubling as stop/skip while the AI is speaking */}
+              <TouchableOpacity
+                style={[
+                  styles.recordButton,
+                  isRecording ? styles.recordButtonActive : null,
+                  isSpeaking ? styles.recordButtonSpeaking : null,
+                  isProcessingAudio ? styles.recordButtonDisabled : null,
+                ]}
+                onPress={getRecordButtonHandler()}
+                disabled={isProcessingAudio}
+              >
+                {isProcessingAudio ? (
+                  <ActivityIndicator color={colors.white} size="large" />
+                ) : (
+                  <Icon
+                    name={getRecordButtonIcon()}
+                    size={32}
+                    color={colors.white}
+                  />
+                )}
+              </TouchableOpacity>
+
+              <View style={[styles.controlSide, styles.controlSideEnd]}>
+                {/* Switch to typing */}
+                <TouchableOpacity
+                  style={styles.clearButton}
+                  onPress={toggleInputMode}
+                >
+                  <Icon name="keyboard" size={24} color={colors.textPrimary} />
+                </TouchableOpacity>
+
+                {/* Clear conversation button */}
+                <TouchableOpacity
+                  style={[styles.clearButton, styles.controlSpacing]}
+                  onPress={confirmClearConversation}
+                >
+                  <Icon name="clear-all" size={24} color={colors.textPrimary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
         </View>
-      </View>
+      </KeyboardAvoidingView>
     </SafeAreaView>
   );
 };
@@ -306,6 +865,10 @@ const styles = StyleSheet.create({
     backgroundColor: colors.background,
   },
 
+  keyboardAvoider: {
+    flex: 1,
+  },
+
   content: {
     flex: 1,
     paddingHorizontal: layout.spacing.medium,
@@ -331,12 +894,43 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
   },
 
+  interimTranscriptionText: {
+    ...typography.bodyMedium,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+
+  alternativesText: {
+    ...typography.caption,
+    color: colors.textTertiary,
+    marginTop: layout.spacing.tiny,
+  },
+
+  wakeWordText: {
+    ...typography.bodyMedium,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+
   controls: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
   },
 
+  controlSide: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+
+  controlSideEnd: {
+    justifyContent: 'flex-end',
+  },
+
+  controlSpacing: {
+    marginLeft: layout.spacing.small,
+  },
+
   recordButton: {
     width: 64,
     height: 64,
@@ -351,6 +945,10 @@ const styles = StyleSheet.create({
     backgroundColor: colors.error,
   },
 
+  recordButtonSpeaking: {
+    backgroundColor: colors.secondary,
+  },
+
   recordButtonDisabled: {
     backgroundColor: colors.primaryLight,
   },
@@ -0,0 +1,372 @@
+/**
+ * Search Screen
+ *
+ * Searches the messages of every conversation thread, with filters for
+ * sender, message type and date, and opens the thread of a chosen result.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+// Contexts
+import { AppContext } from '../context/AppContext';
+
+// Services
+import { SearchService, SEARCH_SENDERS, SEARCH_TYPES } from '../services/SearchService';
+
+// Styles and utilities
+import { colors } from '../styles/colors';
+import { layout } from '../styles/layout';
+import { typography } from '../styles/typography';
+import { TIME } from '../utils/constants';
+import { tokenize, highlightSegments, buildSnippet } from '../utils/search';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Date range filter options; getFrom returns the earliest timestamp to include
+ */
+const DATE_RANGES = [
+  { key: 'any', label: 'Any time', getFrom: () => null },
+  { key: 'today', label: 'Today', getFrom: () => new Date().setHours(0, 0, 0, 0) },
+  { key: 'week', label: 'Past week', getFrom: () => Date.now() - 7 * DAY },
+  { key: 'month', label: 'Past month', getFrom: () => Date.now() - 30 * DAY },
+];
+
+const SENDER_OPTIONS = [
+  { key: SEARCH_SENDERS.ANY, label: 'Anyone' },
+  { key: SEARCH_SENDERS.USER, label: 'You' },
+  { key: SEARCH_SENDERS.ASSISTANT, label: 'Assistant' },
+];
+
+const TYPE_OPTIONS = [
+  { key: SEARCH_TYPES.ANY, label: 'All' },
+  { key: SEARCH_TYPES.NORMAL, label: 'Messages' },
+  { key: SEARCH_TYPES.SYSTEM, label: 'System' },
+];
+
+/**
+ * Row of selectable filter chips
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.options - Options with key and label
+ * @param {string} props.selected - Key of the selected option
+ * @param {Function} props.onSelect - Called with the key of the pressed option
+ * @returns {React.ReactElement} Rendered component
+ */
+const FilterChips = ({ options, selected, onSelect }) => (
+  <View style={styles.chipRow}>
+    {options.map(option => {
+      const isSelected = option.key === selected;
+
+      return (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, isSelected && styles.chipSelected]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+/**
+ * Text with the words matching the query highlighted
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.text - Text to display
+ * @param {Array<string>} props.queryTokens - Words from the query
+ * @returns {React.ReactElement} Rendered component
+ */
+const HighlightedText = ({ text, queryTokens }) => (
+  <Text style={styles.resultText} numberOfLines={3}>
+    {highlightSegments(buildSnippet(text, queryTokens), queryTokens).map((segment, index) => (
+      <Text key={index} style={segment.isMatch ? styles.match : null}>
+        {segment.text}
+      </Text>
+    ))}
+  </Text>
+);
+
+/**
+ * Search Screen Component
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.navigation - Navigation object
+ * @returns {React.ReactElement} Rendered component
+ */
+const SearchScreen = ({ navigation }) => {
+  // App context
+  const { conversations, switchConversation } = useContext(AppContext);
+
+  // Query and filters
+  const [query, setQuery] = useState('');
+  const [sender, setSender] = useState(SEARCH_SENDERS.ANY);
+  const [type, setType] = useState(SEARCH_TYPES.ANY);
+  const [dateRange, setDateRange] = useState(DATE_RANGES[0].key);
+
+  // Results
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  /**
+   * Effect to run the search once typing pauses
+   */
+  useEffect(() => {
+    if (tokenize(query).length === 0) {
+      setResults([]);
+      return;
+    }
+
+    let isCurrent = true;
+    const range = DATE_RANGES.find(option => option.key === dateRange);
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      const found = await SearchService.search(query, {
+        sender,
+        type,
+        from: range.getFrom(),
+      });
+
+      // Ignore results of a query that has since changed
+      if (isCurrent) {
+        setResults(found);
+        setIsSearching(false);
+      }
+    }, TIME.DEBOUNCE_DELAY);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [query, sender, type, dateRange]);
+
+  /**
+   * Open the thread containing a result and scroll to the message
+   *
+   * @param {Object} result - Search result
+   */
+  const openResult = async (result) => {
+    await switchConversation(result.conversationId);
+    navigation.navigate('Home', { highlightMessageId: result.messageId });
+  };
+
+  /**
+   * Get the title of a thread
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {string} Thread title
+   */
+  const getConversationTitle = (conversationId) => {
+    const conversation = conversations.find(c => c.id === conversationId);
+    return conversation ? conversation.title : 'Conversation';
+  };
+
+  const queryTokens = tokenize(query);
+
+  /**
+   * Render a search result
+   *
+   * @param {Object} item - Search result
+   * @returns {React.ReactElement} Rendered row
+   */
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.result} onPress={() => openResult(item)}>
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultTitle} numberOfLines={1}>
+          {getConversationTitle(item.conversationId)}
+        </Text>
+        <Text style={styles.resultMeta}>
+          {new Date(item.timestamp).toLocaleDateString()}
+        </Text>
+      </View>
+      <Text style={styles.resultSender}>
+        {item.type === SEARCH_TYPES.SYSTEM ? 'System' : item.isUser ? 'You' : 'Assistant'}
+      </Text>
+      <HighlightedText text={item.text} queryTokens={queryTokens} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Search bar */}
+      <View style={styles.searchBar}>
+        <Icon name="search" size={20} color={colors.textSecondary} />
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search all conversations"
+          placeholderTextColor={colors.textTertiary}
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {isSearching && <ActivityIndicator size="small" color={colors.primary} />}
+        {query.length > 0 && !isSearching && (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Icon name="close" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Filters */}
+      <FilterChips options={SENDER_OPTIONS} selected={sender} onSelect={setSender} />
+      <FilterChips options={TYPE_OPTIONS} selected={type} onSelect={setType} />
+      <FilterChips options={DATE_RANGES} selected={dateRange} onSelect={setDateRange} />
+
+      <FlatList
+        data={results}
+        renderItem={renderResult}
+        keyExtractor={(item) => `${item.conversationId}/${item.messageId}`}
+        contentContainerStyle={styles.list}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Icon name="search" size={48} color={colors.border} />
+            <Text style={styles.emptyText}>
+              {queryTokens.length > 0 && !isSearching
+                ? 'No messages match your search.'
+                : 'Search messages from every conversation.'}
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+/**
+ * Component styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    margin: layout.spacing.medium,
+    paddingHorizontal: layout.spacing.medium,
+    backgroundColor: colors.backgroundLight,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  searchInput: {
+    ...typography.bodyMedium,
+    flex: 1,
+    paddingVertical: layout.spacing.small,
+    marginHorizontal: layout.spacing.small,
+    color: colors.textPrimary,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: layout.spacing.medium,
+    marginBottom: layout.spacing.small,
+  },
+
+  chip: {
+    paddingHorizontal: layout.spacing.medium,
+    paddingVertical: layout.spacing.tiny,
+    marginRight: layout.spacing.small,
+    borderRadius: layout.borderRadius.large,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+
+  chipText: {
+    ...typography.labelSmall,
+    color: colors.textSecondary,
+  },
+
+  chipTextSelected: {
+    color: colors.white,
+  },
+
+  list: {
+    paddingHorizontal: layout.spacing.medium,
+    paddingBottom: layout.spacing.large,
+  },
+
+  result: {
+    padding: layout.spacing.medium,
+    marginBottom: layout.spacing.small,
+    backgroundColor: colors.backgroundLight,
+    borderRadius: layout.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  resultTitle: {
+    ...typography.labelMedium,
+    flex: 1,
+  },
+
+  resultMeta: {
+    ...typography.caption,
+    color: colors.textTertiary,
+    marginLeft: layout.spacing.small,
+  },
+
+  resultSender: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.tiny,
+  },
+
+  resultText: {
+    ...typography.bodySmall,
+    color: colors.textPrimary,
+    marginTop: layout.spacing.tiny,
+  },
+
+  match: {
+    backgroundColor: colors.warning,
+    color: colors.black,
+  },
+
+  emptyContainer: {
+    alignItems: 'center',
+    padding: layout.spacing.xlarge,
+  },
+
+  emptyText: {
+    ...typography.bodyMedium,
+    color: colors.textTertiary,
+    textAlign: 'center',
+    marginTop: layout.spacing.medium,
+  },
+});
+
+export default SearchScreen;
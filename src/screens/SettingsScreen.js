@@ -4,7 +4,7 @@
  * Allows users to configure application settings and preferences.
  */
 
-import React, { useContext, useState } from 'react';
+import React, { useContext, useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -24,11 +24,25 @@ import Icon from 'react-native-vector-icons/MaterialIcons';
 import { AppContext } from '../context/AppContext';
 import { BluetoothContext } from '../context/BluetoothContext';
 
+// Services
+import { AudioService } from '../services/AudioService';
+import { WakeWordService } from '../services/WakeWordService';
+import { DraftService } from '../services/DraftService';
+import { OutboxService } from '../services/OutboxService';
+
 // Styles and utilities
 import { colors } from '../styles/colors';
 import { layout } from '../styles/layout';
 import { typography } from '../styles/typography';
-import { DEFAULT_SETTINGS } from '../utils/constants';
+import {
+  DEFAULT_SETTINGS,
+  TRANSPORT_TYPES,
+  LISTEN_MODES,
+  WAKE_WORD,
+  RECOGNITION_LANGUAGES,
+  AUTO_LANGUAGE,
+} from '../utils/constants';
+import { getMatchThreshold } from '../utils/wakeWord';
 
 /**
  * Settings Screen Component
@@ -39,11 +53,41 @@ import { DEFAULT_SETTINGS } from '../utils/constants';
  */
 const SettingsScreen = ({ navigation }) => {
   // App context
-  const { settings, updateSettings, clearConversation } = useContext(AppContext);
+  const { settings, updateSettings, deleteAllConversations, pairWithCode } = useContext(AppContext);
   const { connectedDevice, disconnectFromDevice } = useContext(BluetoothContext);
 
   // Local state for form values
   const [localSettings, setLocalSettings] = useState({ ...settings });
+  const [pairingCode, setPairingCode] = useState('');
+
+  // Wake word enrollment; enrollmentCount is null unless recording samples
+  const [isWakeWordEnrolled, setIsWakeWordEnrolled] = useState(false);
+  const [enrollmentCount, setEnrollmentCount] = useState(null);
+  const enrollmentSamplesRef = useRef([]);
+  const isEnrollingRef = useRef(false);
+
+  // Auth token being typed, applied once editing ends; null when nothing is pending
+  const pendingAuthTokenRef = useRef(null);
+
+  /**
+   * Effect to check for enrolled wake word samples, and to stop an
+   * unfinished enrollment when leaving the screen
+   */
+  useEffect(() => {
+    WakeWordService.loadTemplates()
+      .then(templates => setIsWakeWordEnrolled(templates.length >= WAKE_WORD.ENROLLMENT_SAMPLES))
+      .catch(console.error);
+
+    return () => {
+      if (isEnrollingRef.current) {
+        isEnrollingRef.current = false;
+        AudioService.stopWakeWordListening().catch(console.error);
+      }
+
+      // Leaving the screen while typing doesn't blur the field
+      applyAuthToken();
+    };
+  }, []);
 
   /**
    * Update a setting value
@@ -56,6 +100,130 @@ const SettingsScreen = ({ navigation }) => {
     updateSettings({ [key]: value });
   };
 
+  /**
+   * Keep the auth token being typed without applying it, since every change
+   * of token reconnects with a new handshake
+   *
+   * @param {string} text - Token typed so far
+   */
+  const editAuthToken = (text) => {
+    pendingAuthTokenRef.current = text;
+    setLocalSettings(prev => ({ ...prev, authToken: text }));
+  };
+
+  /**
+   * Apply the typed auth token once editing ends
+   */
+  const applyAuthToken = () => {
+    if (pendingAuthTokenRef.current == null) {
+      return;
+    }
+
+    const token = pendingAuthTokenRef.current.trim();
+    pendingAuthTokenRef.current = null;
+    setLocalSettings(prev => ({ ...prev, authToken: token }));
+    updateSettings({ authToken: token });
+  };
+
+  /**
+   * Restore default settings, keeping the generated user ID
+   */
+  const applyDefaultSettings = () => {
+    const defaults = { ...DEFAULT_SETTINGS, userId: settings.userId };
+    setLocalSettings(defaults);
+    updateSettings(defaults);
+  };
+
+  /**
+   * Pair with the server using the entered code
+   */
+  const handlePair = () => {
+    if (!pairingCode.trim()) {
+      return;
+    }
+
+    pairWithCode(pairingCode);
+    setPairingCode('');
+    Alert.alert('Pairing', 'Connecting with your pairing code. The server will sign you in once it accepts it.');
+  };
+
+  /**
+   * Start recording wake word samples
+   */
+  const startEnrollment = async () => {
+    enrollmentSamplesRef.current = [];
+    isEnrollingRef.current = true;
+    setEnrollmentCount(0);
+
+    try {
+      await AudioService.prepareInput(connectedDevice ? connectedDevice.id : null);
+      await AudioService.startWakeWordListening({
+        micSensitivity: localSettings.micSensitivity,
+        onUtterance: handleEnrollmentSample,
+      });
+    } catch (error) {
+      console.error('Error starting wake word enrollment:', error);
+      isEnrollingRef.current = false;
+      setEnrollmentCount(null);
+      Alert.alert('Error', 'Failed to start recording. Please check your permissions.');
+    }
+  };
+
+  /**
+   * Collect one spoken sample of the wake word
+   *
+   * @param {Array} features - Feature frames of the utterance
+   */
+  const handleEnrollmentSample = (features) => {
+    if (!isEnrollingRef.current) {
+      return;
+    }
+
+    const samples = [...enrollmentSamplesRef.current, features];
+    enrollmentSamplesRef.current = samples;
+    setEnrollmentCount(samples.length);
+
+    if (samples.length >= WAKE_WORD.ENROLLMENT_SAMPLES) {
+      finishEnrollment(samples).catch(error => {
+        console.error('Error saving wake word:', error);
+        Alert.alert('Error', 'Failed to save the wake word recordings.');
+      });
+    }
+  };
+
+  /**
+   * Save the collected samples if they are consistent enough to match against
+   *
+   * @param {Array} samples - Feature sequences of each sample
+   * @returns {Promise<void>} Promise that resolves when done
+   */
+  const finishEnrollment = async (samples) => {
+    await stopEnrollment();
+
+    if (getMatchThreshold(samples) == null) {
+      Alert.alert(
+        'Try Again',
+        `Those recordings were too different from each other. Say "${WAKE_WORD.PHRASE}" the same way each time.`
+      );
+      return;
+    }
+
+    await WakeWordService.saveTemplates(samples);
+    setIsWakeWordEnrolled(true);
+    Alert.alert('Wake Word Ready', `Say "${WAKE_WORD.PHRASE}" to start talking to the assistant.`);
+  };
+
+  /**
+   * Stop recording wake word samples
+   *
+   * @returns {Promise<void>} Promise that resolves when stopped
+   */
+  const stopEnrollment = async () => {
+    isEnrollingRef.current = false;
+    setEnrollmentCount(null);
+    await AudioService.stopWakeWordListening();
+  };
+
   /**
    * Reset settings to defaults
    */
@@ -70,10 +238,7 @@ const SettingsScreen = ({ navigation }) => {
         },
         {
           text: 'Reset',
-          onPress: () => {
-            setLocalSettings(DEFAULT_SETTINGS);
-            updateSettings(DEFAULT_SETTINGS);
-          },
+          onPress: applyDefaultSettings,
           style: 'destructive',
         },
       ]
@@ -81,7 +246,8 @@ const SettingsScreen = ({ navigation }) => {
   };
 
   /**
-   * Clear all data (settings and conversation)
+   * Clear all data: settings, every conversation thread, unsent messages,
+   * drafts and wake word recordings
    */
   const clearAllData = () => {
     Alert.alert(
@@ -95,9 +261,12 @@ const SettingsScreen = ({ navigation }) => {
         {
           text: 'Clear',
           onPress: () => {
-            clearConversation();
-            setLocalSettings(DEFAULT_SETTINGS);
-            updateSettings(DEFAULT_SETTINGS);
+            deleteAllConversations().catch(console.error);
+            OutboxService.clear().catch(console.error);
+            applyDefaultSettings();
+            WakeWordService.clearTemplates().catch(console.error);
+            DraftService.clearAllDrafts().catch(console.error);
+            setIsWakeWordEnrolled(false);
           },
           style: 'destructive',
         },
@@ -138,6 +307,19 @@ const SettingsScreen = ({ navigation }) => {
           />
         </View>
 
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Offline Mock Server</Text>
+          <Switch
+            value={localSettings.transport === TRANSPORT_TYPES.MOCK}
+            onValueChange={(value) => updateSetting(
+              'transport',
+              value ? TRANSPORT_TYPES.MOCK : TRANSPORT_TYPES.WEBSOCKET
+            )}
+            trackColor={{ false: colors.border, true: colors.primary }}
+            thumbColor={Platform.OS === 'ios' ? undefined : colors.white}
+          />
+        </View>
+
         <View style={styles.settingItem}>
           <Text style={styles.settingLabel}>Auto-Connect</Text>
           <Switch
@@ -164,6 +346,53 @@ const SettingsScreen = ({ navigation }) => {
         )}
       </View>
 
+      {/* Account Settings */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Account</Text>
+
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>User ID</Text>
+          <Text style={styles.userId} selectable>{settings.userId || '—'}</Text>
+        </View>
+
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Auth Token</Text>
+          <TextInput
+            style={styles.textInput}
+            value={localSettings.authToken}
+            onChangeText={editAuthToken}
+            onBlur={applyAuthToken}
+            onSubmitEditing={applyAuthToken}
+            returnKeyType="done"
+            placeholder="Paste the token from your account"
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+        </View>
+
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Pair With Code</Text>
+          <View style={styles.pairRow}>
+            <TextInput
+              style={[styles.textInput, styles.pairInput]}
+              value={pairingCode}
+              onChangeText={setPairingCode}
+              placeholder="Code from the pairing page"
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+            <TouchableOpacity
+              style={[styles.pairButton, !pairingCode.trim() && styles.pairButtonDisabled]}
+              onPress={handlePair}
+              disabled={!pairingCode.trim()}
+            >
+              <Text style={styles.pairButtonText}>Pair</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+
       {/* Audio Settings */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Audio</Text>
@@ -184,6 +413,23 @@ const SettingsScreen = ({ navigation }) => {
           </View>
         </View>
 
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Recognition Language</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={localSettings.recognitionLanguage}
+              onValueChange={(value) => updateSetting('recognitionLanguage', value)}
+              style={styles.picker}
+              dropdownIconColor={colors.textPrimary}
+            >
+              <Picker.Item label="Automatic" value={AUTO_LANGUAGE} />
+              {RECOGNITION_LANGUAGES.map(language => (
+                <Picker.Item key={language.code} label={language.label} value={language.code} />
+              ))}
+            </Picker>
+          </View>
+        </View>
+
         <View style={styles.settingItem}>
           <Text style={styles.settingLabel}>Microphone Sensitivity</Text>
           <View style={styles.sliderContainer}>
@@ -237,6 +483,16 @@ const SettingsScreen = ({ navigation }) => {
             <Text style={styles.sliderValue}>{localSettings.speakerVolume}%</Text>
           </View>
         </View>
+
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Stream Audio While Speaking</Text>
+          <Switch
+            value={localSettings.streamAudio}
+            onValueChange={(value) => updateSetting('streamAudio', value)}
+            trackColor={{ false: colors.border, true: colors.primary }}
+            thumbColor={Platform.OS === 'ios' ? undefined : colors.white}
+          />
+        </View>
       </View>
 
       {/* Behavior Settings */}
@@ -244,15 +500,64 @@ const SettingsScreen = ({ navigation }) => {
         <Text style={styles.sectionTitle}>Behavior</Text>
 
         <View style={styles.settingItem}>
-          <Text style={styles.settingLabel}>Auto-Listen Mode</Text>
-          <Switch
-            value={localSettings.autoListen}
-            onValueChange={(value) => updateSetting('autoListen', value)}
-            trackColor={{ false: colors.border, true: colors.primary }}
-            thumbColor={Platform.OS === 'ios' ? undefined : colors.white}
-          />
+          <Text style={styles.settingLabel}>Listening Mode</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={localSettings.listenMode}
+              onValueChange={(value) => updateSetting('listenMode', value)}
+              style={styles.picker}
+              dropdownIconColor={colors.textPrimary}
+            >
+              <Picker.Item label="Push to Talk" value={LISTEN_MODES.PUSH_TO_TALK} />
+              <Picker.Item label="Auto-Listen After Responses" value={LISTEN_MODES.AUTO_LISTEN} />
+              <Picker.Item label={`Wake Word ("${WAKE_WORD.PHRASE}")`} value={LISTEN_MODES.WAKE_WORD} />
+            </Picker>
+          </View>
         </View>
 
+        {localSettings.listenMode === LISTEN_MODES.WAKE_WORD && (
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Wake Word</Text>
+            <View style={styles.pairRow}>
+              <Text style={[styles.wakeWordStatus, styles.pairInput]}>
+                {enrollmentCount != null
+                  ? `Say "${WAKE_WORD.PHRASE}" (${enrollmentCount + 1} of ${WAKE_WORD.ENROLLMENT_SAMPLES})`
+                  : isWakeWordEnrolled
+                    ? 'Trained on your voice'
+                    : `Record yourself saying "${WAKE_WORD.PHRASE}" to use wake word mode`}
+              </Text>
+              <TouchableOpacity
+                style={styles.pairButton}
+                onPress={enrollmentCount != null ? stopEnrollment : startEnrollment}
+              >
+                <Text style={styles.pairButtonText}>
+                  {enrollmentCount != null ? 'Cancel' : isWakeWordEnrolled ? 'Record Again' : 'Record'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {localSettings.listenMode === LISTEN_MODES.WAKE_WORD && (
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Wake Word Sensitivity</Text>
+            <View style={styles.sliderContainer}>
+              <Slider
+                style={styles.slider}
+                value={localSettings.wakeWordSensitivity}
+                onValueChange={(value) => updateSetting('wakeWordSensitivity', value)}
+                minimumValue={0}
+                maximumValue={100}
+                step={1}
+                minimumTrackTintColor={colors.primary}
+                maximumTrackTintColor={colors.border}
+                thumbTintColor={colors.primary}
+              />
+              <Text style={styles.sliderValue}>{localSettings.wakeWordSensitivity}%</Text>
+            </View>
+          </View>
+        )}
+
         <View style={styles.settingItem}>
           <Text style={styles.settingLabel}>Save Conversation History</Text>
           <Switch
@@ -273,6 +578,16 @@ const SettingsScreen = ({ navigation }) => {
           />
         </View>
 
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Interrupt by Speaking</Text>
+          <Switch
+            value={localSettings.bargeIn}
+            onValueChange={(value) => updateSetting('bargeIn', value)}
+            trackColor={{ false: colors.border, true: colors.primary }}
+            thumbColor={Platform.OS === 'ios' ? undefined : colors.white}
+          />
+        </View>
+
         <View style={styles.settingItem}>
           <Text style={styles.settingLabel}>Response Speed</Text>
           <View style={styles.sliderContainer}>
@@ -400,6 +715,43 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
   },
 
+  userId: {
+    ...typography.bodySmall,
+    color: colors.textSecondary,
+  },
+
+  pairRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  pairInput: {
+    flex: 1,
+    marginRight: layout.spacing.small,
+  },
+
+  pairButton: {
+    height: layout.dimensions.inputHeight,
+    justifyContent: 'center',
+    backgroundColor: colors.primary,
+    paddingHorizontal: layout.spacing.medium,
+    borderRadius: layout.borderRadius.medium,
+  },
+
+  pairButtonDisabled: {
+    opacity: 0.5,
+  },
+
+  pairButtonText: {
+    ...typography.labelMedium,
+    color: colors.white,
+  },
+
+  wakeWordStatus: {
+    ...typography.bodySmall,
+    color: colors.textSecondary,
+  },
+
   pickerContainer: {
     borderWidth: 1,
     borderColor: colors.border,
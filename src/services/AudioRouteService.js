@@ -0,0 +1,199 @@
+/**
+ * Audio Route Service
+ *
+ * Chooses the microphone to record from and routes capture to it through the
+ * native AudioModule. A connected headset's microphone (LE audio or SCO) is
+ * preferred, with the phone's built-in mic as the fallback. Where the native
+ * module isn't available, such as on iOS, recording stays on the system
+ * default input.
+ */
+
+import { NativeModules, NativeEventEmitter, Platform } from 'react-native';
+import { FEATURES } from '../utils/constants';
+import { PHONE_MIC, chooseInputDevice, isBluetoothInput } from '../utils/audioRoute';
+
+const { AudioModule } = NativeModules;
+
+/**
+ * Service for selecting the audio input device
+ */
+export class AudioRouteService {
+  static activeInput = PHONE_MIC;
+  static isRouted = false;
+  static deviceSubscription = null;
+
+  // Listeners for active input changes
+  static inputListeners = new Set();
+
+  /**
+   * Check whether input routing is available on this device
+   *
+   * @returns {boolean} True if the native audio module supports routing
+   */
+  static isSupported() {
+    return Platform.OS === 'android' && !!AudioModule && !!AudioModule.routeInputToDevice;
+  }
+
+  /**
+   * Start watching for input devices being added or removed
+   *
+   * @returns {Promise<void>} Promise that resolves when watching has started
+   */
+  static async initialize() {
+    if (!this.isSupported() || this.deviceSubscription) {
+      return;
+    }
+
+    const emitter = new NativeEventEmitter(AudioModule);
+    this.deviceSubscription = emitter.addListener('onInputDevicesChanged', () => {
+      this.handleInputDevicesChanged()
+        .catch(error => console.error('AudioRouteService: Error handling device change', error));
+    });
+
+    await AudioModule.startInputDeviceUpdates();
+  }
+
+  /**
+   * Get the available input devices
+   *
+   * @returns {Promise<Array>} Devices with id, type, name and address
+   */
+  static async getInputDevices() {
+    if (!this.isSupported()) {
+      return [];
+    }
+
+    return AudioModule.getInputDevices();
+  }
+
+  /**
+   * Route capture to the best available input
+   *
+   * Falls back to the phone mic if the headset's microphone can't be routed to.
+   *
+   * @param {string|null} headsetId - ID of the connected headset, if any
+   * @returns {Promise<Object>} The input that will be recorded from
+   */
+  static async routeInput(headsetId) {
+    if (!this.isSupported()) {
+      this.setActiveInput(PHONE_MIC);
+      return PHONE_MIC;
+    }
+
+    await this.initialize();
+
+    const devices = await this.getInputDevices();
+    const input = chooseInputDevice(devices, headsetId) || PHONE_MIC;
+
+    if (isBluetoothInput(input)) {
+      try {
+        const routed = await AudioModule.routeInputToDevice(input.id);
+        this.isRouted = true;
+        this.setActiveInput(routed);
+        return routed;
+      } catch (error) {
+        console.warn('AudioRouteService: Headset microphone unavailable, using phone mic', error);
+      }
+    }
+
+    await this.releaseInput();
+
+    const fallback = isBluetoothInput(input)
+      ? chooseInputDevice(devices, null) || PHONE_MIC
+      : input;
+    this.setActiveInput(fallback);
+    return fallback;
+  }
+
+  /**
+   * Return capture to the system default route
+   *
+   * Keeping a headset on the communication route holds it in call mode, so
+   * this should be called once recording stops.
+   *
+   * @returns {Promise<void>} Promise that resolves when the route is reset
+   */
+  static async releaseInput() {
+    if (!this.isRouted) {
+      return;
+    }
+
+    this.isRouted = false;
+
+    try {
+      await AudioModule.resetInputRoute();
+    } catch (error) {
+      console.error('AudioRouteService: Error resetting input route', error);
+    }
+  }
+
+  /**
+   * Listen for changes to the active input
+   *
+   * @param {Function} callback - Called with the active input
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onInputChange(callback) {
+    this.inputListeners.add(callback);
+    return () => {
+      this.inputListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Fall back to the phone mic if the routed headset went away
+   *
+   * @returns {Promise<void>} Promise that resolves when handled
+   */
+  static async handleInputDevicesChanged() {
+    if (!this.isRouted) {
+      return;
+    }
+
+    const devices = await this.getInputDevices();
+    if (devices.some(device => device.id === this.activeInput.id)) {
+      return;
+    }
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log('AudioRouteService: Headset microphone removed, using phone mic');
+    }
+
+    await this.releaseInput();
+    this.setActiveInput(chooseInputDevice(devices, null) || PHONE_MIC);
+  }
+
+  /**
+   * Record the active input and notify listeners
+   *
+   * @param {Object} input - Active input device
+   */
+  static setActiveInput(input) {
+    this.activeInput = input;
+
+    [...this.inputListeners].forEach(callback => {
+      try {
+        callback(input);
+      } catch (error) {
+        console.error('AudioRouteService: Error in input listener', error);
+      }
+    });
+  }
+
+  /**
+   * Stop watching input devices and reset the route
+   *
+   * @returns {Promise<void>} Promise that resolves when cleaned up
+   */
+  static async cleanup() {
+    await this.releaseInput();
+
+    if (this.deviceSubscription) {
+      this.deviceSubscription.remove();
+      this.deviceSubscription = null;
+      await AudioModule.stopInputDeviceUpdates();
+    }
+  }
+}
+
+export default AudioRouteService;
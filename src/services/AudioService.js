@@ -11,6 +11,12 @@ import Voice from '@react-native-community/voice';
 import { Platform } from 'react-native';
 import RNFS from 'react-native-fs';
 import { PermissionsService } from './PermissionsService';
+import { AudioRouteService } from './AudioRouteService';
+import { VoiceActivityDetector, BargeInDetector } from '../utils/voiceActivity';
+import { WakeWordDetector } from '../utils/wakeWord';
+import { getAlternatives } from '../utils/transcription';
+import { getRecordingConfigForInput } from '../utils/audioRoute';
+import { TIME, AUDIO_SOURCES, AUDIO_SAMPLE_RATES, AUTO_LANGUAGE, DEFAULT_LANGUAGE } from '../utils/constants';
 
 // Enable Sound playback in silent mode (iOS)
 Sound.setCategory('Playback', true);
@@ -23,14 +29,25 @@ export class AudioService {
   static isInitialized = false;
   static recordOptions = null;
   static audioPath = null;
-  static silenceTimer = null;
+  static voiceActivityDetector = null;
+  static onSilenceCallback = null;
+  static chunkSequence = 0;
   static currentSound = null;
+  static resolvePlayback = null;
   static lastTranscription = '';
+  static lastPartialTranscription = '';
+  static lastAlternatives = [];
+  static isListeningForWakeWord = false;
+  static wakeWordDetector = null;
+  static wakeWordOptions = null;
+  static isListeningForBargeIn = false;
+  static bargeInDetector = null;
+  static onBargeInCallback = null;
   static recordingConfig = {
-    sampleRate: 44100,
+    sampleRate: AUDIO_SAMPLE_RATES.DEFAULT,
     channels: 1,
     bitsPerSample: 16,
-    audioSource: 6, // MIC source
+    audioSource: AUDIO_SOURCES.VOICE_RECOGNITION,
     wavFile: 'recording.wav'
   };
 
@@ -56,10 +73,12 @@ export class AudioService {
       Voice.onSpeechStart = this.handleSpeechStart.bind(this);
       Voice.onSpeechEnd = this.handleSpeechEnd.bind(this);
       Voice.onSpeechResults = this.handleSpeechResults.bind(this);
+      Voice.onSpeechPartialResults = this.handleSpeechPartialResults.bind(this);
       Voice.onSpeechError = this.handleSpeechError.bind(this);
 
-      // Configure AudioRecord
+      // Configure AudioRecord and route PCM chunks through a single listener
       await AudioRecord.init(this.recordingConfig);
+      AudioRecord.on('data', this.handleAudioData.bind(this));
 
       this.isInitialized = true;
 
@@ -76,15 +95,54 @@ export class AudioService {
     }
   }
 
+  /**
+   * Choose the microphone for the next recording and configure capture for it
+   *
+   * Call before startRecording, and before reading recordingConfig for a
+   * recording, since the sample rate depends on the input.
+   *
+   * @param {string|null} headsetId - ID of the connected headset, whose microphone is preferred
+   * @returns {Promise<Object>} The input that will be recorded from
+   */
+  static async prepareInput(headsetId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const input = await AudioRouteService.routeInput(headsetId);
+    const { audioSource, sampleRate } = getRecordingConfigForInput(input);
+
+    // AudioRecord has to be recreated to change source or rate
+    if (audioSource !== this.recordingConfig.audioSource || sampleRate !== this.recordingConfig.sampleRate) {
+      this.recordingConfig = { ...this.recordingConfig, audioSource, sampleRate };
+
+      try {
+        await AudioRecord.init(this.recordingConfig);
+      } catch (error) {
+        console.error('AudioService: Error configuring input', error);
+        await AudioRouteService.releaseInput();
+        throw error;
+      }
+    }
+
+    return input;
+  }
+
   /**
    * Start recording audio
    *
+   * Records from the input chosen by the last prepareInput call.
+   *
    * @param {Object} options - Recording options
    * @param {boolean} options.detectSilence - Whether to automatically stop on silence
    * @param {number} options.silenceThreshold - Threshold for silence detection (0.0-1.0)
+   * @param {number} options.micSensitivity - Microphone sensitivity (0-100)
    * @param {boolean} options.useVoiceRecognition - Whether to use voice recognition
+   * @param {string} options.language - Recognition language, or AUTO_LANGUAGE to leave it to the server
    * @param {Function} options.onSilenceDetected - Callback for silence detection
-   * @param {Function} options.speechResultsCallback - Callback for speech recognition results
+   * @param {Function} options.speechResultsCallback - Callback for final recognition results (text, alternatives)
+   * @param {Function} options.speechPartialResultsCallback - Callback for interim recognition results (text, alternatives)
+   * @param {Function} options.onAudioChunk - Callback for each PCM chunk (base64, sequence) while recording
    * @returns {Promise<void>} Promise that resolves when recording starts
    */
   static async startRecording(options = {}) {
@@ -98,13 +156,20 @@ export class AudioService {
         await this.stopRecording();
       }
 
+      // Hand the microphone over from wake word or barge-in listening, keeping the input routed
+      await this.stopWakeWordListening({ releaseInput: false });
+      await this.stopBargeInListening({ releaseInput: false });
+
       this.recordOptions = options;
       this.lastTranscription = '';
+      this.lastPartialTranscription = '';
+      this.lastAlternatives = [];
+      this.chunkSequence = 0;
 
-      // Start voice recognition if enabled
-      if (options.useVoiceRecognition) {
+      // Start voice recognition if enabled and the language is known
+      if (options.useVoiceRecognition && options.language !== AUTO_LANGUAGE) {
         try {
-          await Voice.start('en-US');
+          await Voice.start(options.language || DEFAULT_LANGUAGE);
         } catch (error) {
           console.warn('AudioService: Voice recognition start error', error);
           // Continue even if voice recognition fails
@@ -118,12 +183,14 @@ export class AudioService {
       // Set up silence detection if enabled
       if (options.detectSilence && options.onSilenceDetected) {
         this.startSilenceDetection(
-          options.silenceThreshold || 0.2,
-          options.onSilenceDetected
+          options.silenceThreshold != null ? options.silenceThreshold : 0.2,
+          options.onSilenceDetected,
+          options.micSensitivity
         );
       }
     } catch (error) {
       console.error('AudioService: Start recording error', error);
+      await AudioRouteService.releaseInput();
       throw error;
     }
   }
@@ -131,6 +198,9 @@ export class AudioService {
   /**
    * Stop recording audio
    *
+   * The transcription falls back to the last interim result when the final
+   * one hasn't arrived by the time recognition stops.
+   *
    * @returns {Promise<Object>} Recording result object
    */
   static async stopRecording() {
@@ -139,11 +209,8 @@ export class AudioService {
     }
 
     try {
-      // Stop silence detection timer
-      if (this.silenceTimer) {
-        clearTimeout(this.silenceTimer);
-        this.silenceTimer = null;
-      }
+      // Stop silence detection
+      this.stopSilenceDetection();
 
       // Stop voice recognition
       try {
@@ -157,35 +224,186 @@ export class AudioService {
       const audioBase64 = await AudioRecord.stop();
       this.isRecording = false;
 
+      // Let the headset leave call mode until the next recording
+      await AudioRouteService.releaseInput();
+
       return {
         audioBase64,
-        transcription: this.lastTranscription,
+        transcription: this.lastTranscription || this.lastPartialTranscription,
+        alternatives: this.lastAlternatives,
         path: this.audioPath,
       };
     } catch (error) {
       console.error('AudioService: Stop recording error', error);
       this.isRecording = false;
+      await AudioRouteService.releaseInput();
       throw error;
     }
   }
 
+  /**
+   * Listen for the wake word without recording or uploading anything
+   *
+   * Audio is only analyzed on the device. Once the wake word is detected,
+   * listening stops with the input still routed, so onWakeWord can go
+   * straight on to startRecording. Records from the input chosen by the last
+   * prepareInput call.
+   *
+   * @param {Object} options - Listening options
+   * @param {Array} options.templates - Enrolled wake word samples; with none, nothing is detected
+   * @param {number} options.sensitivity - Detection sensitivity (0-100)
+   * @param {number} options.micSensitivity - Microphone sensitivity (0-100)
+   * @param {Function} options.onWakeWord - Callback when the wake word is detected
+   * @param {Function} options.onUtterance - Callback with the features of each utterance heard, used for enrollment
+   * @returns {Promise<void>} Promise that resolves when listening starts
+   */
+  static async startWakeWordListening(options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.isRecording) {
+      throw new Error('AudioService: Cannot listen for the wake word while recording');
+    }
+
+    await this.stopWakeWordListening({ releaseInput: false });
+    await this.stopBargeInListening({ releaseInput: false });
+
+    this.wakeWordDetector = new WakeWordDetector({
+      sampleRate: this.recordingConfig.sampleRate,
+      templates: options.templates || [],
+      sensitivity: options.sensitivity,
+      micSensitivity: options.micSensitivity,
+    });
+    this.wakeWordOptions = options;
+
+    try {
+      AudioRecord.start();
+      this.isListeningForWakeWord = true;
+    } catch (error) {
+      console.error('AudioService: Wake word listening error', error);
+      this.wakeWordDetector = null;
+      this.wakeWordOptions = null;
+      await AudioRouteService.releaseInput();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop listening for the wake word
+   *
+   * @param {Object} options - Stop options
+   * @param {boolean} options.releaseInput - Whether to let the headset leave call mode
+   * @returns {Promise<void>} Promise that resolves when listening has stopped
+   */
+  static async stopWakeWordListening({ releaseInput = true } = {}) {
+    if (!this.isListeningForWakeWord) {
+      return;
+    }
+
+    this.isListeningForWakeWord = false;
+    this.wakeWordDetector = null;
+    this.wakeWordOptions = null;
+
+    try {
+      await AudioRecord.stop();
+    } catch (error) {
+      console.warn('AudioService: Wake word listening stop error', error);
+    }
+
+    if (releaseInput) {
+      await AudioRouteService.releaseInput();
+    }
+  }
+
+  /**
+   * Listen for the user talking over playback without recording anything
+   *
+   * Once speech is detected, listening stops with the input still routed, so
+   * onSpeech can go straight on to startRecording. Records from the input
+   * chosen by the last prepareInput call.
+   *
+   * @param {Object} options - Listening options
+   * @param {number} options.micSensitivity - Microphone sensitivity (0-100)
+   * @param {Function} options.onSpeech - Callback when the user starts talking
+   * @returns {Promise<void>} Promise that resolves when listening starts
+   */
+  static async startBargeInListening(options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (this.isRecording) {
+      throw new Error('AudioService: Cannot listen for barge-in while recording');
+    }
+
+    await this.stopWakeWordListening({ releaseInput: false });
+    await this.stopBargeInListening({ releaseInput: false });
+
+    this.bargeInDetector = new BargeInDetector({
+      sampleRate: this.recordingConfig.sampleRate,
+      micSensitivity: options.micSensitivity,
+    });
+    this.onBargeInCallback = options.onSpeech || null;
+
+    try {
+      AudioRecord.start();
+      this.isListeningForBargeIn = true;
+    } catch (error) {
+      console.error('AudioService: Barge-in listening error', error);
+      this.bargeInDetector = null;
+      this.onBargeInCallback = null;
+      await AudioRouteService.releaseInput();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop listening for the user talking over playback
+   *
+   * @param {Object} options - Stop options
+   * @param {boolean} options.releaseInput - Whether to let the headset leave call mode
+   * @returns {Promise<void>} Promise that resolves when listening has stopped
+   */
+  static async stopBargeInListening({ releaseInput = true } = {}) {
+    if (!this.isListeningForBargeIn) {
+      return;
+    }
+
+    this.isListeningForBargeIn = false;
+    this.bargeInDetector = null;
+    this.onBargeInCallback = null;
+
+    try {
+      await AudioRecord.stop();
+    } catch (error) {
+      console.warn('AudioService: Barge-in listening stop error', error);
+    }
+
+    if (releaseInput) {
+      await AudioRouteService.releaseInput();
+    }
+  }
+
   /**
    * Play audio from base64 data
    *
+   * Starting new playback interrupts any audio that is already playing.
+   *
    * @param {string} base64Audio - Base64-encoded audio data
-   * @returns {Promise<void>} Promise that resolves when playback completes
+   * @param {Object} options - Playback options
+   * @param {number} options.volume - Playback volume (0.0-1.0)
+   * @param {number} options.speed - Playback rate (0.5-2.0)
+   * @returns {Promise<boolean>} Resolves true when playback completes, false if it was stopped
    */
-  static async playAudio(base64Audio) {
+  static async playAudio(base64Audio, options = {}) {
     if (!base64Audio) {
       throw new Error('No audio data provided');
     }
 
     try {
       // Stop any current playback
-      if (this.currentSound) {
-        this.currentSound.stop();
-        this.currentSound.release();
-      }
+      this.stopPlayback();
 
       // Write base64 audio to file
       const filePath = `${RNFS.CachesDirectoryPath}/playback.wav`;
@@ -193,25 +411,44 @@ export class AudioService {
 
       // Create and play sound
       return new Promise((resolve, reject) => {
-        this.currentSound = new Sound(filePath, '', (error) => {
+        const sound = new Sound(filePath, '', (error) => {
           if (error) {
             console.error('AudioService: Sound load error', error);
+            this.finishPlayback(sound);
             reject(error);
             return;
           }
 
-          this.currentSound.play((success) => {
+          // Stopped before the file finished loading
+          if (this.currentSound !== sound) {
+            sound.release();
+            return;
+          }
+
+          if (options.volume != null) {
+            sound.setVolume(Math.min(1, Math.max(0, options.volume)));
+          }
+          if (options.speed != null && sound.setSpeed) {
+            sound.setSpeed(options.speed);
+          }
+
+          sound.play((success) => {
+            // Ignore the callback if stopPlayback already settled this sound
+            if (this.currentSound !== sound) {
+              return;
+            }
+
+            this.finishPlayback(sound);
             if (success) {
-              resolve();
+              resolve(true);
             } else {
               reject(new Error('Playback failed'));
             }
-
-            // Clean up
-            this.currentSound.release();
-            this.currentSound = null;
           });
         });
+
+        this.currentSound = sound;
+        this.resolvePlayback = resolve;
       });
     } catch (error) {
       console.error('AudioService: Play audio error', error);
@@ -219,35 +456,180 @@ export class AudioService {
     }
   }
 
+  /**
+   * Stop any audio that is currently playing
+   *
+   * The pending playAudio promise resolves with false.
+   */
+  static stopPlayback() {
+    if (!this.currentSound) {
+      return;
+    }
+
+    const sound = this.currentSound;
+    const resolve = this.resolvePlayback;
+
+    sound.stop();
+    this.finishPlayback(sound);
+
+    if (resolve) {
+      resolve(false);
+    }
+  }
+
+  /**
+   * Release a sound and clear playback state
+   *
+   * @param {Sound} sound - Sound instance that finished
+   */
+  static finishPlayback(sound) {
+    sound.release();
+
+    if (this.currentSound === sound) {
+      this.currentSound = null;
+      this.resolvePlayback = null;
+    }
+  }
+
+  /**
+   * Check if audio is currently playing
+   *
+   * @returns {boolean} True if playing
+   */
+  static isPlaying() {
+    return !!this.currentSound;
+  }
+
   /**
    * Start silence detection
    *
    * @param {number} threshold - Threshold for silence detection (0.0-1.0)
    * @param {Function} callback - Callback when silence is detected
+   * @param {number} micSensitivity - Microphone sensitivity (0-100)
    */
-  static startSilenceDetection(threshold, callback) {
-    // Clear any existing timer
-    if (this.silenceTimer) {
-      clearTimeout(this.silenceTimer);
+  static startSilenceDetection(threshold, callback, micSensitivity = 50) {
+    this.voiceActivityDetector = new VoiceActivityDetector({
+      sampleRate: this.recordingConfig.sampleRate,
+      silenceThreshold: threshold,
+      micSensitivity,
+      silenceTimeout: TIME.SILENCE_DETECTION_TIMEOUT,
+      noSpeechTimeout: TIME.NO_SPEECH_TIMEOUT,
+    });
+    this.onSilenceCallback = callback;
+  }
+
+  /**
+   * Stop silence detection
+   */
+  static stopSilenceDetection() {
+    this.voiceActivityDetector = null;
+    this.onSilenceCallback = null;
+  }
+
+  /**
+   * Handle a chunk of PCM audio from AudioRecord
+   *
+   * @param {string} data - Base64-encoded 16-bit PCM chunk
+   */
+  static handleAudioData(data) {
+    if (this.isListeningForWakeWord) {
+      this.handleWakeWordAudio(data);
+      return;
+    }
+
+    if (this.isListeningForBargeIn) {
+      this.handleBargeInAudio(data);
+      return;
     }
 
-    // Create silent detection subscription
-    AudioRecord.on('data', (data) => {
-      // Process audio data to detect silence
-      // This is a simplified implementation - actual silence detection
-      // would involve analyzing audio levels
+    if (!this.isRecording) {
+      return;
+    }
 
-      // For this example, we'll use a timer-based approach
-      if (this.silenceTimer) {
-        clearTimeout(this.silenceTimer);
+    // Forward the raw chunk for streaming uploads
+    if (this.recordOptions && this.recordOptions.onAudioChunk) {
+      try {
+        this.recordOptions.onAudioChunk(data, this.chunkSequence++);
+      } catch (error) {
+        console.error('AudioService: Audio chunk callback error', error);
       }
+    }
+
+    if (!this.voiceActivityDetector) {
+      return;
+    }
 
-      this.silenceTimer = setTimeout(() => {
-        if (this.isRecording && callback) {
+    try {
+      const analysis = this.voiceActivityDetector.processBase64(data);
+
+      if (analysis.silenceDetected) {
+        const callback = this.onSilenceCallback;
+
+        // Fire only once per recording
+        this.stopSilenceDetection();
+        if (callback) {
           callback();
         }
-      }, 2000); // 2 seconds of silence
-    });
+      }
+    } catch (error) {
+      console.error('AudioService: Audio analysis error', error);
+    }
+  }
+
+  /**
+   * Check a chunk of PCM audio for the wake word
+   *
+   * @param {string} data - Base64-encoded 16-bit PCM chunk
+   */
+  static handleWakeWordAudio(data) {
+    const options = this.wakeWordOptions;
+
+    try {
+      const result = this.wakeWordDetector.processBase64(data);
+
+      if (result.utterance && options.onUtterance) {
+        options.onUtterance(result.utterance);
+      }
+
+      if (result.detected) {
+        // Fire only once per listening session
+        this.stopWakeWordListening({ releaseInput: false })
+          .then(() => {
+            if (options.onWakeWord) {
+              options.onWakeWord({ distance: result.distance });
+            }
+          })
+          .catch(console.error);
+      }
+    } catch (error) {
+      console.error('AudioService: Wake word analysis error', error);
+    }
+  }
+
+  /**
+   * Check a chunk of PCM audio for the user talking over playback
+   *
+   * @param {string} data - Base64-encoded 16-bit PCM chunk
+   */
+  static handleBargeInAudio(data) {
+    const callback = this.onBargeInCallback;
+
+    try {
+      const analysis = this.bargeInDetector.processBase64(data);
+
+      if (analysis.speechDetected) {
+        // Fire only once per listening session
+        this.stopBargeInListening({ releaseInput: false })
+          .then(() => {
+            if (callback) {
+              callback();
+            }
+          })
+          .catch(console.error);
+      }
+    } catch (error) {
+      console.error('AudioService: Barge-in analysis error', error);
+    }
   }
 
   /**
@@ -256,6 +638,8 @@ export class AudioService {
   static handleSpeechStart() {
     // Speech recognition has started
     this.lastTranscription = '';
+    this.lastPartialTranscription = '';
+    this.lastAlternatives = [];
   }
 
   /**
@@ -271,13 +655,37 @@ export class AudioService {
    * @param {Object} event - Speech recognition event
    */
   static handleSpeechResults(event) {
-    if (event.value && event.value.length > 0) {
+    const alternatives = getAlternatives(event);
+
+    if (alternatives.length > 0) {
       // Get the most likely transcription
-      this.lastTranscription = event.value[0];
+      this.lastTranscription = alternatives[0].text;
+      this.lastPartialTranscription = '';
+      this.lastAlternatives = alternatives;
 
       // Call callback if provided
       if (this.recordOptions && this.recordOptions.speechResultsCallback) {
-        this.recordOptions.speechResultsCallback(this.lastTranscription);
+        this.recordOptions.speechResultsCallback(this.lastTranscription, alternatives);
+      }
+    }
+  }
+
+  /**
+   * Handle interim speech recognition results event
+   *
+   * Each event holds the hypotheses for everything said so far, so it
+   * replaces the previous one rather than adding to it.
+   *
+   * @param {Object} event - Speech recognition event
+   */
+  static handleSpeechPartialResults(event) {
+    const alternatives = getAlternatives(event);
+
+    if (alternatives.length > 0) {
+      this.lastPartialTranscription = alternatives[0].text;
+
+      if (this.recordOptions && this.recordOptions.speechPartialResultsCallback) {
+        this.recordOptions.speechPartialResultsCallback(this.lastPartialTranscription, alternatives);
       }
     }
   }
@@ -299,18 +707,16 @@ export class AudioService {
       this.stopRecording().catch(console.error);
     }
 
-    if (this.currentSound) {
-      this.currentSound.stop();
-      this.currentSound.release();
-      this.currentSound = null;
-    }
+    this.stopWakeWordListening().catch(console.error);
+    this.stopBargeInListening().catch(console.error);
+
+    this.stopPlayback();
 
     Voice.destroy().catch(console.error);
 
-    if (this.silenceTimer) {
-      clearTimeout(this.silenceTimer);
-      this.silenceTimer = null;
-    }
+    this.stopSilenceDetection();
+
+    AudioRouteService.cleanup().catch(console.error);
 
     this.isInitialized = false;
   }
@@ -0,0 +1,81 @@
+/**
+ * Auth Service
+ *
+ * Owns the identity the app presents to the server. The user ID is generated
+ * on first run and kept under its own storage key, so resetting settings
+ * never changes who the server thinks we are. The auth token is kept in the
+ * secure store rather than with the other settings.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecureStorageService } from './SecureStorageService';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Service for the user's identity
+ */
+export class AuthService {
+  /**
+   * Load the stable user ID, generating and saving one on first run
+   *
+   * @returns {Promise<string>} User ID
+   */
+  static async loadUserId() {
+    const savedUserId = await AsyncStorage.getItem(STORAGE_KEYS.USER_ID);
+    if (savedUserId) {
+      return savedUserId;
+    }
+
+    const userId = this.generateUserId();
+    await AsyncStorage.setItem(STORAGE_KEYS.USER_ID, userId);
+
+    return userId;
+  }
+
+  /**
+   * Load the auth token, moving one saved with the settings by older
+   * versions of the app into the secure store
+   *
+   * @param {string} legacyToken - Token found in the saved settings, if any
+   * @returns {Promise<string>} Auth token, or an empty string if there is none
+   */
+  static async loadToken(legacyToken) {
+    const token = await SecureStorageService.getSecret(STORAGE_KEYS.AUTH_TOKEN);
+    if (token) {
+      return token;
+    }
+
+    if (legacyToken) {
+      await this.saveToken(legacyToken);
+      return legacyToken;
+    }
+
+    return '';
+  }
+
+  /**
+   * Save the auth token, or remove it when empty
+   *
+   * @param {string} token - Auth token
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async saveToken(token) {
+    if (token) {
+      await SecureStorageService.setSecret(STORAGE_KEYS.AUTH_TOKEN, token);
+    } else {
+      await SecureStorageService.removeSecret(STORAGE_KEYS.AUTH_TOKEN);
+    }
+  }
+
+  /**
+   * Generate a new user ID
+   *
+   * @returns {string} User ID
+   */
+  static generateUserId() {
+    const random = () => Math.random().toString(36).slice(2, 10).padEnd(8, '0');
+    return `user-${Date.now().toString(36)}-${random()}${random()}`;
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,366 @@
+/**
+ * Conversation Service
+ *
+ * Persists conversation threads. A small index of thread metadata is stored
+ * under one key and each thread's messages under a key of its own, so switching
+ * threads never has to load the whole history. The index and messages are
+ * encrypted at rest by SecureStorageService.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecureStorageService } from './SecureStorageService';
+import { STORAGE_KEYS, CONVERSATION_LIMITS } from '../utils/constants';
+
+/**
+ * Title given to threads until the user names them or sends a first message
+ */
+export const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+/**
+ * Service for storing and retrieving conversation threads
+ */
+export class ConversationService {
+  /**
+   * Get the storage key for a thread's messages
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {string} AsyncStorage key
+   */
+  static messagesKey(conversationId) {
+    return `${STORAGE_KEYS.CONVERSATION_MESSAGES_PREFIX}${conversationId}`;
+  }
+
+  /**
+   * Load the thread index, migrating the single history of older versions
+   *
+   * @returns {Promise<Array>} Thread metadata, most recently updated first
+   */
+  static async loadIndex() {
+    await this.encryptStoredConversations();
+
+    try {
+      const savedIndex = await SecureStorageService.getItem(STORAGE_KEYS.CONVERSATIONS);
+      if (savedIndex) {
+        return this.sortIndex(JSON.parse(savedIndex));
+      }
+
+      return await this.migrateLegacyHistory();
+    } catch (error) {
+      console.error('ConversationService: Error loading index', error);
+      return [];
+    }
+  }
+
+  /**
+   * Encrypt history that older versions of the app stored as plaintext,
+   * including the pre-thread flat history, which is then migrated encrypted
+   *
+   * @returns {Promise<void>} Promise that resolves when done
+   */
+  static async encryptStoredConversations() {
+    if (!SecureStorageService.isSupported()) {
+      return;
+    }
+
+    try {
+      if (await AsyncStorage.getItem(STORAGE_KEYS.STORAGE_ENCRYPTED)) {
+        return;
+      }
+
+      const keys = (await AsyncStorage.getAllKeys()).filter(key =>
+        key === STORAGE_KEYS.CONVERSATIONS ||
+        key === STORAGE_KEYS.CONVERSATION_HISTORY ||
+        key.startsWith(STORAGE_KEYS.CONVERSATION_MESSAGES_PREFIX)
+      );
+
+      await SecureStorageService.encryptExisting(keys);
+      await AsyncStorage.setItem(STORAGE_KEYS.STORAGE_ENCRYPTED, 'true');
+    } catch (error) {
+      // Plaintext values are still readable, so try again next launch
+      console.error('ConversationService: Error encrypting stored history', error);
+    }
+  }
+
+  /**
+   * Move the pre-thread flat history into a thread of its own
+   *
+   * @returns {Promise<Array>} New thread index
+   */
+  static async migrateLegacyHistory() {
+    const legacyMessages = await SecureStorageService.getItem(STORAGE_KEYS.CONVERSATION_HISTORY);
+    if (!legacyMessages) {
+      return [];
+    }
+
+    const messages = JSON.parse(legacyMessages);
+    const conversation = this.createConversationMeta();
+    const index = [this.describe(conversation, messages)];
+
+    await SecureStorageService.setItem(this.messagesKey(conversation.id), JSON.stringify(messages));
+    await this.saveIndex(index);
+    await AsyncStorage.removeItem(STORAGE_KEYS.CONVERSATION_HISTORY);
+
+    return index;
+  }
+
+  /**
+   * Save the thread index
+   *
+   * @param {Array} index - Thread metadata
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async saveIndex(index) {
+    await SecureStorageService.setItem(STORAGE_KEYS.CONVERSATIONS, JSON.stringify(index));
+  }
+
+  /**
+   * Load the messages of a thread
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {Promise<Array>} Messages
+   */
+  static async loadMessages(conversationId) {
+    try {
+      const savedMessages = await SecureStorageService.getItem(this.messagesKey(conversationId));
+      return savedMessages ? JSON.parse(savedMessages) : [];
+    } catch (error) {
+      console.error(`ConversationService: Error loading messages for ${conversationId}`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the messages of a thread and refresh its index entry
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} conversationId - ID of the thread
+   * @param {Array} messages - Messages to save
+   * @returns {Promise<Array>} Updated thread index
+   */
+  static async saveMessages(index, conversationId, messages) {
+    const messagesToSave = messages.slice(-CONVERSATION_LIMITS.MAX_MESSAGES);
+    await SecureStorageService.setItem(this.messagesKey(conversationId), JSON.stringify(messagesToSave));
+
+    const updatedIndex = this.sortIndex(index.map(conversation =>
+      conversation.id === conversationId
+        ? this.describe(conversation, messagesToSave)
+        : conversation
+    ));
+
+    await this.saveIndex(updatedIndex);
+    return updatedIndex;
+  }
+
+  /**
+   * Append a message to a thread that isn't currently loaded
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} conversationId - ID of the thread
+   * @param {Object} message - Message to append
+   * @returns {Promise<Array>} Updated thread index
+   */
+  static async appendMessage(index, conversationId, message) {
+    const messages = await this.loadMessages(conversationId);
+    return this.saveMessages(index, conversationId, [...messages, message]);
+  }
+
+  /**
+   * Create a new, empty thread
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} title - Optional title
+   * @returns {Promise<Object>} The new thread and the updated index
+   */
+  static async createConversation(index, title) {
+    const conversation = this.createConversationMeta(title);
+    const updatedIndex = [conversation, ...index];
+
+    await this.saveIndex(updatedIndex);
+    return { conversation, index: updatedIndex };
+  }
+
+  /**
+   * Create a thread from an imported transcript
+   *
+   * @param {Array} index - Current thread index
+   * @param {Object} transcript - Parsed transcript with title, createdAt and messages
+   * @returns {Promise<Object>} The new thread and the updated index
+   */
+  static async importConversation(index, transcript) {
+    const conversation = {
+      ...this.createConversationMeta(transcript.title),
+      createdAt: transcript.createdAt,
+    };
+
+    const updatedIndex = await this.saveMessages(
+      [conversation, ...index],
+      conversation.id,
+      transcript.messages
+    );
+
+    return {
+      conversation: updatedIndex.find(entry => entry.id === conversation.id),
+      index: updatedIndex,
+    };
+  }
+
+  /**
+   * Rename a thread
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} conversationId - ID of the thread
+   * @param {string} title - New title
+   * @returns {Promise<Array>} Updated thread index
+   */
+  static async renameConversation(index, conversationId, title) {
+    const trimmed = (title || '').trim();
+    const updatedIndex = index.map(conversation =>
+      conversation.id === conversationId
+        ? { ...conversation, title: trimmed || DEFAULT_CONVERSATION_TITLE, hasCustomTitle: !!trimmed }
+        : conversation
+    );
+
+    await this.saveIndex(updatedIndex);
+    return updatedIndex;
+  }
+
+  /**
+   * Set the recognition language of a thread
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} conversationId - ID of the thread
+   * @param {string|null} language - Language code, or null to follow the setting
+   * @returns {Promise<Array>} Updated thread index
+   */
+  static async setConversationLanguage(index, conversationId, language) {
+    const updatedIndex = index.map(conversation =>
+      conversation.id === conversationId
+        ? { ...conversation, language: language || null }
+        : conversation
+    );
+
+    await this.saveIndex(updatedIndex);
+    return updatedIndex;
+  }
+
+  /**
+   * Delete a thread and its messages
+   *
+   * @param {Array} index - Current thread index
+   * @param {string} conversationId - ID of the thread
+   * @returns {Promise<Array>} Updated thread index
+   */
+  static async deleteConversation(index, conversationId) {
+    const updatedIndex = index.filter(conversation => conversation.id !== conversationId);
+
+    await AsyncStorage.removeItem(this.messagesKey(conversationId));
+    await this.saveIndex(updatedIndex);
+    return updatedIndex;
+  }
+
+  /**
+   * Delete every thread, its messages and the index
+   *
+   * @returns {Promise<void>} Promise that resolves when deleted
+   */
+  static async deleteAllConversations() {
+    // Match stored keys rather than the index, so threads it lost track of go too
+    const keys = (await AsyncStorage.getAllKeys()).filter(key =>
+      key === STORAGE_KEYS.CONVERSATIONS ||
+      key === STORAGE_KEYS.CONVERSATION_HISTORY ||
+      key === STORAGE_KEYS.ACTIVE_CONVERSATION ||
+      key.startsWith(STORAGE_KEYS.CONVERSATION_MESSAGES_PREFIX)
+    );
+
+    await AsyncStorage.multiRemove(keys);
+  }
+
+  /**
+   * Load the ID of the thread that was open last
+   *
+   * @returns {Promise<string|null>} Thread ID
+   */
+  static async loadActiveId() {
+    try {
+      return await AsyncStorage.getItem(STORAGE_KEYS.ACTIVE_CONVERSATION);
+    } catch (error) {
+      console.error('ConversationService: Error loading active conversation', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember which thread is open
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async saveActiveId(conversationId) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.ACTIVE_CONVERSATION, conversationId);
+    } catch (error) {
+      console.error('ConversationService: Error saving active conversation', error);
+    }
+  }
+
+  /**
+   * Build metadata for a new thread
+   *
+   * @param {string} title - Optional title
+   * @returns {Object} Thread metadata
+   */
+  static createConversationMeta(title) {
+    const now = Date.now();
+
+    return {
+      id: `conv-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: title || DEFAULT_CONVERSATION_TITLE,
+      hasCustomTitle: !!title,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
+      preview: '',
+    };
+  }
+
+  /**
+   * Refresh a thread's metadata from its messages, titling it after the
+   * first user message unless the user has named it
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @returns {Object} Updated metadata
+   */
+  static describe(conversation, messages) {
+    const lastMessage = messages[messages.length - 1];
+    const firstUserMessage = messages.find(msg => msg.isUser && msg.type !== 'system');
+
+    // Recomputed each time so a placeholder is replaced once the transcription arrives
+    let { title } = conversation;
+    if (!conversation.hasCustomTitle) {
+      title = firstUserMessage
+        ? firstUserMessage.text.slice(0, CONVERSATION_LIMITS.TITLE_LENGTH)
+        : DEFAULT_CONVERSATION_TITLE;
+    }
+
+    return {
+      ...conversation,
+      title,
+      messageCount: messages.length,
+      preview: lastMessage ? lastMessage.text : '',
+      updatedAt: lastMessage ? lastMessage.timestamp : conversation.updatedAt,
+    };
+  }
+
+  /**
+   * Sort threads so the most recently updated comes first
+   *
+   * @param {Array} index - Thread metadata
+   * @returns {Array} Sorted copy
+   */
+  static sortIndex(index) {
+    return [...index].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+}
+
+export default ConversationService;
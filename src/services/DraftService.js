@@ -0,0 +1,122 @@
+/**
+ * Draft Service
+ *
+ * Keeps the text typed into the composer but not yet sent, one draft per
+ * conversation thread, so it survives switching threads and restarting the
+ * app. Drafts are message content, so they are encrypted like the history.
+ * All drafts share one stored value, so writes run one at a time in order;
+ * otherwise a slow save could bring back a draft that was just sent.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecureStorageService } from './SecureStorageService';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Service for unsent composer drafts
+ */
+export class DraftService {
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Run a write once the writes before it have finished
+   *
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise} Result of the write
+   */
+  static enqueue(write) {
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Load all drafts
+   *
+   * @returns {Promise<Object>} Draft text by conversation ID
+   */
+  static async loadDrafts() {
+    try {
+      const saved = await SecureStorageService.getItem(STORAGE_KEYS.COMPOSER_DRAFTS);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('DraftService: Error loading drafts', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the draft of a thread
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {Promise<string>} Draft text, or an empty string if there is none
+   */
+  static async getDraft(conversationId) {
+    // Read what the writes already asked for will leave
+    await this.writeQueue;
+    const drafts = await this.loadDrafts();
+    return drafts[conversationId] || '';
+  }
+
+  /**
+   * Save the draft of a thread, removing it if empty
+   *
+   * @param {string} conversationId - ID of the thread
+   * @param {string} text - Draft text
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static saveDraft(conversationId, text) {
+    return this.enqueue(async () => {
+      const drafts = await this.loadDrafts();
+
+      if (text && text.trim()) {
+        drafts[conversationId] = text;
+      } else if (conversationId in drafts) {
+        delete drafts[conversationId];
+      } else {
+        return;
+      }
+
+      await SecureStorageService.setItem(STORAGE_KEYS.COMPOSER_DRAFTS, JSON.stringify(drafts));
+    });
+  }
+
+  /**
+   * Remove the draft of a thread
+   *
+   * @param {string} conversationId - ID of the thread
+   * @returns {Promise<void>} Promise that resolves when removed
+   */
+  static async clearDraft(conversationId) {
+    await this.saveDraft(conversationId, '');
+  }
+
+  /**
+   * Send a thread's draft, removing it only once it has been sent
+   *
+   * @param {string} conversationId - ID of the thread
+   * @param {string} text - Draft text
+   * @param {Function} send - Sends the text, resolving to the message ID or null on failure
+   * @returns {Promise<string|null>} Message ID, or null if the draft was kept
+   */
+  static async sendDraft(conversationId, text, send) {
+    const messageId = await send(text);
+
+    if (messageId) {
+      await this.clearDraft(conversationId);
+    }
+
+    return messageId;
+  }
+
+  /**
+   * Remove all drafts
+   *
+   * @returns {Promise<void>} Promise that resolves when removed
+   */
+  static clearAllDrafts() {
+    return this.enqueue(() => AsyncStorage.removeItem(STORAGE_KEYS.COMPOSER_DRAFTS));
+  }
+}
+
+export default DraftService;
@@ -0,0 +1,298 @@
+/**
+ * Headset Service
+ *
+ * Talks to a connected AIR headset over GATT. Subscribes to the headset's
+ * button characteristic and reports decoded button gestures to listeners,
+ * and reads the standard Battery and Device Information services.
+ */
+
+import BleManager from 'react-native-ble-manager';
+import { BLE_UUIDS, FEATURES } from '../utils/constants';
+import { normalizeUuid, decodeUtf8 } from '../utils/bluetooth';
+import { ButtonGestureDecoder, decodeButtonPacket } from '../utils/headsetProtocol';
+
+/**
+ * Service for the AIR headset GATT protocol
+ */
+export class HeadsetService {
+  static deviceId = null;
+  static valueSubscription = null;
+  static decoder = null;
+
+  // Listeners for button gestures and battery level notifications
+  static buttonListeners = new Set();
+  static batteryListeners = new Set();
+
+  /**
+   * Start receiving button events and battery notifications from a connected headset
+   *
+   * Services must already have been retrieved for the device. Either
+   * subscription may be missing on headsets that don't offer it.
+   *
+   * @param {string} deviceId - ID of the connected headset
+   * @returns {Promise<Object>} Which notifications are active, as {hasButtons, hasBattery}
+   */
+  static async start(deviceId) {
+    await this.stop();
+
+    this.deviceId = deviceId;
+    this.decoder = new ButtonGestureDecoder({
+      onGesture: gesture => this.emitButtonEvent(gesture),
+    });
+    this.valueSubscription = BleManager.onDidUpdateValueForCharacteristic(
+      event => this.handleValueUpdate(event)
+    );
+
+    const hasButtons = await this.startNotification(
+      BLE_UUIDS.AIR_HEADSET_SERVICE,
+      BLE_UUIDS.AIR_BUTTON_CHARACTERISTIC
+    );
+    const hasBattery = await this.startNotification(
+      BLE_UUIDS.BATTERY_SERVICE,
+      BLE_UUIDS.BATTERY_LEVEL
+    );
+
+    return { hasButtons, hasBattery };
+  }
+
+  /**
+   * Stop receiving button events and battery notifications
+   *
+   * @returns {Promise<void>} Promise that resolves when stopped
+   */
+  static async stop() {
+    const { deviceId } = this;
+    if (!deviceId) {
+      return;
+    }
+
+    this.deviceId = null;
+    this.valueSubscription.remove();
+    this.valueSubscription = null;
+    this.decoder.reset();
+    this.decoder = null;
+
+    const notifications = [
+      [BLE_UUIDS.AIR_HEADSET_SERVICE, BLE_UUIDS.AIR_BUTTON_CHARACTERISTIC],
+      [BLE_UUIDS.BATTERY_SERVICE, BLE_UUIDS.BATTERY_LEVEL],
+    ];
+
+    for (const [serviceUUID, characteristicUUID] of notifications) {
+      try {
+        await BleManager.stopNotification(deviceId, serviceUUID, characteristicUUID);
+      } catch (error) {
+        // Expected when the headset has gone away or never offered the characteristic
+        if (FEATURES.ENABLE_DEBUGGING) {
+          console.log(`HeadsetService: Error stopping notifications for ${characteristicUUID}`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Subscribe to a characteristic of the current headset
+   *
+   * @param {string} serviceUUID - Service UUID
+   * @param {string} characteristicUUID - Characteristic UUID
+   * @returns {Promise<boolean>} False if the headset doesn't offer the characteristic
+   */
+  static async startNotification(serviceUUID, characteristicUUID) {
+    try {
+      await BleManager.startNotification(this.deviceId, serviceUUID, characteristicUUID);
+      return true;
+    } catch (error) {
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`HeadsetService: No notifications for ${characteristicUUID}`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Read the battery level of the current headset
+   *
+   * @returns {Promise<number|null>} Level in percent, null if unavailable
+   */
+  static async readBatteryLevel() {
+    if (!this.deviceId) {
+      return null;
+    }
+
+    try {
+      const value = await BleManager.read(
+        this.deviceId,
+        BLE_UUIDS.BATTERY_SERVICE,
+        BLE_UUIDS.BATTERY_LEVEL
+      );
+      return this.decodeBatteryLevel(value);
+    } catch (error) {
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log('HeadsetService: Battery level unavailable', error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Read the Device Information Service of the current headset
+   *
+   * @returns {Promise<Object>} Manufacturer, model, serial number and revisions;
+   *   fields the headset doesn't provide are omitted
+   */
+  static async readDeviceInfo() {
+    const fields = {
+      manufacturer: BLE_UUIDS.MANUFACTURER_NAME,
+      model: BLE_UUIDS.MODEL_NUMBER,
+      serialNumber: BLE_UUIDS.SERIAL_NUMBER,
+      hardwareRevision: BLE_UUIDS.HARDWARE_REVISION,
+      firmwareRevision: BLE_UUIDS.FIRMWARE_REVISION,
+      softwareRevision: BLE_UUIDS.SOFTWARE_REVISION,
+    };
+
+    const info = {};
+    if (!this.deviceId) {
+      return info;
+    }
+
+    // Read one at a time; many headsets reject overlapping GATT reads
+    for (const [field, characteristicUUID] of Object.entries(fields)) {
+      try {
+        const value = await BleManager.read(
+          this.deviceId,
+          BLE_UUIDS.DEVICE_INFO_SERVICE,
+          characteristicUUID
+        );
+        info[field] = decodeUtf8(value);
+      } catch (error) {
+        // Optional characteristic
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Decode a Battery Level characteristic value
+   *
+   * @param {Array<number>} value - Characteristic value
+   * @returns {number|null} Level in percent, null if malformed
+   */
+  static decodeBatteryLevel(value) {
+    if (!value || value.length < 1 || value[0] > 100) {
+      return null;
+    }
+
+    return value[0];
+  }
+
+  /**
+   * Listen for button gestures
+   *
+   * @param {Function} callback - Called with one of HEADSET_BUTTON_EVENTS
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onButtonEvent(callback) {
+    this.buttonListeners.add(callback);
+    return () => {
+      this.buttonListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Listen for battery level notifications
+   *
+   * @param {Function} callback - Called with the level in percent
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onBatteryLevel(callback) {
+    this.batteryListeners.add(callback);
+    return () => {
+      this.batteryListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Handle a characteristic notification, ignoring other devices and characteristics
+   *
+   * @param {Object} event - Notification event
+   * @param {string} event.peripheral - ID of the device
+   * @param {string} event.characteristic - UUID of the characteristic
+   * @param {Array<number>} event.value - Notification value
+   */
+  static handleValueUpdate({ peripheral, characteristic, value }) {
+    if (peripheral !== this.deviceId) {
+      return;
+    }
+
+    switch (normalizeUuid(characteristic)) {
+      case normalizeUuid(BLE_UUIDS.AIR_BUTTON_CHARACTERISTIC):
+        this.handleButtonPacket(value);
+        break;
+      case normalizeUuid(BLE_UUIDS.BATTERY_LEVEL):
+        this.handleBatteryLevel(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle a notification from the button characteristic
+   *
+   * @param {Array<number>} value - Notification value
+   */
+  static handleButtonPacket(value) {
+    const packet = decodeButtonPacket(value);
+    if (!packet) {
+      console.warn('HeadsetService: Unknown button message', value);
+      return;
+    }
+
+    if (packet.type === 'state') {
+      this.decoder.handleState(packet.isPressed);
+    } else {
+      this.emitButtonEvent(packet.gesture);
+    }
+  }
+
+  /**
+   * Handle a battery level notification
+   *
+   * @param {Array<number>} value - Notification value
+   */
+  static handleBatteryLevel(value) {
+    const level = this.decodeBatteryLevel(value);
+    if (level == null) {
+      return;
+    }
+
+    [...this.batteryListeners].forEach(callback => {
+      try {
+        callback(level);
+      } catch (error) {
+        console.error('HeadsetService: Error in battery listener', error);
+      }
+    });
+  }
+
+  /**
+   * Notify button listeners
+   *
+   * @param {string} gesture - One of HEADSET_BUTTON_EVENTS
+   */
+  static emitButtonEvent(gesture) {
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`HeadsetService: Button ${gesture}`);
+    }
+
+    [...this.buttonListeners].forEach(callback => {
+      try {
+        callback(gesture);
+      } catch (error) {
+        console.error('HeadsetService: Error in button listener', error);
+      }
+    });
+  }
+}
+
+export default HeadsetService;
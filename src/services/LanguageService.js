@@ -0,0 +1,94 @@
+/**
+ * Language Service
+ *
+ * Works out which language speech should be recognized in. A fixed setting
+ * is used as is; the automatic setting follows the device language when the
+ * device has a speech recognizer, and otherwise leaves detection to the
+ * server, which receives the audio either way.
+ */
+
+import { NativeModules, Platform } from 'react-native';
+import Voice from '@react-native-community/voice';
+import { AUTO_LANGUAGE, DEFAULT_LANGUAGE } from '../utils/constants';
+import { matchLanguage, normalizeLanguageTag } from '../utils/language';
+
+/**
+ * Service for resolving the speech recognition language
+ */
+export class LanguageService {
+  static detectedLanguage = null;
+
+  /**
+   * Get the device locale
+   *
+   * @returns {string|null} BCP-47 tag of the device locale, or null if unknown
+   */
+  static getDeviceLocale() {
+    if (Platform.OS === 'ios') {
+      const settings = NativeModules.SettingsManager && NativeModules.SettingsManager.settings;
+      if (!settings) {
+        return null;
+      }
+      return normalizeLanguageTag(settings.AppleLocale || (settings.AppleLanguages && settings.AppleLanguages[0]));
+    }
+
+    const i18n = NativeModules.I18nManager;
+    return i18n ? normalizeLanguageTag(i18n.localeIdentifier) : null;
+  }
+
+  /**
+   * Check whether the device can recognize speech itself
+   *
+   * @returns {Promise<boolean>} True if a recognition service is installed
+   */
+  static async hasRecognitionService() {
+    // Only Android can list its recognition services; iOS always has one
+    if (Platform.OS !== 'android') {
+      return true;
+    }
+
+    try {
+      const services = await Voice.getSpeechRecognitionServices();
+      return Array.isArray(services) && services.length > 0;
+    } catch (error) {
+      console.warn('LanguageService: Could not list speech recognition services', error);
+      return false;
+    }
+  }
+
+  /**
+   * Detect the language to use for the automatic setting
+   *
+   * @returns {Promise<string>} Language code, or AUTO_LANGUAGE when there is
+   *   no recognizer on the device and the server should detect it
+   */
+  static async detectLanguage() {
+    if (this.detectedLanguage) {
+      return this.detectedLanguage;
+    }
+
+    if (await this.hasRecognitionService()) {
+      this.detectedLanguage = matchLanguage(this.getDeviceLocale()) || DEFAULT_LANGUAGE;
+    } else {
+      this.detectedLanguage = AUTO_LANGUAGE;
+    }
+
+    return this.detectedLanguage;
+  }
+
+  /**
+   * Resolve a language setting to the language to recognize
+   *
+   * @param {string} language - Language code or AUTO_LANGUAGE
+   * @returns {Promise<string>} Language code, or AUTO_LANGUAGE for server-side detection
+   */
+  static async resolveLanguage(language) {
+    if (language && language !== AUTO_LANGUAGE) {
+      return language;
+    }
+
+    return this.detectLanguage();
+  }
+}
+
+export default LanguageService;
@@ -0,0 +1,216 @@
+/**
+ * Mock Transport
+ *
+ * An in-process stand-in for the AIR-assist server, shaped like a WebSocket
+ * so WebSocketService can run over it unchanged. Replies come from a script
+ * of rules, which by default accepts every connect handshake (issuing a token
+ * when given a pairing code), answers pings with pongs, acknowledges and
+ * answers text and audio messages with aiResponse frames, and sends an error
+ * frame for text messages starting with "/error". Used for offline demos and
+ * tests of the full conversation flow.
+ */
+
+import { WS_MESSAGE_TYPES, TRANSPORT_READY_STATES, TIME } from '../utils/constants';
+
+/**
+ * Build an ack frame for a message
+ *
+ * @param {Object} frame - Message being acknowledged
+ * @returns {Object} Ack frame
+ */
+const ack = (frame) => ({
+  type: WS_MESSAGE_TYPES.ACK,
+  messageId: frame.messageId,
+  status: 'ok',
+});
+
+/**
+ * Build an aiResponse frame answering a message
+ *
+ * @param {Object} frame - Message being answered
+ * @param {string} transcription - What the user said, if known
+ * @returns {Object} aiResponse frame
+ */
+const aiResponse = (frame, transcription) => ({
+  type: WS_MESSAGE_TYPES.AI_RESPONSE,
+  messageId: frame.messageId,
+  conversationId: frame.conversationId,
+  transcription,
+  text: transcription
+    ? `You said: "${transcription}". This reply comes from the offline mock server.`
+    : 'I received your voice message. This reply comes from the offline mock server.',
+  timestamp: Date.now(),
+});
+
+/**
+ * Default script
+ *
+ * Each rule has a message type, an optional match function for frames of
+ * that type, and a reply function returning the frames to send back. The
+ * first matching rule answers; frames no rule matches get no reply.
+ */
+export const DEFAULT_MOCK_SCRIPT = [
+  {
+    type: WS_MESSAGE_TYPES.CONNECT,
+    reply: frame => [{
+      type: WS_MESSAGE_TYPES.CONNECT,
+      status: 'ok',
+      userId: frame.userId,
+      sessionId: `mock-${Date.now().toString(36)}`,
+      token: frame.pairingCode ? `mock-token-${frame.pairingCode}` : undefined,
+    }],
+  },
+  {
+    type: WS_MESSAGE_TYPES.PING,
+    reply: () => [{ type: WS_MESSAGE_TYPES.PONG, timestamp: Date.now() }],
+  },
+  {
+    type: WS_MESSAGE_TYPES.TEXT,
+    match: frame => /^\/error\b/i.test(frame.text || ''),
+    reply: frame => [
+      ack(frame),
+      {
+        type: WS_MESSAGE_TYPES.ERROR,
+        messageId: frame.messageId,
+        message: 'The mock server was asked to fail',
+      },
+    ],
+  },
+  {
+    type: WS_MESSAGE_TYPES.TEXT,
+    reply: frame => [ack(frame), aiResponse(frame, frame.text)],
+  },
+  {
+    type: WS_MESSAGE_TYPES.AUDIO,
+    reply: frame => [ack(frame), aiResponse(frame, frame.transcription)],
+  },
+  {
+    type: WS_MESSAGE_TYPES.AUDIO_STREAM_END,
+    reply: (frame, transport) => {
+      const start = transport.streams.get(frame.messageId) || {};
+      transport.streams.delete(frame.messageId);
+
+      return [aiResponse({ ...frame, conversationId: start.conversationId }, frame.transcription)];
+    },
+  },
+];
+
+/**
+ * WebSocket-shaped transport backed by a scripted in-process server
+ */
+export class MockTransport {
+  /**
+   * @param {string} url - Server URL, kept for parity with WebSocket
+   * @param {Object} options - Transport options
+   * @param {Array} options.script - Rules to answer with, defaults to DEFAULT_MOCK_SCRIPT
+   * @param {number} options.latency - Delay before each reply and before opening (ms)
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.script = options.script || DEFAULT_MOCK_SCRIPT;
+    this.latency = options.latency != null ? options.latency : TIME.MOCK_SERVER_LATENCY;
+    this.readyState = TRANSPORT_READY_STATES.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    // Audio streams in progress, keyed by messageId
+    this.streams = new Map();
+    this.timers = new Set();
+
+    this.defer(() => {
+      this.readyState = TRANSPORT_READY_STATES.OPEN;
+      if (this.onopen) {
+        this.onopen();
+      }
+    });
+  }
+
+  /**
+   * Send a frame to the mock server
+   *
+   * @param {string} data - JSON-encoded frame
+   */
+  send(data) {
+    if (this.readyState !== TRANSPORT_READY_STATES.OPEN) {
+      throw new Error('MockTransport: Cannot send, transport not open');
+    }
+
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch (error) {
+      this.reply([{ type: WS_MESSAGE_TYPES.ERROR, message: 'Malformed frame' }]);
+      return;
+    }
+
+    if (frame.type === WS_MESSAGE_TYPES.AUDIO_STREAM_START) {
+      this.streams.set(frame.messageId, { conversationId: frame.conversationId });
+    }
+
+    const rule = this.script.find(candidate =>
+      candidate.type === frame.type && (!candidate.match || candidate.match(frame))
+    );
+
+    if (rule) {
+      this.reply(rule.reply(frame, this));
+    }
+  }
+
+  /**
+   * Close the transport
+   *
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === TRANSPORT_READY_STATES.CLOSING ||
+        this.readyState === TRANSPORT_READY_STATES.CLOSED) {
+      return;
+    }
+
+    // Replies still in flight are dropped, as they would be by a real socket
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.readyState = TRANSPORT_READY_STATES.CLOSING;
+
+    this.defer(() => {
+      this.readyState = TRANSPORT_READY_STATES.CLOSED;
+      if (this.onclose) {
+        this.onclose({ code, reason });
+      }
+    });
+  }
+
+  /**
+   * Deliver frames from the mock server after the configured latency
+   *
+   * @param {Array<Object>} frames - Frames to deliver, in order
+   */
+  reply(frames) {
+    this.defer(() => {
+      frames.forEach(frame => {
+        if (this.readyState === TRANSPORT_READY_STATES.OPEN && this.onmessage) {
+          this.onmessage({ data: JSON.stringify(frame) });
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a callback after the configured latency
+   *
+   * @param {Function} callback - Callback to run
+   */
+  defer(callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, this.latency);
+
+    this.timers.add(timer);
+  }
+}
+
+export default MockTransport;
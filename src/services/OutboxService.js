@@ -0,0 +1,422 @@
+/**
+ * Outbox Service
+ *
+ * Durable queue for user messages that have not yet been acknowledged by the
+ * server. Message metadata is kept in AsyncStorage while recorded audio is
+ * written to files, so large recordings never pass through AsyncStorage.
+ * Both are encrypted at rest by SecureStorageService.
+ * Messages are delivered one at a time and only removed once acknowledged.
+ */
+
+import RNFS from 'react-native-fs';
+import { WebSocketService, WS_REQUEST_ERRORS } from './WebSocketService';
+import { SecureStorageService } from './SecureStorageService';
+import { STORAGE_KEYS, MESSAGE_STATUS, OUTBOX_LIMITS, FEATURES } from '../utils/constants';
+
+/**
+ * Service for queueing and delivering outgoing messages
+ */
+export class OutboxService {
+  static items = [];
+  static isLoaded = false;
+  static isDraining = false;
+  static directory = `${RNFS.DocumentDirectoryPath}/outbox`;
+
+  // Listeners for queue contents and per-message delivery status
+  static changeListeners = new Set();
+  static statusListeners = new Set();
+
+  /**
+   * Load the queue from storage, moving any inline audio from older
+   * versions of the app into files and encrypting plaintext audio files
+   *
+   * @returns {Promise<Array>} Queued items
+   */
+  static async load() {
+    if (this.isLoaded) {
+      return this.items;
+    }
+
+    try {
+      await RNFS.mkdir(this.directory);
+
+      const saved = await SecureStorageService.getItem(STORAGE_KEYS.PENDING_MESSAGES);
+      const savedItems = saved ? JSON.parse(saved) : [];
+
+      this.items = [];
+      for (const savedItem of savedItems) {
+        const { audioBase64, ...item } = savedItem;
+
+        if (audioBase64) {
+          item.audioPath = await this.writeAudio(item.messageId, audioBase64);
+          item.audioSealed = true;
+          item.size = this.estimateSize(item, audioBase64);
+        } else if (item.audioPath && !item.audioSealed) {
+          await this.writeAudio(item.messageId, await this.readAudio(item));
+          item.audioSealed = true;
+        }
+
+        // Anything in flight when the app closed goes back in the queue
+        if (!item.status || item.status === MESSAGE_STATUS.SENDING) {
+          item.status = MESSAGE_STATUS.QUEUED;
+        }
+
+        this.items.push(item);
+      }
+
+      this.isLoaded = true;
+      await this.persist();
+      this.items.forEach(item => this.notifyStatus(item.messageId, item.status));
+    } catch (error) {
+      console.error('OutboxService: Error loading outbox', error);
+      this.isLoaded = true;
+    }
+
+    return this.items;
+  }
+
+  /**
+   * Add a message to the outbox
+   *
+   * @param {Object} message - Message to queue
+   * @param {string} message.messageId - ID of the user message bubble
+   * @param {boolean} message.isText - Whether this is a text message
+   * @param {string} message.text - Text content for text messages
+   * @param {string} message.audioBase64 - Recorded audio for audio messages
+   * @param {string} message.transcription - Local transcription for audio messages
+   * @param {number} message.timestamp - Time the message was created
+   * @returns {Promise<boolean>} True if the message was queued
+   */
+  static async enqueue(message) {
+    await this.load();
+
+    const { audioBase64, ...item } = message;
+    item.status = MESSAGE_STATUS.QUEUED;
+    item.attempts = 0;
+    item.size = this.estimateSize(item, audioBase64);
+
+    if (item.size > OUTBOX_LIMITS.MAX_TOTAL_BYTES) {
+      console.warn(`OutboxService: Message ${item.messageId} is larger than the outbox`);
+      this.notifyStatus(item.messageId, MESSAGE_STATUS.FAILED);
+      return false;
+    }
+
+    try {
+      if (audioBase64) {
+        item.audioPath = await this.writeAudio(item.messageId, audioBase64);
+        item.audioSealed = true;
+      }
+
+      this.items = [...this.items.filter(queued => queued.messageId !== item.messageId), item];
+      await this.enforceSizeLimit();
+      await this.persist();
+      this.notifyStatus(item.messageId, item.status);
+      return true;
+    } catch (error) {
+      console.error('OutboxService: Error queueing message', error);
+      this.notifyStatus(item.messageId, MESSAGE_STATUS.FAILED);
+      return false;
+    }
+  }
+
+  /**
+   * Deliver queued messages one at a time until the queue is empty
+   * or the connection drops
+   *
+   * @param {Function} buildFrame - Builds a protocol frame from (item, audioBase64)
+   * @returns {Promise<void>} Promise that resolves when draining stops
+   */
+  static async drain(buildFrame) {
+    if (this.isDraining) {
+      return;
+    }
+
+    // Claimed before waiting on anything, so a second call can't start alongside
+    this.isDraining = true;
+
+    try {
+      await this.load();
+
+      let item = this.nextQueued();
+
+      while (item && WebSocketService.isConnected()) {
+        const delivered = await this.deliver(item, buildFrame);
+
+        // A dropped connection leaves the rest for the next drain
+        if (delivered === null) {
+          break;
+        }
+
+        item = this.nextQueued();
+      }
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Send a single item and wait for its acknowledgement
+   *
+   * @param {Object} item - Queued item
+   * @param {Function} buildFrame - Builds a protocol frame from (item, audioBase64)
+   * @returns {Promise<boolean|null>} True if acknowledged, false if it failed,
+   *   null if the connection closed first
+   */
+  static async deliver(item, buildFrame) {
+    this.updateItem(item.messageId, {
+      status: MESSAGE_STATUS.SENDING,
+      attempts: (item.attempts || 0) + 1,
+    });
+
+    try {
+      const audioBase64 = item.audioPath ? await this.readAudio(item) : null;
+
+      await WebSocketService.request(buildFrame(item, audioBase64));
+
+      await this.remove(item.messageId, MESSAGE_STATUS.SENT);
+      return true;
+    } catch (error) {
+      if (FEATURES.ENABLE_DEBUGGING) {
+        console.log(`OutboxService: Delivery of ${item.messageId} failed`, error.message);
+      }
+
+      if (error.code === WS_REQUEST_ERRORS.CONNECTION_CLOSED) {
+        this.updateItem(item.messageId, { status: MESSAGE_STATUS.QUEUED });
+        await this.persist();
+        return null;
+      }
+
+      this.updateItem(item.messageId, { status: MESSAGE_STATUS.FAILED });
+      await this.persist();
+      return false;
+    }
+  }
+
+  /**
+   * Put a failed message back in the queue
+   *
+   * @param {string} messageId - ID of the message to retry
+   * @returns {Promise<boolean>} False if the message is no longer in the outbox
+   */
+  static async retry(messageId) {
+    await this.load();
+
+    if (!this.items.some(item => item.messageId === messageId)) {
+      return false;
+    }
+
+    this.updateItem(messageId, { status: MESSAGE_STATUS.QUEUED });
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Remove a message and its audio file from the outbox
+   *
+   * @param {string} messageId - ID of the message to remove
+   * @param {string} status - Final status reported to listeners
+   * @returns {Promise<void>} Promise that resolves when removed
+   */
+  static async remove(messageId, status = MESSAGE_STATUS.FAILED) {
+    const item = this.items.find(queued => queued.messageId === messageId);
+    if (!item) {
+      return;
+    }
+
+    this.items = this.items.filter(queued => queued.messageId !== messageId);
+    await this.deleteAudio(item);
+    await this.persist();
+    this.notifyStatus(messageId, status);
+  }
+
+  /**
+   * Remove every message from the outbox
+   *
+   * @returns {Promise<void>} Promise that resolves when cleared
+   */
+  static async clear() {
+    await this.load();
+
+    const removed = this.items;
+    this.items = [];
+    await Promise.all(removed.map(item => this.deleteAudio(item)));
+    await this.persist();
+    removed.forEach(item => this.notifyStatus(item.messageId, MESSAGE_STATUS.FAILED));
+  }
+
+  /**
+   * Get the queued items
+   *
+   * @returns {Array} Items without audio data
+   */
+  static getItems() {
+    return this.items;
+  }
+
+  /**
+   * Listen for changes to the queue contents
+   *
+   * @param {Function} callback - Called with the item list
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onChange(callback) {
+    this.changeListeners.add(callback);
+    return () => {
+      this.changeListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Listen for delivery status changes
+   *
+   * @param {Function} callback - Called with (messageId, status)
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onStatusChange(callback) {
+    this.statusListeners.add(callback);
+    return () => {
+      this.statusListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Find the oldest message waiting to be sent
+   *
+   * @returns {Object|undefined} Queued item
+   */
+  static nextQueued() {
+    return this.items.find(item => item.status === MESSAGE_STATUS.QUEUED);
+  }
+
+  /**
+   * Apply changes to an item and notify listeners of its status
+   *
+   * @param {string} messageId - ID of the item
+   * @param {Object} changes - Fields to update
+   */
+  static updateItem(messageId, changes) {
+    this.items = this.items.map(item =>
+      item.messageId === messageId ? { ...item, ...changes } : item
+    );
+
+    if (changes.status) {
+      this.notifyStatus(messageId, changes.status);
+    }
+  }
+
+  /**
+   * Drop the oldest messages that aren't being sent until the outbox fits its size cap
+   *
+   * @returns {Promise<void>} Promise that resolves when within the cap
+   */
+  static async enforceSizeLimit() {
+    let total = this.items.reduce((sum, item) => sum + (item.size || 0), 0);
+
+    while (total > OUTBOX_LIMITS.MAX_TOTAL_BYTES) {
+      const oldest = this.items.find(item => item.status !== MESSAGE_STATUS.SENDING);
+      if (!oldest) {
+        break;
+      }
+
+      console.warn(`OutboxService: Outbox full, dropping message ${oldest.messageId}`);
+      total -= oldest.size || 0;
+      this.items = this.items.filter(item => item !== oldest);
+      await this.deleteAudio(oldest);
+      this.notifyStatus(oldest.messageId, MESSAGE_STATUS.FAILED);
+    }
+  }
+
+  /**
+   * Estimate the stored size of a message
+   *
+   * @param {Object} item - Item metadata
+   * @param {string} audioBase64 - Base64 audio, if any
+   * @returns {number} Size in bytes
+   */
+  static estimateSize(item, audioBase64) {
+    const audioBytes = audioBase64 ? Math.floor((audioBase64.length * 3) / 4) : 0;
+    const textBytes = (item.text || '').length + (item.transcription || '').length;
+    return audioBytes + textBytes;
+  }
+
+  /**
+   * Encrypt audio for a message and write it to the outbox directory
+   *
+   * @param {string} messageId - ID of the message
+   * @param {string} audioBase64 - Base64-encoded audio
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async writeAudio(messageId, audioBase64) {
+    const path = `${this.directory}/${messageId}.wav`;
+    await RNFS.writeFile(path, await SecureStorageService.encrypt(audioBase64), 'utf8');
+    return path;
+  }
+
+  /**
+   * Read the audio belonging to an item
+   *
+   * @param {Object} item - Item with an audio file
+   * @returns {Promise<string>} Base64-encoded audio
+   */
+  static async readAudio(item) {
+    // Files from before encryption hold raw audio
+    if (!item.audioSealed) {
+      return RNFS.readFile(item.audioPath, 'base64');
+    }
+
+    return SecureStorageService.decrypt(await RNFS.readFile(item.audioPath, 'utf8'));
+  }
+
+  /**
+   * Delete the audio file belonging to an item
+   *
+   * @param {Object} item - Item whose audio should be removed
+   * @returns {Promise<void>} Promise that resolves when deleted
+   */
+  static async deleteAudio(item) {
+    if (!item.audioPath) {
+      return;
+    }
+
+    try {
+      if (await RNFS.exists(item.audioPath)) {
+        await RNFS.unlink(item.audioPath);
+      }
+    } catch (error) {
+      console.warn('OutboxService: Error deleting audio file', error);
+    }
+  }
+
+  /**
+   * Save the queue metadata and notify change listeners
+   *
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async persist() {
+    try {
+      await SecureStorageService.setItem(STORAGE_KEYS.PENDING_MESSAGES, JSON.stringify(this.items));
+    } catch (error) {
+      console.error('OutboxService: Error saving outbox', error);
+    }
+
+    [...this.changeListeners].forEach(callback => callback(this.items));
+  }
+
+  /**
+   * Notify status listeners
+   *
+   * @param {string} messageId - ID of the message
+   * @param {string} status - One of MESSAGE_STATUS
+   */
+  static notifyStatus(messageId, status) {
+    [...this.statusListeners].forEach(callback => {
+      try {
+        callback(messageId, status);
+      } catch (error) {
+        console.error('OutboxService: Error in status listener', error);
+      }
+    });
+  }
+}
+
+export default OutboxService;
@@ -0,0 +1,322 @@
+/**
+ * Search Service
+ *
+ * In-memory inverted index over the messages of every conversation thread.
+ * The index is built from storage the first time it is searched and then kept
+ * current as threads are saved, so queries never rescan the full history.
+ */
+
+import { ConversationService } from './ConversationService';
+import { findInsertionIndex, tokenize } from '../utils/search';
+
+/**
+ * Filter values for the sender of a message
+ */
+export const SEARCH_SENDERS = {
+  ANY: 'any',
+  USER: 'user',
+  ASSISTANT: 'assistant',
+};
+
+/**
+ * Filter values for the type of a message
+ */
+export const SEARCH_TYPES = {
+  ANY: 'any',
+  NORMAL: 'normal',
+  SYSTEM: 'system',
+};
+
+/**
+ * Service for searching stored conversation messages
+ */
+export class SearchService {
+  // Indexed messages by document key, and document keys by word
+  static documents = new Map();
+  static postings = new Map();
+
+  // Every indexed word in ascending order, so a prefix is one contiguous range
+  static vocabulary = [];
+
+  // Document keys of each thread, for updating or dropping a whole thread
+  static conversationDocuments = new Map();
+
+  static isBuilt = false;
+  static buildPromise = null;
+
+  /**
+   * Build the index from every stored thread, once
+   *
+   * @returns {Promise<void>} Promise that resolves when the index is ready
+   */
+  static async ensureIndex() {
+    if (this.isBuilt) {
+      return;
+    }
+
+    if (!this.buildPromise) {
+      this.buildPromise = this.buildIndex().finally(() => {
+        this.buildPromise = null;
+      });
+    }
+
+    await this.buildPromise;
+  }
+
+  /**
+   * Load every thread from storage and index its messages
+   *
+   * @returns {Promise<void>} Promise that resolves when built
+   */
+  static async buildIndex() {
+    try {
+      const index = await ConversationService.loadIndex();
+      const threads = await Promise.all(index.map(async conversation => ({
+        conversationId: conversation.id,
+        messages: await ConversationService.loadMessages(conversation.id),
+      })));
+
+      threads.forEach(({ conversationId, messages }) => {
+        // Threads saved while the build was running are already current
+        if (!this.conversationDocuments.has(conversationId)) {
+          this.indexConversation(conversationId, messages);
+        }
+      });
+
+      this.isBuilt = true;
+    } catch (error) {
+      console.error('SearchService: Error building index', error);
+    }
+  }
+
+  /**
+   * Bring a thread's entries up to date with its messages, reindexing only
+   * the messages that were added or changed
+   *
+   * @param {string} conversationId - ID of the thread
+   * @param {Array} messages - Current messages of the thread
+   */
+  static indexConversation(conversationId, messages) {
+    const previousKeys = this.conversationDocuments.get(conversationId) || new Set();
+    const currentKeys = new Set();
+
+    messages.forEach(message => {
+      const key = this.documentKey(conversationId, message.id);
+      currentKeys.add(key);
+
+      const existing = this.documents.get(key);
+      if (existing && existing.text === message.text) {
+        return;
+      }
+
+      if (existing) {
+        this.removeDocument(key);
+      }
+      this.addDocument(key, conversationId, message);
+    });
+
+    previousKeys.forEach(key => {
+      if (!currentKeys.has(key)) {
+        this.removeDocument(key);
+      }
+    });
+
+    this.conversationDocuments.set(conversationId, currentKeys);
+  }
+
+  /**
+   * Add a single message appended to a thread that isn't open
+   *
+   * @param {string} conversationId - ID of the thread
+   * @param {Object} message - Appended message
+   */
+  static indexMessage(conversationId, message) {
+    const keys = this.conversationDocuments.get(conversationId);
+
+    // An untracked thread is read from storage, message included, when the index is built
+    if (!keys) {
+      if (this.isBuilt) {
+        this.indexConversation(conversationId, [message]);
+      }
+      return;
+    }
+
+    const key = this.documentKey(conversationId, message.id);
+    this.removeDocument(key);
+    this.addDocument(key, conversationId, message);
+    keys.add(key);
+  }
+
+  /**
+   * Drop a deleted thread from the index
+   *
+   * @param {string} conversationId - ID of the thread
+   */
+  static removeConversation(conversationId) {
+    const keys = this.conversationDocuments.get(conversationId);
+    if (!keys) {
+      return;
+    }
+
+    keys.forEach(key => this.removeDocument(key));
+    this.conversationDocuments.delete(conversationId);
+  }
+
+  /**
+   * Forget everything indexed, so the next search rebuilds from storage
+   */
+  static reset() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.vocabulary = [];
+    this.conversationDocuments = new Map();
+    this.isBuilt = false;
+  }
+
+  /**
+   * Search all threads
+   *
+   * @param {string} query - Words to find; each must start a word in the message
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.sender - One of SEARCH_SENDERS
+   * @param {string} filters.type - One of SEARCH_TYPES
+   * @param {number} filters.from - Earliest timestamp to include
+   * @param {number} filters.to - Latest timestamp to include
+   * @param {number} filters.limit - Maximum number of results
+   * @returns {Promise<Array>} Matching messages with conversationId, newest first
+   */
+  static async search(query, filters = {}) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    await this.ensureIndex();
+
+    // Intersect the matches of each word, starting from the rarest
+    const matchSets = queryTokens
+      .map(token => this.findDocumentsWithPrefix(token))
+      .sort((a, b) => a.size - b.size);
+
+    const [smallest, ...rest] = matchSets;
+    const results = [];
+
+    smallest.forEach(key => {
+      if (rest.every(set => set.has(key))) {
+        const document = this.documents.get(key);
+        if (this.matchesFilters(document, filters)) {
+          results.push(document);
+        }
+      }
+    });
+
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    return results.slice(0, filters.limit || 200);
+  }
+
+  /**
+   * Collect the documents containing a word that starts with a prefix
+   *
+   * @param {string} prefix - Normalized word prefix
+   * @returns {Set<string>} Document keys
+   */
+  static findDocumentsWithPrefix(prefix) {
+    const matches = new Set();
+
+    for (let i = findInsertionIndex(this.vocabulary, prefix); i < this.vocabulary.length; i++) {
+      const word = this.vocabulary[i];
+      if (!word.startsWith(prefix)) {
+        break;
+      }
+      this.postings.get(word).forEach(key => matches.add(key));
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check an indexed message against the search filters
+   *
+   * @param {Object} document - Indexed message
+   * @param {Object} filters - See search()
+   * @returns {boolean} True if the message should be included
+   */
+  static matchesFilters(document, filters) {
+    const { sender = SEARCH_SENDERS.ANY, type = SEARCH_TYPES.ANY, from, to } = filters;
+
+    if (sender === SEARCH_SENDERS.USER && !document.isUser) return false;
+    if (sender === SEARCH_SENDERS.ASSISTANT && document.isUser) return false;
+    if (type !== SEARCH_TYPES.ANY && document.type !== type) return false;
+    if (from && document.timestamp < from) return false;
+    if (to && document.timestamp > to) return false;
+
+    return true;
+  }
+
+  /**
+   * Build the key of an indexed message
+   *
+   * @param {string} conversationId - ID of the thread
+   * @param {string} messageId - ID of the message
+   * @returns {string} Document key
+   */
+  static documentKey(conversationId, messageId) {
+    return `${conversationId}/${messageId}`;
+  }
+
+  /**
+   * Add a message to the index
+   *
+   * @param {string} key - Document key
+   * @param {string} conversationId - ID of the thread
+   * @param {Object} message - Message to index
+   */
+  static addDocument(key, conversationId, message) {
+    const words = tokenize(message.text);
+
+    this.documents.set(key, {
+      conversationId,
+      messageId: message.id,
+      text: message.text,
+      isUser: !!message.isUser,
+      type: message.type === 'system' ? SEARCH_TYPES.SYSTEM : SEARCH_TYPES.NORMAL,
+      timestamp: message.timestamp,
+      words,
+    });
+
+    words.forEach(word => {
+      if (!this.postings.has(word)) {
+        this.postings.set(word, new Set());
+        this.vocabulary.splice(findInsertionIndex(this.vocabulary, word), 0, word);
+      }
+      this.postings.get(word).add(key);
+    });
+  }
+
+  /**
+   * Remove a message from the index
+   *
+   * @param {string} key - Document key
+   */
+  static removeDocument(key) {
+    const document = this.documents.get(key);
+    if (!document) {
+      return;
+    }
+
+    document.words.forEach(word => {
+      const keys = this.postings.get(word);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.postings.delete(word);
+          this.vocabulary.splice(findInsertionIndex(this.vocabulary, word), 1);
+        }
+      }
+    });
+
+    this.documents.delete(key);
+  }
+}
+
+export default SearchService;
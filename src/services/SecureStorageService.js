@@ -0,0 +1,187 @@
+/**
+ * Secure Storage Service
+ *
+ * Keeps sensitive data unreadable at rest using the native SecureStorageModule,
+ * whose key lives in the Android Keystore and never leaves the device. Secrets
+ * such as the auth token go to the module's own store; conversation history
+ * and pending messages are encrypted before being written to AsyncStorage or
+ * disk.
+ *
+ * Encrypted values carry a prefix, so values written by older versions of
+ * the app are still read as plaintext until they are migrated. Where the
+ * native module isn't available, such as on iOS, data is stored unencrypted.
+ */
+
+import { NativeModules, Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const { SecureStorageModule } = NativeModules;
+
+/**
+ * Prefix marking a value as encrypted, with the format version
+ */
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Service for encrypting stored data and keeping secrets
+ */
+export class SecureStorageService {
+  static hasWarned = false;
+
+  /**
+   * Check whether encryption is available on this device
+   *
+   * @returns {boolean} True if the native secure storage module is present
+   */
+  static isSupported() {
+    return Platform.OS === 'android' && !!SecureStorageModule;
+  }
+
+  /**
+   * Check whether a stored value was encrypted by this service
+   *
+   * @param {string} value - Stored value
+   * @returns {boolean} True if encrypted
+   */
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Encrypt a string for storage
+   *
+   * @param {string} plaintext - Value to encrypt
+   * @returns {Promise<string>} Encrypted value, or the plaintext where encryption is unavailable
+   */
+  static async encrypt(plaintext) {
+    if (!this.isSupported()) {
+      this.warnUnsupported();
+      return plaintext;
+    }
+
+    return ENCRYPTED_PREFIX + await SecureStorageModule.encrypt(plaintext);
+  }
+
+  /**
+   * Decrypt a stored string
+   *
+   * @param {string} value - Value from storage
+   * @returns {Promise<string>} Plaintext; values that aren't encrypted are returned unchanged
+   */
+  static async decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    if (!this.isSupported()) {
+      throw new Error('SecureStorageService: Cannot decrypt without the secure storage module');
+    }
+
+    return SecureStorageModule.decrypt(value.slice(ENCRYPTED_PREFIX.length));
+  }
+
+  /**
+   * Read and decrypt an AsyncStorage value
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Plaintext value, or null if not set
+   */
+  static async getItem(key) {
+    const value = await AsyncStorage.getItem(key);
+    return value == null ? null : this.decrypt(value);
+  }
+
+  /**
+   * Encrypt and write an AsyncStorage value
+   *
+   * @param {string} key - Storage key
+   * @param {string} value - Plaintext value
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async setItem(key, value) {
+    await AsyncStorage.setItem(key, await this.encrypt(value));
+  }
+
+  /**
+   * Encrypt values that older versions of the app stored as plaintext
+   *
+   * @param {Array<string>} keys - AsyncStorage keys to check
+   * @returns {Promise<number>} Number of values encrypted
+   */
+  static async encryptExisting(keys) {
+    if (!this.isSupported() || keys.length === 0) {
+      return 0;
+    }
+
+    const entries = await AsyncStorage.multiGet(keys);
+    let encrypted = 0;
+
+    for (const [key, value] of entries) {
+      if (value != null && !this.isEncrypted(value)) {
+        await this.setItem(key, value);
+        encrypted += 1;
+      }
+    }
+
+    return encrypted;
+  }
+
+  /**
+   * Read a secret
+   *
+   * @param {string} key - Secret name
+   * @returns {Promise<string|null>} Secret, or null if not set
+   */
+  static async getSecret(key) {
+    if (!this.isSupported()) {
+      this.warnUnsupported();
+      return AsyncStorage.getItem(key);
+    }
+
+    return SecureStorageModule.getSecret(key);
+  }
+
+  /**
+   * Store a secret
+   *
+   * @param {string} key - Secret name
+   * @param {string} value - Secret value
+   * @returns {Promise<void>} Promise that resolves when stored
+   */
+  static async setSecret(key, value) {
+    if (!this.isSupported()) {
+      this.warnUnsupported();
+      await AsyncStorage.setItem(key, value);
+      return;
+    }
+
+    await SecureStorageModule.setSecret(key, value);
+  }
+
+  /**
+   * Remove a secret
+   *
+   * @param {string} key - Secret name
+   * @returns {Promise<void>} Promise that resolves when removed
+   */
+  static async removeSecret(key) {
+    if (!this.isSupported()) {
+      await AsyncStorage.removeItem(key);
+      return;
+    }
+
+    await SecureStorageModule.removeSecret(key);
+  }
+
+  /**
+   * Warn once that data is being stored unencrypted
+   */
+  static warnUnsupported() {
+    if (!this.hasWarned) {
+      this.hasWarned = true;
+      console.warn('SecureStorageService: Secure storage unavailable, storing data unencrypted');
+    }
+  }
+}
+
+export default SecureStorageService;
@@ -0,0 +1,274 @@
+/**
+ * Transcript Service
+ *
+ * Exports conversation threads as Markdown, JSON or plain text and imports
+ * JSON transcripts back into threads. Exports are written to the app's
+ * document directory and offered through the share sheet.
+ */
+
+import { Share, Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import { EXPORT_FORMATS, APP_INFO } from '../utils/constants';
+
+/**
+ * Identifies JSON transcripts written by this app
+ */
+const TRANSCRIPT_FORMAT = 'airassist-conversation';
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * File extension and MIME type for each export format
+ */
+const FORMAT_DETAILS = {
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' },
+  [EXPORT_FORMATS.TEXT]: { extension: 'txt', mimeType: 'text/plain' },
+};
+
+/**
+ * Service for exporting and importing conversation transcripts
+ */
+export class TranscriptService {
+  /**
+   * Get the display name of a message's sender
+   *
+   * @param {Object} message - Message object
+   * @returns {string} Sender name
+   */
+  static getSender(message) {
+    if (message.type === 'system') return 'System';
+    return message.isUser ? 'You' : 'Assistant';
+  }
+
+  /**
+   * Format a timestamp for human-readable transcripts
+   *
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string} Local date and time
+   */
+  static formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Render a conversation as Markdown
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @returns {string} Markdown document
+   */
+  static toMarkdown(conversation, messages) {
+    const lines = [
+      `# ${conversation.title}`,
+      '',
+      `_Exported from ${APP_INFO.NAME} on ${this.formatTime(Date.now())}_`,
+      '',
+    ];
+
+    messages.forEach(message => {
+      if (message.type === 'system') {
+        lines.push(`> ${message.text}`, '');
+        return;
+      }
+
+      lines.push(`**${this.getSender(message)}** · ${this.formatTime(message.timestamp)}`, '');
+      lines.push(message.text, '');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a conversation as plain text
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @returns {string} Plain text transcript
+   */
+  static toPlainText(conversation, messages) {
+    const lines = [conversation.title, ''];
+
+    messages.forEach(message => {
+      lines.push(`[${this.formatTime(message.timestamp)}] ${this.getSender(message)}: ${message.text}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a conversation as JSON that can be imported again
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @returns {string} JSON document
+   */
+  static toJson(conversation, messages) {
+    return JSON.stringify({
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exportedAt: Date.now(),
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+      },
+      messages: messages.map(({ id, text, isUser, type, timestamp }) => ({
+        id,
+        text,
+        isUser,
+        type,
+        timestamp,
+      })),
+    }, null, 2);
+  }
+
+  /**
+   * Render a conversation in the requested format
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {string} Rendered transcript
+   */
+  static render(conversation, messages, format) {
+    switch (format) {
+      case EXPORT_FORMATS.MARKDOWN:
+        return this.toMarkdown(conversation, messages);
+      case EXPORT_FORMATS.JSON:
+        return this.toJson(conversation, messages);
+      case EXPORT_FORMATS.TEXT:
+        return this.toPlainText(conversation, messages);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Build a file name for an export
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {string} File name
+   */
+  static getFileName(conversation, format) {
+    const slug = (conversation.title || 'conversation')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'conversation';
+    const date = new Date().toISOString().slice(0, 10);
+
+    return `${slug}-${date}.${FORMAT_DETAILS[format].extension}`;
+  }
+
+  /**
+   * Write a conversation to the document directory and open the share sheet
+   *
+   * @param {Object} conversation - Thread metadata
+   * @param {Array} messages - Thread messages
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Object} options - Export options
+   * @param {boolean} options.share - Whether to open the share sheet
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async exportConversation(conversation, messages, format, options = { share: true }) {
+    const content = this.render(conversation, messages, format);
+    const path = `${RNFS.DocumentDirectoryPath}/${this.getFileName(conversation, format)}`;
+
+    try {
+      await RNFS.writeFile(path, content, 'utf8');
+
+      if (options.share) {
+        // iOS can share the file itself; Android shares the text
+        await Share.share(
+          Platform.OS === 'ios'
+            ? { url: `file://${path}`, title: conversation.title }
+            : { message: content, title: conversation.title },
+          { dialogTitle: 'Export conversation', subject: conversation.title }
+        );
+      }
+
+      return path;
+    } catch (error) {
+      console.error('TranscriptService: Export error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and normalize a JSON transcript
+   *
+   * @param {string} json - JSON document produced by toJson
+   * @returns {Object} Title, creation time and messages of the transcript
+   */
+  static parseTranscript(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== TRANSCRIPT_FORMAT || !Array.isArray(data.messages)) {
+      throw new Error(`The file is not an ${APP_INFO.NAME} conversation export`);
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('The file has no valid export version');
+    }
+
+    if (data.version > TRANSCRIPT_VERSION) {
+      throw new Error('The file was exported by a newer version of the app');
+    }
+
+    const messages = data.messages
+      .filter(message => message && typeof message.text === 'string')
+      .map((message, index) => ({
+        id: String(message.id || `imported-${index}`),
+        text: message.text,
+        isUser: !!message.isUser,
+        type: message.type === 'system' ? 'system' : 'normal',
+        timestamp: Number(message.timestamp) || Date.now(),
+      }));
+
+    const conversation = data.conversation || {};
+
+    return {
+      title: conversation.title || 'Imported conversation',
+      createdAt: Number(conversation.createdAt) || Date.now(),
+      messages,
+    };
+  }
+
+  /**
+   * List JSON transcripts in the document directory
+   *
+   * @returns {Promise<Array>} Files with name, path and modification time, newest first
+   */
+  static async listImportableFiles() {
+    try {
+      const files = await RNFS.readDir(RNFS.DocumentDirectoryPath);
+
+      return files
+        .filter(file => file.isFile() && file.name.endsWith('.json'))
+        .map(file => ({ name: file.name, path: file.path, mtime: file.mtime }))
+        .sort((a, b) => new Date(b.mtime) - new Date(a.mtime));
+    } catch (error) {
+      console.error('TranscriptService: Error listing files', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read and parse a JSON transcript file
+   *
+   * @param {string} path - Path of the file
+   * @returns {Promise<Object>} Parsed transcript, see parseTranscript()
+   */
+  static async readTranscriptFile(path) {
+    const json = await RNFS.readFile(path, 'utf8');
+    return this.parseTranscript(json);
+  }
+}
+
+export default TranscriptService;
@@ -0,0 +1,57 @@
+/**
+ * Wake Word Service
+ *
+ * Stores the wake word samples recorded during enrollment. Samples are the
+ * band-energy features from the detector rather than audio, but they still
+ * describe the user's voice, so they are kept encrypted like the history.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecureStorageService } from './SecureStorageService';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Service for enrolled wake word samples
+ */
+export class WakeWordService {
+  /**
+   * Load the enrolled samples
+   *
+   * @returns {Promise<Array>} Feature sequences, or an empty array if none are enrolled
+   */
+  static async loadTemplates() {
+    try {
+      const saved = await SecureStorageService.getItem(STORAGE_KEYS.WAKE_WORD_TEMPLATES);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('WakeWordService: Error loading templates', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save enrolled samples, replacing any from an earlier enrollment
+   *
+   * @param {Array} templates - Feature sequences from the detector
+   * @returns {Promise<void>} Promise that resolves when saved
+   */
+  static async saveTemplates(templates) {
+    // One decimal place of dB is far finer than the differences between speakers
+    const rounded = templates.map(frames =>
+      frames.map(frame => frame.map(value => Math.round(value * 10) / 10))
+    );
+
+    await SecureStorageService.setItem(STORAGE_KEYS.WAKE_WORD_TEMPLATES, JSON.stringify(rounded));
+  }
+
+  /**
+   * Remove the enrolled samples
+   *
+   * @returns {Promise<void>} Promise that resolves when removed
+   */
+  static async clearTemplates() {
+    await AsyncStorage.removeItem(STORAGE_KEYS.WAKE_WORD_TEMPLATES);
+  }
+}
+
+export default WakeWordService;
@@ -4,10 +4,99 @@
  * Manages WebSocket connections to the AIR-assist server.
  * Handles connection, message sending/receiving, reconnection,
  * and connection state management.
+ *
+ * The connection runs over a transport: any WebSocket-shaped object with a
+ * readyState (TRANSPORT_READY_STATES), send(data), close(), and onopen,
+ * onmessage({data}), onerror and onclose({code, reason}) handlers. A real
+ * WebSocket is used by default; MockTransport runs against an in-process
+ * scripted server instead.
+ *
+ * Each connection starts with a handshake: once the transport opens, a
+ * connect frame carrying the user ID and auth token (or a pairing code) is
+ * sent, and the connection only counts as open when the server answers with
+ * a connect frame of its own. Auth failures stop reconnection until the
+ * credentials change.
  */
 
-import { WS_MESSAGE_TYPES, TIME, FEATURES } from '../utils/constants';
+import {
+  WS_MESSAGE_TYPES,
+  WS_CONNECTION_STATES,
+  WS_RECONNECT_POLICY,
+  WS_ACK_POLICY,
+  WS_CLOSE_CODES,
+  TRANSPORT_TYPES,
+  TRANSPORT_READY_STATES,
+  TIME,
+  FEATURES,
+  APP_INFO,
+} from '../utils/constants';
 import { AppState } from 'react-native';
+import { MockTransport } from './MockTransport';
+
+/**
+ * Connection lifecycle events that can be listened to
+ */
+export const WS_EVENTS = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  MESSAGE: 'message',
+  ERROR: 'error',
+  STATE_CHANGE: 'stateChange',
+  AUTH_ERROR: 'authError',
+};
+
+/**
+ * Subscription key that receives every parsed message regardless of type
+ */
+export const WS_ANY_MESSAGE = '*';
+
+/**
+ * Error codes used to reject requests that were never acknowledged
+ */
+export const WS_REQUEST_ERRORS = {
+  ACK_TIMEOUT: 'ACK_TIMEOUT',
+  CONNECTION_CLOSED: 'CONNECTION_CLOSED',
+  REJECTED: 'REJECTED',
+};
+
+/**
+ * Create an error for a failed request
+ *
+ * @param {string} message - Error message
+ * @param {string} code - One of WS_REQUEST_ERRORS
+ * @returns {Error} Error with a code property
+ */
+const createRequestError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check whether a close code means the server refused our credentials
+ *
+ * @param {number} code - WebSocket close code
+ * @returns {boolean} True for auth failures, which are not retried
+ */
+export const isAuthFailure = (code) =>
+  code === WS_CLOSE_CODES.UNAUTHORIZED ||
+  code === WS_CLOSE_CODES.TOKEN_EXPIRED ||
+  code === WS_CLOSE_CODES.FORBIDDEN;
+
+/**
+ * Calculate the delay before a reconnection attempt
+ *
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {Function} random - Random number source returning 0.0-1.0
+ * @returns {number} Delay in milliseconds
+ */
+export const getReconnectDelay = (attempt, random = Math.random) => {
+  const { MULTIPLIER, MAX_DELAY, JITTER } = WS_RECONNECT_POLICY;
+  const exponential = TIME.WEBSOCKET_RECONNECT_INTERVAL * Math.pow(MULTIPLIER, Math.max(0, attempt - 1));
+  const capped = Math.min(MAX_DELAY, exponential);
+
+  return Math.round(capped * (1 - JITTER * random()));
+};
 
 /**
  * Service for managing WebSocket communication
@@ -16,69 +105,181 @@ export class WebSocketService {
   static instance = null;
   static socket = null;
   static url = null;
-  static connected = false;
-  static connecting = false;
+  static transportType = TRANSPORT_TYPES.WEBSOCKET;
+  static state = WS_CONNECTION_STATES.IDLE;
+  static reconnectAttempt = 0;
+  static nextRetryAt = null;
   static reconnectTimeout = null;
   static pingInterval = null;
   static lastPingTime = null;
-
-  // Callback functions
-  static onConnectCallback = null;
-  static onDisconnectCallback = null;
-  static onMessageCallback = null;
-  static onErrorCallback = null;
+  static handshakeTimeout = null;
+
+  // Sent in the connect handshake; the pairing code is only sent until the server issues a token
+  static credentials = { userId: null, token: null, pairingCode: null };
+  static session = null;
+
+  static appStateSubscription = null;
+
+  // Listener sets for connection lifecycle events and for parsed messages by type
+  static eventListeners = {
+    [WS_EVENTS.CONNECT]: new Set(),
+    [WS_EVENTS.DISCONNECT]: new Set(),
+    [WS_EVENTS.MESSAGE]: new Set(),
+    [WS_EVENTS.ERROR]: new Set(),
+    [WS_EVENTS.STATE_CHANGE]: new Set(),
+    [WS_EVENTS.AUTH_ERROR]: new Set(),
+  };
+  static messageListeners = new Map();
+
+  // Requests awaiting an ack, keyed by messageId
+  static pendingRequests = new Map();
+
+  // Factories that create a transport for a server URL, keyed by TRANSPORT_TYPES
+  static transports = {
+    [TRANSPORT_TYPES.WEBSOCKET]: url => new WebSocket(url),
+    [TRANSPORT_TYPES.MOCK]: url => new MockTransport(url),
+  };
 
   /**
    * Initialize the WebSocket connection
    *
    * @param {string} url - WebSocket server URL
+   * @param {string} transportType - One of TRANSPORT_TYPES, or a type added with registerTransport
    */
-  static init(url) {
+  static init(url, transportType = TRANSPORT_TYPES.WEBSOCKET) {
+    const transportChanged = transportType !== this.transportType;
+
     this.url = url;
+    this.transportType = transportType;
 
-    // Only create a new connection if one doesn't exist or URL has changed
-    if (!this.socket || this.socket.url !== url) {
-      this.connect();
+    // Only create a new connection if one doesn't exist or the URL or transport has changed
+    if (!this.socket || this.socket.url !== url || transportChanged) {
+      this.reconnect();
     }
 
-    // Set up app state change listener for reconnection
-    AppState.addEventListener('change', nextAppState => {
-      if (nextAppState === 'active') {
-        this.checkConnection();
-      }
-    });
+    // Set up app state change listener for reconnection, once per app lifetime
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', nextAppState => {
+        if (nextAppState === 'active') {
+          this.checkConnection();
+        }
+      });
+    }
+  }
+
+  /**
+   * Set the credentials sent in the connect handshake
+   *
+   * Credentials are read when each connection opens. If they change after a
+   * handshake was attempted, the connection is remade so the server sees them.
+   *
+   * @param {Object} credentials - Credentials to change
+   * @param {string} credentials.userId - Stable user ID
+   * @param {string} credentials.token - Auth token, or null to connect without one
+   */
+  static setCredentials(credentials) {
+    const previous = this.credentials;
+    this.credentials = { ...previous, ...credentials };
+
+    const changed = Object.keys(credentials).some(key => this.credentials[key] !== previous[key]);
+    const handshakeAttempted = [
+      WS_CONNECTION_STATES.AUTHENTICATING,
+      WS_CONNECTION_STATES.OPEN,
+      WS_CONNECTION_STATES.UNAUTHORIZED,
+    ].includes(this.state);
+
+    if (changed && handshakeAttempted) {
+      this.reconnect();
+    }
+  }
+
+  /**
+   * Reconnect and ask the server for a token using a pairing code
+   *
+   * The token the server issues is kept for later connections and passed to
+   * connect listeners in the session.
+   *
+   * @param {string} pairingCode - Code shown by the server's pairing page
+   */
+  static pair(pairingCode) {
+    this.credentials = { ...this.credentials, pairingCode };
+    this.reconnect();
+  }
+
+  /**
+   * Add or replace a transport, e.g. a scripted one for tests
+   *
+   * @param {string} type - Transport type to pass to init
+   * @param {Function} factory - Called with the server URL, returns a transport
+   */
+  static registerTransport(type, factory) {
+    this.transports[type] = factory;
+  }
+
+  /**
+   * Create a transport of the current type
+   *
+   * @returns {Object} WebSocket-shaped transport
+   */
+  static createTransport() {
+    const factory = this.transports[this.transportType];
+    if (!factory) {
+      throw new Error(`WebSocketService: Unknown transport "${this.transportType}"`);
+    }
+
+    return factory(this.url);
   }
 
   /**
    * Check if WebSocket connection is active and reconnect if needed
    */
   static checkConnection() {
-    // If we think we're connected, but the socket is closed, reconnect
-    if (this.connected && (!this.socket || this.socket.readyState !== WebSocket.OPEN)) {
-      this.connected = false;
-      this.connect();
+    switch (this.state) {
+      case WS_CONNECTION_STATES.OPEN:
+      case WS_CONNECTION_STATES.AUTHENTICATING:
+        // If we think we're connected, but the socket is closed, reconnect
+        if (!this.socket || this.socket.readyState !== TRANSPORT_READY_STATES.OPEN) {
+          this.reconnect();
+        }
+        break;
+      case WS_CONNECTION_STATES.BACKING_OFF:
+      case WS_CONNECTION_STATES.OFFLINE:
+        // Don't make a returning user wait out the backoff
+        this.reconnect();
+        break;
+      default:
+        break;
     }
   }
 
+  /**
+   * Reconnect immediately, resetting the backoff
+   */
+  static reconnect() {
+    this.reconnectAttempt = 0;
+    this.teardown();
+    this.connect();
+  }
+
   /**
    * Establish WebSocket connection
    */
   static connect() {
-    if (this.connecting || !this.url) {
+    if ((this.state === WS_CONNECTION_STATES.CONNECTING && this.socket) || !this.url) {
       return;
     }
 
     // Clear any existing connection and timeouts
-    this.disconnect();
-    this.connecting = true;
+    this.teardown();
+    this.setState(WS_CONNECTION_STATES.CONNECTING);
 
     try {
       if (FEATURES.ENABLE_DEBUGGING) {
-        console.log(`WebSocketService: Connecting to ${this.url}`);
+        console.log(`WebSocketService: Connecting to ${this.url} over ${this.transportType}`);
       }
 
-      // Create new WebSocket connection
-      this.socket = new WebSocket(this.url);
+      // Create new connection
+      this.socket = this.createTransport();
 
       // Set up event handlers
       this.socket.onopen = this.handleOpen.bind(this);
@@ -86,18 +287,25 @@ export class WebSocketService {
       this.socket.onerror = this.handleError.bind(this);
       this.socket.onclose = this.handleClose.bind(this);
     } catch (error) {
-      this.connecting = false;
       console.error('WebSocketService: Connection error', error);
       this.scheduleReconnect();
     }
   }
 
   /**
-   * Disconnect the WebSocket
+   * Disconnect the WebSocket and stop reconnecting until connect() is called again
    */
   static disconnect() {
-    this.connected = false;
-    this.connecting = false;
+    this.teardown();
+    this.reconnectAttempt = 0;
+    this.setState(WS_CONNECTION_STATES.CLOSED_BY_USER);
+  }
+
+  /**
+   * Close the socket and clear timers without changing state
+   */
+  static teardown() {
+    this.rejectPendingRequests('Connection closed before acknowledgement');
 
     // Clear timers
     if (this.reconnectTimeout) {
@@ -110,6 +318,9 @@ export class WebSocketService {
       this.pingInterval = null;
     }
 
+    this.clearHandshakeTimeout();
+    this.session = null;
+
     // Close existing socket
     if (this.socket) {
       // Remove event handlers to prevent duplicate events
@@ -119,7 +330,7 @@ export class WebSocketService {
       this.socket.onclose = null;
 
       // Close the connection if it's open
-      if (this.socket.readyState === WebSocket.OPEN) {
+      if (this.socket.readyState === TRANSPORT_READY_STATES.OPEN) {
         this.socket.close();
       }
 
@@ -128,24 +339,133 @@ export class WebSocketService {
   }
 
   /**
-   * Schedule a reconnection attempt
+   * Schedule a reconnection attempt with exponential backoff,
+   * giving up once the maximum number of attempts is reached
    */
   static scheduleReconnect() {
     if (this.reconnectTimeout) {
       clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.reconnectAttempt >= WS_RECONNECT_POLICY.MAX_ATTEMPTS) {
+      console.warn('WebSocketService: Giving up after maximum reconnection attempts');
+      this.setState(WS_CONNECTION_STATES.OFFLINE);
+      return;
+    }
+
+    this.reconnectAttempt += 1;
+    const delay = getReconnectDelay(this.reconnectAttempt);
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log(`WebSocketService: Reconnect attempt ${this.reconnectAttempt} in ${delay}ms`);
     }
 
+    this.setState(WS_CONNECTION_STATES.BACKING_OFF, Date.now() + delay);
     this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
       this.connect();
-    }, TIME.WEBSOCKET_RECONNECT_INTERVAL);
+    }, delay);
   }
 
   /**
-   * Handle WebSocket open event
+   * Transition the connection state machine and notify listeners
+   *
+   * @param {string} state - One of WS_CONNECTION_STATES
+   * @param {number} nextRetryAt - Timestamp of the next reconnection attempt, if backing off
+   */
+  static setState(state, nextRetryAt = null) {
+    if (this.state === state && this.nextRetryAt === nextRetryAt) {
+      return;
+    }
+
+    this.state = state;
+    this.nextRetryAt = nextRetryAt;
+    this.emit(WS_EVENTS.STATE_CHANGE, this.getConnectionState());
+  }
+
+  /**
+   * Get a snapshot of the connection state
+   *
+   * @returns {Object} State, current reconnect attempt and next retry timestamp
+   */
+  static getConnectionState() {
+    return {
+      state: this.state,
+      attempt: this.reconnectAttempt,
+      maxAttempts: WS_RECONNECT_POLICY.MAX_ATTEMPTS,
+      nextRetryAt: this.nextRetryAt,
+    };
+  }
+
+  /**
+   * Handle WebSocket open event by starting the connect handshake
    */
   static handleOpen() {
-    this.connected = true;
-    this.connecting = false;
+    this.setState(WS_CONNECTION_STATES.AUTHENTICATING);
+
+    if (FEATURES.ENABLE_DEBUGGING) {
+      console.log('WebSocketService: Transport open, authenticating');
+    }
+
+    const { userId, token, pairingCode } = this.credentials;
+    const handshake = {
+      type: WS_MESSAGE_TYPES.CONNECT,
+      userId: userId || 'guest',
+      token: token || null,
+      client: APP_INFO.NAME,
+      clientVersion: APP_INFO.VERSION,
+      timestamp: Date.now(),
+    };
+
+    if (pairingCode) {
+      handshake.pairingCode = pairingCode;
+    }
+
+    this.send(JSON.stringify(handshake));
+
+    // A server that never answers is treated like a dropped connection
+    this.handshakeTimeout = setTimeout(() => {
+      this.handshakeTimeout = null;
+      console.warn('WebSocketService: No handshake reply. Reconnecting...');
+      this.teardown();
+      this.scheduleReconnect();
+    }, TIME.WEBSOCKET_HANDSHAKE_TIMEOUT);
+  }
+
+  /**
+   * Handle the server's reply to the connect handshake
+   *
+   * @param {Object} data - Parsed connect message
+   */
+  static handleHandshake(data) {
+    if (this.state !== WS_CONNECTION_STATES.AUTHENTICATING) {
+      return;
+    }
+
+    this.clearHandshakeTimeout();
+
+    if (data.status === 'error') {
+      this.handleAuthFailure({
+        code: data.code || WS_CLOSE_CODES.UNAUTHORIZED,
+        reason: data.error || 'Authentication failed',
+      });
+      return;
+    }
+
+    // A token issued by pairing replaces the code for later connections
+    if (data.token) {
+      this.credentials = { ...this.credentials, token: data.token, pairingCode: null };
+    }
+
+    this.session = {
+      userId: data.userId || this.credentials.userId,
+      token: this.credentials.token,
+      sessionId: data.sessionId || null,
+    };
+
+    this.reconnectAttempt = 0;
+    this.setState(WS_CONNECTION_STATES.OPEN);
 
     if (FEATURES.ENABLE_DEBUGGING) {
       console.log('WebSocketService: Connected');
@@ -154,9 +474,37 @@ export class WebSocketService {
     // Start the ping interval to keep the connection alive
     this.startPingInterval();
 
-    // Call the connect callback if defined
-    if (this.onConnectCallback) {
-      this.onConnectCallback();
+    this.emit(WS_EVENTS.CONNECT, this.session);
+  }
+
+  /**
+   * Stop connecting because the server refused our credentials
+   *
+   * @param {Object} event - Close code and reason
+   */
+  static handleAuthFailure(event) {
+    const wasOpen = this.state === WS_CONNECTION_STATES.OPEN;
+
+    console.warn(`WebSocketService: Authentication failed. Code: ${event.code}, Reason: ${event.reason}`);
+
+    this.teardown();
+    this.reconnectAttempt = 0;
+    this.setState(WS_CONNECTION_STATES.UNAUTHORIZED);
+
+    if (wasOpen) {
+      this.emit(WS_EVENTS.DISCONNECT, event);
+    }
+
+    this.emit(WS_EVENTS.AUTH_ERROR, event);
+  }
+
+  /**
+   * Cancel the wait for a handshake reply
+   */
+  static clearHandshakeTimeout() {
+    if (this.handshakeTimeout) {
+      clearTimeout(this.handshakeTimeout);
+      this.handshakeTimeout = null;
     }
   }
 
@@ -166,21 +514,32 @@ export class WebSocketService {
    * @param {MessageEvent} event - WebSocket message event
    */
   static handleMessage(event) {
-    // Process the incoming message
-    try {
-      // Call the message callback if defined
-      if (this.onMessageCallback) {
-        this.onMessageCallback(event.data);
-      }
+    // Raw listeners get the frame even if it isn't valid JSON
+    this.emit(WS_EVENTS.MESSAGE, event.data);
 
-      // Check for pong messages to confirm connection is responsive
-      const data = JSON.parse(event.data);
-      if (data && data.type === WS_MESSAGE_TYPES.PONG) {
-        this.lastPingTime = Date.now();
-      }
+    let data;
+    try {
+      data = JSON.parse(event.data);
     } catch (error) {
       console.error('WebSocketService: Error processing message', error);
+      return;
+    }
+
+    if (!data) {
+      return;
+    }
+
+    // Check for pong messages to confirm connection is responsive
+    if (data.type === WS_MESSAGE_TYPES.PONG) {
+      this.lastPingTime = Date.now();
+    } else if (data.type === WS_MESSAGE_TYPES.CONNECT) {
+      this.handleHandshake(data);
+    } else if (data.type === WS_MESSAGE_TYPES.ACK) {
+      this.handleAck(data);
     }
+
+    this.dispatchMessage(data.type, data);
+    this.dispatchMessage(WS_ANY_MESSAGE, data);
   }
 
   /**
@@ -191,10 +550,7 @@ export class WebSocketService {
   static handleError(error) {
     console.error('WebSocketService: Error', error);
 
-    // Call the error callback if defined
-    if (this.onErrorCallback) {
-      this.onErrorCallback(error);
-    }
+    this.emit(WS_EVENTS.ERROR, error);
   }
 
   /**
@@ -203,20 +559,35 @@ export class WebSocketService {
    * @param {CloseEvent} event - WebSocket close event
    */
   static handleClose(event) {
-    this.connected = false;
-    this.connecting = false;
+    const wasOpen = this.state === WS_CONNECTION_STATES.OPEN;
+
+    // Retrying with the same credentials would fail again
+    if (isAuthFailure(event.code)) {
+      this.handleAuthFailure(event);
+      return;
+    }
+
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+
+    this.clearHandshakeTimeout();
+    this.session = null;
 
     if (FEATURES.ENABLE_DEBUGGING) {
       console.log(`WebSocketService: Connection closed. Code: ${event.code}, Reason: ${event.reason}`);
     }
 
-    // Call the disconnect callback if defined
-    if (this.onDisconnectCallback) {
-      this.onDisconnectCallback();
-    }
+    this.rejectPendingRequests('Connection closed before acknowledgement');
 
     // Schedule reconnection
     this.scheduleReconnect();
+
+    // Failed attempts while backing off aren't new disconnections
+    if (wasOpen) {
+      this.emit(WS_EVENTS.DISCONNECT, event);
+    }
   }
 
   /**
@@ -231,7 +602,7 @@ export class WebSocketService {
 
     // Send a ping every 30 seconds to keep the connection alive
     this.pingInterval = setInterval(() => {
-      if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      if (this.socket && this.socket.readyState === TRANSPORT_READY_STATES.OPEN) {
         // Send ping message
         this.socket.send(JSON.stringify({ type: WS_MESSAGE_TYPES.PING }));
 
@@ -239,8 +610,8 @@ export class WebSocketService {
         const now = Date.now();
         if (this.lastPingTime && now - this.lastPingTime > 60000) {
           console.warn('WebSocketService: Connection seems unresponsive. Reconnecting...');
-          this.disconnect();
-          this.connect();
+          this.reconnect();
+          this.emit(WS_EVENTS.DISCONNECT, { code: WS_CLOSE_CODES.PING_TIMEOUT, reason: 'Ping timeout' });
         }
       }
     }, 30000);
@@ -253,7 +624,7 @@ export class WebSocketService {
    * @returns {boolean} True if sent successfully
    */
   static send(message) {
-    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+    if (!this.socket || this.socket.readyState !== TRANSPORT_READY_STATES.OPEN) {
       console.warn('WebSocketService: Cannot send message, socket not open');
       return false;
     }
@@ -268,44 +639,282 @@ export class WebSocketService {
   }
 
   /**
-   * Set callback for connection event
+   * Send a message and wait for the server to acknowledge it
+   *
+   * The message is resent if no ack arrives within the timeout, and the promise
+   * rejects once retries are exhausted or the connection closes. Sending the same
+   * messageId again while it is pending returns the existing promise.
+   *
+   * @param {Object} message - Message object, which must include a messageId
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Time to wait for each ack (ms)
+   * @param {number} options.retries - Number of resends before giving up
+   * @returns {Promise<Object>} Resolves with the ack message
+   */
+  static request(message, options = {}) {
+    const { messageId } = message;
+    if (!messageId) {
+      return Promise.reject(new Error('WebSocketService: Requests require a messageId'));
+    }
+
+    const existing = this.pendingRequests.get(messageId);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const entry = {
+      payload: JSON.stringify(message),
+      timeout: options.timeout || TIME.WEBSOCKET_ACK_TIMEOUT,
+      retries: options.retries != null ? options.retries : WS_ACK_POLICY.MAX_RETRIES,
+      attempts: 0,
+      timer: null,
+    };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.pendingRequests.set(messageId, entry);
+    this.attemptRequest(messageId);
+
+    return entry.promise;
+  }
+
+  /**
+   * Send (or resend) a pending request and arm its ack timeout
+   *
+   * @param {string} messageId - Message ID of the request
+   */
+  static attemptRequest(messageId) {
+    const entry = this.pendingRequests.get(messageId);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.attempts > entry.retries) {
+      this.settleRequest(messageId, createRequestError(
+        `No acknowledgement for message ${messageId}`,
+        WS_REQUEST_ERRORS.ACK_TIMEOUT
+      ));
+      return;
+    }
+
+    entry.attempts += 1;
+
+    // A failed send is retried like a lost message when the timeout fires
+    this.send(entry.payload);
+    entry.timer = setTimeout(() => this.attemptRequest(messageId), entry.timeout);
+  }
+
+  /**
+   * Handle an ack frame from the server
+   *
+   * @param {Object} data - Parsed ack message
+   */
+  static handleAck(data) {
+    if (data.status === 'error') {
+      this.settleRequest(data.messageId, createRequestError(
+        data.error || `Server rejected message ${data.messageId}`,
+        WS_REQUEST_ERRORS.REJECTED
+      ));
+    } else {
+      this.settleRequest(data.messageId, null, data);
+    }
+  }
+
+  /**
+   * Resolve or reject a pending request and forget it
+   *
+   * @param {string} messageId - Message ID of the request
+   * @param {Error|null} error - Rejection reason, or null to resolve
+   * @param {Object} ack - Ack message to resolve with
+   */
+  static settleRequest(messageId, error, ack = null) {
+    const entry = this.pendingRequests.get(messageId);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.pendingRequests.delete(messageId);
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(ack);
+    }
+  }
+
+  /**
+   * Reject every pending request, e.g. because the socket closed
+   *
+   * @param {string} reason - Error message
+   */
+  static rejectPendingRequests(reason) {
+    [...this.pendingRequests.keys()].forEach(messageId => {
+      this.settleRequest(messageId, createRequestError(reason, WS_REQUEST_ERRORS.CONNECTION_CLOSED));
+    });
+  }
+
+  /**
+   * Add a listener for a connection lifecycle event
+   *
+   * @param {string} event - One of WS_EVENTS
+   * @param {Function} callback - Function to call when the event fires
+   * @returns {Function} Disposer that removes the listener
+   */
+  static addListener(event, callback) {
+    const listeners = this.eventListeners[event];
+    if (!listeners) {
+      throw new Error(`WebSocketService: Unknown event "${event}"`);
+    }
+
+    listeners.add(callback);
+    return () => {
+      listeners.delete(callback);
+    };
+  }
+
+  /**
+   * Notify all listeners of a lifecycle event
+   *
+   * @param {string} event - One of WS_EVENTS
+   * @param {...any} args - Arguments passed to each listener
+   */
+  static emit(event, ...args) {
+    // Copy so listeners can unsubscribe while being notified
+    [...this.eventListeners[event]].forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`WebSocketService: Error in ${event} listener`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to parsed messages of a given type
+   *
+   * @param {string} type - One of WS_MESSAGE_TYPES, or WS_ANY_MESSAGE for all messages
+   * @param {Function} callback - Function called with the parsed message object
+   * @returns {Function} Disposer that removes the subscription
+   */
+  static subscribe(type, callback) {
+    if (!this.messageListeners.has(type)) {
+      this.messageListeners.set(type, new Set());
+    }
+
+    this.messageListeners.get(type).add(callback);
+    return () => this.unsubscribe(type, callback);
+  }
+
+  /**
+   * Remove a message subscription
+   *
+   * @param {string} type - Message type the callback was subscribed to
+   * @param {Function} callback - Previously subscribed callback
+   */
+  static unsubscribe(type, callback) {
+    const listeners = this.messageListeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    listeners.delete(callback);
+    if (listeners.size === 0) {
+      this.messageListeners.delete(type);
+    }
+  }
+
+  /**
+   * Deliver a parsed message to the subscribers of one key
    *
-   * @param {Function} callback - Function to call when connected
+   * @param {string} type - Subscription key
+   * @param {Object} data - Parsed message
+   */
+  static dispatchMessage(type, data) {
+    const listeners = this.messageListeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    [...listeners].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`WebSocketService: Error in "${type}" subscriber`, error);
+      }
+    });
+  }
+
+  /**
+   * Listen for the connection being established
+   *
+   * @param {Function} callback - Function called with the session once the handshake completes
+   * @returns {Function} Disposer that removes the listener
    */
   static onConnect(callback) {
-    this.onConnectCallback = callback;
+    const dispose = this.addListener(WS_EVENTS.CONNECT, callback);
 
     // If already connected, call the callback immediately
-    if (this.connected && this.socket && this.socket.readyState === WebSocket.OPEN) {
-      callback();
+    if (this.isConnected()) {
+      callback(this.session);
     }
+
+    return dispose;
   }
 
   /**
-   * Set callback for disconnection event
+   * Listen for the connection closing
    *
    * @param {Function} callback - Function to call when disconnected
+   * @returns {Function} Disposer that removes the listener
    */
   static onDisconnect(callback) {
-    this.onDisconnectCallback = callback;
+    return this.addListener(WS_EVENTS.DISCONNECT, callback);
   }
 
   /**
-   * Set callback for message event
+   * Listen for raw message frames
    *
-   * @param {Function} callback - Function to call when message received
+   * @param {Function} callback - Function to call with the unparsed frame data
+   * @returns {Function} Disposer that removes the listener
    */
   static onMessage(callback) {
-    this.onMessageCallback = callback;
+    return this.addListener(WS_EVENTS.MESSAGE, callback);
   }
 
   /**
-   * Set callback for error event
+   * Listen for socket errors
    *
-   * @param {Function} callback - Function to call when error occurs
+   * @param {Function} callback - Function to call when an error occurs
+   * @returns {Function} Disposer that removes the listener
    */
   static onError(callback) {
-    this.onErrorCallback = callback;
+    return this.addListener(WS_EVENTS.ERROR, callback);
+  }
+
+  /**
+   * Listen for the server refusing our credentials
+   *
+   * @param {Function} callback - Function called with the close code and reason
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onAuthError(callback) {
+    return this.addListener(WS_EVENTS.AUTH_ERROR, callback);
+  }
+
+  /**
+   * Listen for connection state machine transitions
+   *
+   * @param {Function} callback - Function called with the state snapshot, immediately and on every change
+   * @returns {Function} Disposer that removes the listener
+   */
+  static onStateChange(callback) {
+    const dispose = this.addListener(WS_EVENTS.STATE_CHANGE, callback);
+    callback(this.getConnectionState());
+    return dispose;
   }
 
   /**
@@ -314,7 +923,7 @@ export class WebSocketService {
    * @returns {boolean} True if connected
    */
   static isConnected() {
-    return this.connected && this.socket && this.socket.readyState === WebSocket.OPEN;
+    return this.state === WS_CONNECTION_STATES.OPEN && !!this.socket && this.socket.readyState === TRANSPORT_READY_STATES.OPEN;
   }
 }
 
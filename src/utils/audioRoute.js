@@ -0,0 +1,104 @@
+/**
+ * Audio Route Helpers
+ *
+ * Pure JavaScript helpers for choosing which microphone to record from.
+ */
+
+import { AUDIO_INPUT_TYPES, AUDIO_SOURCES, AUDIO_SAMPLE_RATES } from './constants';
+
+/**
+ * Input used when no device list is available
+ */
+export const PHONE_MIC = {
+  id: null,
+  type: AUDIO_INPUT_TYPES.BUILTIN_MIC,
+  name: null,
+  address: null,
+};
+
+// Bluetooth input types, most preferred first; LE audio gives better quality than SCO
+const BLUETOOTH_INPUT_TYPES = [
+  AUDIO_INPUT_TYPES.BLE_HEADSET,
+  AUDIO_INPUT_TYPES.BLUETOOTH_SCO,
+];
+
+/**
+ * Check whether an input is a Bluetooth headset microphone
+ *
+ * @param {Object} input - Input device
+ * @returns {boolean} True for SCO and LE audio inputs
+ */
+export const isBluetoothInput = (input) => {
+  return !!input && BLUETOOTH_INPUT_TYPES.includes(input.type);
+};
+
+/**
+ * Pick the input to record from
+ *
+ * With a headset connected, its microphone is preferred: one whose address
+ * matches the headset (dual-mode headsets share one address for BLE and
+ * audio), otherwise any Bluetooth microphone. Without one, or when the
+ * headset offers no microphone, the phone's built-in mic is used.
+ *
+ * @param {Array} devices - Input devices from the native audio module
+ * @param {string|null} headsetId - ID of the connected headset, if any
+ * @returns {Object|null} Chosen input, null if there is no usable one
+ */
+export const chooseInputDevice = (devices, headsetId) => {
+  const builtIn = devices.find(device => device.type === AUDIO_INPUT_TYPES.BUILTIN_MIC) || null;
+
+  if (!headsetId) {
+    return builtIn;
+  }
+
+  const bluetooth = devices
+    .filter(isBluetoothInput)
+    .sort((a, b) => BLUETOOTH_INPUT_TYPES.indexOf(a.type) - BLUETOOTH_INPUT_TYPES.indexOf(b.type));
+  const matching = bluetooth.find(device =>
+    !!device.address && device.address.toLowerCase() === headsetId.toLowerCase()
+  );
+
+  return matching || bluetooth[0] || builtIn;
+};
+
+/**
+ * Get the recording source and sample rate that suit an input
+ *
+ * @param {Object} input - Input device
+ * @returns {Object} Recording config with audioSource and sampleRate
+ */
+export const getRecordingConfigForInput = (input) => {
+  if (isBluetoothInput(input)) {
+    return {
+      audioSource: AUDIO_SOURCES.VOICE_COMMUNICATION,
+      sampleRate: AUDIO_SAMPLE_RATES.BLUETOOTH,
+    };
+  }
+
+  return {
+    audioSource: AUDIO_SOURCES.VOICE_RECOGNITION,
+    sampleRate: AUDIO_SAMPLE_RATES.DEFAULT,
+  };
+};
+
+/**
+ * Describe an input for display
+ *
+ * @param {Object} input - Input device
+ * @returns {string} Label such as 'Phone mic'
+ */
+export const getInputLabel = (input) => {
+  switch (input.type) {
+    case AUDIO_INPUT_TYPES.BUILTIN_MIC:
+      return 'Phone mic';
+    case AUDIO_INPUT_TYPES.BLE_HEADSET:
+    case AUDIO_INPUT_TYPES.BLUETOOTH_SCO:
+      return input.name || 'Bluetooth headset';
+    case AUDIO_INPUT_TYPES.WIRED_HEADSET:
+      return 'Wired headset';
+    case AUDIO_INPUT_TYPES.USB:
+      return input.name || 'USB mic';
+    default:
+      return input.name || 'Microphone';
+  }
+};
@@ -0,0 +1,169 @@
+/**
+ * Bluetooth Helpers
+ *
+ * Pure JavaScript helpers for interpreting BLE scan results.
+ */
+
+import { BLE_UUIDS, BLE_SCAN, BT_RECONNECT_POLICY, BATTERY_LEVELS, TIME } from './constants';
+
+// Bluetooth Base UUID that 16- and 32-bit UUIDs are shorthand for
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+/**
+ * Expand a UUID to its lowercase 128-bit form so short and long forms compare equal
+ *
+ * @param {string} uuid - 16-, 32- or 128-bit UUID
+ * @returns {string} 128-bit UUID
+ */
+export const normalizeUuid = (uuid) => {
+  const lower = (uuid || '').toLowerCase();
+
+  if (/^[0-9a-f]{4}$/.test(lower)) {
+    return `0000${lower}${BASE_UUID_SUFFIX}`;
+  }
+  if (/^[0-9a-f]{8}$/.test(lower)) {
+    return `${lower}${BASE_UUID_SUFFIX}`;
+  }
+
+  return lower;
+};
+
+/**
+ * Check whether a peripheral advertises the AIR headset service
+ *
+ * @param {Object} peripheral - Peripheral from a scan event
+ * @returns {boolean} True for AIR headsets
+ */
+export const isAirHeadset = (peripheral) => {
+  const advertising = peripheral.advertising || {};
+  const serviceUUIDs = advertising.serviceUUIDs || [];
+  const airService = normalizeUuid(BLE_UUIDS.AIR_HEADSET_SERVICE);
+
+  return serviceUUIDs.some(uuid => normalizeUuid(uuid) === airService);
+};
+
+/**
+ * Turn a scan event into the device shape used by the app
+ *
+ * @param {Object} peripheral - Peripheral from a scan event
+ * @returns {Object} Device with id, name, rssi, isAirHeadset and lastSeen
+ */
+export const toDevice = (peripheral) => {
+  const advertising = peripheral.advertising || {};
+
+  return {
+    id: peripheral.id,
+    name: peripheral.name || advertising.localName || null,
+    rssi: peripheral.rssi,
+    isAirHeadset: isAirHeadset(peripheral),
+    lastSeen: Date.now(),
+  };
+};
+
+/**
+ * Merge a sighting into a known device, keeping a name seen earlier and
+ * smoothing the RSSI so the list doesn't jitter
+ *
+ * @param {Object} existing - Device from earlier sightings, if any
+ * @param {Object} sighting - Device from the latest scan event
+ * @returns {Object} Merged device
+ */
+export const mergeDevice = (existing, sighting) => {
+  if (!existing) {
+    return sighting;
+  }
+
+  return {
+    ...existing,
+    ...sighting,
+    name: sighting.name || existing.name,
+    isAirHeadset: existing.isAirHeadset || sighting.isAirHeadset,
+    rssi: Math.round(
+      existing.rssi + (sighting.rssi - existing.rssi) * BLE_SCAN.RSSI_SMOOTHING
+    ),
+  };
+};
+
+/**
+ * Describe signal strength in coarse steps for display
+ *
+ * @param {number} rssi - Signal strength in dBm
+ * @returns {string} 'strong', 'medium' or 'weak'
+ */
+export const getSignalStrength = (rssi) => {
+  if (rssi >= BLE_SCAN.STRONG_RSSI) return 'strong';
+  if (rssi >= BLE_SCAN.MEDIUM_RSSI) return 'medium';
+  return 'weak';
+};
+
+/**
+ * Orders available for the device list
+ */
+export const DEVICE_SORT = {
+  SIGNAL: 'signal',
+  NAME: 'name',
+};
+
+/**
+ * Sort devices for the device list, unnamed devices last when sorting by name
+ *
+ * @param {Array} devices - Devices to sort
+ * @param {string} sortBy - One of DEVICE_SORT
+ * @returns {Array} Sorted copy
+ */
+export const sortDevices = (devices, sortBy) => {
+  const byName = (a, b) =>
+    (a.name || '\uffff').localeCompare(b.name || '\uffff') || a.id.localeCompare(b.id);
+
+  return [...devices].sort(sortBy === DEVICE_SORT.NAME
+    ? byName
+    : (a, b) => b.rssi - a.rssi || byName(a, b));
+};
+
+/**
+ * Calculate the delay before a headset reconnection attempt
+ *
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {Function} random - Random number source returning 0.0-1.0
+ * @returns {number} Delay in milliseconds
+ */
+export const getBluetoothReconnectDelay = (attempt, random = Math.random) => {
+  const { MULTIPLIER, MAX_DELAY, JITTER } = BT_RECONNECT_POLICY;
+  const exponential = TIME.BLE_RECONNECT_INTERVAL * Math.pow(MULTIPLIER, Math.max(0, attempt - 1));
+  const capped = Math.min(MAX_DELAY, exponential);
+
+  return Math.round(capped * (1 - JITTER * random()));
+};
+
+/**
+ * Decode a GATT string characteristic, which is UTF-8 and may be null-padded
+ *
+ * @param {Array<number>} bytes - Characteristic value
+ * @returns {string} Decoded string
+ */
+export const decodeUtf8 = (bytes) => {
+  const content = (bytes || []).filter(byte => byte !== 0);
+
+  try {
+    return decodeURIComponent(
+      content.map(byte => `%${byte.toString(16).padStart(2, '0')}`).join('')
+    );
+  } catch (error) {
+    // Not valid UTF-8, fall back to one character per byte
+    return String.fromCharCode(...content);
+  }
+};
+
+/**
+ * Pick the icon for a battery level
+ *
+ * @param {number|null} level - Battery level in percent, null if unknown
+ * @returns {string} MaterialIcons icon name
+ */
+export const getBatteryIcon = (level) => {
+  if (level == null) return 'battery-unknown';
+  if (level <= BATTERY_LEVELS.LOW) return 'battery-alert';
+  if (level >= 95) return 'battery-full';
+
+  return `battery-${Math.min(6, Math.max(1, Math.round((level / 100) * 6)))}-bar`;
+};
@@ -12,10 +12,17 @@
  */
 export const STORAGE_KEYS = {
   SETTINGS: '@AIRAssist:settings',
-  CONVERSATION_HISTORY: '@AIRAssist:conversation',
+  CONVERSATION_HISTORY: '@AIRAssist:conversation', // Single history from before threads, migrated on load
+  CONVERSATIONS: '@AIRAssist:conversations',
+  CONVERSATION_MESSAGES_PREFIX: '@AIRAssist:conversation:',
+  ACTIVE_CONVERSATION: '@AIRAssist:activeConversation',
   PENDING_MESSAGES: '@AIRAssist:pendingMessages',
   USER_ID: '@AIRAssist:userId',
+  AUTH_TOKEN: '@AIRAssist:authToken', // Kept in the secure store, not AsyncStorage
+  STORAGE_ENCRYPTED: '@AIRAssist:storageEncrypted', // Set once older plaintext data has been encrypted
   BLUETOOTH_DEVICES: '@AIRAssist:btDevices',
+  WAKE_WORD_TEMPLATES: '@AIRAssist:wakeWordTemplates',
+  COMPOSER_DRAFTS: '@AIRAssist:composerDrafts', // Unsent typed messages, by conversation
 };
 
 /**
@@ -25,9 +32,11 @@ export const STORAGE_KEYS = {
 export const DEFAULT_SETTINGS = {
   // WebSocket server settings
   wsServerUrl: 'wss://airassist-server.example.com/ws',
+  transport: 'websocket', // One of TRANSPORT_TYPES; 'mock' runs offline
 
   // User settings
-  userId: null, // Will be generated on first run
+  userId: null, // Generated on first run and kept under STORAGE_KEYS.USER_ID
+  authToken: '', // Entered in Settings or issued by pairing; saved in the secure store
   userName: 'User',
 
   // Audio settings
@@ -35,9 +44,14 @@ export const DEFAULT_SETTINGS = {
   micSensitivity: 75, // 0-100 scale
   silenceThreshold: 0.2, // 0.0-1.0 scale
   speakerVolume: 80, // 0-100 scale
+  streamAudio: true, // Upload audio in chunks while recording
+  recognitionLanguage: 'auto', // AUTO_LANGUAGE or a code from RECOGNITION_LANGUAGES
 
   // Behavior settings
-  autoListen: true,
+  inputMode: 'voice', // One of INPUT_MODES
+  listenMode: 'autoListen', // One of LISTEN_MODES
+  wakeWordSensitivity: 50, // 0-100 scale
+  bargeIn: true, // Talking over a response stops it and starts a new recording
   autoConnect: true,
   saveHistory: true,
   readResponses: true,
@@ -54,13 +68,130 @@ export const DEFAULT_SETTINGS = {
  */
 export const WS_MESSAGE_TYPES = {
   AUDIO: 'audioMessage',
+  AUDIO_STREAM_START: 'audioStreamStart',
+  AUDIO_CHUNK: 'audioChunk',
+  AUDIO_STREAM_END: 'audioStreamEnd',
   TEXT: 'textMessage',
   AI_RESPONSE: 'aiResponse',
+  AI_RESPONSE_START: 'aiResponseStart',
+  AI_RESPONSE_DELTA: 'aiResponseDelta',
+  AI_RESPONSE_END: 'aiResponseEnd',
+  CANCEL: 'cancel',
   ERROR: 'error',
   PING: 'ping',
   PONG: 'pong',
   CONNECT: 'connect',
   DISCONNECT: 'disconnect',
+  ACK: 'ack',
+};
+
+/**
+ * Transports the server connection can run over
+ * MOCK is an in-process scripted server for offline demos and tests
+ */
+export const TRANSPORT_TYPES = {
+  WEBSOCKET: 'websocket',
+  MOCK: 'mock',
+};
+
+/**
+ * Transport readyState values, the same as WebSocket's
+ */
+export const TRANSPORT_READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3,
+};
+
+/**
+ * WebSocket acknowledgement policy
+ * The server answers each textMessage/audioMessage with an ack frame carrying its
+ * messageId. Unacknowledged messages are resent up to MAX_RETRIES times.
+ */
+export const WS_ACK_POLICY = {
+  MAX_RETRIES: 2,
+};
+
+/**
+ * Delivery status of a user message
+ * Shown on each user bubble while the message moves through the outbox
+ */
+export const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+/**
+ * Conversation limits
+ * Bounds the size of each stored thread and of generated titles
+ */
+export const CONVERSATION_LIMITS = {
+  MAX_MESSAGES: 500,
+  TITLE_LENGTH: 40,
+  TEXT_MESSAGE_LENGTH: 2000,
+};
+
+/**
+ * Conversation export formats
+ * JSON exports can be imported back as a new thread
+ */
+export const EXPORT_FORMATS = {
+  MARKDOWN: 'markdown',
+  JSON: 'json',
+  TEXT: 'text',
+};
+
+/**
+ * Outbox limits
+ * Caps the storage used by messages waiting to be delivered
+ */
+export const OUTBOX_LIMITS = {
+  MAX_TOTAL_BYTES: 20 * 1024 * 1024,
+};
+
+/**
+ * WebSocket connection states
+ * States of the WebSocketService connection state machine
+ */
+export const WS_CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  AUTHENTICATING: 'authenticating',
+  OPEN: 'open',
+  BACKING_OFF: 'backingOff',
+  OFFLINE: 'offline',
+  UNAUTHORIZED: 'unauthorized',
+  CLOSED_BY_USER: 'closedByUser',
+};
+
+/**
+ * WebSocket close codes
+ * The 4xxx codes are application-defined. The server closes with UNAUTHORIZED,
+ * TOKEN_EXPIRED or FORBIDDEN when authentication fails, and the client does not
+ * reconnect until its credentials change.
+ */
+export const WS_CLOSE_CODES = {
+  NORMAL: 1000,
+  PING_TIMEOUT: 4000,
+  UNAUTHORIZED: 4001,
+  TOKEN_EXPIRED: 4002,
+  FORBIDDEN: 4003,
+  HANDSHAKE_TIMEOUT: 4008,
+};
+
+/**
+ * WebSocket reconnection policy
+ * Delays grow exponentially from TIME.WEBSOCKET_RECONNECT_INTERVAL up to MAX_DELAY,
+ * with up to JITTER of each delay randomly removed so clients don't retry in lockstep.
+ */
+export const WS_RECONNECT_POLICY = {
+  MULTIPLIER: 2,
+  MAX_DELAY: 60000,
+  JITTER: 0.3,
+  MAX_ATTEMPTS: 10,
 };
 
 /**
@@ -72,9 +203,155 @@ export const BT_CONNECTION_STATES = {
   CONNECTING: 'connecting',
   CONNECTED: 'connected',
   SCANNING: 'scanning',
+  RECONNECTING: 'reconnecting',
   ERROR: 'error',
 };
 
+/**
+ * Bluetooth reconnection policy
+ * After the headset drops, reconnection is retried with delays growing from
+ * TIME.BLE_RECONNECT_INTERVAL up to MAX_DELAY, with up to JITTER randomly removed.
+ */
+export const BT_RECONNECT_POLICY = {
+  MULTIPLIER: 2,
+  MAX_DELAY: 30000,
+  JITTER: 0.3,
+  MAX_ATTEMPTS: 8,
+};
+
+/**
+ * Bluetooth UUIDs
+ * AIR_HEADSET_SERVICE is advertised by AIR headsets; it and its characteristics
+ * must match the headset firmware
+ */
+export const BLE_UUIDS = {
+  AIR_HEADSET_SERVICE: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+  AIR_BUTTON_CHARACTERISTIC: '6e400003-b5a3-f393-e0a9-e50e24dcca9e',
+
+  // Standard Battery Service
+  BATTERY_SERVICE: '180f',
+  BATTERY_LEVEL: '2a19',
+
+  // Standard Device Information Service
+  DEVICE_INFO_SERVICE: '180a',
+  MANUFACTURER_NAME: '2a29',
+  MODEL_NUMBER: '2a24',
+  SERIAL_NUMBER: '2a25',
+  HARDWARE_REVISION: '2a27',
+  FIRMWARE_REVISION: '2a26',
+  SOFTWARE_REVISION: '2a28',
+};
+
+/**
+ * Headset battery thresholds in percent
+ * A warning is posted when the level falls to LOW, and again only after it
+ * has recovered above LOW + RECOVERY_MARGIN
+ */
+export const BATTERY_LEVELS = {
+  LOW: 20,
+  RECOVERY_MARGIN: 5,
+};
+
+/**
+ * Bluetooth scan tuning
+ * RSSI thresholds are in dBm; RSSI_SMOOTHING is how far each sighting moves the shown value
+ */
+export const BLE_SCAN = {
+  STRONG_RSSI: -60,
+  MEDIUM_RSSI: -75,
+  RSSI_SMOOTHING: 0.5,
+  UPDATE_INTERVAL: 500,
+};
+
+/**
+ * Kinds of audio input device reported by the native audio module
+ */
+export const AUDIO_INPUT_TYPES = {
+  BUILTIN_MIC: 'builtinMic',
+  BLUETOOTH_SCO: 'bluetoothSco',
+  BLE_HEADSET: 'bleHeadset',
+  WIRED_HEADSET: 'wiredHeadset',
+  USB: 'usb',
+  OTHER: 'other',
+};
+
+/**
+ * How the app decides when to start recording
+ * AUTO_LISTEN records again after each response; WAKE_WORD waits for the
+ * wake word, detected on the device, before recording anything
+ */
+export const LISTEN_MODES = {
+  PUSH_TO_TALK: 'pushToTalk',
+  AUTO_LISTEN: 'autoListen',
+  WAKE_WORD: 'wakeWord',
+};
+
+/**
+ * Input modes
+ * Whether the home screen footer shows the voice controls or the text composer
+ */
+export const INPUT_MODES = {
+  VOICE: 'voice',
+  TEXT: 'text',
+};
+
+/**
+ * Speech recognition languages offered in Settings, as BCP-47 tags
+ */
+export const RECOGNITION_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'es-ES', label: 'Español' },
+  { code: 'fr-FR', label: 'Français' },
+  { code: 'de-DE', label: 'Deutsch' },
+  { code: 'it-IT', label: 'Italiano' },
+  { code: 'pt-BR', label: 'Português (Brasil)' },
+  { code: 'hi-IN', label: 'हिन्दी' },
+  { code: 'bn-BD', label: 'বাংলা' },
+  { code: 'ja-JP', label: '日本語' },
+  { code: 'zh-CN', label: '中文 (简体)' },
+];
+
+/**
+ * Language setting that follows the device language when on-device
+ * recognition is available, and otherwise leaves detection to the server
+ */
+export const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Language used when the device language isn't one we recognize
+ */
+export const DEFAULT_LANGUAGE = 'en-US';
+
+/**
+ * Wake word enrollment
+ * The user records the phrase this many times so the detector learns their voice
+ */
+export const WAKE_WORD = {
+  PHRASE: 'Hey AIR',
+  ENROLLMENT_SAMPLES: 3,
+};
+
+/**
+ * Android MediaRecorder.AudioSource values used for recording
+ * VOICE_COMMUNICATION follows the communication route, so it is needed to
+ * capture from a Bluetooth headset
+ */
+export const AUDIO_SOURCES = {
+  MIC: 1,
+  VOICE_RECOGNITION: 6,
+  VOICE_COMMUNICATION: 7,
+};
+
+/**
+ * Recording sample rates in Hz
+ * Bluetooth headset microphones deliver wideband speech at most
+ */
+export const AUDIO_SAMPLE_RATES = {
+  DEFAULT: 44100,
+  BLUETOOTH: 16000,
+};
+
 /**
  * Permissions required by the application
  * These are the permission strings needed for different platforms
@@ -109,11 +386,20 @@ export const PERMISSIONS = {
  */
 export const TIME = {
   WEBSOCKET_RECONNECT_INTERVAL: 5000,
+  WEBSOCKET_ACK_TIMEOUT: 10000,
+  WEBSOCKET_HANDSHAKE_TIMEOUT: 10000,
   BLE_SCAN_TIMEOUT: 10000,
+  BLE_RECONNECT_INTERVAL: 2000,
   DEBOUNCE_DELAY: 300,
   LONG_PRESS_DURATION: 500,
+  DOUBLE_PRESS_WINDOW: 300,
   SILENCE_DETECTION_TIMEOUT: 2000,
+  NO_SPEECH_TIMEOUT: 8000,
   AUTO_LISTEN_DELAY: 1000,
+  MESSAGE_HIGHLIGHT_DURATION: 3000,
+  DRAFT_SAVE_DELAY: 500,
+  HISTORY_SAVE_DELAY: 500,
+  MOCK_SERVER_LATENCY: 400,
 };
 
 /**
@@ -0,0 +1,162 @@
+/**
+ * AIR Headset Protocol
+ *
+ * Decodes notifications from the AIR headset's button characteristic. Each
+ * notification starts with a message type byte:
+ *
+ *   0x01 BUTTON_STATE    [0x01, state]    state 0x01 = pressed, 0x00 = released
+ *   0x02 BUTTON_GESTURE  [0x02, gesture]  gesture decoded by the headset firmware:
+ *                                         0x01 press, 0x02 long press, 0x03 double press
+ *
+ * Raw button states are turned into gestures here using press timing, so
+ * headsets that only report pressed/released behave like those that decode
+ * gestures themselves. Nothing in this file depends on React Native.
+ */
+
+import { TIME } from './constants';
+
+/**
+ * Gestures reported to listeners
+ */
+export const HEADSET_BUTTON_EVENTS = {
+  PRESS: 'press',
+  LONG_PRESS: 'longPress',
+  DOUBLE_PRESS: 'doublePress',
+};
+
+/**
+ * Message type bytes
+ */
+export const HEADSET_MESSAGE_TYPES = {
+  BUTTON_STATE: 0x01,
+  BUTTON_GESTURE: 0x02,
+};
+
+const GESTURE_CODES = {
+  0x01: HEADSET_BUTTON_EVENTS.PRESS,
+  0x02: HEADSET_BUTTON_EVENTS.LONG_PRESS,
+  0x03: HEADSET_BUTTON_EVENTS.DOUBLE_PRESS,
+};
+
+/**
+ * Decode a notification from the button characteristic
+ *
+ * @param {Array<number>} bytes - Notification value
+ * @returns {Object|null} {type: 'state', isPressed} or {type: 'gesture', gesture},
+ *   null for messages this version doesn't understand
+ */
+export const decodeButtonPacket = (bytes) => {
+  if (!bytes || bytes.length < 2) {
+    return null;
+  }
+
+  switch (bytes[0]) {
+    case HEADSET_MESSAGE_TYPES.BUTTON_STATE:
+      return { type: 'state', isPressed: bytes[1] === 0x01 };
+    case HEADSET_MESSAGE_TYPES.BUTTON_GESTURE:
+      return GESTURE_CODES[bytes[1]]
+        ? { type: 'gesture', gesture: GESTURE_CODES[bytes[1]] }
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Turns pressed/released transitions into press, long-press and double-press
+ * gestures
+ *
+ * A long press fires once the button has been held for longPressDuration. A
+ * single press is only reported after doublePressWindow passes without a
+ * second press, so a double press never also reports a single press.
+ */
+export class ButtonGestureDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {Function} options.onGesture - Called with one of HEADSET_BUTTON_EVENTS
+   * @param {number} options.longPressDuration - Hold time for a long press (ms)
+   * @param {number} options.doublePressWindow - Maximum gap between double presses (ms)
+   */
+  constructor(options) {
+    this.onGesture = options.onGesture;
+    this.longPressDuration = options.longPressDuration || TIME.LONG_PRESS_DURATION;
+    this.doublePressWindow = options.doublePressWindow || TIME.DOUBLE_PRESS_WINDOW;
+    this.longPressTimer = null;
+    this.singlePressTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Cancel pending gestures and forget the button state
+   */
+  reset() {
+    clearTimeout(this.longPressTimer);
+    clearTimeout(this.singlePressTimer);
+    this.longPressTimer = null;
+    this.singlePressTimer = null;
+    this.isPressed = false;
+    this.isSecondPress = false;
+    this.longPressFired = false;
+  }
+
+  /**
+   * Feed a button state change
+   *
+   * @param {boolean} isPressed - True when the button went down
+   */
+  handleState(isPressed) {
+    if (isPressed === this.isPressed) {
+      return; // Repeated state, e.g. a notification sent twice
+    }
+
+    this.isPressed = isPressed;
+
+    if (isPressed) {
+      this.handlePressed();
+    } else {
+      this.handleReleased();
+    }
+  }
+
+  /**
+   * Start timing a press
+   */
+  handlePressed() {
+    // A press while a single press is pending makes it a double press
+    this.isSecondPress = !!this.singlePressTimer;
+    clearTimeout(this.singlePressTimer);
+    this.singlePressTimer = null;
+
+    this.longPressFired = false;
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null;
+      this.longPressFired = true;
+      this.onGesture(HEADSET_BUTTON_EVENTS.LONG_PRESS);
+    }, this.longPressDuration);
+  }
+
+  /**
+   * Finish a press, reporting or deferring the gesture
+   */
+  handleReleased() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+
+    if (this.longPressFired) {
+      return;
+    }
+
+    if (this.isSecondPress) {
+      this.isSecondPress = false;
+      this.onGesture(HEADSET_BUTTON_EVENTS.DOUBLE_PRESS);
+      return;
+    }
+
+    this.singlePressTimer = setTimeout(() => {
+      this.singlePressTimer = null;
+      this.onGesture(HEADSET_BUTTON_EVENTS.PRESS);
+    }, this.doublePressWindow);
+  }
+}
+
+export default ButtonGestureDecoder;
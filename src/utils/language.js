@@ -0,0 +1,72 @@
+/**
+ * Language Helpers
+ *
+ * Pure functions for working with speech recognition language tags. Device
+ * locales come in several shapes ('en_US', 'en-US', 'en_US@calendar=...'),
+ * so they are normalized to BCP-47 before being matched against the
+ * languages the app offers.
+ */
+
+import { RECOGNITION_LANGUAGES, AUTO_LANGUAGE } from './constants';
+
+/**
+ * Convert a locale identifier to a BCP-47 language tag
+ *
+ * @param {string} locale - Locale such as 'en_US' or 'pt-BR'
+ * @returns {string|null} Tag such as 'en-US', or null if empty
+ */
+export const normalizeLanguageTag = (locale) => {
+  if (!locale || typeof locale !== 'string') {
+    return null;
+  }
+
+  // Drop encodings and extensions, e.g. 'en_US.UTF-8' or 'de_DE@calendar=gregorian'
+  const [base] = locale.split(/[.@]/);
+  const [language, region] = base.replace(/_/g, '-').split('-');
+
+  if (!language) {
+    return null;
+  }
+
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+};
+
+/**
+ * Find the offered language closest to a tag
+ *
+ * @param {string} tag - BCP-47 language tag
+ * @param {Array} languages - Offered languages, defaults to RECOGNITION_LANGUAGES
+ * @returns {string|null} Code of an exact match, else the first one in the
+ *   same language, else null
+ */
+export const matchLanguage = (tag, languages = RECOGNITION_LANGUAGES) => {
+  const normalized = normalizeLanguageTag(tag);
+  if (!normalized) {
+    return null;
+  }
+
+  const exact = languages.find(language => language.code.toLowerCase() === normalized.toLowerCase());
+  if (exact) {
+    return exact.code;
+  }
+
+  const primary = normalized.split('-')[0];
+  const sameLanguage = languages.find(language => language.code.split('-')[0].toLowerCase() === primary);
+
+  return sameLanguage ? sameLanguage.code : null;
+};
+
+/**
+ * Get the display name of a language setting
+ *
+ * @param {string} code - Language code or AUTO_LANGUAGE
+ * @returns {string} Display name
+ */
+export const getLanguageLabel = (code) => {
+  if (code === AUTO_LANGUAGE) {
+    return 'Automatic';
+  }
+
+  const language = RECOGNITION_LANGUAGES.find(entry => entry.code === code);
+  return language ? language.label : code;
+};
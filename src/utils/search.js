@@ -0,0 +1,157 @@
+/**
+ * Search Helpers
+ *
+ * Pure JavaScript text helpers shared by the search index and the screens
+ * that display search results. Matching is case- and accent-insensitive and
+ * anchored at the start of words, so "conn" finds "Connected".
+ */
+
+// Characters that separate words; letters beyond ASCII count as word characters
+const WORD_SEPARATOR = /[^\w\u00C0-\uFFFF]+/;
+
+// Combining accents left behind by NFD normalization
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Lowercase text and strip accents so "Café" matches "cafe"
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => {
+  const lower = (text || '').toLowerCase();
+  return typeof lower.normalize === 'function'
+    ? lower.normalize('NFD').replace(COMBINING_MARKS, '')
+    : lower;
+};
+
+/**
+ * Split text into normalized words
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words, without duplicates
+ */
+export const tokenize = (text) => {
+  const words = normalizeText(text)
+    .split(WORD_SEPARATOR)
+    .filter(word => word.length > 0);
+
+  return [...new Set(words)];
+};
+
+/**
+ * Find where a word belongs in a sorted word list
+ *
+ * @param {Array<string>} sortedWords - Words in ascending order
+ * @param {string} word - Word to place
+ * @returns {number} Index of the first word not less than it
+ */
+export const findInsertionIndex = (sortedWords, word) => {
+  let low = 0;
+  let high = sortedWords.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sortedWords[middle] < word) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the ranges of text that match the query words
+ *
+ * @param {string} text - Text to search
+ * @param {Array<string>} queryTokens - Words from tokenize(query)
+ * @returns {Array<Object>} Sorted, non-overlapping {start, end} ranges
+ */
+export const findMatches = (text, queryTokens) => {
+  if (!text || queryTokens.length === 0) {
+    return [];
+  }
+
+  // Accent stripping keeps one character per character for the scripts we index,
+  // so positions in the normalized text map back onto the original
+  const normalized = normalizeText(text);
+  if (normalized.length !== text.length) {
+    return [];
+  }
+
+  const pattern = new RegExp(
+    `(^|[^\\w\\u00C0-\\uFFFF])(${queryTokens.map(escapeRegExp).join('|')})`,
+    'g'
+  );
+
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(normalized)) !== null) {
+    const start = match.index + match[1].length;
+    ranges.push({ start, end: start + match[2].length });
+  }
+
+  return ranges;
+};
+
+/**
+ * Split text into plain and highlighted segments for rendering
+ *
+ * @param {string} text - Text to split
+ * @param {Array<string>} queryTokens - Words from tokenize(query)
+ * @returns {Array<Object>} Segments of {text, isMatch}
+ */
+export const highlightSegments = (text, queryTokens) => {
+  const ranges = findMatches(text, queryTokens);
+  if (ranges.length === 0) {
+    return [{ text, isMatch: false }];
+  }
+
+  const segments = [];
+  let position = 0;
+
+  ranges.forEach(({ start, end }) => {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), isMatch: false });
+    }
+    segments.push({ text: text.slice(start, end), isMatch: true });
+    position = end;
+  });
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), isMatch: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Cut long text down to a window around its first match
+ *
+ * @param {string} text - Full message text
+ * @param {Array<string>} queryTokens - Words from tokenize(query)
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string} Snippet with ellipses where text was cut
+ */
+export const buildSnippet = (text, queryTokens, radius = 60) => {
+  if (!text || text.length <= radius * 2) {
+    return text || '';
+  }
+
+  const [firstMatch] = findMatches(text, queryTokens);
+  const center = firstMatch ? firstMatch.start : 0;
+  const start = Math.max(0, center - radius);
+  const end = Math.min(text.length, center + radius);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
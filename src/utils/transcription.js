@@ -0,0 +1,113 @@
+/**
+ * Transcription Helpers
+ *
+ * Pure functions for the hypotheses speech recognition reports. The
+ * recognizer only gives a ranked list of strings in event.value, with no
+ * confidence scores. Each hypothesis gets an agreement score instead: how
+ * closely the other hypotheses match it word for word. It is not a
+ * recognizer confidence and shouldn't be shown as one.
+ */
+
+/**
+ * Transcription tuning values
+ */
+export const TRANSCRIPTION_DEFAULTS = {
+  // Hypotheses kept from each recognition event
+  MAX_ALTERNATIVES: 3,
+};
+
+/**
+ * Split a transcription into lowercase words, ignoring punctuation
+ *
+ * @param {string} text - Transcription
+ * @returns {Array<string>} Words
+ */
+export const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/[.,!?;:"()[\]{}¿¡。、，！？]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Compare two transcriptions word by word
+ *
+ * @param {string} a - First transcription
+ * @param {string} b - Second transcription
+ * @returns {number} 1 for the same words, down to 0 for nothing in common
+ */
+export const wordSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  const longest = Math.max(wordsA.length, wordsB.length);
+
+  if (longest === 0) {
+    return 1;
+  }
+
+  // Word-level edit distance, keeping one row of the table
+  let previous = Array.from({ length: wordsB.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= wordsA.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= wordsB.length; j++) {
+      const substitution = previous[j - 1] + (wordsA[i - 1] === wordsB[j - 1] ? 0 : 1);
+      current[j] = Math.min(substitution, previous[j] + 1, current[j - 1] + 1);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[wordsB.length] / longest;
+};
+
+/**
+ * Get the hypotheses from a speech recognition event
+ *
+ * @param {Object} event - Speech recognition event
+ * @param {Array<string>} event.value - Hypotheses, most likely first
+ * @param {number} maxAlternatives - Number of hypotheses to keep
+ * @returns {Array<Object>} Distinct hypotheses as { text, agreement }, in
+ *   the recognizer's order; agreement is null when there is only one
+ */
+export const getAlternatives = (event, maxAlternatives = TRANSCRIPTION_DEFAULTS.MAX_ALTERNATIVES) => {
+  const values = event && Array.isArray(event.value) ? event.value : [];
+  const texts = [];
+
+  values.forEach(value => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (text && !texts.includes(text)) {
+      texts.push(text);
+    }
+  });
+
+  return texts.slice(0, maxAlternatives).map((text, index, kept) => {
+    if (kept.length < 2) {
+      return { text, agreement: null };
+    }
+
+    const others = kept.filter((_, otherIndex) => otherIndex !== index);
+    const agreement = others.reduce((sum, other) => sum + wordSimilarity(text, other), 0) / others.length;
+
+    return { text, agreement: Math.round(agreement * 100) / 100 };
+  });
+};
+
+/**
+ * Describe what else recognition might have heard, and how well the
+ * hypotheses agree with the one shown
+ *
+ * @param {Array<Object>} alternatives - Hypotheses from getAlternatives, most likely first
+ * @returns {string} Caption such as 'Also heard "turn on the light" · hypotheses agree 75%',
+ *   or an empty string when there is only one hypothesis
+ */
+export const describeAlternatives = (alternatives) => {
+  const [best, ...others] = alternatives;
+  if (!best || others.length === 0) {
+    return '';
+  }
+
+  const heard = `Also heard ${others.map(other => `"${other.text}"`).join(', ')}`;
+  return best.agreement == null
+    ? heard
+    : `${heard} · hypotheses agree ${Math.round(best.agreement * 100)}%`;
+};
@@ -0,0 +1,340 @@
+/**
+ * Voice Activity Detection
+ *
+ * Pure JavaScript helpers for measuring the level of 16-bit PCM audio and
+ * deciding when the user has stopped speaking. Nothing in this file depends on
+ * React Native, so it can be exercised with synthetic PCM buffers.
+ */
+
+import { TIME } from './constants';
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_LOOKUP = BASE64_CHARS.split('').reduce((lookup, char, index) => {
+  lookup[char] = index;
+  return lookup;
+}, {});
+
+/**
+ * Level reported for digital silence, where the logarithm is undefined
+ */
+export const MIN_DB = -100;
+
+/**
+ * Voice activity detection tuning values
+ */
+export const VAD_DEFAULTS = {
+  // Level must rise this far above the noise floor to count as speech
+  SPEECH_MARGIN_DB: 6,
+  // silenceThreshold (0.0-1.0) maps onto this absolute dBFS range
+  THRESHOLD_MIN_DB: -60,
+  THRESHOLD_MAX_DB: 0,
+  // micSensitivity 50 is neutral; 0 and 100 apply -/+ this much gain
+  SENSITIVITY_RANGE_DB: 12,
+  // How quickly the noise floor follows the level while no one is speaking
+  NOISE_FLOOR_RISE: 0.05,
+  NOISE_FLOOR_FALL: 0.5,
+  INITIAL_NOISE_FLOOR_DB: -70,
+};
+
+/**
+ * Barge-in detection tuning values
+ */
+export const BARGE_IN_DEFAULTS = {
+  // The AI's own voice leaks into the microphone, so speech has to stand out
+  // further from the background than it does while recording
+  SPEECH_MARGIN_DB: 12,
+  MIN_SPEECH_DB: -50,
+  // Time spent learning the level of playback before listening for speech
+  CALIBRATION_MS: 500,
+  // Speech must last this long to interrupt, so coughs and clicks don't
+  MIN_SPEECH_MS: 300,
+};
+
+/**
+ * Decode a base64 string into bytes
+ *
+ * @param {string} base64 - Base64-encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const decodeBase64 = (base64) => {
+  const clean = (base64 || '').replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_LOOKUP[clean[i]];
+    const b = BASE64_LOOKUP[clean[i + 1]];
+    const c = BASE64_LOOKUP[clean[i + 2]];
+    const d = BASE64_LOOKUP[clean[i + 3]];
+
+    bytes[byteIndex++] = (a << 2) | (b >> 4);
+    if (c !== undefined) {
+      bytes[byteIndex++] = ((b & 15) << 4) | (c >> 2);
+    }
+    if (d !== undefined) {
+      bytes[byteIndex++] = ((c & 3) << 6) | d;
+    }
+  }
+
+  return bytes.subarray(0, byteIndex);
+};
+
+/**
+ * Convert a base64 chunk of 16-bit little-endian PCM into samples
+ *
+ * @param {string} base64 - Base64-encoded PCM data
+ * @returns {Int16Array} PCM samples
+ */
+export const decodePcm16 = (base64) => {
+  const bytes = decodeBase64(base64);
+  const samples = new Int16Array(Math.floor(bytes.length / 2));
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = bytes[i * 2] | (bytes[i * 2 + 1] << 8);
+    samples[i] = value >= 0x8000 ? value - 0x10000 : value;
+  }
+
+  return samples;
+};
+
+/**
+ * Compute the root-mean-square level of PCM samples
+ *
+ * @param {Int16Array|Array<number>} samples - 16-bit PCM samples
+ * @returns {number} RMS level normalized to 0.0-1.0
+ */
+export const computeRms = (samples) => {
+  if (!samples || samples.length === 0) {
+    return 0;
+  }
+
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const normalized = samples[i] / 32768;
+    sumOfSquares += normalized * normalized;
+  }
+
+  return Math.sqrt(sumOfSquares / samples.length);
+};
+
+/**
+ * Convert a normalized RMS level into decibels relative to full scale
+ *
+ * @param {number} rms - RMS level (0.0-1.0)
+ * @returns {number} Level in dBFS, never lower than MIN_DB
+ */
+export const rmsToDb = (rms) => {
+  if (rms <= 0) {
+    return MIN_DB;
+  }
+
+  return Math.max(MIN_DB, 20 * Math.log10(rms));
+};
+
+/**
+ * Compute the input gain for a microphone sensitivity setting
+ *
+ * @param {number} micSensitivity - Input gain setting (0-100, 50 is neutral)
+ * @returns {number} Gain in dB
+ */
+export const getSensitivityGainDb = (micSensitivity) => {
+  const clamped = Math.min(100, Math.max(0, micSensitivity));
+  return ((clamped - 50) / 50) * VAD_DEFAULTS.SENSITIVITY_RANGE_DB;
+};
+
+/**
+ * Stateful detector that tracks speech and silence across PCM chunks
+ *
+ * Durations are derived from the number of samples processed rather than
+ * wall-clock time, so results are deterministic for a given input.
+ */
+export class VoiceActivityDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.sampleRate - Sample rate of the PCM stream in Hz
+   * @param {number} options.silenceThreshold - Minimum speech level (0.0-1.0)
+   * @param {number} options.micSensitivity - Input gain (0-100, 50 is neutral)
+   * @param {number} options.silenceTimeout - Silence after speech that ends an utterance (ms)
+   * @param {number} options.noSpeechTimeout - Time to wait for any speech before giving up (ms)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.silenceThreshold = options.silenceThreshold != null ? options.silenceThreshold : 0.2;
+    this.micSensitivity = options.micSensitivity != null ? options.micSensitivity : 50;
+    this.silenceTimeout = options.silenceTimeout || TIME.SILENCE_DETECTION_TIMEOUT;
+    this.noSpeechTimeout = options.noSpeechTimeout || TIME.NO_SPEECH_TIMEOUT;
+    this.reset();
+  }
+
+  /**
+   * Clear all accumulated state
+   */
+  reset() {
+    this.noiseFloorDb = VAD_DEFAULTS.INITIAL_NOISE_FLOOR_DB;
+    this.hasSpeech = false;
+    this.elapsedMs = 0;
+    this.silenceMs = 0;
+    this.lastLevelDb = MIN_DB;
+  }
+
+  /**
+   * Gain applied for the configured microphone sensitivity
+   *
+   * @returns {number} Gain in dB
+   */
+  getGainDb() {
+    return getSensitivityGainDb(this.micSensitivity);
+  }
+
+  /**
+   * Absolute level a chunk must exceed to count as speech
+   *
+   * @returns {number} Threshold in dBFS
+   */
+  getThresholdDb() {
+    const clamped = Math.min(1, Math.max(0, this.silenceThreshold));
+    const { THRESHOLD_MIN_DB, THRESHOLD_MAX_DB } = VAD_DEFAULTS;
+    return THRESHOLD_MIN_DB + clamped * (THRESHOLD_MAX_DB - THRESHOLD_MIN_DB);
+  }
+
+  /**
+   * Analyze a chunk of PCM samples
+   *
+   * @param {Int16Array|Array<number>} samples - 16-bit PCM samples
+   * @returns {Object} Analysis with levelDb, noiseFloorDb, isSpeech and silenceDetected
+   */
+  process(samples) {
+    const durationMs = (samples.length / this.sampleRate) * 1000;
+    const levelDb = rmsToDb(computeRms(samples)) + this.getGainDb();
+
+    const isSpeech =
+      levelDb > this.getThresholdDb() &&
+      levelDb > this.noiseFloorDb + VAD_DEFAULTS.SPEECH_MARGIN_DB;
+
+    if (isSpeech) {
+      this.hasSpeech = true;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += durationMs;
+
+      // Only adapt the noise floor on non-speech, falling faster than it rises
+      const rate = levelDb < this.noiseFloorDb
+        ? VAD_DEFAULTS.NOISE_FLOOR_FALL
+        : VAD_DEFAULTS.NOISE_FLOOR_RISE;
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+    }
+
+    this.elapsedMs += durationMs;
+    this.lastLevelDb = levelDb;
+
+    const silenceDetected = this.hasSpeech
+      ? this.silenceMs >= this.silenceTimeout
+      : this.elapsedMs >= this.noSpeechTimeout;
+
+    return {
+      levelDb,
+      noiseFloorDb: this.noiseFloorDb,
+      isSpeech,
+      hasSpeech: this.hasSpeech,
+      silenceMs: this.silenceMs,
+      silenceDetected,
+    };
+  }
+
+  /**
+   * Analyze a base64 chunk as delivered by react-native-audio-record
+   *
+   * @param {string} base64 - Base64-encoded 16-bit PCM data
+   * @returns {Object} Analysis result, see process()
+   */
+  processBase64(base64) {
+    return this.process(decodePcm16(base64));
+  }
+}
+
+/**
+ * Stateful detector that notices the user starting to talk over playback
+ *
+ * The background level, which includes whatever playback the microphone
+ * picks up, is learned for a short while first. After that, speech that
+ * rises well above it for long enough counts as the user interrupting.
+ */
+export class BargeInDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.sampleRate - Sample rate of the PCM stream in Hz
+   * @param {number} options.micSensitivity - Input gain (0-100, 50 is neutral)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.micSensitivity = options.micSensitivity != null ? options.micSensitivity : 50;
+    this.reset();
+  }
+
+  /**
+   * Clear all accumulated state
+   */
+  reset() {
+    this.backgroundDb = null;
+    this.elapsedMs = 0;
+    this.speechMs = 0;
+  }
+
+  /**
+   * Analyze a chunk of PCM samples
+   *
+   * @param {Int16Array|Array<number>} samples - 16-bit PCM samples
+   * @returns {Object} Analysis with levelDb, backgroundDb, isSpeech, speechMs and speechDetected
+   */
+  process(samples) {
+    const durationMs = (samples.length / this.sampleRate) * 1000;
+    const levelDb = rmsToDb(computeRms(samples)) + getSensitivityGainDb(this.micSensitivity);
+    const isCalibrating = this.elapsedMs < BARGE_IN_DEFAULTS.CALIBRATION_MS;
+
+    if (this.backgroundDb == null) {
+      this.backgroundDb = levelDb;
+    }
+
+    const isSpeech =
+      !isCalibrating &&
+      levelDb > BARGE_IN_DEFAULTS.MIN_SPEECH_DB &&
+      levelDb > this.backgroundDb + BARGE_IN_DEFAULTS.SPEECH_MARGIN_DB;
+
+    if (isSpeech) {
+      this.speechMs += durationMs;
+    } else {
+      this.speechMs = 0;
+
+      // Follow the background quickly while calibrating, then as the VAD does
+      let rate = levelDb < this.backgroundDb
+        ? VAD_DEFAULTS.NOISE_FLOOR_FALL
+        : VAD_DEFAULTS.NOISE_FLOOR_RISE;
+      if (isCalibrating) {
+        rate = VAD_DEFAULTS.NOISE_FLOOR_FALL;
+      }
+      this.backgroundDb += (levelDb - this.backgroundDb) * rate;
+    }
+
+    this.elapsedMs += durationMs;
+
+    return {
+      levelDb,
+      backgroundDb: this.backgroundDb,
+      isSpeech,
+      speechMs: this.speechMs,
+      speechDetected: this.speechMs >= BARGE_IN_DEFAULTS.MIN_SPEECH_MS,
+    };
+  }
+
+  /**
+   * Analyze a base64 chunk as delivered by react-native-audio-record
+   *
+   * @param {string} base64 - Base64-encoded 16-bit PCM data
+   * @returns {Object} Analysis result, see process()
+   */
+  processBase64(base64) {
+    return this.process(decodePcm16(base64));
+  }
+}
+
+export default VoiceActivityDetector;
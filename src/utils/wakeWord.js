@@ -0,0 +1,446 @@
+/**
+ * Wake Word Detection
+ *
+ * Pure JavaScript keyword spotting for the wake word. PCM is cut into
+ * utterances by level, each utterance is reduced to a sequence of mel-spaced
+ * band energies, and the sequence is compared with samples the user recorded
+ * during enrollment using dynamic time warping. Nothing in this file depends
+ * on React Native, so it can be exercised with synthetic PCM buffers.
+ */
+
+import { computeRms, rmsToDb, decodePcm16, getSensitivityGainDb, VAD_DEFAULTS } from './voiceActivity';
+
+/**
+ * Wake word detection tuning values
+ */
+export const WAKE_WORD_DEFAULTS = {
+  FRAME_MS: 25,
+  NUM_BANDS: 16,
+  MIN_FREQUENCY: 100,
+  MAX_FREQUENCY: 4000,
+  // Level must rise this far above the noise floor, and above MIN_SPEECH_DB, to count as speech
+  SPEECH_MARGIN_DB: 10,
+  MIN_SPEECH_DB: -55,
+  // Quiet frames kept from just before speech starts
+  PRE_ROLL_FRAMES: 2,
+  // Silence that ends an utterance, and the speech length a wake word can have
+  END_SILENCE_MS: 250,
+  MIN_UTTERANCE_MS: 250,
+  MAX_UTTERANCE_MS: 1600,
+  // Utterances more than this many times longer or shorter than a sample never match
+  MAX_LENGTH_RATIO: 2,
+  // Match distance allowed relative to the spread of the enrolled samples,
+  // from sensitivity 0 to sensitivity 100
+  MIN_TOLERANCE: 1.0,
+  MAX_TOLERANCE: 1.6,
+};
+
+/**
+ * Transform complex samples to the frequency domain in place
+ *
+ * @param {Float64Array} re - Real parts, length a power of two
+ * @param {Float64Array} im - Imaginary parts
+ */
+export const fft = (re, im) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+};
+
+/**
+ * Convert a frequency to the mel scale
+ *
+ * @param {number} hz - Frequency in Hz
+ * @returns {number} Mels
+ */
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+
+/**
+ * Convert a mel value to a frequency
+ *
+ * @param {number} mel - Mels
+ * @returns {number} Frequency in Hz
+ */
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+/**
+ * Split the spectrum into mel-spaced bands
+ *
+ * @param {number} fftSize - FFT length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Array<number>>} [firstBin, endBin) of each band
+ */
+export const createBands = (fftSize, sampleRate) => {
+  const { NUM_BANDS, MIN_FREQUENCY, MAX_FREQUENCY } = WAKE_WORD_DEFAULTS;
+  const minMel = hzToMel(MIN_FREQUENCY);
+  const maxMel = hzToMel(Math.min(MAX_FREQUENCY, sampleRate / 2));
+  const binHz = sampleRate / fftSize;
+
+  const bands = [];
+  for (let i = 0; i < NUM_BANDS; i++) {
+    const low = melToHz(minMel + ((maxMel - minMel) * i) / NUM_BANDS);
+    const high = melToHz(minMel + ((maxMel - minMel) * (i + 1)) / NUM_BANDS);
+    const firstBin = Math.floor(low / binHz);
+
+    // Every band covers at least one bin, even where bins are wider than bands
+    bands.push([firstBin, Math.max(firstBin + 1, Math.floor(high / binHz))]);
+  }
+
+  return bands;
+};
+
+/**
+ * Compute the band energies of one frame
+ *
+ * @param {Int16Array} frame - PCM samples, fftSize long
+ * @param {Float64Array} window - Window function, fftSize long
+ * @param {Array<Array<number>>} bands - Bands from createBands
+ * @returns {Array<number>} Energy of each band in dB
+ */
+export const extractFrameFeatures = (frame, window, bands) => {
+  const re = new Float64Array(window.length);
+  const im = new Float64Array(window.length);
+
+  for (let i = 0; i < window.length; i++) {
+    re[i] = ((frame[i] || 0) / 32768) * window[i];
+  }
+
+  fft(re, im);
+
+  return bands.map(([firstBin, endBin]) => {
+    let energy = 0;
+    for (let bin = firstBin; bin < endBin; bin++) {
+      energy += re[bin] * re[bin] + im[bin] * im[bin];
+    }
+
+    return 10 * Math.log10(energy + 1e-10);
+  });
+};
+
+/**
+ * Remove the average of each band, so recordings at different levels or
+ * through different microphones still compare
+ *
+ * @param {Array<Array<number>>} frames - Feature frames
+ * @returns {Array<Array<number>>} Normalized copy
+ */
+export const normalizeFeatures = (frames) => {
+  if (frames.length === 0) {
+    return [];
+  }
+
+  const means = frames[0].map((_, band) =>
+    frames.reduce((sum, frame) => sum + frame[band], 0) / frames.length
+  );
+
+  return frames.map(frame => frame.map((value, band) => value - means[band]));
+};
+
+/**
+ * Measure how different two feature sequences are, allowing for one being
+ * spoken faster than the other
+ *
+ * @param {Array<Array<number>>} a - Normalized feature frames
+ * @param {Array<Array<number>>} b - Normalized feature frames
+ * @returns {number} Average frame distance along the best alignment,
+ *   or Infinity if the lengths are too different to be the same word
+ */
+export const dtwDistance = (a, b) => {
+  if (a.length === 0 || b.length === 0) {
+    return Infinity;
+  }
+
+  const ratio = a.length / b.length;
+  if (ratio > WAKE_WORD_DEFAULTS.MAX_LENGTH_RATIO || ratio < 1 / WAKE_WORD_DEFAULTS.MAX_LENGTH_RATIO) {
+    return Infinity;
+  }
+
+  const frameDistance = (x, y) => {
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      const difference = x[i] - y[i];
+      sum += difference * difference;
+    }
+    return Math.sqrt(sum);
+  };
+
+  // Only two rows of the cost matrix are needed at a time
+  let previous = new Float64Array(b.length + 1).fill(Infinity);
+  let current = new Float64Array(b.length + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = frameDistance(a[i - 1], b[j - 1]) +
+        Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length] / (a.length + b.length);
+};
+
+/**
+ * Work out the largest distance that still counts as the wake word
+ *
+ * Enrolled samples of the same phrase are never identical, so the allowance
+ * is scaled from how far apart they are.
+ *
+ * @param {Array<Array<Array<number>>>} templates - Enrolled feature sequences
+ * @param {number} sensitivity - Detection sensitivity (0-100)
+ * @returns {number|null} Distance threshold, or null with fewer than two samples
+ */
+export const getMatchThreshold = (templates, sensitivity = 50) => {
+  if (templates.length < 2) {
+    return null;
+  }
+
+  const normalized = templates.map(normalizeFeatures);
+  const distances = [];
+
+  for (let i = 0; i < normalized.length; i++) {
+    for (let j = i + 1; j < normalized.length; j++) {
+      const distance = dtwDistance(normalized[i], normalized[j]);
+      if (Number.isFinite(distance)) {
+        distances.push(distance);
+      }
+    }
+  }
+
+  if (distances.length === 0) {
+    return null;
+  }
+
+  const spread = distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+  const clamped = Math.min(100, Math.max(0, sensitivity));
+  const { MIN_TOLERANCE, MAX_TOLERANCE } = WAKE_WORD_DEFAULTS;
+
+  return spread * (MIN_TOLERANCE + (clamped / 100) * (MAX_TOLERANCE - MIN_TOLERANCE));
+};
+
+/**
+ * Stateful detector that finds utterances in a PCM stream and checks each
+ * one against the enrolled wake word samples
+ *
+ * Durations are derived from the number of samples processed rather than
+ * wall-clock time, so results are deterministic for a given input.
+ */
+export class WakeWordDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.sampleRate - Sample rate of the PCM stream in Hz
+   * @param {Array} options.templates - Enrolled feature sequences; none only finds utterances
+   * @param {number} options.sensitivity - Detection sensitivity (0-100)
+   * @param {number} options.micSensitivity - Input gain (0-100, 50 is neutral)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.micSensitivity = options.micSensitivity != null ? options.micSensitivity : 50;
+
+    // Frames are a power of two long for the FFT
+    const targetSize = (this.sampleRate * WAKE_WORD_DEFAULTS.FRAME_MS) / 1000;
+    this.frameSize = Math.pow(2, Math.round(Math.log2(targetSize)));
+    this.frameMs = (this.frameSize / this.sampleRate) * 1000;
+    this.bands = createBands(this.frameSize, this.sampleRate);
+    this.window = new Float64Array(this.frameSize).map((_, i) =>
+      0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.frameSize - 1))
+    );
+
+    this.setTemplates(options.templates || [], options.sensitivity);
+    this.reset();
+  }
+
+  /**
+   * Replace the enrolled samples
+   *
+   * @param {Array} templates - Enrolled feature sequences
+   * @param {number} sensitivity - Detection sensitivity (0-100)
+   */
+  setTemplates(templates, sensitivity = 50) {
+    this.templates = templates.map(normalizeFeatures);
+    this.threshold = getMatchThreshold(templates, sensitivity);
+  }
+
+  /**
+   * Clear all accumulated state
+   */
+  reset() {
+    this.pending = new Int16Array(0);
+    this.noiseFloorDb = VAD_DEFAULTS.INITIAL_NOISE_FLOOR_DB;
+    this.preRoll = [];
+    this.utterance = null;
+  }
+
+  /**
+   * Gain applied for the configured microphone sensitivity
+   *
+   * @returns {number} Gain in dB
+   */
+  getGainDb() {
+    return getSensitivityGainDb(this.micSensitivity);
+  }
+
+  /**
+   * Analyze a chunk of PCM samples
+   *
+   * @param {Int16Array|Array<number>} samples - 16-bit PCM samples
+   * @returns {Object} Result with detected, distance, and the feature frames of
+   *   the utterance that ended in this chunk, if any
+   */
+  process(samples) {
+    const buffer = new Int16Array(this.pending.length + samples.length);
+    buffer.set(this.pending);
+    buffer.set(samples, this.pending.length);
+
+    let result = { detected: false, distance: Infinity, utterance: null };
+    let offset = 0;
+
+    for (; offset + this.frameSize <= buffer.length; offset += this.frameSize) {
+      const utterance = this.processFrame(buffer.subarray(offset, offset + this.frameSize));
+      if (!utterance) {
+        continue;
+      }
+
+      result = { ...this.match(utterance), utterance };
+      if (result.detected) {
+        // Whatever follows belongs to the recording the wake word starts
+        this.reset();
+        return result;
+      }
+    }
+
+    this.pending = buffer.slice(offset);
+    return result;
+  }
+
+  /**
+   * Analyze a base64 chunk as delivered by react-native-audio-record
+   *
+   * @param {string} base64 - Base64-encoded 16-bit PCM data
+   * @returns {Object} Analysis result, see process()
+   */
+  processBase64(base64) {
+    return this.process(decodePcm16(base64));
+  }
+
+  /**
+   * Track speech across one frame
+   *
+   * @param {Int16Array} frame - frameSize samples
+   * @returns {Array|null} Feature frames of an utterance that just ended
+   *   and is the right length for a wake word, otherwise null
+   */
+  processFrame(frame) {
+    const levelDb = rmsToDb(computeRms(frame)) + this.getGainDb();
+    const isSpeech =
+      levelDb > WAKE_WORD_DEFAULTS.MIN_SPEECH_DB &&
+      levelDb > this.noiseFloorDb + WAKE_WORD_DEFAULTS.SPEECH_MARGIN_DB;
+
+    if (!isSpeech) {
+      // Only adapt the noise floor on non-speech, falling faster than it rises
+      const rate = levelDb < this.noiseFloorDb
+        ? VAD_DEFAULTS.NOISE_FLOOR_FALL
+        : VAD_DEFAULTS.NOISE_FLOOR_RISE;
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+    }
+
+    const features = extractFrameFeatures(frame, this.window, this.bands);
+
+    if (!this.utterance) {
+      if (isSpeech) {
+        this.utterance = { frames: [...this.preRoll, features], speechMs: this.frameMs, silentFrames: 0 };
+        this.preRoll = [];
+      } else {
+        this.preRoll = [...this.preRoll, features].slice(-WAKE_WORD_DEFAULTS.PRE_ROLL_FRAMES);
+      }
+      return null;
+    }
+
+    const utterance = this.utterance;
+
+    if (isSpeech) {
+      utterance.speechMs += (utterance.silentFrames + 1) * this.frameMs;
+      utterance.silentFrames = 0;
+    } else {
+      utterance.silentFrames += 1;
+    }
+
+    // Keep listening to the end of long speech, but stop storing it
+    if (utterance.speechMs > WAKE_WORD_DEFAULTS.MAX_UTTERANCE_MS) {
+      utterance.frames = null;
+    } else {
+      utterance.frames.push(features);
+    }
+
+    if (utterance.silentFrames * this.frameMs < WAKE_WORD_DEFAULTS.END_SILENCE_MS) {
+      return null;
+    }
+
+    this.utterance = null;
+
+    if (!utterance.frames || utterance.speechMs < WAKE_WORD_DEFAULTS.MIN_UTTERANCE_MS) {
+      return null;
+    }
+
+    return utterance.frames.slice(0, utterance.frames.length - utterance.silentFrames);
+  }
+
+  /**
+   * Compare an utterance with the enrolled samples
+   *
+   * @param {Array<Array<number>>} utterance - Feature frames
+   * @returns {Object} detected flag and the distance to the closest sample
+   */
+  match(utterance) {
+    if (this.threshold == null) {
+      return { detected: false, distance: Infinity };
+    }
+
+    const normalized = normalizeFeatures(utterance);
+    const distance = Math.min(...this.templates.map(template => dtwDistance(normalized, template)));
+
+    return { detected: distance <= this.threshold, distance };
+  }
+}
+
+export default WakeWordDetector;